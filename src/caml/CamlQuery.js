@@ -0,0 +1,722 @@
+import Compose          from "common-micro-libs/src/jsutils/Compose"
+import objectExtend     from "common-micro-libs/src/jsutils/objectExtend"
+import dataStore        from "common-micro-libs/src/jsutils/dataStore"
+import xmlEscape        from "../sputils/xmlEscape"
+import getCamlLogical   from "../sputils/getCamlLogical"
+import getDateString    from "../sputils/getDateString"
+
+//==========================================================================
+const PRIVATE = dataStore.create();
+
+const COMPARE_OPERATORS = {
+    eq:             "Eq",
+    neq:            "Neq",
+    gt:             "Gt",
+    geq:            "Geq",
+    lt:             "Lt",
+    leq:            "Leq",
+    contains:       "Contains",
+    beginsWith:     "BeginsWith",
+    includes:       "Includes",
+    notIncludes:    "NotIncludes"
+};
+
+// Column Type => CAML Value Type
+const VALUE_TYPES = {
+    Counter:        "Counter",
+    Integer:        "Integer",
+    Number:         "Number",
+    Currency:       "Currency",
+    DateTime:       "DateTime",
+    Boolean:        "Boolean",
+    Choice:         "Choice",
+    MultiChoice:    "MultiChoice",
+    Note:           "Note",
+    Computed:       "Computed",
+    URL:            "URL",
+    Lookup:         "Lookup",
+    LookupMulti:    "Lookup",
+    User:           "Lookup",
+    UserMulti:      "Lookup",
+    ModStat:        "ModStat",
+    ContentTypeId:  "ContentTypeId"
+};
+
+/**
+ * A composable CAML query builder. Conditions are added with `where()`,
+ * followed by one of the compare methods (ex. `eq()`) and combined with
+ * `and()`/`or()`, which are applied from left to right - so
+ * `where(a).eq(1).or(b).eq(2).and(c).eq(3)` is `(a OR b) AND c`. Use a function
+ * (or another `CamlQuery`) with `where()`, `and()` and `or()` to group conditions.
+ *
+ * Values are xml escaped and the `<Value Type>` is set based on the column type
+ * (when `options.columns` is defined) or the type of value given on input
+ * (ex. `Number`, `Date`, `Boolean`, objects with an `ID` are used as lookups).
+ * Lookup and Person conditions compare the lookup value unless the value is an
+ * object with an `ID` (or `<UserID/>`) or `lookupId: true` is used - see
+ * [CamlQuery.isLookupId]{@link CamlQuery.isLookupId}.
+ *
+ * @class CamlQuery
+ * @extends Compose
+ *
+ * @param {Object} [options]
+ *
+ * @param {ListColumnsCollection|Array<ListColumnModel>} [options.columns]
+ *  The list columns. Used to determine the `<Value Type>` of each condition.
+ *
+ * @param {CamlFilterNode} [options.where]
+ *  A filter tree to start with (ex. one returned by `parseCamlQuery()`)
+ *
+ * @example
+ *
+ * const query = CamlQuery.create({ columns: listColumns })
+ *      .where("Status").eq("Active")
+ *      .and(q => q.where("Priority").in(["High", "Urgent"]).or("DueDate").isNull())
+ *      .and("AssignedTo").eq(CamlQuery.raw("<UserID/>"))
+ *      .orderBy("DueDate")
+ *      .viewFields("Title", "Status", "DueDate")
+ *      .rowLimit(50);
+ *
+ * getListItems(query.toListItemsOptions({ listName: "Tasks" }));
+ */
+const CamlQuery = Compose.extend(/** @lends CamlQuery.prototype */{
+    init(options) {
+        const opt = objectExtend({}, this.getFactory().defaults, options);
+
+        PRIVATE.set(this, {
+            opt,
+            where:          opt.where ? cloneNode(opt.where) : null,
+            orderBy:        [],
+            viewFields:     [],
+            rowLimit:       "",
+            queryOptions:   ""
+        });
+
+        this.onDestroy(() => PRIVATE["delete"](this));
+    },
+
+    /**
+     * Sets the first condition of the query (replacing any existing one).
+     *
+     * @param {String|Function|CamlQuery|CamlFilterNode} field
+     *  The column (internal name) to be filtered on, in which case a
+     *  `CamlCondition` is returned. A function (called with a new `CamlQuery`),
+     *  another `CamlQuery` or a filter tree node can be used to define a group
+     *  of conditions, in which case the query itself is returned.
+     *
+     * @return {CamlCondition|CamlQuery}
+     */
+    where(field) {
+        PRIVATE.get(this).where = null;
+        return addCondition(this, "And", field);
+    },
+
+    /**
+     * Adds a condition that must be met along with the prior ones. See `where()`
+     *
+     * @param {String|Function|CamlQuery|CamlFilterNode} field
+     *
+     * @return {CamlCondition|CamlQuery}
+     */
+    and(field) {
+        return addCondition(this, "And", field);
+    },
+
+    /**
+     * Adds a condition that can be met instead of the prior ones. See `where()`
+     *
+     * @param {String|Function|CamlQuery|CamlFilterNode} field
+     *
+     * @return {CamlCondition|CamlQuery}
+     */
+    or(field) {
+        return addCondition(this, "Or", field);
+    },
+
+    /**
+     * Adds a sort order. Can be called multiple times.
+     *
+     * @param {String} field
+     * @param {Boolean} [ascending=true]
+     *
+     * @return {CamlQuery}
+     */
+    orderBy(field, ascending) {
+        PRIVATE.get(this).orderBy.push({
+            field,
+            ascending: ascending !== false
+        });
+        return this;
+    },
+
+    /**
+     * Sets the fields to be returned. Accepts multiple fields as individual
+     * arguments or an array.
+     *
+     * @param {...String|Array<String>} fields
+     *
+     * @return {CamlQuery}
+     */
+    viewFields(...fields) {
+        PRIVATE.get(this).viewFields = Array.isArray(fields[0]) ? fields[0].slice(0) : fields;
+        return this;
+    },
+
+    /**
+     * Sets the maximum number of rows to be returned
+     *
+     * @param {Number} rowLimit
+     *
+     * @return {CamlQuery}
+     */
+    rowLimit(rowLimit) {
+        PRIVATE.get(this).rowLimit = rowLimit;
+        return this;
+    },
+
+    /**
+     * Sets the query options. Can be a CAML string or an object, where each
+     * key is an element and its value the element content. Object values
+     * are used as element attributes.
+     *
+     * @param {Object|String} queryOptions
+     *
+     * @return {CamlQuery}
+     *
+     * @example
+     *
+     * query.queryOptions({
+     *      IncludeMandatoryColumns: "FALSE",
+     *      ViewAttributes: { Scope: "RecursiveAll" }
+     * });
+     * // <QueryOptions><IncludeMandatoryColumns>FALSE</IncludeMandatoryColumns><ViewAttributes Scope="RecursiveAll"/></QueryOptions>
+     */
+    queryOptions(queryOptions) {
+        PRIVATE.get(this).queryOptions = queryOptions;
+        return this;
+    },
+
+    /**
+     * Returns a copy of the filter tree for the query's conditions (`null` if
+     * no conditions are defined).
+     *
+     * @return {CamlFilterNode|null}
+     */
+    getWhere() {
+        const where = PRIVATE.get(this).where;
+        return where ? cloneNode(where) : null;
+    },
+
+    /**
+     * Returns the sort orders defined
+     *
+     * @return {Array<Object>}
+     *  Each object has a `field` and `ascending` attribute.
+     */
+    getOrderBy() {
+        return PRIVATE.get(this).orderBy.slice(0);
+    },
+
+    /**
+     * Returns the view fields defined
+     *
+     * @return {Array<String>}
+     */
+    getViewFields() {
+        return PRIVATE.get(this).viewFields.slice(0);
+    },
+
+    /**
+     * Returns the CAML for the conditions of the query, without the `<Where>`
+     * element (ex. to be combined with other conditions using `getCamlLogical()`).
+     *
+     * @return {String}
+     */
+    toCAMLWhere() {
+        const inst = PRIVATE.get(this);
+        return inst.where ? getNodeCaml(inst.where, inst.opt.columns) : "";
+    },
+
+    /**
+     * Returns the CAML `<Query>` (with `<Where>` and `<OrderBy>`)
+     *
+     * @return {String}
+     */
+    toCAMLQuery() {
+        const inst      = PRIVATE.get(this);
+        const where     = this.toCAMLWhere();
+        const orderBy   = inst.orderBy.map(sort => `<FieldRef Name="${ xmlEscape.escape(sort.field) }"${ sort.ascending ? "" : ' Ascending="FALSE"' }/>`).join("");
+
+        return "<Query>" +
+            (where ? `<Where>${ where }</Where>` : "") +
+            (orderBy ? `<OrderBy>${ orderBy }</OrderBy>` : "") +
+            "</Query>";
+    },
+
+    /**
+     * Returns the CAML `<ViewFields>`. Empty string if no fields were defined.
+     *
+     * @return {String}
+     */
+    toCAMLViewFields() {
+        const viewFields = PRIVATE.get(this).viewFields;
+
+        if (!viewFields.length) {
+            return "";
+        }
+
+        return "<ViewFields>" +
+            viewFields.map(field => `<FieldRef Name="${ xmlEscape.escape(field) }"/>`).join("") +
+            "</ViewFields>";
+    },
+
+    /**
+     * Returns the CAML `<QueryOptions>`. Empty string if none were defined.
+     *
+     * @return {String}
+     */
+    toCAMLQueryOptions() {
+        const queryOptions = PRIVATE.get(this).queryOptions;
+
+        if (!queryOptions || typeof queryOptions === "string") {
+            return queryOptions || "";
+        }
+
+        return "<QueryOptions>" +
+            Object.keys(queryOptions).map(optionName => {
+                const optionValue = queryOptions[optionName];
+
+                if (optionValue && typeof optionValue === "object") {
+                    return `<${ optionName }` +
+                        Object.keys(optionValue).map(attrName => ` ${ attrName }="${ xmlEscape.escape(String(optionValue[attrName])) }"`).join("") +
+                        "/>";
+                }
+
+                return `<${ optionName }>${ xmlEscape.escape(String(optionValue)) }</${ optionName }>`;
+            }).join("") +
+            "</QueryOptions>";
+    },
+
+    /**
+     * Returns the options for [getListItems]{@link getListItems} (and the other
+     * methods that support its options - ex. `iterateListItems`). Only the CAML
+     * options that were defined in the query are set.
+     *
+     * @param {Object} [options]
+     *  Additional options (ex. `listName`) to be included in the returned object.
+     *
+     * @return {Object}
+     */
+    toListItemsOptions(options) {
+        const inst      = PRIVATE.get(this);
+        const response  = { CAMLQuery: this.toCAMLQuery() };
+
+        if (inst.viewFields.length) {
+            response.CAMLViewFields = this.toCAMLViewFields();
+        }
+
+        if (inst.rowLimit) {
+            response.CAMLRowLimit = inst.rowLimit;
+        }
+
+        if (inst.queryOptions) {
+            response.CAMLQueryOptions = this.toCAMLQueryOptions();
+        }
+
+        return objectExtend({}, options, response);
+    },
+
+    /**
+     * Returns the CAML `<Query>`. See `toCAMLQuery()`
+     *
+     * @return {String}
+     */
+    toString() {
+        return this.toCAMLQuery();
+    }
+});
+
+/**
+ * Adds a condition to the query using the given logical operator.
+ *
+ * @private
+ *
+ * @param {CamlQuery} query
+ * @param {String} logical
+ * @param {String|Function|CamlQuery|CamlFilterNode} field
+ *
+ * @return {CamlCondition|CamlQuery}
+ */
+function addCondition(query, logical, field) {
+    if (typeof field === "string") {
+        return getConditionBuilder(query, logical, field);
+    }
+
+    let node = field;
+
+    if (typeof field === "function") {
+        const groupQuery = query.getFactory().create({ columns: PRIVATE.get(query).opt.columns });
+        field(groupQuery);
+        node = groupQuery.getWhere();
+        groupQuery.destroy();
+
+    } else if (field && typeof field.getWhere === "function") {
+        node = field.getWhere();
+
+    // Copy the node so that later conditions are not added to the caller's tree
+    } else if (field) {
+        node = cloneNode(field);
+    }
+
+    if (node) {
+        addNode(query, logical, node);
+    }
+
+    return query;
+}
+
+/**
+ * Adds a filter tree node to the query's conditions.
+ *
+ * @private
+ *
+ * @param {CamlQuery} query
+ * @param {String} logical
+ * @param {CamlFilterNode} node
+ */
+function addNode(query, logical, node) {
+    const inst = PRIVATE.get(query);
+
+    if (!inst.where) {
+        inst.where = node;
+
+    // Chained conditions with the same logical operator are kept in one node
+    } else if (inst.where.logical === logical && inst.where.isChained) {
+        inst.where.conditions.push(node);
+
+    } else {
+        inst.where = {
+            logical,
+            conditions: [inst.where, node]
+        };
+
+        Object.defineProperty(inst.where, "isChained", { value: true });
+    }
+}
+
+/**
+ * Returns a copy of a filter tree node (and its conditions). Values are
+ * not copied.
+ *
+ * @private
+ *
+ * @param {CamlFilterNode} node
+ *
+ * @return {CamlFilterNode}
+ */
+function cloneNode(node) {
+    const copy = objectExtend({}, node);
+
+    if (node.conditions) {
+        copy.conditions = node.conditions.map(cloneNode);
+    }
+
+    if (node.values) {
+        copy.values = node.values.slice(0);
+    }
+
+    if (node.isChained) {
+        Object.defineProperty(copy, "isChained", { value: true });
+    }
+
+    return copy;
+}
+
+/**
+ * Returns the object with the compare methods for a field.
+ *
+ * @private
+ *
+ * @param {CamlQuery} query
+ * @param {String} logical
+ * @param {String} field
+ *
+ * @return {CamlCondition}
+ */
+function getConditionBuilder(query, logical, field) {
+    const addFieldCondition = (operator, values, options) => {
+        if (typeof options === "string") {
+            options = { valueType: options };
+        }
+
+        addNode(query, logical, objectExtend({
+            field,
+            operator,
+            values
+        }, options));
+
+        return query;
+    };
+
+    /**
+     * The compare methods available for a field. Each method adds the condition
+     * to the query and returns the `CamlQuery`. Each method (except `isNull`
+     * and `isNotNull`) accepts as the last argument either a String with the
+     * `<Value Type>` or an object with `valueType`, `lookupId`, `includeTimeValue`
+     * and/or `storageTZ`, which override the ones determined automatically.
+     *
+     * @typedef {Object} CamlCondition
+     *
+     * @property {Function} eq
+     * @property {Function} neq
+     * @property {Function} gt
+     * @property {Function} geq
+     * @property {Function} lt
+     * @property {Function} leq
+     * @property {Function} contains
+     * @property {Function} beginsWith
+     * @property {Function} includes
+     * @property {Function} notIncludes
+     * @property {Function} in
+     *  Accepts an Array of values.
+     * @property {Function} isNull
+     * @property {Function} isNotNull
+     */
+    const condition = Object.keys(COMPARE_OPERATORS).reduce((methods, methodName) => {
+        methods[methodName] = (value, options) => addFieldCondition(COMPARE_OPERATORS[methodName], [value], options);
+        return methods;
+    }, {});
+
+    condition["in"]     = (values, options) => addFieldCondition("In", Array.isArray(values) ? values : [values], options);
+    condition.isNull    = () => addFieldCondition("IsNull", []);
+    condition.isNotNull = () => addFieldCondition("IsNotNull", []);
+
+    return condition;
+}
+
+/**
+ * Returns the CAML for a filter tree node.
+ *
+ * @private
+ *
+ * @param {CamlFilterNode} node
+ * @param {ListColumnsCollection|Array<ListColumnModel>} [columns]
+ *
+ * @return {String}
+ */
+function getNodeCaml(node, columns) {
+    if (node.logical) {
+        return getCamlLogical({
+            type:           node.logical,
+            values:         node.conditions,
+            onEachValue:    condition => getNodeCaml(condition, columns)
+        });
+    }
+
+    const column        = getColumn(columns, node.field);
+    const firstValue    = node.values && node.values.length ? node.values[0] : undefined;
+    const isUserId      = firstValue instanceof CamlRawValue && /<UserID/i.test(firstValue.caml);
+    const lookupId      = isLookupId(node);
+    const valueType     = node.valueType || (isUserId ? "Integer" : getValueType(column, firstValue, lookupId));
+    const fieldRef      = `<FieldRef Name="${ xmlEscape.escape(node.field) }"${ lookupId ? ' LookupId="TRUE"' : "" }/>`;
+    const includeTime   = "includeTimeValue" in node ? node.includeTimeValue : firstValue instanceof Date;
+    const dateAttrs     = valueType !== "DateTime" ? "" :
+        (includeTime ? ' IncludeTimeValue="TRUE"' : "") + (node.storageTZ ? ' StorageTZ="TRUE"' : "");
+    const valueXml      = value => `<Value Type="${ valueType }"${ dateAttrs }>${ getValueCaml(value, node.storageTZ) }</Value>`;
+
+    switch (node.operator) {
+        case "IsNull":
+        case "IsNotNull":
+            return `<${ node.operator }>${ fieldRef }</${ node.operator }>`;
+
+        case "In":
+            return `<In>${ fieldRef }<Values>${ node.values.map(valueXml).join("") }</Values></In>`;
+    }
+
+    return `<${ node.operator }>${ fieldRef }${ valueXml(firstValue) }</${ node.operator }>`;
+}
+
+/**
+ * Checks if a condition compares the lookup ID of a Lookup or Person column.
+ *
+ * @private
+ *
+ * @param {CamlFilterNode} node
+ *
+ * @return {Boolean}
+ */
+function isLookupId(node) {
+    const firstValue = node.values && node.values.length ? node.values[0] : undefined;
+
+    if ("lookupId" in node) {
+        return !!node.lookupId;
+    }
+
+    return (firstValue instanceof CamlRawValue && /<UserID\b/i.test(firstValue.caml)) ||
+        (!!firstValue && typeof firstValue === "object" && "ID" in firstValue);
+}
+
+function getColumn(columns, fieldName) {
+    if (!columns) {
+        return;
+    }
+
+    if (columns.getColumn) {
+        return columns.getColumn(fieldName);
+    }
+
+    return columns.filter(column => column.Name === fieldName || column.StaticName === fieldName)[0];
+}
+
+/**
+ * Returns the CAML `<Value Type>` for a condition.
+ *
+ * @private
+ *
+ * @param {ListColumnModel} [column]
+ * @param {*} value
+ * @param {Boolean} lookupId
+ *
+ * @return {String}
+ */
+function getValueType(column, value, lookupId) {
+    if (lookupId) {
+        return column && column.Type === "Counter" ? "Counter" : "Lookup";
+    }
+
+    if (column) {
+        if (column.Type === "Calculated") {
+            return VALUE_TYPES[column.ResultType] || "Text";
+        }
+
+        return VALUE_TYPES[column.Type] || "Text";
+    }
+
+    if (value instanceof Date) {
+        return "DateTime";
+    }
+
+    if (typeof value === "number") {
+        return "Number";
+    }
+
+    if (typeof value === "boolean") {
+        return "Boolean";
+    }
+
+    return "Text";
+}
+
+/**
+ * Returns a value formatted for CAML (xml escaped)
+ *
+ * @private
+ *
+ * @param {*} value
+ * @param {Boolean} [storageTZ=false]
+ *  If true, dates are formatted as UTC
+ *
+ * @return {String}
+ */
+function getValueCaml(value, storageTZ) {
+    if (value === null || value === undefined) {
+        return "";
+    }
+
+    if (value instanceof CamlRawValue) {
+        return value.caml;
+    }
+
+    if (value instanceof Date) {
+        return getDateString(value, storageTZ ? "utc" : "local");
+    }
+
+    if (typeof value === "boolean") {
+        return value ? "1" : "0";
+    }
+
+    if (typeof value === "object" && "ID" in value) {
+        return xmlEscape.escape(String(value.ID));
+    }
+
+    return xmlEscape.escape(String(value));
+}
+
+function CamlRawValue(caml) {
+    this.caml = caml;
+}
+
+/**
+ * A node of a filter tree. Either a logical node (has `logical` and
+ * `conditions`) or a condition (has `field`, `operator` and `values`).
+ *
+ * @typedef {Object} CamlFilterNode
+ *
+ * @property {String} [logical]
+ *  `And` or `Or`
+ * @property {Array<CamlFilterNode>} [conditions]
+ * @property {String} [field]
+ *  The column internal name
+ * @property {String} [operator]
+ *  The CAML compare operator - ex. `Eq`, `In`, `IsNull`
+ * @property {Array} [values]
+ *  The values to compare against. Empty for `IsNull` and `IsNotNull`.
+ * @property {String} [valueType]
+ *  The CAML `<Value Type>`. Determined automatically if not set.
+ * @property {Boolean} [lookupId]
+ * @property {Boolean} [includeTimeValue]
+ * @property {Boolean} [storageTZ]
+ *  The `DateTime` value is in UTC (`StorageTZ="TRUE"`) instead of the site's time zone.
+ */
+
+/**
+ * Returns a value that is used in the CAML query as is (not escaped). Use
+ * it for CAML elements like `<Today/>` or `<UserID/>`.
+ *
+ * @name CamlQuery.raw
+ * @function
+ *
+ * @param {String} caml
+ *
+ * @return {Object}
+ */
+CamlQuery.raw = function(caml) {
+    return new CamlRawValue(caml);
+};
+
+/**
+ * Checks if a condition (filter tree node) compares the lookup ID
+ * (`LookupId="TRUE"`) of a Lookup or Person column instead of its value. That
+ * is the case when the condition has `lookupId: true` or its value is an object
+ * with an `ID` (ex. `{ ID: 5 }`) or `<UserID/>`. Values made up of only digits
+ * are not assumed to be IDs, since the lookup's show field could be numeric.
+ *
+ * @name CamlQuery.isLookupId
+ * @function
+ *
+ * @param {CamlFilterNode} node
+ *
+ * @return {Boolean}
+ */
+CamlQuery.isLookupId = isLookupId;
+
+/**
+ * Checks if the given value was created with `CamlQuery.raw()`
+ *
+ * @name CamlQuery.isRaw
+ * @function
+ *
+ * @param {*} value
+ *
+ * @return {Boolean}
+ */
+CamlQuery.isRaw = function(value) {
+    return value instanceof CamlRawValue;
+};
+
+CamlQuery.defaults = {
+    columns:    null,
+    where:      null
+};
+
+export default CamlQuery;
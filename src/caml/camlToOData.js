@@ -0,0 +1,395 @@
+import objectExtend                 from "common-micro-libs/src/jsutils/objectExtend"
+import CamlQuery                    from "./CamlQuery"
+import parseCamlQuery               from "./parseCamlQuery"
+import getDateString                from "../sputils/getDateString"
+import { ODataTranslationError }    from "../sputils/errors"
+
+//==========================================================================
+const COMPARE_OPERATORS = {
+    Eq:             "eq",
+    Neq:            "ne",
+    Gt:             "gt",
+    Geq:            "ge",
+    Lt:             "lt",
+    Leq:            "le",
+    Includes:       "eq",
+    NotIncludes:    "ne"
+};
+
+const NUMERIC_VALUE_TYPES = ["Counter", "Integer", "Number", "Currency"];
+
+/**
+ * Translates a CAML query (or a filter tree) into the OData query options
+ * used with the SharePoint REST api (`$filter`, `$orderby`, `$select` and `$expand`).
+ *
+ * Lookup and Person conditions that use `LookupId` are translated to the
+ * `{Field}Id` property, while the ones that compare the lookup value are
+ * translated to `{Field}/{ShowField}` (and the field is added to `$expand`) -
+ * see [CamlQuery.isLookupId]{@link CamlQuery.isLookupId}.
+ * `<Today/>` values are translated to the current (local) date and `<Now/>`
+ * to the current date and time. `DateTime` values with `StorageTZ` are sent
+ * as UTC.
+ *
+ * @function camlToOData
+ *
+ * @param {String|ParsedCamlQuery|CamlQuery|FiltersCollection|CamlFilterNode} query
+ *  The query to translate. A string can be any CAML accepted by [parseCamlQuery]{@link parseCamlQuery}
+ *  (ex. the output of `FiltersCollection#toCAMLQuery()`).
+ *
+ * @param {Object} [options]
+ *
+ * @param {ListColumnsCollection|Array<ListColumnModel>} [options.columns]
+ *  The list columns. Used to determine how lookup and person columns are
+ *  selected and filtered on.
+ *
+ * @param {Array<String>|String} [options.viewFields]
+ *  The fields to be selected. Array of internal names or a CAML `<ViewFields>`
+ *  string. Defaults to the view fields defined in `query` (if a `CamlQuery`).
+ *
+ * @param {String|Number} [options.currentUserId]
+ *  The ID of the current user, used to translate `<UserID/>` values. If not
+ *  defined, queries with `<UserID/>` can not be translated.
+ *
+ * @return {ODataQuery}
+ *
+ * @throws {ODataTranslationError}
+ *  If any part of the query can not be expressed in OData. Error's `unsupported`
+ *  property will have the list of those.
+ *
+ * @example
+ *
+ * camlToOData(filterPanel.getFilters().toCAMLQuery(), { columns });
+ * // => { $filter: "(Status eq 'Active' or Status eq 'New')", $orderby: "", ..., queryString: "$filter=..." }
+ */
+const camlToOData = function(query, options) {
+    const opt = objectExtend({}, camlToOData.defaults, options);
+    const {
+        where,
+        orderBy,
+        viewFields,
+        unsupported
+    } = getQueryParts(query, opt);
+
+    const expand    = [];
+    const context   = { opt, expand, unsupported };
+    const filter    = where ? getNodeFilter(where, context, true) : "";
+
+    const select = viewFields.reduce((selectFields, field) => {
+        const column = getColumn(opt.columns, field);
+
+        if (column && /^(Lookup|User)/.test(column.Type)) {
+            addExpand(expand, field);
+            selectFields.push(`${ getODataFieldName(field) }/Id`, `${ getODataFieldName(field) }/${ getShowField(column) }`);
+        }
+        else {
+            selectFields.push(getODataFieldName(field));
+        }
+
+        return selectFields;
+    }, []);
+
+    if (unsupported.length) {
+        throw new ODataTranslationError(
+            "camlToOData(): query can not be translated to OData: " + unsupported.map(part => part.reason).join("; "),
+            { unsupported }
+        );
+    }
+
+    /**
+     * OData query options
+     *
+     * @typedef {Object} ODataQuery
+     *
+     * @property {String} $filter
+     * @property {String} $orderby
+     * @property {String} $select
+     * @property {String} $expand
+     * @property {String} queryString
+     *  The options that are not empty, as a url query string (uri encoded).
+     */
+    const response = {
+        $filter:    filter,
+        $orderby:   orderBy.map(sort => `${ getODataFieldName(sort.field) } ${ sort.ascending ? "asc" : "desc" }`).join(","),
+        $select:    select.join(","),
+        $expand:    expand.join(","),
+        queryString: ""
+    };
+
+    response.queryString = ["$filter", "$orderby", "$select", "$expand"]
+        .filter(optionName => !!response[optionName])
+        .map(optionName => `${ optionName }=${ encodeURIComponent(response[optionName]) }`)
+        .join("&");
+
+    return response;
+};
+
+/**
+ * Normalizes the supported types of input into the where, order by and view
+ * fields of the query.
+ *
+ * @private
+ *
+ * @param {*} query
+ * @param {Object} opt
+ *
+ * @return {Object}
+ */
+function getQueryParts(query, opt) {
+    const response = {
+        where:          null,
+        orderBy:        [],
+        viewFields:     [],
+        unsupported:    []
+    };
+
+    if (query && typeof query.getWhere === "function") {
+        response.where      = query.getWhere();
+        response.orderBy    = query.getOrderBy();
+        response.viewFields = query.getViewFields();
+
+    } else if (query && (query.logical || query.operator)) {
+        response.where = query;
+
+    } else if (query) {
+        let parsed = query;
+
+        // FiltersCollection
+        if (typeof query.toCAMLQuery === "function") {
+            parsed = `<Where>${ query.toCAMLQuery() }</Where>${ query.toCAMLSortOrder ? query.toCAMLSortOrder(true) : "" }`;
+        }
+
+        if (typeof parsed === "string") {
+            parsed = parseCamlQuery(parsed);
+        }
+
+        response.where          = parsed.where;
+        response.orderBy        = parsed.orderBy || [];
+        response.unsupported    = (parsed.unsupported || []).slice(0);
+    }
+
+    if (opt.viewFields) {
+        response.viewFields = typeof opt.viewFields === "string" ?
+            getViewFieldNames(opt.viewFields) :
+            opt.viewFields.slice(0);
+    }
+
+    return response;
+}
+
+/**
+ * Returns the OData filter for a filter tree node.
+ *
+ * @private
+ *
+ * @param {CamlFilterNode} node
+ * @param {Object} context
+ * @param {Boolean} [isRoot=false]
+ *
+ * @return {String}
+ */
+function getNodeFilter(node, context, isRoot) {
+    if (node.logical) {
+        const filter = node.conditions
+            .map(condition => getNodeFilter(condition, context))
+            .filter(condition => !!condition)
+            .join(` ${ node.logical.toLowerCase() } `);
+
+        return isRoot || node.conditions.length < 2 ? filter : `(${ filter })`;
+    }
+
+    const column    = getColumn(context.opt.columns, node.field);
+    const isLookup  = !!column && /^(Lookup|User)/.test(column.Type);
+    const values    = node.values || [];
+    const lookupId  = CamlQuery.isLookupId(node);
+    let fieldName   = getODataFieldName(node.field);
+
+    const valueType = lookupId ? "Integer" : (node.valueType || (column ? column.Type : ""));
+
+    if (lookupId) {
+        fieldName += "Id";
+
+    } else if (isLookup || node.valueType === "Lookup" || node.valueType === "User") {
+        addExpand(context.expand, node.field);
+        fieldName += "/" + getShowField(column);
+    }
+
+    switch (node.operator) {
+        case "IsNull":
+            return `${ fieldName } eq null`;
+
+        case "IsNotNull":
+            return `${ fieldName } ne null`;
+
+        case "In": {
+            const filter = values.map(value => `${ fieldName } eq ${ getODataValue(value, valueType, node, context) }`).join(" or ");
+            return isRoot || values.length < 2 ? filter : `(${ filter })`;
+        }
+
+        case "Contains":
+            return `substringof(${ getODataValue(values[0], valueType, node, context) },${ fieldName })`;
+
+        case "BeginsWith":
+            return `startswith(${ fieldName },${ getODataValue(values[0], valueType, node, context) })`;
+    }
+
+    if (!COMPARE_OPERATORS[node.operator]) {
+        addUnsupported(context, node, `Operator ${ node.operator } is not supported by OData`);
+        return "";
+    }
+
+    return `${ fieldName } ${ COMPARE_OPERATORS[node.operator] } ${ getODataValue(values[0], valueType, node, context) }`;
+}
+
+/**
+ * Returns a value formatted as an OData literal
+ *
+ * @private
+ *
+ * @param {*} value
+ * @param {String} valueType
+ * @param {CamlFilterNode} node
+ * @param {Object} context
+ *
+ * @return {String}
+ */
+function getODataValue(value, valueType, node, context) {
+    if (CamlQuery.isRaw(value)) {
+        const caml = value.caml;
+
+        if (/^<UserID\b/i.test(caml)) {
+            if (context.opt.currentUserId === "" || context.opt.currentUserId === null || context.opt.currentUserId === undefined) {
+                addUnsupported(context, node, "<UserID/> requires options.currentUserId");
+                return "";
+            }
+
+            return String(context.opt.currentUserId);
+        }
+
+        if (/^<(Today|Now)\b/i.test(caml)) {
+            const offsetDays    = /OffsetDays=["']?(-?\d+)/i.exec(caml);
+            const date          = new Date();
+
+            if (/^<Today/i.test(caml)) {
+                date.setHours(0, 0, 0, 0);
+            }
+
+            if (offsetDays) {
+                date.setDate(date.getDate() + parseInt(offsetDays[1], 10));
+            }
+
+            // <Today/> is a date (no time), so it is not converted to UTC, which
+            // could change the day
+            return `datetime'${ /^<Today/i.test(caml) ? getDateString(date) : date.toISOString() }'`;
+        }
+
+        addUnsupported(context, node, `Value ${ caml } is not supported by OData`);
+        return "";
+    }
+
+    if (value && typeof value === "object" && "ID" in value) {
+        return String(value.ID);
+    }
+
+    if (value instanceof Date || valueType === "DateTime") {
+        return `datetime'${ getODataDate(value, node) }'`;
+    }
+
+    if (typeof value === "boolean" || valueType === "Boolean") {
+        return value === true || value === "1" || String(value).toUpperCase() === "TRUE" ? "1" : "0";
+    }
+
+    if (typeof value === "number" || NUMERIC_VALUE_TYPES.indexOf(valueType) !== -1) {
+        return String(value);
+    }
+
+    return `'${ String(value === null || value === undefined ? "" : value).replace(/'/g, "''") }'`;
+}
+
+/**
+ * Returns a date value formatted for an OData `datetime` literal. Values of
+ * conditions with `StorageTZ` are in UTC, so the `Z` designator is added to
+ * those that do not define a time zone.
+ *
+ * @private
+ *
+ * @param {Date|String} value
+ * @param {CamlFilterNode} node
+ *
+ * @return {String}
+ */
+function getODataDate(value, node) {
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+
+    value = String(value === null || value === undefined ? "" : value);
+
+    if (node.storageTZ && /T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(value)) {
+        return value + "Z";
+    }
+
+    return value;
+}
+
+/**
+ * Returns the OData name for a field. Fields whose internal name starts with
+ * an underscore are prefixed with `OData_`.
+ *
+ * @private
+ *
+ * @param {String} fieldName
+ *
+ * @return {String}
+ */
+function getODataFieldName(fieldName) {
+    return fieldName.charAt(0) === "_" ? "OData" + fieldName : fieldName;
+}
+
+function getShowField(column) {
+    return (column && column.ShowField) || "Title";
+}
+
+function getColumn(columns, fieldName) {
+    if (!columns) {
+        return;
+    }
+
+    if (columns.getColumn) {
+        return columns.getColumn(fieldName);
+    }
+
+    return columns.filter(column => column.Name === fieldName || column.StaticName === fieldName)[0];
+}
+
+function addExpand(expand, fieldName) {
+    fieldName = getODataFieldName(fieldName);
+
+    if (expand.indexOf(fieldName) === -1) {
+        expand.push(fieldName);
+    }
+}
+
+function addUnsupported(context, node, reason) {
+    context.unsupported.push({
+        caml:   CamlQuery.create({ where: node }).toCAMLWhere(),
+        reason
+    });
+}
+
+function getViewFieldNames(viewFieldsCaml) {
+    const fieldNames = [];
+
+    viewFieldsCaml.replace(/<FieldRef[^>]*\sName=["']([^"']+)["']/g, (match, fieldName) => {
+        fieldNames.push(fieldName);
+    });
+
+    return fieldNames;
+}
+
+camlToOData.defaults = {
+    columns:        null,
+    viewFields:     null,
+    currentUserId:  ""
+};
+
+export default camlToOData;
@@ -0,0 +1,216 @@
+import parseXML     from "common-micro-libs/src/jsutils/parseXML"
+import CamlQuery    from "./CamlQuery"
+
+//==========================================================================
+const LOGICAL_OPERATORS = ["And", "Or"];
+const COMPARE_OPERATORS = [
+    "Eq", "Neq", "Gt", "Geq", "Lt", "Leq", "Contains", "BeginsWith",
+    "Includes", "NotIncludes", "In", "IsNull", "IsNotNull"
+];
+
+/**
+ * Parses a CAML query string into a filter tree (see `CamlFilterNode` in
+ * [CamlQuery]{@link CamlQuery}). The input can be a full `<View>` or `<Query>`
+ * definition, the `<Where>` and/or `<OrderBy>` elements or just the conditions
+ * (the content of a `<Where>`).
+ *
+ * CAML elements that can not be represented in the tree (ex. `DateRangesOverlap`,
+ * `Membership` or conditions with no `FieldRef`) are not included in it and are
+ * instead returned in `unsupported`.
+ *
+ * Values that are CAML elements (ex. `<Today/>`, `<UserID/>`) are returned as
+ * `CamlQuery.raw()` values.
+ *
+ * @function parseCamlQuery
+ *
+ * @param {String} camlQuery
+ *
+ * @return {ParsedCamlQuery}
+ *
+ * @throws {Error}
+ *  If the string is not valid XML
+ *
+ * @example
+ *
+ * const parsed = parseCamlQuery('<Where><Or><Eq><FieldRef Name="Status"/><Value Type="Text">Active</Value></Eq>' +
+ *      '<IsNull><FieldRef Name="Status"/></IsNull></Or></Where><OrderBy><FieldRef Name="Title"/></OrderBy>');
+ *
+ * // parsed.where:
+ * {
+ *      logical: "Or",
+ *      conditions: [
+ *          { field: "Status", operator: "Eq", values: ["Active"], valueType: "Text" },
+ *          { field: "Status", operator: "IsNull", values: [] }
+ *      ]
+ * }
+ *
+ * // Create a query from it
+ * CamlQuery.create({ where: parsed.where });
+ */
+const parseCamlQuery = function(camlQuery) {
+    const xDoc          = parseXML(`<CamlRoot>${ String(camlQuery || "").trim() }</CamlRoot>`);
+    const root          = xDoc.documentElement;
+    const parserError   = root.getElementsByTagName("parsererror")[0] || (root.nodeName === "parsererror" ? root : null);
+
+    if (parserError) {
+        throw new Error("parseCamlQuery(): invalid CAML: " + parserError.textContent);
+    }
+
+    /**
+     * The result of parsing a CAML query
+     *
+     * @typedef {Object} ParsedCamlQuery
+     *
+     * @property {CamlFilterNode|null} where
+     *  The filter tree. `null` if the query has no (supported) conditions.
+     * @property {Array<Object>} orderBy
+     *  Each object has a `field` and `ascending` attribute.
+     * @property {Array<Object>} unsupported
+     *  The parts of the query that are not included in the result. Each object
+     *  has the `caml` (String) and the `reason` (String).
+     */
+    const response = {
+        where:          null,
+        orderBy:        [],
+        unsupported:    []
+    };
+
+    const whereEle      = getElementsByName(root, "Where")[0];
+    const orderByEle    = getElementsByName(root, "OrderBy")[0];
+    let conditionEles   = whereEle ? getChildElements(whereEle) : [];
+
+    // No Where or OrderBy: input was just the conditions
+    if (!whereEle && !orderByEle && !getElementsByName(root, "Query").length) {
+        conditionEles = getChildElements(root);
+    }
+
+    if (conditionEles.length > 1) {
+        addUnsupported(response, conditionEles.slice(1), "Only one root condition is allowed");
+    }
+
+    if (conditionEles.length) {
+        response.where = parseNode(conditionEles[0], response);
+    }
+
+    if (orderByEle) {
+        getChildElements(orderByEle).forEach(fieldRefEle => {
+            const field = fieldRefEle.getAttribute("Name");
+
+            if (fieldRefEle.nodeName !== "FieldRef" || !field) {
+                addUnsupported(response, [fieldRefEle], "Invalid OrderBy field");
+                return;
+            }
+
+            response.orderBy.push({
+                field,
+                ascending: String(fieldRefEle.getAttribute("Ascending") || "TRUE").toUpperCase() !== "FALSE"
+            });
+        });
+    }
+
+    return response;
+};
+
+/**
+ * Parses a CAML element (logical or compare operator) into a filter tree node.
+ *
+ * @private
+ *
+ * @param {Element} ele
+ * @param {ParsedCamlQuery} response
+ *
+ * @return {CamlFilterNode|null}
+ */
+function parseNode(ele, response) {
+    const operator = ele.nodeName;
+
+    if (LOGICAL_OPERATORS.indexOf(operator) !== -1) {
+        const conditions = getChildElements(ele)
+            .map(childEle => parseNode(childEle, response))
+            .filter(condition => !!condition);
+
+        if (conditions.length < 2) {
+            return conditions[0] || null;
+        }
+
+        return { logical: operator, conditions };
+    }
+
+    if (COMPARE_OPERATORS.indexOf(operator) === -1) {
+        addUnsupported(response, [ele], `Unsupported CAML element: ${ operator }`);
+        return null;
+    }
+
+    const fieldRefEle = getElementsByName(ele, "FieldRef")[0];
+
+    if (!fieldRefEle || !fieldRefEle.getAttribute("Name")) {
+        addUnsupported(response, [ele], "Condition has no FieldRef Name");
+        return null;
+    }
+
+    const valueEles = getElementsByName(ele, "Value");
+    const condition = {
+        field:      fieldRefEle.getAttribute("Name"),
+        operator:   operator,
+        values:     valueEles.map(getValue)
+    };
+
+    if (String(fieldRefEle.getAttribute("LookupId")).toUpperCase() === "TRUE") {
+        condition.lookupId = true;
+    }
+
+    if (valueEles.length) {
+        condition.valueType = valueEles[0].getAttribute("Type") || "Text";
+
+        if (String(valueEles[0].getAttribute("IncludeTimeValue")).toUpperCase() === "TRUE") {
+            condition.includeTimeValue = true;
+        }
+
+        if (String(valueEles[0].getAttribute("StorageTZ")).toUpperCase() === "TRUE") {
+            condition.storageTZ = true;
+        }
+    }
+
+    return condition;
+}
+
+/**
+ * Returns the value of a `<Value>` element. If it contains CAML elements
+ * (ex. `<Today/>`), then a `CamlQuery.raw()` value is returned.
+ *
+ * @private
+ *
+ * @param {Element} valueEle
+ *
+ * @return {String|Object}
+ */
+function getValue(valueEle) {
+    if (!getChildElements(valueEle).length) {
+        return valueEle.textContent;
+    }
+
+    return CamlQuery.raw(
+        Array.prototype.map.call(valueEle.childNodes, node => getXmlString(node)).join("")
+    );
+}
+
+function addUnsupported(response, elements, reason) {
+    elements.forEach(ele => response.unsupported.push({
+        caml: getXmlString(ele),
+        reason
+    }));
+}
+
+function getXmlString(node) {
+    return (new XMLSerializer()).serializeToString(node);
+}
+
+function getChildElements(ele) {
+    return Array.prototype.filter.call(ele.childNodes, node => node.nodeType === 1);
+}
+
+function getElementsByName(ele, nodeName) {
+    return Array.prototype.slice.call(ele.getElementsByTagName(nodeName), 0);
+}
+
+export default parseCamlQuery;
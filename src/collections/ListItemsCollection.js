@@ -4,8 +4,6 @@ import dataStore    from "common-micro-libs/src/jsutils/dataStore"
 import domChildren  from "common-micro-libs/src/domutils/domChildren"
 
 
-// FIXME: add method for getting rows removed from tracked data set (use of GetListItemChangesSinceToken)
-
 var
 PRIVATE = dataStore.create(),
 findEle = document.querySelector,
@@ -24,6 +22,10 @@ findEle = document.querySelector,
  *
  * @param {ApiFetchResponse} options.queryOptions
  *  The options that was given to the original list query method.
+ *
+ * @param {String} [options.nextPageToken]
+ *  The token for the next page of data. Used when the api response is not
+ *  XML (ex. REST), from which the token can not be read.
  */
 ListItemsCollection = Collection.extend({
     init: function(itemsList, options){
@@ -31,12 +33,22 @@ ListItemsCollection = Collection.extend({
 
         var opt = objectExtend({}, {
             apiResponse:    null,
-            queryOptions:   null
+            queryOptions:   null,
+            nextPageToken:  null
         }, options);
 
         PRIVATE.set(this, opt);
     },
 
+    /**
+     * Returns the API response
+     *
+     * @returns {ApiFetchResponse}
+     */
+    getApiResponse: function(){
+        return PRIVATE.get(this).apiResponse;
+    },
+
     /**
      * Returns the API response content (ex. `XMLDocument` or `JSON` object)
      *
@@ -52,10 +64,16 @@ ListItemsCollection = Collection.extend({
      * @return {String}
      */
     getNextPageToken: function(){
+        var nextPageToken = PRIVATE.get(this).nextPageToken;
+
+        if (nextPageToken !== null && nextPageToken !== undefined) {
+            return nextPageToken;
+        }
+
         // Sample XML:
         // <rs:data ItemCount="5" ListItemCollectionPositionNext="Paged=TRUE&amp;p_DueDate=&amp;p_ID=10">
 
-        var changesEle = findEle.call(this.getApiResponseContent(), "data"),
+        var changesEle = findResponseElement(this, "data"),
             response = "";
 
         if (changesEle){
@@ -75,7 +93,7 @@ ListItemsCollection = Collection.extend({
         // Sample XML:
         //    <Changes LastChangeToken="1;3;7ee477d9-d257-47f5-a25d-a882d882e51f;636000407939270000;97706562">
 
-        var changesEle = findEle.call(this.getApiResponseContent(), "Changes"),
+        var changesEle = findResponseElement(this, "Changes"),
             response = "";
 
         if (changesEle){
@@ -114,7 +132,7 @@ ListItemsCollection = Collection.extend({
         //  <Changes LastChangeToken="1;3;c21149be-b52a-4c80-8b73-e76bf814c676;636109593982230000;104332865">
         //    <Id ChangeType="Delete" UniqueId="{1B986CEB-FF11-4390-9459-601D5C4820E0}">7</Id>
         //  </Changes>
-        var changesEle = findEle.call(this.getApiResponseContent(), "Changes"),
+        var changesEle = findResponseElement(this, "Changes"),
             response = [];
 
         if (changesEle && changesEle.hasChildNodes()){
@@ -130,7 +148,66 @@ ListItemsCollection = Collection.extend({
                 });
         }
         return response;
+    },
+
+    /**
+     * Returns the `ID`'s of the items that were removed from the tracked data
+     * set (deleted or moved away). Applies to when `GetListItemChangesSinceToken`
+     * was used as the `operation`.
+     *
+     * @return {Array<String>}
+     */
+    getRemovedItemIds: function(){
+        return this.getChanges()
+            .filter(change => change.ChangeType === "Delete" || change.ChangeType === "MoveAway")
+            .map(change => change.ID);
+    },
+
+    /**
+     * Returns a boolean indicating if there are more changes to be retrieved
+     * (the `Changes` element has `MoreChanges="TRUE"`). Applies to when
+     * `GetListItemChangesSinceToken` was used as the `operation`.
+     *
+     * @return {Boolean}
+     */
+    hasMoreChanges: function(){
+        var changesEle = findResponseElement(this, "Changes");
+
+        return !!changesEle && String(changesEle.getAttribute("MoreChanges")).toUpperCase() === "TRUE";
+    },
+
+    /**
+     * Returns a boolean indicating if the change token used with
+     * `GetListItemChangesSinceToken` was rejected by SharePoint, in which case
+     * a full refresh of the data is needed.
+     *
+     * @return {Boolean}
+     */
+    isChangeTokenInvalid: function(){
+        return this.getChanges().some(change => change.ChangeType === "InvalidToken");
     }
 });
 
+/**
+ * Finds an element in the api response content. Returns `null` if the
+ * response is not XML (ex. JSON from REST calls).
+ *
+ * @private
+ *
+ * @param {ListItemsCollection} collection
+ * @param {String} selector
+ *
+ * @return {Element|null}
+ */
+function findResponseElement(collection, selector) {
+    var apiResponse = PRIVATE.get(collection).apiResponse,
+        content     = apiResponse ? apiResponse.content : null;
+
+    if (!content || typeof content.querySelector !== "function") {
+        return null;
+    }
+
+    return findEle.call(content, selector);
+}
+
 export default Collection.extend(ListItemsCollection);
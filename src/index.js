@@ -7,17 +7,51 @@ import getSPVersion             from './sputils/getSPVersion'
 import parseDateString          from './sputils/parseDateString'
 import parseLookupFieldValue    from './sputils/parseLookupFieldValue'
 import getDateString            from './sputils/getDateString'
+import parseFieldValue          from './sputils/parseFieldValue'
+import formatFieldValue         from './sputils/formatFieldValue'
 import getNodesFromXml          from './sputils/getNodesFromXml'
 import getList                  from './spapi/getList'
 import getListColumns           from './spapi/getListColumns'
 import getListFormCollection    from './spapi/getListFormCollection'
 import getListItems             from './spapi/getListItems'
+import getAllListItems          from './spapi/getAllListItems'
+import iterateListItems         from './spapi/iterateListItems'
 import getSiteListCollection    from './spapi/getSiteListCollection'
 import getSiteWebUrl            from './spapi/getSiteWebUrl'
 import getUserProfile           from './spapi/getUserProfile'
 import resolvePrincipals        from './spapi/resolvePrincipals'
 import searchPrincipals         from './spapi/searchPrincipals'
 import updateListItems          from './spapi/updateListItems'
+import createList               from './spapi/createList'
+import updateList               from './spapi/updateList'
+import deleteList               from './spapi/deleteList'
+import addListColumns           from './spapi/addListColumns'
+import updateListColumns        from './spapi/updateListColumns'
+import deleteListColumns        from './spapi/deleteListColumns'
+import getListViews             from './spapi/getListViews'
+import getView                  from './spapi/getView'
+import addView                  from './spapi/addView'
+import updateView               from './spapi/updateView'
+import deleteView               from './spapi/deleteView'
+import ViewModel                from './models/ViewModel'
+import getListContentTypes      from './spapi/getListContentTypes'
+import getListContentType       from './spapi/getListContentType'
+import createContentType        from './spapi/createContentType'
+import addFieldToContentType    from './spapi/addFieldToContentType'
+import removeFieldFromContentType from './spapi/removeFieldFromContentType'
+import applyContentTypeToList   from './spapi/applyContentTypeToList'
+import ContentTypeModel         from './models/ContentTypeModel'
+import getGroupCollectionFromSite from './spapi/getGroupCollectionFromSite'
+import getGroupMembers          from './spapi/getGroupMembers'
+import getGroupsForUser         from './spapi/getGroupsForUser'
+import addUserToGroup           from './spapi/addUserToGroup'
+import removeUserFromGroup      from './spapi/removeUserFromGroup'
+import isCurrentUserInGroup     from './spapi/isCurrentUserInGroup'
+import ListSync                 from './sync/ListSync'
+import provisionSchema          from './provisioning/provisionSchema'
+import CamlQuery                from './caml/CamlQuery'
+import parseCamlQuery           from './caml/parseCamlQuery'
+import camlToOData              from './caml/camlToOData'
 
 import ChoiceField              from './widgets/ChoiceField/ChoiceField'
 import DateTimeField            from './widgets/DateTimeField/DateTimeField'
@@ -40,17 +74,51 @@ export default {
     parseDateString:        parseDateString,
     parseLookupFieldValue:  parseLookupFieldValue,
     getDateString:          getDateString,
+    parseFieldValue:        parseFieldValue,
+    formatFieldValue:       formatFieldValue,
     getNodesFromXml:        getNodesFromXml,
     getList:                getList,
     getListColumns:         getListColumns,
     getListFormCollection:  getListFormCollection,
     getListItems:           getListItems,
+    getAllListItems:        getAllListItems,
+    iterateListItems:       iterateListItems,
     getSiteListCollection:  getSiteListCollection,
     getSiteWebUrl:          getSiteWebUrl,
     getUserProfile:         getUserProfile,
     resolvePrincipals:      resolvePrincipals,
     searchPrincipals:       searchPrincipals,
     updateListItems:        updateListItems,
+    createList:             createList,
+    updateList:             updateList,
+    deleteList:             deleteList,
+    addListColumns:         addListColumns,
+    updateListColumns:      updateListColumns,
+    deleteListColumns:      deleteListColumns,
+    getListViews:           getListViews,
+    getView:                getView,
+    addView:                addView,
+    updateView:             updateView,
+    deleteView:             deleteView,
+    ViewModel:              ViewModel,
+    getListContentTypes:    getListContentTypes,
+    getListContentType:     getListContentType,
+    createContentType:      createContentType,
+    addFieldToContentType:  addFieldToContentType,
+    removeFieldFromContentType: removeFieldFromContentType,
+    applyContentTypeToList: applyContentTypeToList,
+    ContentTypeModel:       ContentTypeModel,
+    getGroupCollectionFromSite: getGroupCollectionFromSite,
+    getGroupMembers:        getGroupMembers,
+    getGroupsForUser:       getGroupsForUser,
+    addUserToGroup:         addUserToGroup,
+    removeUserFromGroup:    removeUserFromGroup,
+    isCurrentUserInGroup:   isCurrentUserInGroup,
+    ListSync:               ListSync,
+    provisionSchema:        provisionSchema,
+    CamlQuery:              CamlQuery,
+    parseCamlQuery:         parseCamlQuery,
+    camlToOData:            camlToOData,
 
     ChoiceField:            ChoiceField,
     DateTimeField:          DateTimeField,
@@ -0,0 +1,250 @@
+import Compose          from "common-micro-libs/src/jsutils/Compose"
+import objectExtend     from "common-micro-libs/src/jsutils/objectExtend"
+import dataStore        from "common-micro-libs/src/jsutils/dataStore"
+import getNodesFromXml  from "../sputils/getNodesFromXml"
+import ListColumnModel  from "./ListColumnModel"
+
+//============================================================================
+const instData = dataStore.stash;
+
+/**
+ * Content Type model. Contains the content type definition as returned by
+ * [getListContentType]{@link getListContentType}. The attributes of the
+ * `<ContentType>` element are set on the model - boolean values (ex. `Hidden`)
+ * are converted to `Boolean`s.
+ *
+ * The model can also be created from the objects returned by `getListContentTypes()`,
+ * in which case only the content type attributes are available (no field links).
+ *
+ * @class ContentTypeModel
+ * @extends Compose
+ *
+ * @param {Element|Object} source
+ *  The `<ContentType>` XML element or an object with the content type attributes
+ *
+ * @param {Object} [options]
+ *
+ * @param {String} [options.listName=""]
+ * @param {String} [options.webURL=""]
+ *
+ * @param {ListColumnModel} [options.ListColumnModel=ListColumnModel]
+ *  Used by `getFields()`
+ *
+ * @param {Function} [options.getListItems=null]
+ *  Given to the columns returned by `getFields()`. See [ListColumnModel]{@link ListColumnModel}.
+ *
+ * @example Content type attributes:
+ *
+ *  {
+ *      "ID":           "0x010800719988A683552B489A4C7F1E2288B466",
+ *      "Name":         "Task",
+ *      "Group":        "List Content Types",
+ *      "Description":  "Track a work item that you or your team needs to complete.",
+ *      "Version":      "16",
+ *      "Hidden":       false,
+ *      "ReadOnly":     false,
+ *      "Sealed":       false
+ *  }
+ */
+const ContentTypeModel = Compose.extend(/** @lends ContentTypeModel.prototype */{
+    init: function(source, options){
+        if (instData.has(this)) {
+            return;
+        }
+
+        var opt = objectExtend({}, this.getFactory().defaults, options, { source: source });
+
+        instData.set(this, opt);
+
+        objectExtend(this, {
+            ID:             "",
+            Name:           "",
+            Group:          "",
+            Description:    ""
+        }, getContentTypeAttributes(source));
+
+        this.onDestroy(() => instData['delete'](this));
+    },
+
+    /**
+     * Returns the original source (`<ContentType>` XML element or Object) used
+     * to build the model.
+     *
+     * @return {Element|Object}
+     */
+    getSource: function(){
+        return instData.get(this).source;
+    },
+
+    /**
+     * Returns the name of the list the content type belongs to (if it was given on input)
+     *
+     * @return {String}
+     */
+    getListName: function(){
+        return instData.get(this).listName;
+    },
+
+    /**
+     * Returns `true` if the content type inherits from the given content type ID
+     * (ex. `0x0120` - Folder). A content type is considered to inherit from itself.
+     *
+     * @param {String} contentTypeId
+     *
+     * @return {Boolean}
+     */
+    isChildOf: function(contentTypeId){
+        return String(this.ID).toUpperCase().indexOf(String(contentTypeId).toUpperCase()) === 0;
+    },
+
+    /**
+     * Returns the links to the fields (columns) that are part of the content type.
+     * The `<FieldRefs>` of the content type are used when available, else the
+     * links are built from its `<Fields>`. Boolean values are converted to `Boolean`s.
+     *
+     * @return {Array<Object>}
+     *
+     * @example
+     *
+     * contentType.getFieldLinks();
+     * // => [{ ID: "{fa564e0f-0c70-4ab9-b863-0177e6ddd247}", Name: "Title", Required: true, Hidden: false }, ...]
+     */
+    getFieldLinks: function(){
+        var source      = this.getSource(),
+            fieldRefs   = getChildElement(source, "FieldRefs");
+
+        if (fieldRefs) {
+            return getChildElements(fieldRefs, "FieldRef").map(getElementAttributes);
+        }
+
+        return getChildElements(getChildElement(source, "Fields"), "Field").map(function(fieldEle){
+            var field = getElementAttributes(fieldEle);
+
+            return {
+                ID:         field.ID || "",
+                Name:       field.Name || "",
+                Required:   field.Required === true,
+                Hidden:     field.Hidden === true
+            };
+        });
+    },
+
+    /**
+     * Returns the (internal) names of the fields that are part of the content type.
+     *
+     * @param {Boolean} [includeHidden=false]
+     *  By default, fields that are hidden in the content type are not returned.
+     *
+     * @return {Array<String>}
+     */
+    getFieldNames: function(includeHidden){
+        return this.getFieldLinks()
+            .filter(function(fieldLink){
+                return includeHidden || fieldLink.Hidden !== true;
+            })
+            .map(function(fieldLink){
+                return fieldLink.Name;
+            });
+    },
+
+    /**
+     * Returns `true` if the field is part of the content type
+     *
+     * @param {String} fieldName
+     *  The field internal name or ID
+     *
+     * @return {Boolean}
+     */
+    hasField: function(fieldName){
+        fieldName = String(fieldName).toLowerCase();
+
+        return this.getFieldLinks().some(function(fieldLink){
+            return String(fieldLink.Name).toLowerCase() === fieldName ||
+                String(fieldLink.ID).toLowerCase().replace(/[{}]/g, "") === fieldName.replace(/[{}]/g, "");
+        });
+    },
+
+    /**
+     * Returns the full definition of the fields of the content type, as included
+     * in its `<Fields>` element (empty if the model was not built from the
+     * `GetListContentType` response).
+     *
+     * @return {Array<ListColumnModel>}
+     */
+    getFields: function(){
+        var opt         = instData.get(this),
+            fieldsEle   = getChildElement(opt.source, "Fields");
+
+        if (!fieldsEle) {
+            return [];
+        }
+
+        return getNodesFromXml({
+            xDoc:           fieldsEle,
+            nodeName:       "Field",
+            nodeModel:          opt.ListColumnModel,
+            convertTypes:       true,
+            nodeModelOptions:   {
+                getListItems: opt.getListItems
+            }
+        }).map(function(column){
+            column.webURL   = column.webURL || opt.webURL;
+            column.listName = column.listName || opt.listName;
+            return column;
+        });
+    }
+});
+
+/**
+ * Returns an object with the content type attributes
+ *
+ * @private
+ *
+ * @param {Element|Object} source
+ *
+ * @return {Object}
+ */
+function getContentTypeAttributes(source) {
+    if (!source) {
+        return {};
+    }
+
+    if (!source.attributes || typeof source.getAttribute !== "function") {
+        return objectExtend({}, source);
+    }
+
+    return getElementAttributes(source);
+}
+
+function getElementAttributes(ele) {
+    var attributes = {};
+
+    Array.prototype.forEach.call(ele.attributes, function(attr){
+        attributes[attr.name] = getNodesFromXml.getJsNativeFromString(attr.value);
+    });
+
+    return attributes;
+}
+
+function getChildElements(ele, nodeName) {
+    if (!ele || !ele.childNodes) {
+        return [];
+    }
+
+    return Array.prototype.filter.call(ele.childNodes, function(node){
+        return node.nodeType === 1 && node.nodeName === nodeName;
+    });
+}
+
+function getChildElement(ele, nodeName) {
+    return getChildElements(ele, nodeName)[0] || null;
+}
+
+ContentTypeModel.defaults = {
+    listName:           "",
+    webURL:             "",
+    ListColumnModel:    ListColumnModel,
+    getListItems:       null
+};
+
+export default ContentTypeModel;
@@ -1,7 +1,6 @@
 import Compose         from "common-micro-libs/src/jsutils/Compose"
 import objectExtend    from "common-micro-libs/src/jsutils/objectExtend"
 import dataStore       from "common-micro-libs/src/jsutils/dataStore"
-import getListItems    from "../spapi/getListItems"
 import Promise         from "common-micro-libs/src/jsutils/es6-promise"
 
 //============================================================================
@@ -25,6 +24,10 @@ const FIELD_CONTENT_TYPE_ID = "ContentTypeID";
  * @param {Object} [options.source=null]
  *      The source originally used to create the model. (ex. the XML node or the
  *     JSON response object)
+ * @param {Function} [options.getListItems=null]
+ *      The [getListItems]{@link getListItems} function, used by `getColumnValues()`
+ *      for `Lookup` columns. Set by `getListColumns`. Given on input (instead of
+ *      imported) so that this module does not depend on the api modules.
  *
  */
 const ListColumnModel = Compose.extend(/** @lends ListColumnModel.prototype */{
@@ -103,7 +106,12 @@ const ListColumnModel = Compose.extend(/** @lends ListColumnModel.prototype */{
 
                 case "Lookup":
                 case "LookupMulti":
-                    getListItems(objectExtend(
+                    if (!instData.get(me).getListItems) {
+                        reject(new Error("ListColumnModel#getColumnValues(): options.getListItems was not defined when the model was created"));
+                        break;
+                    }
+
+                    instData.get(me).getListItems(objectExtend(
                         {
                             CAMLQuery:  '<Query><OrderBy><FieldRef Name="' +
                                 me.ShowField + '"/></OrderBy></Query>',
@@ -157,9 +165,10 @@ export function isContentType(column) {
 
 
 ListColumnModel.defaults = {
-    list:   null,
-    type:   "xml",
-    source: null
+    list:           null,
+    type:           "xml",
+    source:         null,
+    getListItems:   null
 };
 
 export default ListColumnModel;
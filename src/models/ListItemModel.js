@@ -3,9 +3,14 @@ import objectExtend     from "common-micro-libs/src/jsutils/objectExtend"
 import dataStore        from "common-micro-libs/src/jsutils/dataStore"
 import parseHTML        from "common-micro-libs/src/jsutils/parseHTML"
 import domFind          from "common-micro-libs/src/domutils/domFind"
+import Promise          from "common-micro-libs/src/jsutils/es6-promise"
+import xmlEscape        from "../sputils/xmlEscape"
+import parseFieldValue  from "../sputils/parseFieldValue"
+import formatFieldValue from "../sputils/formatFieldValue"
 
 
-var PRIVATE = dataStore.stash;
+var PRIVATE         = dataStore.stash;
+var SAVED_VALUES    = dataStore.create();
 
 /**
  * Model for SharePoint List Items (rows). Object returned will include all of
@@ -21,7 +26,36 @@ var PRIVATE = dataStore.stash;
  *      An object with the properties for the model
  * @param {Object} [options]
  *  An object with the options used to get the row from SP
+ * @param {ListColumnsCollection} [options.columns]
+ *  The list columns. When defined, the values in `itemData` are converted to
+ *  javascript natives based on each column's type (see [parseFieldValue]{@link parseFieldValue})
+ *  and converted back to SharePoint's format when saved. Set by `getListItems`
+ *  when its `convertTypes` option is used.
+ * @param {Function} [options.getListItems]
+ *  The [getListItems]{@link getListItems} function, used by `reload()`.
+ * @param {Function} [options.updateListItems]
+ *  The [updateListItems]{@link updateListItems} function, used by `save()`
+ *  and `delete()`.
  *
+ * The api functions are given to the model (instead of being imported by it)
+ * so that this module does not depend on the modules that create the models.
+ * Items returned by `getListItems` and `updateListItems` have them set.
+ *
+ * The model tracks changes made to its attributes since it was loaded (or
+ * last saved), and can persist those back to SharePoint with `save()`. This
+ * requires the model to have been created with `listName` (and optionally
+ * `webURL`) in `options` - which is the case for items returned by `getListItems`.
+ *
+ * @example
+ *
+ * // Update an existing item
+ * task.Status = "Completed";
+ * task.isDirty(); // true
+ * task.save().then(() => task.isDirty()); // false
+ *
+ * // Create a new item
+ * ListItemModel.create({ Title: "New task" }, { listName: "Tasks", updateListItems }).save()
+ *      .then(task => console.log(`Created item ${ task.ID }`));
  */
 const ListItemModel = ObservableObject.extend(/** @lends ListItemModel.prototype */{
     init: function(itemData, options){
@@ -29,13 +63,16 @@ const ListItemModel = ObservableObject.extend(/** @lends ListItemModel.prototype
             return;
         }
 
-        ObservableObject.prototype.init.call(this, itemData, options);
-
         var opt = objectExtend({}, {
-            listName:   "",
-            webURL:     ""
+            listName:           "",
+            webURL:             "",
+            columns:            null,
+            getListItems:       null,
+            updateListItems:    null
         }, options);
 
+        ObservableObject.prototype.init.call(this, getTypedValues(itemData, opt.columns), options);
+
         // If options has CAMLViewFields, then ensure the model has
         // those fields defined as attributes
         if (opt && opt.CAMLViewFields) {
@@ -47,7 +84,12 @@ const ListItemModel = ObservableObject.extend(/** @lends ListItemModel.prototype
             });                                                                              }
 
         PRIVATE.set(this, opt);
-        this.onDestroy(() => PRIVATE["delete"](this));
+        setSavedValues(this);
+
+        this.onDestroy(() => {
+            PRIVATE["delete"](this);
+            SAVED_VALUES["delete"](this);
+        });
     },
 
     /**
@@ -60,7 +102,230 @@ const ListItemModel = ObservableObject.extend(/** @lends ListItemModel.prototype
      */
     getListInfo: function(){
         return PRIVATE.get(this);
+    },
+
+    /**
+     * Returns a boolean indicating if any attribute was changed since the
+     * item was loaded (or last saved).
+     *
+     * @return {Boolean}
+     */
+    isDirty: function(){
+        return Object.keys(this.getChanges()).length > 0;
+    },
+
+    /**
+     * Returns an object with the attributes that were changed since the item
+     * was loaded (or last saved) and their current value.
+     *
+     * @return {Object}
+     */
+    getChanges: function(){
+        var savedValues = SAVED_VALUES.get(this) || {};
+
+        return Object.keys(this).reduce((changes, attrName) => {
+            if (getValueSignature(this[attrName]) !== savedValues[attrName]) {
+                changes[attrName] = this[attrName];
+            }
+            return changes;
+        }, {});
+    },
+
+    /**
+     * Saves the item to SharePoint. For existing items, only the attributes
+     * that were changed (see `getChanges()`) are sent. If the item does not
+     * have an `ID`, then it is created with all of its (non-empty) attributes.
+     * The model is refreshed with the values returned by SharePoint.
+     *
+     * @param {Object} [options]
+     * @param {Boolean} [options.checkVersion=false]
+     *  If true, the update fails with a `conflict` status if the item was changed
+     *  by someone else since it was loaded. See `updateListItems()`.
+     *
+     * @return {Promise<ListItemModel, UpdateListItemsError>}
+     *  Resolved with the model. Rejected with the `UpdateListItemsError` from `updateListItems()`.
+     */
+    save: function(options){
+        var opt     = objectExtend({ checkVersion: false }, options),
+            isNew   = !this.ID,
+            update  = {};
+
+        if (isNew) {
+            Object.keys(this).forEach(attrName => {
+                if (this[attrName] !== "" && this[attrName] !== null && this[attrName] !== undefined) {
+                    update[attrName] = getFieldValue(this, attrName, this[attrName]);
+                }
+            });
+
+        } else {
+            let changes = this.getChanges();
+
+            if (!Object.keys(changes).length) {
+                return Promise.resolve(this);
+            }
+
+            update.ID = this.ID;
+
+            Object.keys(changes).forEach(attrName => update[attrName] = getFieldValue(this, attrName, changes[attrName]));
+
+            if (opt.checkVersion) {
+                update.owshiddenversion = this.owshiddenversion;
+            }
+        }
+
+        return callApi(this, "updateListItems", {
+            updates:        [update],
+            updateType:     isNew ? "New" : "Update",
+            checkVersion:   opt.checkVersion && !isNew
+        })
+            .then(response => {
+                var result = response.results[0];
+
+                if (result && result.item) {
+                    setValuesFrom(this, result.item);
+                }
+
+                setSavedValues(this);
+                return this;
+            });
+    },
+
+    /**
+     * Deletes the item from SharePoint.
+     *
+     * @return {Promise<ListItemModel, UpdateListItemsError|Error>}
+     *  Resolved with the model. Rejected with the `UpdateListItemsError` from
+     *  `updateListItems()` or with an `Error` if the item has no `ID`.
+     */
+    "delete": function(){
+        if (!this.ID) {
+            return Promise.reject(new Error("ListItemModel#delete(): item has no ID"));
+        }
+
+        return callApi(this, "updateListItems", {
+            updates:    [{ ID: this.ID }],
+            updateType: "Delete"
+        })
+            .then(() => this);
+    },
+
+    /**
+     * Reloads the item from SharePoint, discarding any changes made to it.
+     * The same `CAMLViewFields` used when the item was first retrieved are
+     * used.
+     *
+     * @return {Promise<ListItemModel, Error>}
+     */
+    reload: function(){
+        var listInfo = this.getListInfo() || {};
+
+        return callApi(this, "getListItems", {
+            CAMLQuery:          '<Query><Where><Eq><FieldRef Name="ID"/><Value Type="Counter">' +
+                                xmlEscape.escape(String(this.ID)) + '</Value></Eq></Where></Query>',
+            CAMLViewFields:     listInfo.CAMLViewFields || "",
+            CAMLQueryOptions:   '<QueryOptions><ViewAttributes Scope="RecursiveAll"/></QueryOptions>',
+            CAMLRowLimit:       1
+        })
+            .then(items => {
+                if (!items.length) {
+                    return Promise.reject(new Error("ListItemModel#reload(): item " + this.ID + " not found"));
+                }
+
+                setValuesFrom(this, items[0]);
+                setSavedValues(this);
+                return this;
+            });
     }
 });
 
+/**
+ * Stores the current attribute values of the model, which are used to
+ * determine what was changed.
+ *
+ * @private
+ *
+ * @param {ListItemModel} model
+ */
+function setSavedValues(model) {
+    SAVED_VALUES.set(model, Object.keys(model).reduce((savedValues, attrName) => {
+        savedValues[attrName] = getValueSignature(model[attrName]);
+        return savedValues;
+    }, {}));
+}
+
+/**
+ * Returns a String representation of a value, so that changes to it (including
+ * changes to the content of objects and arrays) can be detected.
+ *
+ * @private
+ */
+function getValueSignature(value) {
+    return value && typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Returns a value ready to be sent in an update (SharePoint format, xml escaped)
+ *
+ * @private
+ */
+function getFieldValue(model, attrName, value) {
+    var columns = (model.getListInfo() || {}).columns;
+
+    return xmlEscape.escape(formatFieldValue(value, columns ? columns.getColumn(attrName) : null));
+}
+
+function setValuesFrom(model, item) {
+    var values = getTypedValues(item, (model.getListInfo() || {}).columns);
+    Object.keys(values).forEach(attrName => model[attrName] = values[attrName]);
+}
+
+/**
+ * Returns a copy of the item data with its values converted based on the
+ * type of each column. If no columns are given, data is returned as is.
+ *
+ * @private
+ *
+ * @param {Object} itemData
+ * @param {ListColumnsCollection} [columns]
+ *
+ * @return {Object}
+ */
+function getTypedValues(itemData, columns) {
+    if (!itemData || !columns) {
+        return itemData;
+    }
+
+    return Object.keys(itemData).reduce((values, attrName) => {
+        values[attrName] = parseFieldValue(itemData[attrName], columns.getColumn(attrName));
+        return values;
+    }, {});
+}
+
+/**
+ * Calls one of the api functions given to the model on input (ex. `updateListItems`)
+ * with the options for an operation on the model's list.
+ *
+ * @private
+ *
+ * @param {ListItemModel} model
+ * @param {String} apiName
+ * @param {Object} options
+ *
+ * @return {Promise}
+ *  Rejected with an `Error` if the api function was not given to the model.
+ */
+function callApi(model, apiName, options) {
+    var listInfo = model.getListInfo() || {};
+
+    if (typeof listInfo[apiName] !== "function") {
+        return Promise.reject(new Error("ListItemModel: options." + apiName + " was not defined when the model was created"));
+    }
+
+    return listInfo[apiName](objectExtend({
+        listName:       listInfo.listName,
+        webURL:         listInfo.webURL,
+        ListItemModel:  model.getFactory ? model.getFactory() : ListItemModel
+    }, options));
+}
+
 export default ListItemModel
\ No newline at end of file
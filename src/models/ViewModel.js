@@ -0,0 +1,232 @@
+import Compose          from "common-micro-libs/src/jsutils/Compose"
+import objectExtend     from "common-micro-libs/src/jsutils/objectExtend"
+import dataStore        from "common-micro-libs/src/jsutils/dataStore"
+import getNodesFromXml  from "../sputils/getNodesFromXml"
+import CamlQuery        from "../caml/CamlQuery"
+import parseCamlQuery   from "../caml/parseCamlQuery"
+
+//============================================================================
+const instData = dataStore.stash;
+
+/**
+ * List View model. Contains the view definition as returned by `Views.asmx`
+ * (see [getListViews]{@link getListViews} and [getView]{@link getView}). The
+ * attributes of the `<View>` element are set on the model - boolean values
+ * (ex. `DefaultView`) are converted to `Boolean`s.
+ *
+ * __Note:__ views returned by `getListViews()` only include the view attributes.
+ * Use `getView()` to get the view's fields, query and row limit.
+ *
+ * @class ViewModel
+ * @extends Compose
+ *
+ * @param {Element} source
+ *  The `<View>` XML element
+ *
+ * @param {Object} [options]
+ *
+ * @param {String} [options.listName=""]
+ * @param {String} [options.webURL=""]
+ *
+ * @example View attributes:
+ *
+ *  {
+ *      "Name":             "{D7A1A0E8-2C5C-4A6F-9B1B-D2E16C8A1F55}",
+ *      "DefaultView":      true,
+ *      "MobileView":       true,
+ *      "MobileDefaultView": true,
+ *      "Type":             "HTML",
+ *      "DisplayName":      "All Items",
+ *      "Url":              "/sites/siteA/Lists/Tasks/AllItems.aspx",
+ *      "Level":            "1",
+ *      "BaseViewID":       "1",
+ *      "ContentTypeID":    "0x",
+ *      "ImageUrl":         "/_layouts/15/images/generic.png?rev=44"
+ *  }
+ */
+const ViewModel = Compose.extend(/** @lends ViewModel.prototype */{
+    init: function(source, options){
+        if (instData.has(this)) {
+            return;
+        }
+
+        var opt = objectExtend({}, this.getFactory().defaults, options, { source: source });
+
+        instData.set(this, opt);
+
+        objectExtend(this, {
+            Name:           "",
+            DisplayName:    "",
+            Type:           "",
+            Url:            "",
+            DefaultView:    false
+        }, getViewAttributes(source));
+
+        this.onDestroy(() => instData['delete'](this));
+    },
+
+    /**
+     * Returns the original `<View>` XML element used to build the model.
+     *
+     * @return {Element}
+     */
+    getSource: function(){
+        return instData.get(this).source;
+    },
+
+    /**
+     * Returns the name of the list the view belongs to (if it was given on input)
+     *
+     * @return {String}
+     */
+    getListName: function(){
+        return instData.get(this).listName;
+    },
+
+    /**
+     * Returns `true` if the view is the list's default view
+     *
+     * @return {Boolean}
+     */
+    isDefault: function(){
+        return this.DefaultView === true;
+    },
+
+    /**
+     * Returns the (internal) names of the fields displayed in the view
+     *
+     * @return {Array<String>}
+     */
+    getViewFields: function(){
+        var viewFieldsEle = getChildElement(this.getSource(), "ViewFields");
+
+        if (!viewFieldsEle) {
+            return [];
+        }
+
+        return Array.prototype.filter.call(viewFieldsEle.childNodes, function(node){
+            return node.nodeType === 1 && node.getAttribute("Name");
+        }).map(function(fieldRefEle){
+            return fieldRefEle.getAttribute("Name");
+        });
+    },
+
+    /**
+     * Returns the view's CAML `<Query>` (empty string if not available), which
+     * can be used with `getListItems()` (`options.CAMLQuery`).
+     *
+     * @return {String}
+     */
+    getQuery: function(){
+        var queryEle = getChildElement(this.getSource(), "Query");
+        return queryEle ? (new XMLSerializer()).serializeToString(queryEle) : "";
+    },
+
+    /**
+     * Returns the maximum number of items displayed by the view (`0` if not defined)
+     *
+     * @return {Number}
+     */
+    getRowLimit: function(){
+        var rowLimitEle = getChildElement(this.getSource(), "RowLimit");
+        return rowLimitEle ? parseInt(rowLimitEle.textContent, 10) || 0 : 0;
+    },
+
+    /**
+     * Returns `true` if the view's row limit is applied per page (vs. the total
+     * number of items displayed)
+     *
+     * @return {Boolean}
+     */
+    isPaged: function(){
+        var rowLimitEle = getChildElement(this.getSource(), "RowLimit");
+        return !!rowLimitEle && String(rowLimitEle.getAttribute("Paged")).toUpperCase() === "TRUE";
+    },
+
+    /**
+     * Returns the view's query parsed into a filter tree. See [parseCamlQuery]{@link parseCamlQuery}.
+     *
+     * @return {ParsedCamlQuery}
+     */
+    getParsedQuery: function(){
+        return parseCamlQuery(this.getQuery());
+    },
+
+    /**
+     * Returns a [CamlQuery]{@link CamlQuery} with the view's conditions, sort
+     * order, fields and row limit, which can be used as the starting point of a
+     * new query.
+     *
+     * @param {Object} [options]
+     *  Options for `CamlQuery` (ex. `columns`)
+     *
+     * @return {CamlQuery}
+     *
+     * @example
+     *
+     * getView({ listName: "Tasks", viewName: "Active Tasks" }).then(view => {
+     *      const query = view.toCamlQuery().and("Priority").eq("High");
+     *      return getListItems(query.toListItemsOptions({ listName: "Tasks" }));
+     * });
+     */
+    toCamlQuery: function(options){
+        var parsed      = this.getParsedQuery(),
+            query       = CamlQuery.create(objectExtend({}, options, { where: parsed.where })),
+            viewFields  = this.getViewFields(),
+            rowLimit    = this.getRowLimit();
+
+        parsed.orderBy.forEach(function(sort){
+            query.orderBy(sort.field, sort.ascending);
+        });
+
+        if (viewFields.length) {
+            query.viewFields(viewFields);
+        }
+
+        if (rowLimit) {
+            query.rowLimit(rowLimit);
+        }
+
+        return query;
+    }
+});
+
+/**
+ * Returns an object with the attributes of the view element
+ *
+ * @private
+ *
+ * @param {Element} viewEle
+ *
+ * @return {Object}
+ */
+function getViewAttributes(viewEle) {
+    var attributes = {};
+
+    if (!viewEle || !viewEle.attributes) {
+        return attributes;
+    }
+
+    Array.prototype.forEach.call(viewEle.attributes, function(attr){
+        attributes[attr.name] = getNodesFromXml.getJsNativeFromString(attr.value);
+    });
+
+    return attributes;
+}
+
+function getChildElement(ele, nodeName) {
+    if (!ele || !ele.childNodes) {
+        return null;
+    }
+
+    return Array.prototype.filter.call(ele.childNodes, function(node){
+        return node.nodeType === 1 && node.nodeName === nodeName;
+    })[0] || null;
+}
+
+ViewModel.defaults = {
+    listName:   "",
+    webURL:     ""
+};
+
+export default ViewModel;
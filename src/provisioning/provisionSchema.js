@@ -0,0 +1,683 @@
+import objectExtend         from "common-micro-libs/src/jsutils/objectExtend"
+import Promise              from "common-micro-libs/src/jsutils/es6-promise"
+import getSiteWebUrl        from "../spapi/getSiteWebUrl"
+import getList              from "../spapi/getList"
+import getListColumns       from "../spapi/getListColumns"
+import getListContentTypes  from "../spapi/getListContentTypes"
+import createList           from "../spapi/createList"
+import updateList           from "../spapi/updateList"
+import addListColumns       from "../spapi/addListColumns"
+import updateListColumns    from "../spapi/updateListColumns"
+import applyContentTypeToList from "../spapi/applyContentTypeToList"
+import getListViews         from "../spapi/getListViews"
+import getView              from "../spapi/getView"
+import addView              from "../spapi/addView"
+import updateView           from "../spapi/updateView"
+import parseCamlQuery       from "../caml/parseCamlQuery"
+import { getViewQueryXml }  from "../sputils/viewUtils"
+import { isAbortError, ProvisionSchemaError } from "../sputils/errors"
+
+//========================================================================
+
+// SharePoint error code returned when a list is not found
+const LIST_NOT_FOUND_ERROR_CODE = "0x82000006";
+
+// Column attributes that are not compared (they are only used when the column is created)
+const COLUMN_CREATE_ONLY_ATTRIBUTES = ["Name", "ID", "Choices", "Default", "DefaultFormula", "Formula", "CustomXml"];
+
+const IS_CONTENT_TYPE_ID = /^0x[0-9a-f]*$/i;
+
+/**
+ * The functions used to apply each type of plan action. Each is called with the
+ * action's `options`.
+ *
+ * @private
+ */
+const ACTION_HANDLERS = {
+    createList:     createList,
+    updateList:     updateList,
+    addColumns:     addListColumns,
+    updateColumns:  updateListColumns,
+    addContentType: addContentTypeToList,
+    addView:        addView,
+    updateView:     updateView
+};
+
+/**
+ * Provisions a schema (lists and their columns, content types and views), described
+ * as a JSON manifest, to a site. The manifest is compared with the current
+ * definitions in the site (as reported by `getList()`, `getListColumns()`,
+ * `getListContentTypes()` and `getView()`) to build a plan with the changes required, which is
+ * then applied. Only what is different is changed, so provisioning the same
+ * manifest again (ex. to fix drift) results in an empty plan once the site matches it.
+ *
+ * Notes:
+ *
+ * -    Lists and columns are never deleted - only created or updated.
+ * -    Columns are matched by their internal `Name` (or `DisplayName` if no
+ *      `Name` is defined). Only the attributes defined in the manifest are
+ *      compared - child elements (ex. `Choices`, `Default`) are only used
+ *      when the column is created.
+ * -    List properties that are not reported by `getList()` can only be set
+ *      when the list is created. For existing lists they are reported in the
+ *      plan's `warnings`.
+ * -    Views are matched by their display name (`viewName`). Only the parts
+ *      defined in the manifest (`viewFields`, `query`, `rowLimit`) are compared.
+ * -    Content types are added to the list from the site content types and must
+ *      be defined in the manifest by their ID (ex. `0x0108` for Task). Missing
+ *      content types defined by name can not be added - they are reported in
+ *      the plan's `warnings`. Content types are never removed from a list.
+ *      For lists that are created, the plan includes all the content types
+ *      of the manifest - those provided by the list template are skipped when
+ *      the plan is applied.
+ *
+ * @function provisionSchema
+ *
+ * @param {SchemaManifest} manifest
+ *
+ * @param {Object} [options]
+ *
+ * @param {String} [options.webURL=manifest.webURL]
+ *  The site to provision. Defaults to the manifest's `webURL` or the current site.
+ *
+ * @param {Boolean} [options.dryRun=false]
+ *  If true, the plan is returned without applying any change.
+ *
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to cancel the provisioning. Actions not yet applied
+ *  are cancelled and the returned promise is rejected with an `AbortError`.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
+ *
+ * @return {Promise<SchemaPlan, ProvisionSchemaError|Error>}
+ *  Resolved with the plan (with the status of each action). If any action fails,
+ *  the remaining ones are cancelled and the promise is rejected with a
+ *  `ProvisionSchemaError` whose `plan` has its `status` set to `error`.
+ *
+ * @example
+ *
+ * const manifest = {
+ *      lists: [
+ *          {
+ *              listName:       "Projects",
+ *              description:    "Team projects",
+ *              templateID:     100,
+ *              listProperties: { EnableVersioning: true },
+ *              columns: [
+ *                  { Name: "ProjectStatus", DisplayName: "Status", Type: "Choice", Choices: ["New", "Active", "Closed"] },
+ *                  { Name: "DueDate", DisplayName: "Due Date", Type: "DateTime", Format: "DateOnly", Required: true }
+ *              ]
+ *          }
+ *      ]
+ * };
+ *
+ * // Report only
+ * provisionSchema(manifest, { dryRun: true }).then(plan => {
+ *      plan.actions.forEach(action => console.log(action.description));
+ * });
+ *
+ * // Apply
+ * provisionSchema(manifest).then(plan => console.log(`${ plan.actions.length } change(s) applied`));
+ */
+const provisionSchema = function(manifest, options) {
+    let opt = objectExtend({}, provisionSchema.defaults, options);
+
+    manifest = manifest || {};
+
+    return getSiteWebUrl(opt.webURL || manifest.webURL || "").then(function(webURL) {
+        opt.webURL = webURL;
+
+        /**
+         * The changes required for a site to match a schema manifest
+         *
+         * @typedef {Object} SchemaPlan
+         *
+         * @property {String} webURL
+         * @property {Boolean} dryRun
+         * @property {String} status
+         *  `pending` (dry run), `success` or `error`
+         * @property {Array<SchemaPlanAction>} actions
+         *  The changes - in the order they are applied. Empty if the site already
+         *  matches the manifest.
+         * @property {Array<String>} warnings
+         *  Differences that can not be applied
+         */
+        const plan = {
+            webURL:     webURL,
+            dryRun:     !!opt.dryRun,
+            status:     "pending",
+            actions:    [],
+            warnings:   []
+        };
+
+        return (manifest.lists || []).reduce(function(planPromise, listManifest) {
+            return planPromise.then(function() {
+                return addListActions(plan, listManifest, opt);
+            });
+        }, Promise.resolve())
+            .then(function() {
+                if (opt.dryRun) {
+                    return plan;
+                }
+
+                return applyPlan(plan, opt);
+            });
+    });
+};
+
+/**
+ * Adds the actions needed for one list of the manifest to the plan.
+ *
+ * @private
+ *
+ * @param {SchemaPlan} plan
+ * @param {SchemaListManifest} listManifest
+ * @param {Object} opt
+ *
+ * @return {Promise}
+ */
+function addListActions(plan, listManifest, opt) {
+    const listName = listManifest.listName;
+
+    return getList({
+        listName:   listName,
+        webURL:     opt.webURL,
+        cache:      false,
+        signal:     opt.signal,
+        timeout:    opt.timeout
+    })
+        .then(null, function(error) {
+            if (error && error.errorCode === LIST_NOT_FOUND_ERROR_CODE) {
+                return null;
+            }
+
+            throw error;
+        })
+        .then(function(list) {
+            if (!list) {
+                addAction(plan, "createList", listName, `Create list ${ listName }`, {
+                    listName:       listName,
+                    description:    listManifest.description || "",
+                    templateID:     listManifest.templateID || createList.defaults.templateID,
+                    listProperties: listManifest.listProperties || null,
+                    columns:        listManifest.columns || null
+                });
+
+                addContentTypeActions(plan, listManifest, []);
+
+                return addViewActions(plan, listManifest, [], opt);
+            }
+
+            addListPropertiesAction(plan, list, listManifest);
+
+            return Promise.all([
+                getListColumns({
+                    listName:   listName,
+                    webURL:     opt.webURL,
+                    cache:      false,
+                    whiteList:  (listManifest.columns || []).map(getColumnName).filter(function(name) {
+                        return !!name;
+                    }),
+                    signal:     opt.signal,
+                    timeout:    opt.timeout
+                }),
+                listManifest.contentTypes && listManifest.contentTypes.length ?
+                    getListContentTypes({
+                        listName:   listName,
+                        webURL:     opt.webURL,
+                        cache:      false,
+                        signal:     opt.signal,
+                        timeout:    opt.timeout
+                    }) :
+                    [],
+                listManifest.views && listManifest.views.length ?
+                    getListViews({
+                        listName:   listName,
+                        webURL:     opt.webURL,
+                        signal:     opt.signal,
+                        timeout:    opt.timeout
+                    }) :
+                    []
+            ])
+                .then(function(results) {
+                    addColumnActions(plan, listName, listManifest.columns || [], results[0]);
+
+                    addContentTypeActions(plan, listManifest, results[1]);
+
+                    return addViewActions(plan, listManifest, results[2], opt);
+                });
+        });
+}
+
+function addListPropertiesAction(plan, list, listManifest) {
+    const expected      = objectExtend({}, listManifest.listProperties);
+    const listProperties = {};
+
+    if (listManifest.description !== undefined) {
+        expected.Description = listManifest.description;
+    }
+
+    Object.keys(expected).forEach(function(propName) {
+        if (!(propName in list)) {
+            plan.warnings.push(`List ${ listManifest.listName }: property ${ propName } is not reported by the list definition and can only be set when the list is created`);
+            return;
+        }
+
+        if (!isSameValue(list[propName], expected[propName])) {
+            listProperties[propName] = expected[propName];
+        }
+    });
+
+    if (Object.keys(listProperties).length) {
+        addAction(plan, "updateList", listManifest.listName, `Update list ${ listManifest.listName } properties: ${ Object.keys(listProperties).join(", ") }`, {
+            listName:       listManifest.listName,
+            listProperties: listProperties
+        });
+    }
+}
+
+function addColumnActions(plan, listName, columns, existingColumns) {
+    const newColumns        = [];
+    const updatedColumns    = [];
+
+    columns.forEach(function(column) {
+        const existingColumn = findColumn(existingColumns, column);
+
+        if (!existingColumn) {
+            newColumns.push(column);
+            return;
+        }
+
+        // Columns given as XML can only be created
+        if (typeof column === "string") {
+            return;
+        }
+
+        const changes = Object.keys(column).filter(function(attrName) {
+            return COLUMN_CREATE_ONLY_ATTRIBUTES.indexOf(attrName) === -1 &&
+                column[attrName] !== undefined &&
+                column[attrName] !== null &&
+                typeof column[attrName] !== "object" &&
+                !isSameColumnValue(existingColumn[attrName], column[attrName]);
+        });
+
+        if (changes.length) {
+            updatedColumns.push(changes.reduce(function(columnUpdate, attrName) {
+                columnUpdate[attrName] = column[attrName];
+                return columnUpdate;
+            }, { Name: existingColumn.Name }));
+        }
+    });
+
+    if (newColumns.length) {
+        addAction(plan, "addColumns", listName, `Add column(s) to list ${ listName }: ${ newColumns.map(getColumnName).join(", ") }`, {
+            listName:   listName,
+            columns:    newColumns
+        });
+    }
+
+    if (updatedColumns.length) {
+        addAction(plan, "updateColumns", listName, `Update column(s) of list ${ listName }: ${ updatedColumns.map(getColumnName).join(", ") }`, {
+            listName:   listName,
+            columns:    updatedColumns
+        });
+    }
+}
+
+function addContentTypeActions(plan, listManifest, existingContentTypes) {
+    const listName = listManifest.listName;
+
+    getMissingContentTypes(listManifest, existingContentTypes).forEach(function(contentTypeName) {
+        if (!IS_CONTENT_TYPE_ID.test(contentTypeName)) {
+            plan.warnings.push(`List ${ listName }: content type ${ contentTypeName } is not in the list and can only be added by its ID`);
+            return;
+        }
+
+        addAction(plan, "addContentType", listName, `Add content type ${ contentTypeName } to list ${ listName }`, {
+            listName:       listName,
+            contentTypeId:  contentTypeName
+        });
+    });
+}
+
+function getMissingContentTypes(listManifest, existingContentTypes) {
+    return (listManifest.contentTypes || []).filter(function(contentTypeName) {
+        return !existingContentTypes.some(function(contentType) {
+            return contentType.Name === contentTypeName || isListContentTypeOf(contentType.ID, contentTypeName);
+        });
+    });
+}
+
+/**
+ * Returns `true` if a list content type ID is the given content type or was
+ * created from it (site content type ID + `00` + a GUID, when added to the list).
+ *
+ * @private
+ */
+function isListContentTypeOf(listContentTypeId, contentTypeId) {
+    listContentTypeId   = String(listContentTypeId).toUpperCase();
+    contentTypeId       = String(contentTypeId).toUpperCase();
+
+    return listContentTypeId === contentTypeId || (
+        listContentTypeId.indexOf(contentTypeId + "00") === 0 &&
+        listContentTypeId.length === contentTypeId.length + 34
+    );
+}
+
+/**
+ * Applies a site content type to a list, unless the list already has it. Content
+ * types are planned before lists are created, so this is the case for those
+ * that the list template provides (ex. Item, for a Custom List).
+ *
+ * @private
+ *
+ * @param {Object} options
+ *  The `applyContentTypeToList()` options
+ *
+ * @return {Promise}
+ */
+function addContentTypeToList(options) {
+    return getListContentTypes({
+        listName:   options.listName,
+        webURL:     options.webURL,
+        cache:      false,
+        signal:     options.signal,
+        timeout:    options.timeout
+    })
+        .then(function(contentTypes) {
+            const isInList = contentTypes.some(function(contentType) {
+                return isListContentTypeOf(contentType.ID, options.contentTypeId);
+            });
+
+            if (!isInList) {
+                return applyContentTypeToList(options);
+            }
+        });
+}
+
+/**
+ * Adds the actions needed for the views of a list in the manifest.
+ *
+ * @private
+ *
+ * @param {SchemaPlan} plan
+ * @param {SchemaListManifest} listManifest
+ * @param {Array<ViewModel>} existingViews
+ * @param {Object} opt
+ *
+ * @return {Promise}
+ */
+function addViewActions(plan, listManifest, existingViews, opt) {
+    const listName = listManifest.listName;
+
+    return (listManifest.views || []).reduce(function(viewsPromise, viewManifest) {
+        return viewsPromise.then(function() {
+            const existingView = existingViews.filter(function(view) {
+                return view.DisplayName === viewManifest.viewName;
+            })[0];
+
+            if (!existingView) {
+                addAction(plan, "addView", listName, `Add view ${ viewManifest.viewName } to list ${ listName }`, objectExtend({}, viewManifest, {
+                    listName: listName
+                }));
+                return;
+            }
+
+            return getView({
+                listName:   listName,
+                viewName:   existingView.Name,
+                webURL:     opt.webURL,
+                signal:     opt.signal,
+                timeout:    opt.timeout
+            })
+                .then(function(view) {
+                    const viewUpdate = getViewUpdate(view, viewManifest);
+                    const changes    = Object.keys(viewUpdate);
+
+                    if (changes.length) {
+                        addAction(plan, "updateView", listName, `Update view ${ viewManifest.viewName } of list ${ listName }: ${ changes.join(", ") }`, objectExtend(viewUpdate, {
+                            listName: listName,
+                            viewName: view.Name
+                        }));
+                    }
+                });
+        });
+    }, Promise.resolve());
+}
+
+/**
+ * Returns the `updateView()` options for the parts of a view that are different
+ * than the manifest.
+ *
+ * @private
+ *
+ * @param {ViewModel} view
+ * @param {Object} viewManifest
+ *
+ * @return {Object}
+ */
+function getViewUpdate(view, viewManifest) {
+    const viewUpdate = {};
+
+    if (
+        viewManifest.viewFields &&
+        view.getViewFields().join("|") !== [].concat(viewManifest.viewFields).join("|")
+    ) {
+        viewUpdate.viewFields = viewManifest.viewFields;
+    }
+
+    if (
+        viewManifest.query !== undefined &&
+        getQueryDefinition(view.getQuery()) !== getQueryDefinition(getViewQueryXml(viewManifest.query))
+    ) {
+        viewUpdate.query = viewManifest.query;
+    }
+
+    if (viewManifest.rowLimit && parseInt(viewManifest.rowLimit, 10) !== view.getRowLimit()) {
+        viewUpdate.rowLimit = viewManifest.rowLimit;
+        viewUpdate.paged    = viewManifest.paged;
+    }
+
+    if (viewManifest.makeViewDefault && !view.isDefault()) {
+        viewUpdate.viewProperties = { DefaultView: true };
+    }
+
+    return viewUpdate;
+}
+
+/**
+ * Returns a normalized version of a CAML query (so that queries can be compared
+ * regardless of formatting)
+ *
+ * @private
+ */
+function getQueryDefinition(camlQuery) {
+    const parsed = parseCamlQuery(camlQuery || "");
+    return JSON.stringify({ where: parsed.where, orderBy: parsed.orderBy });
+}
+
+function addAction(plan, type, listName, description, options) {
+    /**
+     * A change in a schema plan
+     *
+     * @typedef {Object} SchemaPlanAction
+     *
+     * @property {String} type
+     *  `createList`, `updateList`, `addColumns`, `updateColumns`, `addContentType`,
+     *  `addView` or `updateView`
+     * @property {String} listName
+     * @property {String} description
+     *  A human readable description of the change
+     * @property {Object} options
+     *  The options for the api used to apply the change (ex. `createList()` for `createList`)
+     * @property {String} status
+     *  `pending`, `done`, `error` or `cancelled`
+     * @property {Error} [error]
+     *  The error, if `status` is `error`
+     */
+    plan.actions.push({
+        type:           type,
+        listName:       listName,
+        description:    description,
+        options:        options,
+        status:         "pending",
+        error:          null
+    });
+}
+
+/**
+ * Applies the actions of a plan - one at a time, in order.
+ *
+ * @private
+ *
+ * @param {SchemaPlan} plan
+ * @param {Object} opt
+ *
+ * @return {Promise<SchemaPlan, ProvisionSchemaError|Error>}
+ */
+function applyPlan(plan, opt) {
+    return plan.actions.reduce(function(applyPromise, action) {
+        return applyPromise.then(function() {
+            if (plan.status === "error" || (opt.signal && opt.signal.aborted)) {
+                action.status = "cancelled";
+                return;
+            }
+
+            return ACTION_HANDLERS[action.type](objectExtend({}, action.options, {
+                webURL: opt.webURL,
+                signal: opt.signal,
+                timeout: opt.timeout
+            }))
+                .then(function() {
+                    action.status = "done";
+                }, function(error) {
+                    if (isAbortError(error)) {
+                        action.status = "cancelled";
+                        throw error;
+                    }
+
+                    action.status   = "error";
+                    action.error    = error;
+                    plan.status     = "error";
+                });
+        });
+    }, Promise.resolve())
+        .then(function() {
+            if (plan.status === "error") {
+                const failedAction = plan.actions.filter(function(action) {
+                    return action.status === "error";
+                })[0];
+
+                return Promise.reject(new ProvisionSchemaError(
+                    `provisionSchema(): ${ failedAction.description } failed: ${ failedAction.error && failedAction.error.message || failedAction.error }`,
+                    { plan }
+                ));
+            }
+
+            plan.status = "success";
+            return plan;
+        }, function(error) {
+            plan.actions.forEach(function(action) {
+                if (action.status === "pending") {
+                    action.status = "cancelled";
+                }
+            });
+
+            throw error;
+        });
+}
+
+function findColumn(existingColumns, column) {
+    const name          = getColumnName(column);
+    const displayName   = typeof column === "string" ? "" : column.DisplayName;
+
+    return existingColumns.filter(function(existingColumn) {
+        return existingColumn.Name === name || existingColumn.StaticName === name;
+    })[0] ||
+    (
+        typeof column !== "string" && !column.Name ?
+            existingColumns.filter(function(existingColumn) {
+                return existingColumn.DisplayName === displayName;
+            })[0] :
+            undefined
+    );
+}
+
+function getColumnName(column) {
+    if (typeof column === "string") {
+        return (/\sName=["']([^"']+)["']/.exec(column) || [])[1] || "";
+    }
+
+    return column.Name || column.DisplayName || "";
+}
+
+/**
+ * Compares a column attribute. Lists.asmx does not report most attributes
+ * that have their default value (ex. `Indexed`, `EnforceUniqueValues`), so an
+ * attribute that is not reported matches a `false` value in the manifest.
+ *
+ * @private
+ */
+function isSameColumnValue(currentValue, expectedValue) {
+    if (normalizeValue(currentValue) === "" && normalizeValue(expectedValue) === "false") {
+        return true;
+    }
+
+    return isSameValue(currentValue, expectedValue);
+}
+
+function isSameValue(currentValue, expectedValue) {
+    return normalizeValue(currentValue) === normalizeValue(expectedValue);
+}
+
+function normalizeValue(value) {
+    if (value === null || value === undefined) {
+        return "";
+    }
+
+    value = String(value);
+
+    return /^(true|false)$/i.test(value) ? value.toLowerCase() : value;
+}
+
+/**
+ * A schema manifest
+ *
+ * @typedef {Object} SchemaManifest
+ *
+ * @property {String} [webURL]
+ * @property {Array<SchemaListManifest>} lists
+ */
+
+/**
+ * The definition of a list in a schema manifest
+ *
+ * @typedef {Object} SchemaListManifest
+ *
+ * @property {String} listName
+ *  The list Title
+ * @property {String} [description]
+ * @property {Number} [templateID=100]
+ *  Only used when the list is created
+ * @property {Object} [listProperties]
+ *  See `updateList()`
+ * @property {Array<Object|String>} [columns]
+ *  See `addListColumns()`
+ * @property {Array<String>} [contentTypes]
+ *  The IDs (or names) of the content types the list should have. Only content
+ *  types defined by ID are added (see `applyContentTypeToList()`)
+ * @property {Array<Object>} [views]
+ *  The list views. Each is an object with the `addView()` options (ex. `viewName`,
+ *  `viewFields`, `query`, `rowLimit`, `makeViewDefault`).
+ */
+
+provisionSchema.defaults = {
+    webURL: "",
+    dryRun: false,
+    signal: null,
+    timeout: null
+};
+
+export default provisionSchema;
@@ -0,0 +1,108 @@
+import objectExtend         from "common-micro-libs/src/jsutils/objectExtend"
+import xmlEscape            from "../sputils/xmlEscape"
+import getSiteWebUrl        from "./getSiteWebUrl"
+import getListContentType   from "./getListContentType"
+import ContentTypeModel     from "../models/ContentTypeModel"
+import { clearListCache }   from "../sputils/listSchemaUtils"
+import callSoapService      from "../sputils/callSoapService"
+import {
+    getFieldRefsXml,
+    getFieldRefs }          from "../sputils/contentTypeUtils"
+
+//========================================================================
+
+/**
+ * Adds list columns to a list content type using `Lists.asmx` `UpdateContentType`.
+ * The columns must already exist in the list (see `addListColumns()`).
+ * Cached data for the list (ex. `getListContentTypes()`) is cleared.
+ *
+ * @function addFieldToContentType
+ *
+ * @param {Object} options
+ *
+ * @param {String} options.listName
+ *  The list name (Title) or ID
+ *
+ * @param {String} options.contentTypeId
+ *
+ * @param {Array<String|Object>|String} options.fields
+ *  The columns to be added - their internal names or objects with the field link
+ *  attributes (ex. `{ Name: "Status", Required: true }`). See `getFieldRefs()`
+ *  in `sputils/contentTypeUtils`.
+ *
+ * @param {Boolean} [options.addToView=false]
+ *  If true, the fields are also added to the list's default view.
+ *
+ * @param {String} [options.webURL=currentSite]
+ *
+ * @param {ContentTypeModel} [options.ContentTypeModel=ContentTypeModel]
+ *
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to cancel the request. When aborted, the returned
+ *  promise is rejected with an `AbortError`.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
+ *
+ * @return {Promise<ContentTypeModel, Error>}
+ *  Resolved with the (updated) definition of the content type. Rejected with a
+ *  `SoapFaultError` if any of the fields could not be added.
+ *
+ * @see https://msdn.microsoft.com/en-us/library/lists.lists.updatecontenttype(v=office.12).aspx
+ */
+const addFieldToContentType = function(options) {
+    let opt = objectExtend({}, addFieldToContentType.defaults, options);
+
+    return getSiteWebUrl(opt.webURL).then(function(webURL) {
+        opt.webURL = webURL;
+
+        if (!opt.contentTypeId) {
+            throw new Error("addFieldToContentType(): options.contentTypeId is required");
+        }
+
+        return getFieldRefs({
+            listName:   opt.listName,
+            webURL:     webURL,
+            fields:     opt.fields,
+            signal:     opt.signal,
+            timeout:    opt.timeout
+        })
+            .then(function(fieldRefs) {
+                return callSoapService(webURL, "Lists", "UpdateContentType", {
+                    listName:               xmlEscape.escape(opt.listName),
+                    contentTypeId:          xmlEscape.escape(opt.contentTypeId),
+                    contentTypeProperties:  "",
+                    newFields:              getFieldRefsXml(fieldRefs, true),
+                    updateFields:           "",
+                    deleteFields:           "",
+                    addToView:              opt.addToView ? "TRUE" : "FALSE"
+                }, { signal: opt.signal, timeout: opt.timeout });
+            })
+            .then(function() {
+                clearListCache(webURL, opt.listName);
+
+                return getListContentType({
+                    listName:           opt.listName,
+                    contentTypeId:      opt.contentTypeId,
+                    webURL:             webURL,
+                    ContentTypeModel:   opt.ContentTypeModel,
+                    signal:             opt.signal,
+                    timeout:            opt.timeout
+                });
+            });
+    });
+};
+
+addFieldToContentType.defaults = {
+    listName:           "",
+    contentTypeId:      "",
+    fields:             null,
+    addToView:          false,
+    webURL:             "",
+    ContentTypeModel:   ContentTypeModel,
+    signal:             null,
+    timeout:            null
+};
+
+export default addFieldToContentType;
@@ -0,0 +1,114 @@
+import objectExtend             from "common-micro-libs/src/jsutils/objectExtend"
+import Promise                  from "common-micro-libs/src/jsutils/es6-promise"
+import updateList               from "./updateList"
+import ListColumnModel          from "../models/ListColumnModel"
+import ListColumnsCollection    from "../collections/ListColumnsCollection"
+import { getResultColumns }     from "../sputils/listSchemaUtils"
+
+//========================================================================
+
+/**
+ * Adds columns to a list using `Lists.asmx` `UpdateList`.
+ *
+ * SharePoint builds the internal name of a new column from its `DisplayName`,
+ * so columns that define a `Name` (internal name) different from their
+ * `DisplayName` are created with `Name` as the display name and then updated
+ * to the `DisplayName` given (second request).
+ *
+ * @function addListColumns
+ *
+ * @param {Object} options
+ *
+ * @param {String} options.listName
+ *  The list name (Title) or ID
+ *
+ * @param {Array<Object|String>} options.columns
+ *  The columns definitions (ex. `{ Name: "DueDate", DisplayName: "Due Date", Type: "DateTime", Format: "DateOnly" }`)
+ *  or `<Field>` XML strings. See `getFieldXml()` in `sputils/listSchemaUtils`.
+ *
+ * @param {String} [options.webURL=currentSite]
+ *
+ * @param {ListColumnModel} [options.ListColumnModel=ListColumnModel]
+ *
+ * @param {ListColumnsCollection} [options.ListColumnsCollection=ListColumnsCollection]
+ *
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to cancel the request. When aborted, the returned
+ *  promise is rejected with an `AbortError`.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
+ *
+ * @return {Promise<ListColumnsCollection, Error>}
+ *  Resolved with the definition of the columns created.
+ */
+const addListColumns = function(options) {
+    let opt = objectExtend({}, addListColumns.defaults, options);
+
+    const renames = [];
+    const columns = (opt.columns || []).map(function(column) {
+        if (
+            typeof column === "string" ||
+            !column.Name ||
+            !column.DisplayName ||
+            column.Name === column.DisplayName
+        ) {
+            return column;
+        }
+
+        renames.push({ Name: column.Name, DisplayName: column.DisplayName });
+        return objectExtend({}, column, { DisplayName: column.Name });
+    });
+
+    if (!columns.length) {
+        return Promise.resolve(opt.ListColumnsCollection.create([]));
+    }
+
+    return updateList({
+        listName:   opt.listName,
+        webURL:     opt.webURL,
+        newFields:  columns,
+        signal:     opt.signal,
+        timeout:    opt.timeout
+    })
+        .then(function(list) {
+            const newColumns = getResultColumns(list, "NewFields", opt.ListColumnModel);
+
+            if (!renames.length) {
+                return opt.ListColumnsCollection.create(newColumns, { listDef: list });
+            }
+
+            return updateList({
+                listName:       opt.listName,
+                webURL:         opt.webURL,
+                updateFields:   renames,
+                signal:         opt.signal,
+                timeout:        opt.timeout
+            })
+                .then(function(updatedList) {
+                    const updatedColumns = getResultColumns(updatedList, "UpdateFields", opt.ListColumnModel);
+
+                    return opt.ListColumnsCollection.create(
+                        newColumns.map(function(column) {
+                            return updatedColumns.filter(function(updatedColumn) {
+                                return updatedColumn.Name === column.Name;
+                            })[0] || column;
+                        }),
+                        { listDef: updatedList }
+                    );
+                });
+        });
+};
+
+addListColumns.defaults = {
+    listName:               "",
+    webURL:                 "",
+    columns:                null,
+    ListColumnModel:        ListColumnModel,
+    ListColumnsCollection:  ListColumnsCollection,
+    signal:                 null,
+    timeout:                null
+};
+
+export default addListColumns;
@@ -0,0 +1,88 @@
+import objectExtend     from "common-micro-libs/src/jsutils/objectExtend"
+import xmlEscape        from "../sputils/xmlEscape"
+import getSiteWebUrl    from "./getSiteWebUrl"
+import callSoapService  from "../sputils/callSoapService"
+import {
+    USER_GROUP_NAMESPACE,
+    getUserLoginName,
+    clearGroupCache }   from "../sputils/userGroupUtils"
+
+//========================================================================
+
+/**
+ * Adds a user to a SharePoint group using `UserGroup.asmx` `AddUserToGroup`.
+ * Cached group data (ex. `getGroupMembers()`) for the site is cleared.
+ *
+ * @function addUserToGroup
+ *
+ * @param {Object} options
+ *
+ * @param {String} options.groupName
+ *  The name of the group
+ *
+ * @param {String|UserProfileModel} options.user
+ *  The user login name or a `UserProfileModel` (ex. as returned by `searchPrincipals()`),
+ *  in which case its `Name` and `Email` are also sent.
+ *
+ * @param {String} [options.userName=""]
+ *  The user display name. Defaults to the `UserProfileModel#Name` if a model was given.
+ *
+ * @param {String} [options.userEmail=""]
+ *  Defaults to the `UserProfileModel#Email` if a model was given.
+ *
+ * @param {String} [options.userNotes=""]
+ *
+ * @param {String} [options.webURL=currentSite]
+ *
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to cancel the request. When aborted, the returned
+ *  promise is rejected with an `AbortError`.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
+ *
+ * @return {Promise<undefined, Error>}
+ *
+ * @see https://msdn.microsoft.com/en-us/library/ms772554(v=office.12).aspx
+ */
+const addUserToGroup = function(options) {
+    let opt = objectExtend({}, addUserToGroup.defaults, options);
+
+    return getSiteWebUrl(opt.webURL).then(function(webURL) {
+        const user          = opt.user && typeof opt.user === "object" ? opt.user : {};
+        const userLoginName = getUserLoginName(opt.user);
+
+        if (!opt.groupName || !userLoginName) {
+            throw new Error("addUserToGroup(): options.groupName and options.user are required");
+        }
+
+        return callSoapService(webURL, "UserGroup", "AddUserToGroup", {
+            groupName:      xmlEscape.escape(opt.groupName),
+            userName:       xmlEscape.escape(opt.userName || user.Name || ""),
+            userLoginName:  xmlEscape.escape(userLoginName),
+            userEmail:      xmlEscape.escape(opt.userEmail || user.Email || ""),
+            userNotes:      xmlEscape.escape(opt.userNotes || "")
+        }, {
+            namespace:  USER_GROUP_NAMESPACE,
+            signal:     opt.signal,
+            timeout:    opt.timeout
+        })
+            .then(function() {
+                clearGroupCache(webURL);
+            });
+    });
+};
+
+addUserToGroup.defaults = {
+    groupName:  "",
+    user:       "",
+    userName:   "",
+    userEmail:  "",
+    userNotes:  "",
+    webURL:     "",
+    signal:     null,
+    timeout:    null
+};
+
+export default addUserToGroup;
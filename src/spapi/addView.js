@@ -0,0 +1,111 @@
+import objectExtend         from "common-micro-libs/src/jsutils/objectExtend"
+import xmlEscape            from "../sputils/xmlEscape"
+import getSiteWebUrl        from "./getSiteWebUrl"
+import ViewModel            from "../models/ViewModel"
+import { clearListCache }   from "../sputils/listSchemaUtils"
+import callSoapService      from "../sputils/callSoapService"
+import {
+    getViewFieldsXml,
+    getViewQueryXml,
+    getRowLimitXml }        from "../sputils/viewUtils"
+
+//========================================================================
+
+/**
+ * Creates a list view using `Views.asmx` `AddView`.
+ *
+ * @function addView
+ *
+ * @param {Object} options
+ *
+ * @param {String} options.listName
+ *  The list name (Title) or ID
+ *
+ * @param {String} options.viewName
+ *  The view display name. Also used (by SharePoint) to build the view's url.
+ *
+ * @param {Array<String>|String} [options.viewFields]
+ *  The internal names of the fields to be displayed or the `<ViewFields>` XML.
+ *
+ * @param {String|CamlQuery} [options.query]
+ *  The view's `<Query>` or a `CamlQuery` (ex. `filterPanel.getFilters().toCAMLQuery()`
+ *  wrapped in a `<Where>`).
+ *
+ * @param {Number} [options.rowLimit=30]
+ *
+ * @param {Boolean} [options.paged=true]
+ *  If true, `rowLimit` is the number of items per page.
+ *
+ * @param {String} [options.type="HTML"]
+ *  The type of view - `HTML`, `Grid` or `Calendar`.
+ *
+ * @param {Boolean} [options.makeViewDefault=false]
+ *
+ * @param {String} [options.webURL=currentSite]
+ *
+ * @param {ViewModel} [options.ViewModel=ViewModel]
+ *
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to cancel the request. When aborted, the returned
+ *  promise is rejected with an `AbortError`.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
+ *
+ * @return {Promise<ViewModel, Error>}
+ *  Resolved with the definition of the view created.
+ *
+ * @see https://msdn.microsoft.com/en-us/library/views.views.addview(v=office.12).aspx
+ *
+ * @example
+ *
+ * addView({
+ *      listName:   "Tasks",
+ *      viewName:   "My Tasks",
+ *      viewFields: ["LinkTitle", "Status", "DueDate"],
+ *      query:      CamlQuery.create().where("AssignedTo").eq(CamlQuery.raw("<UserID/>")).orderBy("DueDate")
+ * });
+ */
+const addView = function(options) {
+    let opt = objectExtend({}, addView.defaults, options);
+
+    return getSiteWebUrl(opt.webURL).then(function(webURL) {
+        opt.webURL = webURL;
+
+        return callSoapService(webURL, "Views", "AddView", {
+            listName:           xmlEscape.escape(opt.listName),
+            viewName:           xmlEscape.escape(opt.viewName),
+            viewFields:         getViewFieldsXml(opt.viewFields),
+            query:              getViewQueryXml(opt.query),
+            rowLimit:           getRowLimitXml(opt.rowLimit, opt.paged),
+            type:               xmlEscape.escape(opt.type),
+            makeViewDefault:    opt.makeViewDefault ? "true" : "false"
+        }, { signal: opt.signal, timeout: opt.timeout })
+            .then(function(response) {
+                clearListCache(webURL, opt.listName);
+
+                return opt.ViewModel.create(response.content.getElementsByTagName("View")[0], {
+                    listName:   opt.listName,
+                    webURL:     webURL
+                });
+            });
+    });
+};
+
+addView.defaults = {
+    listName:           "",
+    viewName:           "",
+    viewFields:         null,
+    query:              "",
+    rowLimit:           30,
+    paged:              true,
+    type:               "HTML",
+    makeViewDefault:    false,
+    webURL:             "",
+    ViewModel:          ViewModel,
+    signal:             null,
+    timeout:            null
+};
+
+export default addView;
@@ -0,0 +1,107 @@
+import objectExtend         from "common-micro-libs/src/jsutils/objectExtend"
+import xmlEscape            from "../sputils/xmlEscape"
+import getSiteWebUrl        from "./getSiteWebUrl"
+import getListContentTypes  from "./getListContentTypes"
+import getListContentType   from "./getListContentType"
+import ContentTypeModel     from "../models/ContentTypeModel"
+import { clearListCache }   from "../sputils/listSchemaUtils"
+import callSoapService      from "../sputils/callSoapService"
+
+//========================================================================
+
+/**
+ * Adds a site content type to a list using `Lists.asmx` `ApplyContentTypeToList`.
+ * SharePoint creates a list content type that inherits from the site content type
+ * (its ID starts with the site content type ID). Cached data for the list
+ * (ex. `getListContentTypes()`) is cleared.
+ *
+ * @function applyContentTypeToList
+ *
+ * @param {Object} options
+ *
+ * @param {String} options.listName
+ *  The list name (Title) or ID
+ *
+ * @param {String} options.contentTypeId
+ *  The ID of the site content type (ex. `0x0108` - Task)
+ *
+ * @param {String} [options.webURL=currentSite]
+ *
+ * @param {ContentTypeModel} [options.ContentTypeModel=ContentTypeModel]
+ *
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to cancel the request. When aborted, the returned
+ *  promise is rejected with an `AbortError`.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
+ *
+ * @return {Promise<ContentTypeModel, Error>}
+ *  Resolved with the definition of the list content type.
+ *
+ * @see https://msdn.microsoft.com/en-us/library/lists.lists.applycontenttypetolist(v=office.12).aspx
+ */
+const applyContentTypeToList = function(options) {
+    let opt = objectExtend({}, applyContentTypeToList.defaults, options);
+
+    return getSiteWebUrl(opt.webURL).then(function(webURL) {
+        opt.webURL = webURL;
+
+        if (!opt.contentTypeId) {
+            throw new Error("applyContentTypeToList(): options.contentTypeId is required");
+        }
+
+        return callSoapService(webURL, "Lists", "ApplyContentTypeToList", {
+            webUrl:         xmlEscape.escape(webURL),
+            contentTypeId:  xmlEscape.escape(opt.contentTypeId),
+            listName:       xmlEscape.escape(opt.listName)
+        }, { signal: opt.signal, timeout: opt.timeout })
+            .then(function() {
+                clearListCache(webURL, opt.listName);
+
+                return getListContentTypes({
+                    listName:   opt.listName,
+                    webURL:     webURL,
+                    signal:     opt.signal,
+                    timeout:    opt.timeout
+                });
+            })
+            .then(function(contentTypes) {
+                const siteContentTypeId = String(opt.contentTypeId).toUpperCase();
+                let listContentType;
+
+                // The most recently added list content type is the last one
+                // that inherits from the site content type
+                contentTypes.forEach(contentType => {
+                    if (String(contentType.ID).toUpperCase().indexOf(siteContentTypeId) === 0) {
+                        listContentType = contentType;
+                    }
+                });
+
+                if (!listContentType) {
+                    throw new Error(`applyContentTypeToList(): content type ${ opt.contentTypeId } not found in list ${ opt.listName }`);
+                }
+
+                return getListContentType({
+                    listName:           opt.listName,
+                    contentTypeId:      listContentType.ID,
+                    webURL:             webURL,
+                    ContentTypeModel:   opt.ContentTypeModel,
+                    signal:             opt.signal,
+                    timeout:            opt.timeout
+                });
+            });
+    });
+};
+
+applyContentTypeToList.defaults = {
+    listName:           "",
+    contentTypeId:      "",
+    webURL:             "",
+    ContentTypeModel:   ContentTypeModel,
+    signal:             null,
+    timeout:            null
+};
+
+export default applyContentTypeToList;
@@ -0,0 +1,131 @@
+import objectExtend         from "common-micro-libs/src/jsutils/objectExtend"
+import Promise              from "common-micro-libs/src/jsutils/es6-promise"
+import xmlEscape            from "../sputils/xmlEscape"
+import getSiteWebUrl        from "./getSiteWebUrl"
+import getListContentType   from "./getListContentType"
+import ContentTypeModel     from "../models/ContentTypeModel"
+import { clearListCache }   from "../sputils/listSchemaUtils"
+import callSoapService      from "../sputils/callSoapService"
+import {
+    getContentTypePropertiesXml,
+    getFieldRefsXml,
+    getFieldRefs }          from "../sputils/contentTypeUtils"
+
+//========================================================================
+
+/**
+ * Creates a list content type using `Lists.asmx` `CreateContentType`.
+ * Cached data for the list (ex. `getListContentTypes()`) is cleared.
+ *
+ * @function createContentType
+ *
+ * @param {Object} options
+ *
+ * @param {String} options.listName
+ *  The list name (Title) or ID
+ *
+ * @param {String} options.displayName
+ *  The name of the new content type
+ *
+ * @param {String} [options.parentType="0x01"]
+ *  The ID of the content type the new one inherits from (default is `Item`)
+ *
+ * @param {Array<String|Object>} [options.fields]
+ *  The list columns to be linked to the content type. See `getFieldRefs()` in
+ *  `sputils/contentTypeUtils`.
+ *
+ * @param {Object|String} [options.contentTypeProperties]
+ *  Other properties of the content type (ex. `{ Description: "...", Group: "..." }`)
+ *  or the `<ContentType>` XML.
+ *
+ * @param {Boolean} [options.addToView=false]
+ *  If true, the fields are also added to the list's default view.
+ *
+ * @param {String} [options.webURL=currentSite]
+ *
+ * @param {ContentTypeModel} [options.ContentTypeModel=ContentTypeModel]
+ *
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to cancel the request. When aborted, the returned
+ *  promise is rejected with an `AbortError`.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
+ *
+ * @return {Promise<ContentTypeModel, Error>}
+ *  Resolved with the definition of the content type created.
+ *
+ * @see https://msdn.microsoft.com/en-us/library/lists.lists.createcontenttype(v=office.12).aspx
+ *
+ * @example
+ *
+ * createContentType({
+ *      listName:       "Tasks",
+ *      displayName:    "Bug",
+ *      parentType:     "0x0108",
+ *      fields:         ["Severity", { Name: "Component", Required: true }]
+ * });
+ */
+const createContentType = function(options) {
+    let opt = objectExtend({}, createContentType.defaults, options);
+
+    return getSiteWebUrl(opt.webURL).then(function(webURL) {
+        opt.webURL = webURL;
+
+        if (!opt.displayName) {
+            throw new Error("createContentType(): options.displayName is required");
+        }
+
+        return (
+            opt.fields && opt.fields.length ?
+                getFieldRefs({
+                    listName:   opt.listName,
+                    webURL:     webURL,
+                    fields:     opt.fields,
+                    signal:     opt.signal,
+                    timeout:    opt.timeout
+                }) :
+                Promise.resolve([])
+        )
+            .then(function(fieldRefs) {
+                return callSoapService(webURL, "Lists", "CreateContentType", {
+                    listName:               xmlEscape.escape(opt.listName),
+                    displayName:            xmlEscape.escape(opt.displayName),
+                    parentType:             xmlEscape.escape(opt.parentType),
+                    fields:                 getFieldRefsXml(fieldRefs),
+                    contentTypeProperties:  getContentTypePropertiesXml(opt.contentTypeProperties),
+                    addToView:              opt.addToView ? "TRUE" : "FALSE"
+                }, { signal: opt.signal, timeout: opt.timeout });
+            })
+            .then(function(response) {
+                const resultEle = response.content.getElementsByTagName("CreateContentTypeResult")[0];
+
+                clearListCache(webURL, opt.listName);
+
+                return getListContentType({
+                    listName:           opt.listName,
+                    contentTypeId:      resultEle ? resultEle.textContent : "",
+                    webURL:             webURL,
+                    ContentTypeModel:   opt.ContentTypeModel,
+                    signal:             opt.signal,
+                    timeout:            opt.timeout
+                });
+            });
+    });
+};
+
+createContentType.defaults = {
+    listName:               "",
+    displayName:            "",
+    parentType:             "0x01",
+    fields:                 null,
+    contentTypeProperties:  null,
+    addToView:              false,
+    webURL:                 "",
+    ContentTypeModel:       ContentTypeModel,
+    signal:                 null,
+    timeout:                null
+};
+
+export default createContentType;
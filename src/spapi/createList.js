@@ -0,0 +1,135 @@
+import objectExtend     from "common-micro-libs/src/jsutils/objectExtend"
+import callSoapService  from "../sputils/callSoapService"
+import xmlEscape        from "../sputils/xmlEscape"
+import getSiteWebUrl    from "./getSiteWebUrl"
+import getList          from "./getList"
+import updateList       from "./updateList"
+import addListColumns   from "./addListColumns"
+import ListModel        from "../models/ListModel"
+import { clearListCache } from "../sputils/listSchemaUtils"
+
+//========================================================================
+
+/**
+ * Creates a list using `Lists.asmx` `AddList`. Optionally, list properties
+ * can be set and columns added once the list is created (see `updateList()`
+ * and `addListColumns()`).
+ *
+ * @function createList
+ *
+ * @param {Object} options
+ *
+ * @param {String} options.listName
+ *  The list Title. Also used (by SharePoint) to build the list's url.
+ *
+ * @param {String} [options.description=""]
+ *
+ * @param {Number} [options.templateID=100]
+ *  The list template ID. Ex. `100` (Custom List), `101` (Document Library),
+ *  `106` (Events), `107` (Tasks).
+ *
+ * @param {Object|String} [options.listProperties]
+ *  List properties to be set after the list is created. See `updateList()`.
+ *
+ * @param {Array<Object|String>} [options.columns]
+ *  Columns to be added to the list. See `addListColumns()`.
+ *
+ * @param {String} [options.webURL=currentSite]
+ *
+ * @param {ListModel} [options.ListModel=ListModel]
+ *
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to cancel the request. When aborted, the returned
+ *  promise is rejected with an `AbortError`.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
+ *
+ * @return {Promise<ListModel, Error>}
+ *  Resolved with the definition of the list created.
+ *
+ * @see https://msdn.microsoft.com/en-us/library/lists.lists.addlist(v=office.12).aspx
+ *
+ * @example
+ *
+ * createList({
+ *      listName:       "Projects",
+ *      listProperties: { EnableVersioning: true },
+ *      columns:        [
+ *          { Name: "ProjectStatus", DisplayName: "Status", Type: "Choice", Choices: ["New", "Active", "Closed"] },
+ *          { Name: "DueDate", DisplayName: "Due Date", Type: "DateTime", Format: "DateOnly" }
+ *      ]
+ * });
+ */
+const createList = function(options) {
+    let opt = objectExtend({}, createList.defaults, options);
+
+    return getSiteWebUrl(opt.webURL).then(function(webURL) {
+        opt.webURL = webURL;
+
+        return callSoapService(webURL, "Lists", "AddList", {
+            listName:       xmlEscape.escape(opt.listName),
+            description:    xmlEscape.escape(opt.description || ""),
+            templateID:     opt.templateID
+        }, { signal: opt.signal, timeout: opt.timeout })
+            .then(function(response) {
+                const list = opt.ListModel.create(response.content, { webURL: webURL });
+
+                clearListCache(webURL, [opt.listName, list.Title, list.ID]);
+
+                if (!opt.listProperties && !(opt.columns && opt.columns.length)) {
+                    return list;
+                }
+
+                let setupPromise = opt.listProperties ?
+                    updateList({
+                        listName:       list.ID,
+                        webURL:         webURL,
+                        listProperties: opt.listProperties,
+                        signal:         opt.signal,
+                        timeout:        opt.timeout
+                    }) :
+                    null;
+
+                if (opt.columns && opt.columns.length) {
+                    const addColumns = function() {
+                        return addListColumns({
+                            listName:   list.ID,
+                            webURL:     webURL,
+                            columns:    opt.columns,
+                            signal:     opt.signal,
+                            timeout:    opt.timeout
+                        });
+                    };
+
+                    setupPromise = setupPromise ? setupPromise.then(addColumns) : addColumns();
+                }
+
+                return setupPromise.then(function() {
+                    return getList({
+                        listName:   list.ID,
+                        webURL:     webURL,
+                        cache:      false,
+                        ListModel:  opt.ListModel,
+                        signal:     opt.signal,
+                        timeout:    opt.timeout
+                    });
+                });
+            });
+    });
+};
+
+createList.defaults = {
+    listName:       "",
+    description:    "",
+    templateID:     100,
+    listProperties: null,
+    columns:        null,
+    webURL:         "",
+    ListModel:      ListModel,
+    signal:         null,
+    timeout:        null
+};
+
+export default createList;
@@ -0,0 +1,54 @@
+import objectExtend     from "common-micro-libs/src/jsutils/objectExtend"
+import callSoapService  from "../sputils/callSoapService"
+import xmlEscape        from "../sputils/xmlEscape"
+import getSiteWebUrl    from "./getSiteWebUrl"
+import { clearListCache } from "../sputils/listSchemaUtils"
+
+//========================================================================
+
+/**
+ * Deletes a list using `Lists.asmx` `DeleteList`. Cached data for the list
+ * (ex. `getList()`, `getListItems()`) is cleared.
+ *
+ * @function deleteList
+ *
+ * @param {Object} options
+ *
+ * @param {String} options.listName
+ *  The list name (Title) or ID
+ *
+ * @param {String} [options.webURL=currentSite]
+ *
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to cancel the request. When aborted, the returned
+ *  promise is rejected with an `AbortError`.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
+ *
+ * @return {Promise<undefined, Error>}
+ *
+ * @see https://msdn.microsoft.com/en-us/library/lists.lists.deletelist(v=office.12).aspx
+ */
+const deleteList = function(options) {
+    let opt = objectExtend({}, deleteList.defaults, options);
+
+    return getSiteWebUrl(opt.webURL).then(function(webURL) {
+        return callSoapService(webURL, "Lists", "DeleteList", {
+            listName: xmlEscape.escape(opt.listName)
+        }, { signal: opt.signal, timeout: opt.timeout })
+            .then(function() {
+                clearListCache(webURL, opt.listName);
+            });
+    });
+};
+
+deleteList.defaults = {
+    listName:   "",
+    webURL:     "",
+    signal:     null,
+    timeout:    null
+};
+
+export default deleteList;
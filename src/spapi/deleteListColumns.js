@@ -0,0 +1,53 @@
+import objectExtend     from "common-micro-libs/src/jsutils/objectExtend"
+import updateList       from "./updateList"
+
+//========================================================================
+
+/**
+ * Deletes columns from a list using `Lists.asmx` `UpdateList`.
+ *
+ * @function deleteListColumns
+ *
+ * @param {Object} options
+ *
+ * @param {String} options.listName
+ *  The list name (Title) or ID
+ *
+ * @param {Array<String|Object>} options.columns
+ *  The internal names of the columns to be deleted (or objects with a `Name`,
+ *  ex. `ListColumnModel`s).
+ *
+ * @param {String} [options.webURL=currentSite]
+ *
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to cancel the request. When aborted, the returned
+ *  promise is rejected with an `AbortError`.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
+ *
+ * @return {Promise<ListModel, Error>}
+ *  Resolved with the updated list definition (see `updateList()`).
+ */
+const deleteListColumns = function(options) {
+    let opt = objectExtend({}, deleteListColumns.defaults, options);
+
+    return updateList({
+        listName:       opt.listName,
+        webURL:         opt.webURL,
+        deleteFields:   opt.columns,
+        signal:         opt.signal,
+        timeout:        opt.timeout
+    });
+};
+
+deleteListColumns.defaults = {
+    listName:   "",
+    webURL:     "",
+    columns:    null,
+    signal:     null,
+    timeout:    null
+};
+
+export default deleteListColumns;
@@ -0,0 +1,68 @@
+import objectExtend         from "common-micro-libs/src/jsutils/objectExtend"
+import xmlEscape            from "../sputils/xmlEscape"
+import getSiteWebUrl        from "./getSiteWebUrl"
+import { getViewId }        from "./getListViews"
+import { clearListCache }   from "../sputils/listSchemaUtils"
+import callSoapService      from "../sputils/callSoapService"
+
+//========================================================================
+
+/**
+ * Deletes a list view using `Views.asmx` `DeleteView`.
+ *
+ * @function deleteView
+ *
+ * @param {Object} options
+ *
+ * @param {String} options.listName
+ *  The list name (Title) or ID
+ *
+ * @param {String} options.viewName
+ *  The view ID or display name
+ *
+ * @param {String} [options.webURL=currentSite]
+ *
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to cancel the request. When aborted, the returned
+ *  promise is rejected with an `AbortError`.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
+ *
+ * @return {Promise<undefined, Error>}
+ *
+ * @see https://msdn.microsoft.com/en-us/library/views.views.deleteview(v=office.12).aspx
+ */
+const deleteView = function(options) {
+    let opt = objectExtend({}, deleteView.defaults, options);
+
+    return getSiteWebUrl(opt.webURL).then(function(webURL) {
+        opt.webURL = webURL;
+
+        if (!opt.viewName) {
+            throw new Error("deleteView(): options.viewName is required");
+        }
+
+        return getViewId(opt)
+            .then(function(viewId) {
+                return callSoapService(webURL, "Views", "DeleteView", {
+                    listName:   xmlEscape.escape(opt.listName),
+                    viewName:   viewId
+                }, { signal: opt.signal, timeout: opt.timeout });
+            })
+            .then(function() {
+                clearListCache(webURL, opt.listName);
+            });
+    });
+};
+
+deleteView.defaults = {
+    listName:   "",
+    viewName:   "",
+    webURL:     "",
+    signal:     null,
+    timeout:    null
+};
+
+export default deleteView;
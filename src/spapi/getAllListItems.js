@@ -0,0 +1,49 @@
+import objectExtend         from "common-micro-libs/src/jsutils/objectExtend"
+import ListItemsCollection  from "../collections/ListItemsCollection"
+import iterateListItems     from "./iterateListItems"
+
+//========================================================================
+
+/**
+ * Retrieves all items of a list (or up to `options.maxItems`) by automatically
+ * paging through the results of `getListItems`. See
+ * [iterateListItems]{@link iterateListItems}.
+ *
+ * @function getAllListItems
+ *
+ * @param {Object} options
+ *  Supports all of the options of `iterateListItems` (except `mode`).
+ *
+ * @return {Promise<ListItemsCollection>}
+ *  Resolved with a collection containing the items of all pages. When the
+ *  retrieval was stopped due to `maxItems`, the collection's `getNextPageToken()`
+ *  can be used to continue from where it stopped.
+ *
+ * @example
+ *
+ * getAllListItems({
+ *      listName:   "Tasks",
+ *      maxItems:   10000,
+ *      onProgress: progress => console.log(`${ progress.itemCount } items retrieved`)
+ * })
+ * .then(tasks => console.log(tasks.length));
+ */
+const getAllListItems = function(options) {
+    let opt         = objectExtend({}, options, { mode: "pages" });
+    let pages       = iterateListItems(opt);
+    let items       = [];
+    let lastPage    = null;
+
+    return pages.forEach(function(page){
+        lastPage = page;
+        page.forEach(item => items.push(item));
+    })
+        .then(function(){
+            return ListItemsCollection.create(items, {
+                apiResponse:    lastPage ? lastPage.getApiResponse() : null,
+                queryOptions:   opt
+            });
+        });
+};
+
+export default getAllListItems;
@@ -0,0 +1,58 @@
+import objectExtend     from "common-micro-libs/src/jsutils/objectExtend"
+import getSiteWebUrl    from "./getSiteWebUrl"
+import {
+    callUserGroupServiceCached,
+    getGroupsFromXml }  from "../sputils/userGroupUtils"
+
+//========================================================================
+
+/**
+ * Retrieves the SharePoint groups of a site collection using `UserGroup.asmx`
+ * `GetGroupCollectionFromSite`.
+ *
+ * @function getGroupCollectionFromSite
+ *
+ * @param {Object} [options]
+ *
+ * @param {String} [options.webURL=currentSite]
+ *
+ * @param {Boolean} [options.cache=true]
+ *  If true (default), the response is cached (in memory). Cache is cleared when
+ *  group membership is changed with `addUserToGroup()` or `removeUserFromGroup()`.
+ *
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to cancel the request. When aborted, the returned
+ *  promise is rejected with an `AbortError`.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
+ *
+ * @return {Promise<Array<SiteGroup>, Error>}
+ *  See `getGroupsFromXml()` in `sputils/userGroupUtils` for a sample group object.
+ *
+ * @see https://msdn.microsoft.com/en-us/library/ms772554(v=office.12).aspx
+ */
+const getGroupCollectionFromSite = function(options) {
+    let opt = objectExtend({}, getGroupCollectionFromSite.defaults, options);
+
+    return getSiteWebUrl(opt.webURL).then(function(webURL) {
+        return callUserGroupServiceCached(webURL, "GetGroupCollectionFromSite", {}, {
+            signal: opt.signal,
+            timeout: opt.timeout,
+            cache:  opt.cache
+        })
+            .then(function(response) {
+                return getGroupsFromXml(response.content);
+            });
+    });
+};
+
+getGroupCollectionFromSite.defaults = {
+    webURL:     "",
+    cache:      true,
+    signal:     null,
+    timeout:    null
+};
+
+export default getGroupCollectionFromSite;
@@ -0,0 +1,94 @@
+import objectExtend         from "common-micro-libs/src/jsutils/objectExtend"
+import domFind              from "common-micro-libs/src/domutils/domFind"
+import xmlEscape            from "../sputils/xmlEscape"
+import getSiteWebUrl        from "./getSiteWebUrl"
+import UserProfileModel     from "../models/UserProfileModel"
+import getNodesFromXml      from "../sputils/getNodesFromXml"
+import { callUserGroupServiceCached } from "../sputils/userGroupUtils"
+
+//========================================================================
+
+/**
+ * Retrieves the members of a SharePoint group using `UserGroup.asmx`
+ * `GetUserCollectionFromGroup`.
+ *
+ * @function getGroupMembers
+ *
+ * @param {Object} options
+ *
+ * @param {String} options.groupName
+ *  The name of the group
+ *
+ * @param {String} [options.webURL=currentSite]
+ *
+ * @param {Boolean} [options.cache=true]
+ *  If true (default), the response is cached (in memory). Cache is cleared when
+ *  group membership is changed with `addUserToGroup()` or `removeUserFromGroup()`.
+ *
+ * @param {UserProfileModel} [options.UserProfileModel=UserProfileModel]
+ *
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to cancel the request. When aborted, the returned
+ *  promise is rejected with an `AbortError`.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
+ *
+ * @return {Promise<Array<UserProfileModel>, Error>}
+ *  Members that are domain groups have `IsDomainGroup` set to `true`.
+ *
+ * @see https://msdn.microsoft.com/en-us/library/ms772554(v=office.12).aspx
+ *
+ * @example Member attributes (before being normalized by `UserProfileModel`):
+ *
+ *  {
+ *      ID:             "12",
+ *      Sid:            "S-1-5-21-2127521184-1604012920-1887927527-1111",
+ *      Name:           "Jack Smith",
+ *      LoginName:      "i:0#.f|membership|jack.smith@tenant.com",
+ *      Email:          "jack.smith@tenant.com",
+ *      Notes:          "",
+ *      IsSiteAdmin:    false,
+ *      IsDomainGroup:  false,
+ *      Flags:          "0"
+ *  }
+ */
+const getGroupMembers = function(options) {
+    let opt = objectExtend({}, getGroupMembers.defaults, options);
+
+    return getSiteWebUrl(opt.webURL).then(function(webURL) {
+        if (!opt.groupName) {
+            throw new Error("getGroupMembers(): options.groupName is required");
+        }
+
+        return callUserGroupServiceCached(webURL, "GetUserCollectionFromGroup", {
+            groupName: xmlEscape.escape(opt.groupName)
+        }, {
+            signal: opt.signal,
+            timeout: opt.timeout,
+            cache:  opt.cache
+        })
+            .then(function(response) {
+                return domFind(response.content, "User").map(function(userEle) {
+                    const userInfo = Array.prototype.reduce.call(userEle.attributes, function(profile, attr) {
+                        profile[attr.name] = getNodesFromXml.getJsNativeFromString(attr.value);
+                        return profile;
+                    }, {});
+
+                    return opt.UserProfileModel.create(userInfo, { webURL: webURL });
+                });
+            });
+    });
+};
+
+getGroupMembers.defaults = {
+    groupName:          "",
+    webURL:             "",
+    cache:              true,
+    UserProfileModel:   UserProfileModel,
+    signal:             null,
+    timeout:            null
+};
+
+export default getGroupMembers;
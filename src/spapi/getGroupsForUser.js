@@ -0,0 +1,73 @@
+import objectExtend     from "common-micro-libs/src/jsutils/objectExtend"
+import xmlEscape        from "../sputils/xmlEscape"
+import getSiteWebUrl    from "./getSiteWebUrl"
+import {
+    callUserGroupServiceCached,
+    getGroupsFromXml,
+    getUserLoginName }  from "../sputils/userGroupUtils"
+
+//========================================================================
+
+/**
+ * Retrieves the SharePoint groups a user belongs to using `UserGroup.asmx`
+ * `GetGroupCollectionFromUser`.
+ *
+ * @function getGroupsForUser
+ *
+ * @param {Object} options
+ *
+ * @param {String|UserProfileModel} options.user
+ *  The user login name (ex. `i:0#.f|membership|jack.smith@tenant.com`) or a
+ *  `UserProfileModel` (ex. as returned by `getCurrentUser()`)
+ *
+ * @param {String} [options.webURL=currentSite]
+ *
+ * @param {Boolean} [options.cache=true]
+ *  If true (default), the response is cached (in memory). Cache is cleared when
+ *  group membership is changed with `addUserToGroup()` or `removeUserFromGroup()`.
+ *
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to cancel the request. When aborted, the returned
+ *  promise is rejected with an `AbortError`.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
+ *
+ * @return {Promise<Array<SiteGroup>, Error>}
+ *  See `getGroupsFromXml()` in `sputils/userGroupUtils` for a sample group object.
+ *
+ * @see https://msdn.microsoft.com/en-us/library/ms772554(v=office.12).aspx
+ */
+const getGroupsForUser = function(options) {
+    let opt = objectExtend({}, getGroupsForUser.defaults, options);
+
+    return getSiteWebUrl(opt.webURL).then(function(webURL) {
+        const userLoginName = getUserLoginName(opt.user);
+
+        if (!userLoginName) {
+            throw new Error("getGroupsForUser(): options.user is required");
+        }
+
+        return callUserGroupServiceCached(webURL, "GetGroupCollectionFromUser", {
+            userLoginName: xmlEscape.escape(userLoginName)
+        }, {
+            signal: opt.signal,
+            timeout: opt.timeout,
+            cache:  opt.cache
+        })
+            .then(function(response) {
+                return getGroupsFromXml(response.content);
+            });
+    });
+};
+
+getGroupsForUser.defaults = {
+    user:       "",
+    webURL:     "",
+    cache:      true,
+    signal:     null,
+    timeout:    null
+};
+
+export default getGroupsForUser;
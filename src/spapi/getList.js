@@ -1,8 +1,11 @@
 import apiFetch from "../sputils/apiFetch";
 import cache from "../sputils/cache";
+import persistListData from "../sputils/persistListData";
+import whenNotAborted from "../sputils/whenNotAborted";
 import getSiteWebUrl from "./getSiteWebUrl";
 import ListModel from "../models/ListModel";
 import objectExtend from "common-micro-libs/src/jsutils/objectExtend";
+import parseXML from "common-micro-libs/src/jsutils/parseXML";
 
  /**
  * Get a list definition from sharepoint or return its cached version
@@ -16,11 +19,20 @@ import objectExtend from "common-micro-libs/src/jsutils/objectExtend";
  * @param {String} [options.webURL='']
  * @param {Boolean} [options.cache=true]
  *      The message response is cached UNTIL the next time the same
- *      request is received with `cache` set to false.
+ *      request is received with `cache` set to false. If a storage backend
+ *      was set with `cache.setStorage()`, then the list definition is also
+ *      persisted (across page loads) until the list's version changes.
  * @param {Boolean} [options.ListModel]
  *      List model constructor factory. Factory must expose a method called
  *      `create` that accepts two input parameters: the source (XML, JSON) and
  *      the `options`.
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to cancel the request. When aborted, the returned
+ *  promise is rejected with an `AbortError`.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
  *
  * @return {Promise<ListModel, Error>}
  *  Resolved one object - ListModel object. Sample output
@@ -67,7 +79,7 @@ import objectExtend from "common-micro-libs/src/jsutils/objectExtend";
 
          // If cacheXML is true and we have a cached version, return it.
          if (opt.cache && opt.isCached) {
-             return cache(opt.cacheKey).then(convertResponseToModel);
+             return whenNotAborted(cache(opt.cacheKey), opt.signal).then(convertResponseToModel);
          }
 
          // If cache is FALSE, and we have a cached version of this key,
@@ -78,15 +90,43 @@ import objectExtend from "common-micro-libs/src/jsutils/objectExtend";
 
 // FIXME: each invocation should get unique ListModel? instead of cached one?
 
-         reqPromise = apiFetch(opt.webURL + "_vti_bin/Lists.asmx", {
-             method: "POST",
-             headers: {
-                 'Content-Type': 'text/xml;charset=UTF-8'
+         // A cached request is shared with other callers, so it (and the list version
+         // lookup of persisted data) is not bound to this caller's signal - the signal
+         // is only applied to this caller's wait.
+         var fetchList = function () {
+             return apiFetch(opt.webURL + "_vti_bin/Lists.asmx", {
+                 method: "POST",
+                 idempotent: true,
+                 headers: {
+                     'Content-Type': 'text/xml;charset=UTF-8'
+                 },
+                 signal: opt.cache ? null : opt.signal,
+                 timeout: opt.timeout,
+                 body: '<?xml version="1.0" encoding="utf-8"?>' +
+                     '<soap:Envelope xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">' +
+                     '<soap:Body><GetList xmlns="http://schemas.microsoft.com/sharepoint/soap/"><listName>' +
+                     opt.listName + '</listName></GetList></soap:Body></soap:Envelope>'
+             });
+         };
+
+         // Persisted list definitions are only used when cache is true
+         reqPromise = !opt.cache ? fetchList() : persistListData({
+             key:        opt.cacheKey,
+             listName:   opt.listName,
+             webURL:     opt.webURL,
+             signal:     null,
+             timeout:    opt.timeout,
+             fetchData:  fetchList,
+             serialize:  function (response) {
+                 return (new XMLSerializer()).serializeToString(response.content);
              },
-             body: '<?xml version="1.0" encoding="utf-8"?>' +
-                 '<soap:Envelope xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">' +
-                 '<soap:Body><GetList xmlns="http://schemas.microsoft.com/sharepoint/soap/"><listName>' +
-                 opt.listName + '</listName></GetList></soap:Body></soap:Envelope>'
+             deserialize: function (xmlString) {
+                 return {
+                     content:    parseXML(xmlString),
+                     msgType:    "xml",
+                     response:   null
+                 };
+             }
          });
 
          // If there is a failure, remove from cache
@@ -99,7 +139,7 @@ import objectExtend from "common-micro-libs/src/jsutils/objectExtend";
              cache(opt.cacheKey, reqPromise);
          }
 
-         return reqPromise.then(convertResponseToModel);
+         return whenNotAborted(reqPromise, opt.signal).then(convertResponseToModel);
      });
  };
 
@@ -107,7 +147,9 @@ getList.defaults = {
     listName:   '',
     webURL:     '',
     cache:      true,
-    ListModel:  ListModel
+    ListModel:  ListModel,
+    signal:     null,
+    timeout:    null
 };
 
 export default getList;
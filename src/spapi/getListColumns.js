@@ -3,6 +3,7 @@ import getList from './getList';
 import cache from '../sputils/cache';
 import getNodesFromXml from '../sputils/getNodesFromXml';
 import ListColumnModel from '../models/ListColumnModel';
+import getListItems from './getListItems';
 import ListColumnsCollection from '../collections/ListColumnsCollection';
 
 /**
@@ -37,6 +38,14 @@ import ListColumnsCollection from '../collections/ListColumnsCollection';
  *  A list of column `Name`s that will always be returned, even if they are internal
  *  or hidden SharePoint List columns.
  *
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to cancel the request. When aborted, the returned
+ *  promise is rejected with an `AbortError`.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
+ *
  * @return {Promise<ListColumnCollection, Error>}
  *  Promise is resolved with an ListColumnCollection {@link ListColumnCollection}
  *  containing [ListColumnModels]{@link ListColumnModel}
@@ -75,7 +84,9 @@ function getListColumns(options){
             listName:   opt.listName,
             cache:      opt.cache,
             webURL:     opt.webURL,
-            async:      opt.async
+            async:      opt.async,
+            signal:     opt.signal,
+            timeout:    opt.timeout
         })
         .then(function(list){
 
@@ -88,7 +99,8 @@ function getListColumns(options){
                 nodeModel:          opt.ListColumnModel,
                 convertTypes:       true,
                 nodeModelOptions:   {
-                    list: list
+                    list:           list,
+                    getListItems:   getListItems
                 }
             }),
             cols = [],
@@ -164,7 +176,9 @@ getListColumns.defaults = {
     webURL:                 null,
     whiteList:              ["ParentID", "FileLeafRef"],
     ListColumnModel:        ListColumnModel,
-    ListColumnsCollection:  ListColumnsCollection
+    ListColumnsCollection:  ListColumnsCollection,
+    signal:                 null,
+    timeout:                null
 };
 
 export default getListColumns;
@@ -0,0 +1,104 @@
+import objectExtend         from "common-micro-libs/src/jsutils/objectExtend"
+import xmlEscape            from "../sputils/xmlEscape"
+import cache                from "../sputils/cache"
+import whenNotAborted       from "../sputils/whenNotAborted"
+import getSiteWebUrl        from "./getSiteWebUrl"
+import ContentTypeModel     from "../models/ContentTypeModel"
+import callSoapService      from "../sputils/callSoapService"
+import getListItems         from "./getListItems"
+
+//========================================================================
+
+/**
+ * Retrieves the definition of a list content type, including its fields,
+ * using `Lists.asmx` `GetListContentType`.
+ *
+ * @function getListContentType
+ *
+ * @param {Object} options
+ *
+ * @param {String} options.listName
+ *  The list name (Title) or ID
+ *
+ * @param {String} options.contentTypeId
+ *  The ID of the list content type (ex. as returned by `getListContentTypes()`)
+ *
+ * @param {String} [options.webURL=currentSite]
+ *
+ * @param {Boolean} [options.cache=true]
+ *  If true (default), the response is cached (in memory) until the list
+ *  definition is changed with one of the content type or list schema methods.
+ *
+ * @param {ContentTypeModel} [options.ContentTypeModel=ContentTypeModel]
+ *
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to cancel the request. When aborted, the returned
+ *  promise is rejected with an `AbortError`.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
+ *
+ * @return {Promise<ContentTypeModel, Error>}
+ *
+ * @see https://msdn.microsoft.com/en-us/library/lists.lists.getlistcontenttype(v=office.12).aspx
+ *
+ * @example
+ *
+ * getListContentType({ listName: "Tasks", contentTypeId: "0x010800719988A683552B489A4C7F1E2288B466" })
+ *  .then(contentType => contentType.getFieldNames());
+ *  // => ["Title", "Priority", "Status", ...]
+ */
+const getListContentType = function(options) {
+    let opt = objectExtend({}, getListContentType.defaults, options);
+
+    return getSiteWebUrl(opt.webURL).then(function(webURL) {
+        opt.webURL   = webURL;
+        opt.cacheKey = webURL + "?getListContentType=" + opt.listName + "&ID=" + opt.contentTypeId;
+
+        if (!opt.contentTypeId) {
+            throw new Error("getListContentType(): options.contentTypeId is required");
+        }
+
+        let reqPromise;
+
+        if (opt.cache && cache.isCached(opt.cacheKey)) {
+            reqPromise = cache.get(opt.cacheKey);
+
+        } else {
+            // A cached request is shared with other callers, so it is not bound to
+            // this caller's signal - the signal is only applied to this caller's wait.
+            reqPromise = callSoapService(webURL, "Lists", "GetListContentType", {
+                listName:       xmlEscape.escape(opt.listName),
+                contentTypeId:  xmlEscape.escape(opt.contentTypeId)
+            }, { signal: opt.cache ? null : opt.signal, timeout: opt.timeout, idempotent: true });
+
+            if (opt.cache) {
+                cache(opt.cacheKey, reqPromise);
+                reqPromise["catch"](function() {
+                    cache.clear(opt.cacheKey);
+                });
+            }
+        }
+
+        return whenNotAborted(reqPromise, opt.signal).then(function(response) {
+            return opt.ContentTypeModel.create(response.content.getElementsByTagName("ContentType")[0], {
+                listName:       opt.listName,
+                webURL:         webURL,
+                getListItems:   getListItems
+            });
+        });
+    });
+};
+
+getListContentType.defaults = {
+    listName:           "",
+    contentTypeId:      "",
+    webURL:             "",
+    cache:              true,
+    ContentTypeModel:   ContentTypeModel,
+    signal:             null,
+    timeout:            null
+};
+
+export default getListContentType;
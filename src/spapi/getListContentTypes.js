@@ -3,6 +3,7 @@ import getSiteWebUrl    from "./getSiteWebUrl"
 import cache            from "../sputils/cache";
 import getNodesFromXml  from "../sputils/getNodesFromXml";
 import apiFetch         from "../sputils/apiFetch";
+import persistListData  from "../sputils/persistListData";
 
 //========================================================================
 
@@ -18,7 +19,17 @@ import apiFetch         from "../sputils/apiFetch";
  *  The url to the site where list is located. Defaults to current site.
  *
  * @param {Boolean} [options.cache=true]
- *  If true (default), content will be cached.
+ *  If true (default), content will be cached. If a storage backend was set
+ *  with `cache.setStorage()`, then content is also persisted (across page
+ *  loads) until the list's version changes.
+ *
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to cancel the request. When aborted, the returned
+ *  promise is rejected with an `AbortError`.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
  *
  * @return {Promise}
  *  Resolved with an array-of-object with the content types.
@@ -39,6 +50,7 @@ const getListContentTypes = function(options) {
     let opt = objectExtend({}, getListContentTypes.defaults, options);
 
     return getSiteWebUrl(opt.webURL).then(function(webURL) {
+        opt.webURL   = webURL;
         opt.cacheKey = opt.webURL + "?getListContentTypes=" + opt.listName;
 
         // IF cache was requested and we have it cached, resolve now
@@ -46,21 +58,41 @@ const getListContentTypes = function(options) {
             return JSON.parse(JSON.stringify(cache.get(opt.cacheKey)));
         }
 
-        return apiFetch(webURL + "_vti_bin/Lists.asmx", {
-            method: "POST",
-            headers: {
-                'Content-Type': 'text/xml;charset=UTF-8'
-            },
-            body: "<soap:Envelope xmlns:xsi='http://www.w3.org/2001/XMLSchema-instance' xmlns:xsd='http://www.w3.org/2001/XMLSchema' xmlns:soap='http://schemas.xmlsoap.org/soap/envelope/'>" +
-            "<soap:Body><GetListContentTypes xmlns='http://schemas.microsoft.com/sharepoint/soap/'><listName>" +
-            opt.listName + "</listName></GetListContentTypes></soap:Body></soap:Envelope>"
-        })
-            .then(function(response){
-                let contentTypes = getNodesFromXml({
-                    xDoc:       response.content,
-                    nodeName:   "ContentType"
+        let fetchContentTypes = function() {
+            return apiFetch(webURL + "_vti_bin/Lists.asmx", {
+                method: "POST",
+                idempotent: true,
+                headers: {
+                    'Content-Type': 'text/xml;charset=UTF-8'
+                },
+                signal: opt.signal,
+                timeout: opt.timeout,
+                body: "<soap:Envelope xmlns:xsi='http://www.w3.org/2001/XMLSchema-instance' xmlns:xsd='http://www.w3.org/2001/XMLSchema' xmlns:soap='http://schemas.xmlsoap.org/soap/envelope/'>" +
+                "<soap:Body><GetListContentTypes xmlns='http://schemas.microsoft.com/sharepoint/soap/'><listName>" +
+                opt.listName + "</listName></GetListContentTypes></soap:Body></soap:Envelope>"
+            })
+                .then(function(response){
+                    // Return plain objects (no reference to the XML node), so that they can be persisted
+                    return JSON.parse(JSON.stringify(getNodesFromXml({
+                        xDoc:       response.content,
+                        nodeName:   "ContentType"
+                    })));
                 });
+        };
 
+        return (
+            opt.cache ?
+                persistListData({
+                    key:        opt.cacheKey,
+                    listName:   opt.listName,
+                    webURL:     opt.webURL,
+                    signal:     opt.signal,
+                    timeout:    opt.timeout,
+                    fetchData:  fetchContentTypes
+                }) :
+                fetchContentTypes()
+        )
+            .then(function(contentTypes){
                 if (opt.cache) {
                     cache(opt.cacheKey, contentTypes);
                 }
@@ -73,7 +105,9 @@ const getListContentTypes = function(options) {
 getListContentTypes.defaults = {
     listName:   "",
     webURL:     "",
-    cache:      true
+    cache:      true,
+    signal:     null,
+    timeout:    null
 };
 
 export default getListContentTypes;
@@ -1,5 +1,6 @@
 import apiFetch from "../sputils/apiFetch";
 import cache from "../sputils/cache";
+import persistListData from "../sputils/persistListData";
 import getSiteWebUrl from "./getSiteWebUrl";
 import objectExtend from "common-micro-libs/src/jsutils/objectExtend";
 import domFind from "common-micro-libs/src/domutils/domFind";
@@ -11,6 +12,17 @@ import domFind from "common-micro-libs/src/domutils/domFind";
      * @param {Object} options
      * @param {String} options.listName
      * @param {String} [options.webUrl='currentSiteUrl']
+     * @param {Boolean} [options.cache=true]
+     *  If true (default), the forms are cached. If a storage backend was set
+     *  with `cache.setStorage()`, then they are also persisted (across page
+     *  loads) until the list's version changes.
+     * @param {AbortSignal} [options.signal]
+     *  A signal that can be used to cancel the request. When aborted, the returned
+     *  promise is rejected with an `AbortError`.
+     *
+     * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+     *  Number of milliseconds each request is allowed to take before it is
+     *  rejected with a `TimeoutError`.
      *
      * @returns {Promise<FormCollection, Error>}
      *  Promise is resolved with an object containing the forms.
@@ -54,44 +66,58 @@ import domFind from "common-micro-libs/src/domutils/domFind";
                 return cache(opt.cacheKey);
             }
 
-            var responsePromise = apiFetch(endPoint, {
-                method:     "POST",
-                headers:    { 'Content-Type': 'text/xml;charset=UTF-8' },
-                body:       '<soap:Envelope xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">' +
-                            '<soap:Body><GetFormCollection xmlns="http://schemas.microsoft.com/sharepoint/soap/">' +
-                            '<listName>' + opt.listName + '</listName></GetFormCollection></soap:Body></soap:Envelope>'
-            })
-            .then(function(response){
-                /**
-                 * A list Forms Collection
-                 *
-                 * @typedef FormCollection
-                 *
-                 * @type {Array<Object>}
-                 *
-                 * @example
-                 *
-                 *  [
-                 *      {
-                 *          url: "http:/.../Lists/Tasks/DispForm.aspx",
-                 *          type: "DisplayForm"
-                 *      },
-                 *      {
-                 *          url: "http:/.../Lists/Tasks/EditForm.aspx",
-                 *          type: "EditForm"
-                 *      },
-                 *      {
-                 *          url: "http:/.../Lists/Tasks/NewForm.aspx",
-                 *          type: "NewForm"
-                 *      }
-                 *  ]
-                 */
-                return domFind(response.content, "Form").map(function(formEle){
-                    return {
-                        url:    webURL + formEle.getAttribute("Url"),
-                        type:   formEle.getAttribute("Type")
-                    };
+            var fetchForms = function(){
+                return apiFetch(endPoint, {
+                    method:     "POST",
+                    idempotent: true,
+                    headers:    { 'Content-Type': 'text/xml;charset=UTF-8' },
+                    signal:     opt.signal,
+                    timeout:    opt.timeout,
+                    body:       '<soap:Envelope xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">' +
+                                '<soap:Body><GetFormCollection xmlns="http://schemas.microsoft.com/sharepoint/soap/">' +
+                                '<listName>' + opt.listName + '</listName></GetFormCollection></soap:Body></soap:Envelope>'
+                })
+                .then(function(response){
+                    /**
+                     * A list Forms Collection
+                     *
+                     * @typedef FormCollection
+                     *
+                     * @type {Array<Object>}
+                     *
+                     * @example
+                     *
+                     *  [
+                     *      {
+                     *          url: "http:/.../Lists/Tasks/DispForm.aspx",
+                     *          type: "DisplayForm"
+                     *      },
+                     *      {
+                     *          url: "http:/.../Lists/Tasks/EditForm.aspx",
+                     *          type: "EditForm"
+                     *      },
+                     *      {
+                     *          url: "http:/.../Lists/Tasks/NewForm.aspx",
+                     *          type: "NewForm"
+                     *      }
+                     *  ]
+                     */
+                    return domFind(response.content, "Form").map(function(formEle){
+                        return {
+                            url:    webURL + formEle.getAttribute("Url"),
+                            type:   formEle.getAttribute("Type")
+                        };
+                    });
                 });
+            };
+
+            var responsePromise = !opt.cache ? fetchForms() : persistListData({
+                key:        opt.cacheKey,
+                listName:   opt.listName,
+                webURL:     webURL,
+                signal:     opt.signal,
+                timeout:    opt.timeout,
+                fetchData:  fetchForms
             });
 
             if (opt.cache) {
@@ -113,7 +139,9 @@ import domFind from "common-micro-libs/src/domutils/domFind";
     getListFormCollection.defaults = {
         listName:   '',
         webURL:     '',
-        cache:      true
+        cache:      true,
+        signal:     null,
+        timeout:    null
     };
 
     export default getListFormCollection;
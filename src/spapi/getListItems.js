@@ -3,7 +3,11 @@ import getNodesFromXml from "../sputils/getNodesFromXml";
 import ListItemModel from "../models/ListItemModel";
 import ListItemsCollection from "../collections/ListItemsCollection";
 import apiFetch from "../sputils/apiFetch";
+import whenNotAborted from "../sputils/whenNotAborted";
 import getSiteWebUrl from "../spapi/getSiteWebUrl";
+import getCamlLogical from "../sputils/getCamlLogical";
+import getListColumns from "./getListColumns";
+import updateListItems from "./updateListItems";
 import objectExtend from "common-micro-libs/src/jsutils/objectExtend";
 
     /**
@@ -40,6 +44,38 @@ import objectExtend from "common-micro-libs/src/jsutils/objectExtend";
      *  The model to be used for each row retrieved. Model constructor must
      *  support a .create() method.
      *
+     * @param {ApiFetchRetryPolicy|Boolean} [options.retry=null]
+     *  The retry policy for the request. Defaults to the one defined in
+     *  `apiFetch.defaults.retry`. See [apiFetch]{@link apiFetch}.
+     *
+     * @param {AbortSignal} [options.signal]
+     *  A signal that can be used to cancel the request. When aborted, the returned
+     *  promise is rejected with an `AbortError`.
+     *
+     * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+     *  Number of milliseconds each request is allowed to take before it is
+     *  rejected with a `TimeoutError`.
+     *
+     * @param {Boolean} [options.thresholdFallback=false]
+     *  If true and the query fails because it exceeds the list view threshold
+     *  (ex. filtering on non-indexed columns in lists with more than 5000 items),
+     *  then the query is run again over consecutive ranges of item `ID`s (see
+     *  `options.partitionSize`) and the results are merged into one collection.
+     *  Any `<OrderBy>` in the query is applied to the merged results. Only
+     *  applies to the `GetListItems` operation.
+     *
+     * @param {Number} [options.partitionSize=5000]
+     *  The size of each `ID` range used with `options.thresholdFallback`. Must
+     *  not be greater than the list view threshold.
+     *
+     * @param {Boolean} [options.convertTypes=false]
+     *  If true, the list columns are retrieved (see [getListColumns]{@link getListColumns})
+     *  and each item value is converted to a javascript native based on the
+     *  column type - ex. `Date`, `Number`, `Boolean`, lookup and people objects,
+     *  Arrays for multi-value columns. See [parseFieldValue]{@link parseFieldValue}.
+     *  Items (`ListItemModel`) convert those values back to SharePoint's format
+     *  when saved.
+     *
      * @return {Promise<ListItemsCollection>|Promise<Error>}
      *   Promise is resolved with a Collection, or rejected with an Error object
      *
@@ -66,6 +102,7 @@ import objectExtend from "common-micro-libs/src/jsutils/objectExtend";
     var getListItems = function(options){
 
         var opt = objectExtend({}, getListItems.defaults, options),
+            reqOpt,
             reqPromise;
 
         return getSiteWebUrl(opt.webURL).then(function(webURL){
@@ -85,7 +122,7 @@ import objectExtend from "common-micro-libs/src/jsutils/objectExtend";
 
             // If cacheXML is true and we have a cached version, return it.
             if (opt.cacheXML && opt.isCached) {
-                return cache(opt.cacheKey);
+                return whenNotAborted(cache(opt.cacheKey), opt.signal);
             }
 
             // If cacheXML is FALSE, and we have a cached version of this key,
@@ -94,9 +131,17 @@ import objectExtend from "common-micro-libs/src/jsutils/objectExtend";
                 cache.clear(opt.cacheKey);
             }
 
+            // A cached request is shared with other callers, so it is not bound to
+            // this caller's signal - the signal is only applied to this caller's wait.
+            reqOpt = opt.cacheXML ? objectExtend({}, opt, { signal: null }) : opt;
+
             reqPromise = apiFetch(opt.webURL + "_vti_bin/Lists.asmx", {
                 method:     "POST",
+                idempotent: true,
                 headers:    { 'Content-Type': 'text/xml;charset=UTF-8' },
+                retry:      opt.retry,
+                signal:     reqOpt.signal,
+                timeout:    opt.timeout,
                 body:       "<?xml version=\"1.0\" encoding=\"utf-8\"?><soap:Envelope xmlns:xsi=\"http://www.w3.org/2001/XMLSchema-instance\" xmlns:xsd=\"http://www.w3.org/2001/XMLSchema\" xmlns:soap=\"http://schemas.xmlsoap.org/soap/envelope/\">" +
                             "<soap:Body>" +"<" + opt.operation + " xmlns=\"http://schemas.microsoft.com/sharepoint/soap/\"><listName>" +
                             opt.listName + "</listName><viewName>" +
@@ -117,29 +162,287 @@ import objectExtend from "common-micro-libs/src/jsutils/objectExtend";
                             ) +
                             "</" + opt.operation +"></soap:Body></soap:Envelope>"
             }).then(function(response){
+                if (opt.convertTypes) {
+                    return getTypedListItems(reqOpt, response);
+                }
+
                 return ListItemsCollection.create(
                     getNodesFromXml({
                         xDoc:               response.content,
                         nodeName:           "z:row",
-                        nodeModel:          opt.ListItemModel || opt.listItemModel, // Lowercase "listItemModel" is for backward compatibiltiy
-                        nodeModelOptions:   objectExtend({}, opt)
+                        nodeModel:          getItemModel(opt),
+                        nodeModelOptions:   getItemModelOptions(reqOpt)
                     }),
                     {
                         apiResponse:    response,
-                        queryOptions:   opt
+                        queryOptions:   reqOpt
                     }
                 );
             });
 
+            if (opt.thresholdFallback && opt.operation === "GetListItems") {
+                reqPromise = reqPromise["catch"](function(error){
+                    if (!isThresholdError(error)) {
+                        throw error;
+                    }
+
+                    return getListItemsByIdRange(reqOpt);
+                });
+            }
+
             // If cacheXML was true, then cache this promise
             if (opt.cacheXML) {
                 cache(opt.cacheKey, reqPromise);
+
+                // If there is a failure, remove from cache
+                reqPromise["catch"](function(){
+                    cache.clear(opt.cacheKey);
+                });
+            }
+
+            return whenNotAborted(reqPromise, opt.signal);
+        });
+    };
+
+    /**
+     * Returns the model to be used for each row.
+     *
+     * @private
+     *
+     * @param {Object} opt
+     *
+     * @return {Object}
+     */
+    var getItemModel = function(opt){
+        // Lowercase "listItemModel" is for backward compatibiltiy
+        return opt.ListItemModel || opt.listItemModel;
+    };
+
+    /**
+     * Returns the options given to each row's model. Includes the api functions
+     * used by `ListItemModel` to `save()`, `delete()` and `reload()` the item.
+     *
+     * @private
+     *
+     * @param {Object} opt
+     * @param {Object} [modelOptions]
+     *
+     * @return {Object}
+     */
+    var getItemModelOptions = function(opt, modelOptions){
+        return objectExtend({}, opt, {
+            getListItems:       getListItems,
+            updateListItems:    updateListItems
+        }, modelOptions);
+    };
+
+    /**
+     * Creates the collection of items from the response, with the item values
+     * converted based on the list columns definition.
+     *
+     * @private
+     *
+     * @param {Object} opt
+     * @param {ApiFetchResponse} response
+     *
+     * @return {Promise<ListItemsCollection>}
+     */
+    var getTypedListItems = function(opt, response){
+        var rows        = getNodesFromXml({
+                            xDoc:       response.content,
+                            nodeName:   "z:row"
+                        }),
+            fieldNames  = {};
+
+        rows.forEach(function(row){
+            Object.keys(row).forEach(function(fieldName){
+                fieldNames[fieldName] = true;
+            });
+        });
+
+        // Internal columns (ex. ID, Created, Author) are only returned if white listed
+        return getListColumns({
+            listName:   opt.listName,
+            webURL:     opt.webURL,
+            cache:      true,
+            whiteList:  Object.keys(fieldNames),
+            signal:     opt.signal,
+            timeout:    opt.timeout
+        })
+        .then(function(columns){
+            var ItemModel = getItemModel(opt);
+
+            return ListItemsCollection.create(
+                rows.map(function(row){
+                    if (!ItemModel || !ItemModel.create) {
+                        return row;
+                    }
+
+                    return ItemModel.create(row, getItemModelOptions(opt, {
+                        source:     row.___xmlNode,
+                        columns:    columns
+                    }));
+                }),
+                {
+                    apiResponse:    response,
+                    queryOptions:   opt
+                }
+            );
+        });
+    };
+
+    /**
+     * Checks if an error is the SharePoint list view threshold error
+     * (`0x80070024`)
+     *
+     * @private
+     *
+     * @param {Error} error
+     *
+     * @return {Boolean}
+     */
+    var isThresholdError = function(error){
+        return !!error && (
+            /0x80070024/i.test(error.errorCode || "") ||
+            /list view threshold/i.test(error.message || "")
+        );
+    };
+
+    /**
+     * Returns the inner content of a CAML element (ex. `Where`) found in the query
+     *
+     * @private
+     *
+     * @param {String} camlQuery
+     * @param {String} tagName
+     *
+     * @return {String}
+     */
+    var getCamlElementContent = function(camlQuery, tagName){
+        var match = new RegExp("<" + tagName + "(?:\\s[^>]*)?>([\\s\\S]*)</" + tagName + ">").exec(camlQuery || "");
+        return match ? match[1] : "";
+    };
+
+    /**
+     * Runs the query defined in the options over consecutive ranges of item `ID`s,
+     * each of `options.partitionSize`, and merges all results into one collection.
+     *
+     * @private
+     *
+     * @param {Object} opt
+     *  The `getListItems` options
+     *
+     * @return {Promise<ListItemsCollection>}
+     */
+    var getListItemsByIdRange = function(opt){
+        var getRangeOptions = function(overrides){
+                return objectExtend({}, opt, {
+                    cacheXML:           false,
+                    thresholdFallback:  false
+                }, overrides);
+            },
+            where       = getCamlElementContent(opt.CAMLQuery, "Where"),
+            orderBy     = [],
+            rowLimit    = parseInt(opt.CAMLRowLimit, 10) || 0,
+            items       = [],
+            lastResponse= null;
+
+        getCamlElementContent(opt.CAMLQuery, "OrderBy").replace(/<FieldRef([^>]*)\/?>/g, function(match, attributes){
+            var name        = /Name=["']([^"']+)["']/.exec(attributes),
+                ascending   = /Ascending=["']([^"']+)["']/.exec(attributes);
+
+            if (name) {
+                orderBy.push({
+                    name:       name[1],
+                    ascending:  !ascending || ascending[1].toUpperCase() !== "FALSE"
+                });
             }
+        });
+
+        // Get the last ID in the list (ID is always indexed, so ordering by it is allowed)
+        return getListItems(getRangeOptions({
+            CAMLQuery:      '<Query><OrderBy><FieldRef Name="ID" Ascending="FALSE"/></OrderBy></Query>',
+            CAMLViewFields: '<ViewFields><FieldRef Name="ID"/></ViewFields>',
+            CAMLRowLimit:   1
+        }))
+        .then(function(lastItems){
+            var maxId = lastItems.length ? parseInt(lastItems[0].ID, 10) : 0,
+                queryRange = function(startId){
+                    // Results can only be limited early if no sorting is needed
+                    if (startId > maxId || (rowLimit && !orderBy.length && items.length >= rowLimit)) {
+                        return;
+                    }
 
-            return reqPromise;
+                    return getListItems(getRangeOptions({
+                        CAMLQuery:      "<Query><Where>" +
+                                        getCamlLogical({
+                                            type:   "AND",
+                                            values: [
+                                                '<Geq><FieldRef Name="ID"/><Value Type="Counter">' + startId + '</Value></Geq>',
+                                                '<Lt><FieldRef Name="ID"/><Value Type="Counter">' + (startId + opt.partitionSize) + '</Value></Lt>',
+                                                where
+                                            ].filter(function(condition){
+                                                return !!condition;
+                                            })
+                                        }) +
+                                        "</Where></Query>",
+                        CAMLRowLimit:   opt.partitionSize
+                    }))
+                    .then(function(rangeItems){
+                        lastResponse = rangeItems.getApiResponse();
+                        rangeItems.forEach(function(item){
+                            items.push(item);
+                        });
+
+                        return queryRange(startId + opt.partitionSize);
+                    });
+                };
+
+            return queryRange(1);
+        })
+        .then(function(){
+            if (orderBy.length) {
+                items.sort(function(itemA, itemB){
+                    var response = 0;
+
+                    orderBy.some(function(field){
+                        response = compareValues(itemA[field.name], itemB[field.name]) * (field.ascending ? 1 : -1);
+                        return response !== 0;
+                    });
+
+                    return response;
+                });
+            }
+
+            if (rowLimit && items.length > rowLimit) {
+                items.length = rowLimit;
+            }
+
+            return ListItemsCollection.create(items, {
+                apiResponse:    lastResponse,
+                queryOptions:   opt
+            });
         });
     };
 
+    var compareValues = function(valueA, valueB){
+        var isNumber = /^-?\d+(\.\d+)?$/;
+
+        // Typed values (see `options.convertTypes`)
+        if (valueA instanceof Date && valueB instanceof Date) {
+            return valueA.getTime() - valueB.getTime();
+        }
+
+        valueA = valueA === undefined || valueA === null ? "" : String(valueA);
+        valueB = valueB === undefined || valueB === null ? "" : String(valueB);
+
+        if (isNumber.test(valueA) && isNumber.test(valueB)) {
+            return parseFloat(valueA) - parseFloat(valueB);
+        }
+
+        return valueA < valueB ? -1 : (valueA > valueB ? 1 : 0);
+    };
+
     getListItems.defaults = {
         listName:       '',
         webURL:         '',
@@ -153,7 +456,13 @@ import objectExtend from "common-micro-libs/src/jsutils/objectExtend";
         async:          true,
         changeToken:    '', // GetListChangesSinceToken only
         ListItemModel:  ListItemModel,
-        ListItemCollection: ListItemsCollection
+        ListItemCollection: ListItemsCollection,
+        retry:          null,
+        signal:         null,
+        timeout:        null,
+        thresholdFallback:  false,
+        partitionSize:  5000,
+        convertTypes:   false
     };
 
     export default getListItems;
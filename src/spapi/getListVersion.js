@@ -0,0 +1,115 @@
+import objectExtend     from "common-micro-libs/src/jsutils/objectExtend"
+import getSiteWebUrl    from "./getSiteWebUrl"
+import cache            from "../sputils/cache";
+import getNodesFromXml  from "../sputils/getNodesFromXml";
+import apiFetch         from "../sputils/apiFetch";
+import whenNotAborted   from "../sputils/whenNotAborted";
+
+//========================================================================
+
+/**
+ * Returns the current version of a list definition, which is used to validate
+ * data that was persisted with `cache.persist()` (ex. the list definition,
+ * content types and form collection). The version is built from the attributes
+ * defined in `options.versionAttributes` (by default, the list's `Version` and
+ * `Modified` values), so a change in any of them produces a new version.
+ *
+ * The versions of all lists in a site are retrieved with one request
+ * (`Lists.asmx` `GetListCollection`), which is kept in cache for `options.ttl`
+ * milliseconds.
+ *
+ * @param {Object} options
+ *
+ * @param {String} options.listName
+ *  list Name (Title) or ID
+ *
+ * @param {String} [options.webURL=currentSite]
+ *
+ * @param {Number} [options.ttl=60000]
+ *  Number of milliseconds the site list collection is cached.
+ *
+ * @param {Array<String>} [options.versionAttributes=["Version", "Modified"]]
+ *
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to cancel the wait for the version. When aborted, the
+ *  returned promise is rejected with an `AbortError`. The site list collection
+ *  request is shared with other callers, so it is not cancelled.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds the request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
+ *
+ * @return {Promise<String>}
+ *  Resolved with the version string. An empty string is returned if the
+ *  list is not found.
+ */
+const getListVersion = function(options) {
+    let opt = objectExtend({}, getListVersion.defaults, options);
+
+    return getSiteWebUrl(opt.webURL).then(function(webURL) {
+        let cacheKey    = webURL + "?getListVersion";
+        let listName    = normalizeListName(opt.listName);
+        let reqPromise  = cache.get(cacheKey);
+
+        if (!reqPromise) {
+            reqPromise = apiFetch(webURL + "_vti_bin/Lists.asmx", {
+                method: "POST",
+                idempotent: true,
+                headers: {
+                    'Content-Type': 'text/xml;charset=UTF-8'
+                },
+                timeout: opt.timeout,
+                body: "<soap:Envelope xmlns:xsi='http://www.w3.org/2001/XMLSchema-instance' xmlns:xsd='http://www.w3.org/2001/XMLSchema' xmlns:soap='http://schemas.xmlsoap.org/soap/envelope/'>" +
+                "<soap:Body><GetListCollection xmlns='http://schemas.microsoft.com/sharepoint/soap/' /></soap:Body></soap:Envelope>"
+            })
+                .then(function(response){
+                    return getNodesFromXml({
+                        xDoc:       response.content,
+                        nodeName:   "List"
+                    });
+                });
+
+            cache.set(cacheKey, reqPromise, { ttl: opt.ttl });
+
+            reqPromise["catch"](function(){
+                if (cache.get(cacheKey) === reqPromise) {
+                    cache.clear(cacheKey);
+                }
+            });
+        }
+
+        return whenNotAborted(reqPromise, opt.signal).then(function(lists){
+            let version = "";
+
+            lists.some(function(list){
+                if (
+                    normalizeListName(list.ID) === listName ||
+                    normalizeListName(list.Title) === listName
+                ) {
+                    version = opt.versionAttributes.map(function(attrName){
+                        return list[attrName] || "";
+                    }).join("|");
+
+                    return true;
+                }
+            });
+
+            return version;
+        });
+    });
+};
+
+function normalizeListName(listName) {
+    return String(listName || "").replace(/[{}]/g, "").toLowerCase();
+}
+
+getListVersion.defaults = {
+    listName:           "",
+    webURL:             "",
+    ttl:                60000,
+    versionAttributes:  ["Version", "Modified"],
+    signal:             null,
+    timeout:            null
+};
+
+export default getListVersion;
@@ -0,0 +1,119 @@
+import objectExtend         from "common-micro-libs/src/jsutils/objectExtend"
+import Promise              from "common-micro-libs/src/jsutils/es6-promise"
+import xmlEscape            from "../sputils/xmlEscape"
+import getSiteWebUrl        from "./getSiteWebUrl"
+import ViewModel            from "../models/ViewModel"
+import callSoapService      from "../sputils/callSoapService"
+import {
+    isViewId }              from "../sputils/viewUtils"
+
+//========================================================================
+
+/**
+ * Retrieves the views of a list using `Views.asmx` `GetViewCollection`. Only
+ * the view attributes (ex. `Name`, `DisplayName`, `DefaultView`) are returned -
+ * use [getView]{@link getView} to get a view's fields and query.
+ *
+ * @function getListViews
+ *
+ * @param {Object} options
+ *
+ * @param {String} options.listName
+ *  The list name (Title) or ID
+ *
+ * @param {String} [options.webURL=currentSite]
+ *
+ * @param {ViewModel} [options.ViewModel=ViewModel]
+ *
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to cancel the request. When aborted, the returned
+ *  promise is rejected with an `AbortError`.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
+ *
+ * @return {Promise<Array<ViewModel>, Error>}
+ *
+ * @see https://msdn.microsoft.com/en-us/library/views.views.getviewcollection(v=office.12).aspx
+ *
+ * @example
+ *
+ * getListViews({ listName: "Tasks" }).then(views => {
+ *      const defaultView = views.filter(view => view.isDefault())[0];
+ * });
+ */
+const getListViews = function(options) {
+    let opt = objectExtend({}, getListViews.defaults, options);
+
+    return getSiteWebUrl(opt.webURL).then(function(webURL) {
+        opt.webURL = webURL;
+
+        return callSoapService(webURL, "Views", "GetViewCollection", {
+            listName: xmlEscape.escape(opt.listName)
+        }, { signal: opt.signal, timeout: opt.timeout, idempotent: true })
+            .then(function(response) {
+                return Array.prototype.map.call(response.content.getElementsByTagName("View"), function(viewEle) {
+                    return opt.ViewModel.create(viewEle, {
+                        listName:   opt.listName,
+                        webURL:     webURL
+                    });
+                });
+            });
+    });
+};
+
+/**
+ * Returns the ID of a view, which is what `Views.asmx` requires. If the view name
+ * given is not an ID, then the list views are retrieved to find the one with
+ * that `DisplayName`. An empty view name (the list's default view) is returned as is.
+ *
+ * @param {Object} options
+ * @param {String} options.listName
+ * @param {String} options.viewName
+ *  The view ID or display name
+ * @param {String} options.webURL
+ * @param {AbortSignal} [options.signal]
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
+ *
+ * @return {Promise<String, Error>}
+ *  Rejected if no view is found with the given name.
+ */
+export function getViewId(options) {
+    const viewName = options.viewName || "";
+
+    if (!viewName || isViewId(viewName)) {
+        return Promise.resolve(viewName);
+    }
+
+    return getListViews({
+        listName:   options.listName,
+        webURL:     options.webURL,
+        signal:     options.signal,
+        timeout:    options.timeout
+    })
+        .then(function(views) {
+            const view = views.filter(function(listView) {
+                return listView.DisplayName === viewName;
+            })[0];
+
+            if (!view) {
+                throw new Error(`View "${ viewName }" not found in list ${ options.listName }`);
+            }
+
+            return view.Name;
+        });
+}
+
+getListViews.defaults = {
+    listName:   "",
+    webURL:     "",
+    ViewModel:  ViewModel,
+    signal:     null,
+    timeout:    null
+};
+
+export default getListViews;
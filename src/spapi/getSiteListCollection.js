@@ -17,6 +17,14 @@ import domFind from "common-micro-libs/src/domutils/domFind";
      * @param {Boolean} [options.cache=true]
      *  If true, the request will be cached.
      *
+     * @param {AbortSignal} [options.signal]
+     *  A signal that can be used to cancel the request. When aborted, the returned
+     *  promise is rejected with an `AbortError`.
+     *
+     * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+     *  Number of milliseconds each request is allowed to take before it is
+     *  rejected with a `TimeoutError`.
+     *
      * @return {Promise}
      *  Promise is resolved with an Array of Objects.
      *  Promise might be rejected with an `Error` object
@@ -89,7 +97,10 @@ import domFind from "common-micro-libs/src/domutils/domFind";
 
             reqPromise = apiFetch(opt.webURL, {
                 method:     "POST",
+                idempotent: true,
                 headers:    {'Content-Type': 'text/xml;charset=UTF-8'},
+                signal:     opt.signal,
+                timeout:    opt.timeout,
                 body:       '<?xml version="1.0" encoding="utf-8"?>' +
                 '<soap:Envelope xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">' +
                 '<soap:Body><GetListCollection xmlns="http://schemas.microsoft.com/sharepoint/soap/">' +
@@ -128,6 +139,10 @@ import domFind from "common-micro-libs/src/domutils/domFind";
             // If cache was true, then cache this promise
             if (opt.cache) {
                 cache(opt.cacheKey, reqPromise);
+
+                reqPromise["catch"](function(){
+                    cache.clear(opt.cacheKey);
+                });
             }
 
             return reqPromise.then(convertXmlToArrayOfObjects);
@@ -136,7 +151,9 @@ import domFind from "common-micro-libs/src/domutils/domFind";
 
     getSiteListCollection.defaults = {
         webURL: '',
-        cache:  true
+        cache:  true,
+        signal: null,
+        timeout: null
     };
 
     export default getSiteListCollection;
@@ -102,6 +102,7 @@ var getSiteUrl = function(pageUrl) {
         // Works only if running inside of SharePoint (ex. in webpart)
         apiFetch(getFullUrl("/_vti_bin/Webs.asmx", true), {
             method:     "POST",
+            idempotent: true,
             headers:    { 'Content-Type': 'text/xml;charset=UTF-8' },
             body:       "<soap:Envelope xmlns:xsi='http://www.w3.org/2001/XMLSchema-instance' xmlns:xsd='http://www.w3.org/2001/XMLSchema' xmlns:soap='http://schemas.xmlsoap.org/soap/envelope/'><soap:Body><WebUrlFromPageUrl xmlns='http://schemas.microsoft.com/sharepoint/soap/' >" +
             "<pageUrl>" + page + "</pageUrl></WebUrlFromPageUrl></soap:Body></soap:Envelope>"
@@ -25,6 +25,14 @@ import domFind from "common-micro-libs/src/domutils/domFind";
  *
  * @param {Compose} [options.UserProfileModel=UserProfileModel]
  *
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to cancel the request. When aborted, the returned
+ *  promise is rejected with an `AbortError`.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
+ *
  * @return {Promise<UserProfileModel, Error>}
  *  Promise is resolved with a [UserProfileModel]{@link UserProfileModel}
  *  or rejected with an Error.
@@ -55,10 +63,13 @@ var getUserProfile = function(options){
 
         reqPromise = apiFetch(webURL + "_vti_bin/UserProfileService.asmx", {
                 method:     "POST",
+                idempotent: true,
                 headers:    {
                     'Content-Type': 'text/xml;charset=UTF-8',
                     'SOAPAction':   'http://microsoft.com/webservices/SharePointPortalServer/UserProfileService/GetUserProfileByName'
                 },
+                signal: opt.signal,
+                timeout: opt.timeout,
                 body: '<soap:Envelope xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">' +
                     '<soap:Body><GetUserProfileByName xmlns="http://microsoft.com/webservices/SharePointPortalServer/UserProfileService">' +
                     '<AccountName>' + opt.accountName + '</AccountName></GetUserProfileByName></soap:Body></soap:Envelope>'
@@ -104,7 +115,9 @@ getUserProfile.defaults = {
     otherAttr:          '',
     webURL:             '',
     cache:              true,
-    UserProfileModel:   UserProfileModel
+    UserProfileModel:   UserProfileModel,
+    signal:             null,
+    timeout:            null
 };
 
 export default getUserProfile;
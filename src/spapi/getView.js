@@ -0,0 +1,79 @@
+import objectExtend         from "common-micro-libs/src/jsutils/objectExtend"
+import xmlEscape            from "../sputils/xmlEscape"
+import getSiteWebUrl        from "./getSiteWebUrl"
+import { getViewId }        from "./getListViews"
+import ViewModel            from "../models/ViewModel"
+import callSoapService      from "../sputils/callSoapService"
+
+//========================================================================
+
+/**
+ * Retrieves the full definition of a list view (fields, query, row limit) using
+ * `Views.asmx` `GetView`.
+ *
+ * @function getView
+ *
+ * @param {Object} options
+ *
+ * @param {String} options.listName
+ *  The list name (Title) or ID
+ *
+ * @param {String} [options.viewName=""]
+ *  The view ID or display name. Defaults to the list's default view.
+ *
+ * @param {String} [options.webURL=currentSite]
+ *
+ * @param {ViewModel} [options.ViewModel=ViewModel]
+ *
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to cancel the request. When aborted, the returned
+ *  promise is rejected with an `AbortError`.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
+ *
+ * @return {Promise<ViewModel, Error>}
+ *
+ * @see https://msdn.microsoft.com/en-us/library/views.views.getview(v=office.12).aspx
+ *
+ * @example
+ *
+ * getView({ listName: "Tasks", viewName: "Active Tasks" }).then(view => {
+ *      view.getViewFields();   // ["LinkTitle", "Status", "DueDate"]
+ *      view.getQuery();        // "<Query><Where>...</Where></Query>"
+ *      view.getRowLimit();     // 30
+ * });
+ */
+const getView = function(options) {
+    let opt = objectExtend({}, getView.defaults, options);
+
+    return getSiteWebUrl(opt.webURL).then(function(webURL) {
+        opt.webURL = webURL;
+
+        return getViewId(opt)
+            .then(function(viewId) {
+                return callSoapService(webURL, "Views", "GetView", {
+                    listName:   xmlEscape.escape(opt.listName),
+                    viewName:   viewId
+                }, { signal: opt.signal, timeout: opt.timeout, idempotent: true });
+            })
+            .then(function(response) {
+                return opt.ViewModel.create(response.content.getElementsByTagName("View")[0], {
+                    listName:   opt.listName,
+                    webURL:     webURL
+                });
+            });
+    });
+};
+
+getView.defaults = {
+    listName:   "",
+    viewName:   "",
+    webURL:     "",
+    ViewModel:  ViewModel,
+    signal:     null,
+    timeout:    null
+};
+
+export default getView;
@@ -0,0 +1,83 @@
+import objectExtend     from "common-micro-libs/src/jsutils/objectExtend"
+import getSiteWebUrl    from "./getSiteWebUrl"
+import getCurrentUser   from "./getCurrentUser"
+import getGroupsForUser from "./getGroupsForUser"
+import { isSameGroup }  from "../sputils/userGroupUtils"
+
+//========================================================================
+
+/**
+ * Checks if the current user is a member of a SharePoint group. Useful for
+ * showing (or hiding) features based on group membership. The groups of the
+ * current user are cached (see `getGroupsForUser()`), so the check can be
+ * done often.
+ *
+ * __Note:__ only direct membership is checked - users that are members of a
+ * group through a domain group are not detected.
+ *
+ * @function isCurrentUserInGroup
+ *
+ * @param {Object} options
+ *
+ * @param {String|Array<String>} options.groupName
+ *  The group name or ID. If an array is given, the check passes if the user
+ *  is a member of any of the groups.
+ *
+ * @param {String} [options.webURL=currentSite]
+ *
+ * @param {Boolean} [options.cache=true]
+ *  See `getGroupsForUser()`
+ *
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to cancel the request. When aborted, the returned
+ *  promise is rejected with an `AbortError`.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
+ *
+ * @return {Promise<Boolean, Error>}
+ *
+ * @example
+ *
+ * isCurrentUserInGroup({ groupName: ["Team Site Owners", "Approvers"] }).then(isApprover => {
+ *      approveButton.hidden = !isApprover;
+ * });
+ */
+const isCurrentUserInGroup = function(options) {
+    let opt = objectExtend({}, isCurrentUserInGroup.defaults, options);
+
+    return getSiteWebUrl(opt.webURL).then(function(webURL) {
+        const groupNames = [].concat(opt.groupName).filter(groupName => groupName !== undefined && groupName !== null && groupName !== "");
+
+        if (!groupNames.length) {
+            throw new Error("isCurrentUserInGroup(): options.groupName is required");
+        }
+
+        return getCurrentUser({ webURL: webURL })
+            .then(function(currentUser) {
+                return getGroupsForUser({
+                    user:   currentUser,
+                    webURL: webURL,
+                    cache:  opt.cache,
+                    signal: opt.signal,
+                    timeout: opt.timeout
+                });
+            })
+            .then(function(groups) {
+                return groups.some(function(group) {
+                    return groupNames.some(groupName => isSameGroup(group, groupName));
+                });
+            });
+    });
+};
+
+isCurrentUserInGroup.defaults = {
+    groupName:  "",
+    webURL:     "",
+    cache:      true,
+    signal:     null,
+    timeout:    null
+};
+
+export default isCurrentUserInGroup;
@@ -0,0 +1,232 @@
+import objectExtend     from "common-micro-libs/src/jsutils/objectExtend"
+import Promise          from "common-micro-libs/src/jsutils/es6-promise"
+import xmlEscape        from "../sputils/xmlEscape"
+import { AbortError }   from "../sputils/errors"
+import getListItems     from "./getListItems"
+
+//========================================================================
+
+/**
+ * Pages through the items of a list using `getListItems` and the paging token
+ * (`ListItemCollectionPositionNext`) returned with each page. Returns an
+ * iterator whose `next()` method resolves with one page (a `ListItemsCollection`)
+ * or, if `options.mode` is `items`, with one `ListItemModel` at a time. Pages are
+ * only retrieved as they are needed.
+ *
+ * The iterator can also be used with `for await...of`, where supported.
+ *
+ * @function iterateListItems
+ *
+ * @param {Object} options
+ *  Supports all of the options of [getListItems]{@link getListItems}, plus the
+ *  ones below. `CAMLRowLimit` is used as the page size.
+ *
+ * @param {String} [options.mode="pages"]
+ *  What is returned on each iteration: `pages` or `items`.
+ *
+ * @param {Number} [options.maxItems=0]
+ *  Maximum number of items to retrieve. `0` means no limit.
+ *
+ * @param {String} [options.pageToken=""]
+ *  The paging token to start from (ex. from a prior call's `getNextPageToken()`).
+ *
+ * @param {Function} [options.onProgress]
+ *  Called after each page is retrieved with a `ListItemsProgress` object.
+ *
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to stop the iteration. Once aborted, `next()`
+ *  is rejected with an `AbortError`.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
+ *
+ * @return {ListItemsIterator}
+ *
+ * @example
+ *
+ * const tasks = iterateListItems({ listName: "Tasks", CAMLRowLimit: 500, mode: "items" });
+ *
+ * for await (const task of tasks) {
+ *      console.log(task.Title);
+ * }
+ *
+ * // or
+ * tasks.forEach(task => console.log(task.Title)).then(() => console.log("done"));
+ */
+const iterateListItems = function(options) {
+    let opt         = objectExtend({}, iterateListItems.defaults, options);
+    let pageToken   = opt.pageToken || "";
+    let isDone      = false;
+    let pageCount   = 0;
+    let itemCount   = 0;
+    let itemsBuffer = [];
+    let queue       = Promise.resolve();
+
+    const fetchNextPage = function() {
+        let rowLimit = parseInt(opt.CAMLRowLimit, 10) || iterateListItems.defaults.CAMLRowLimit;
+
+        if (opt.maxItems) {
+            rowLimit = Math.min(rowLimit, opt.maxItems - itemCount);
+        }
+
+        return getListItems(objectExtend({}, opt, {
+            CAMLRowLimit:       rowLimit,
+            CAMLQueryOptions:   setPagingToken(opt.CAMLQueryOptions, pageToken),
+            cacheXML:           false
+        }))
+            .then(function(page){
+                pageCount++;
+                itemCount   += page.length;
+                pageToken   = page.getNextPageToken();
+                isDone      = !pageToken || (opt.maxItems > 0 && itemCount >= opt.maxItems);
+
+                if (opt.onProgress) {
+                    /**
+                     * Progress information given to `onProgress` callbacks
+                     *
+                     * @typedef {Object} ListItemsProgress
+                     *
+                     * @property {Number} pageCount
+                     *  Number of pages retrieved so far.
+                     * @property {Number} itemCount
+                     *  Number of items retrieved so far.
+                     * @property {ListItemsCollection} page
+                     *  The page just retrieved.
+                     * @property {Boolean} done
+                     *  True if there are no more pages to retrieve.
+                     */
+                    opt.onProgress({ pageCount, itemCount, page, done: isDone });
+                }
+
+                return page;
+            });
+    };
+
+    const getNext = function() {
+        if (opt.signal && opt.signal.aborted) {
+            return Promise.reject(new AbortError());
+        }
+
+        if (opt.mode === "items") {
+            if (itemsBuffer.length) {
+                return Promise.resolve({ done: false, value: itemsBuffer.shift() });
+            }
+
+            if (isDone) {
+                return Promise.resolve({ done: true, value: undefined });
+            }
+
+            return fetchNextPage().then(function(page){
+                page.forEach(item => itemsBuffer.push(item));
+                return getNext();
+            });
+        }
+
+        if (isDone) {
+            return Promise.resolve({ done: true, value: undefined });
+        }
+
+        return fetchNextPage().then(page => ({ done: false, value: page }));
+    };
+
+    /**
+     * An async iterator over the items of a list.
+     *
+     * @typedef {Object} ListItemsIterator
+     *
+     * @property {Function} next
+     *  Returns a Promise resolved with `{done, value}`. Calls are queued, so that
+     *  pages are always retrieved in order.
+     * @property {Function} return
+     *  Ends the iteration.
+     * @property {Function} forEach
+     *  Calls the given callback with each value (page or item). Iteration stops
+     *  if the callback returns `false`. Returns a Promise resolved once done.
+     * @property {Function} getNextPageToken
+     *  Returns the paging token for the next page of data (empty string if none).
+     */
+    const iterator = {
+        next() {
+            let response = queue.then(getNext);
+            queue = response.then(noop, noop);
+            return response;
+        },
+
+        "return"() {
+            isDone      = true;
+            itemsBuffer = [];
+            return Promise.resolve({ done: true, value: undefined });
+        },
+
+        forEach(callback) {
+            return iterator.next().then(function(result){
+                if (result.done) {
+                    return;
+                }
+
+                if (callback(result.value) === false) {
+                    return iterator["return"]().then(noop);
+                }
+
+                return iterator.forEach(callback);
+            });
+        },
+
+        getNextPageToken() {
+            return pageToken;
+        }
+    };
+
+    if (typeof Symbol !== "undefined" && Symbol.asyncIterator) {
+        iterator[Symbol.asyncIterator] = () => iterator;
+    }
+
+    return iterator;
+};
+
+/**
+ * Returns the `CAMLQueryOptions` with the `<Paging>` element set for the given
+ * page token. A self-closing `<QueryOptions/>` is expanded so that the
+ * `<Paging>` element can be added to it.
+ *
+ * @param {String} queryOptions
+ * @param {String} pageToken
+ *
+ * @return {String}
+ *
+ * @throws {Error}
+ *  If `queryOptions` has no `<QueryOptions>` element to add the page token to.
+ */
+export function setPagingToken(queryOptions, pageToken) {
+    let response = String(queryOptions || "<QueryOptions></QueryOptions>")
+        .replace(/<QueryOptions([^>]*?)\s*\/>/, "<QueryOptions$1></QueryOptions>")
+        .replace(/<Paging[^>]*\/>|<Paging[^>]*>[\s\S]*?<\/Paging>/, "");
+
+    if (!pageToken) {
+        return response;
+    }
+
+    if (!/<\/QueryOptions>/.test(response)) {
+        throw new Error(`iterateListItems(): unable to set page token - CAMLQueryOptions has no <QueryOptions> element: ${ queryOptions }`);
+    }
+
+    return response.replace(
+        /<\/QueryOptions>/,
+        `<Paging ListItemCollectionPositionNext="${ xmlEscape.escape(pageToken) }" /></QueryOptions>`
+    );
+}
+
+function noop() {}
+
+iterateListItems.defaults = {
+    mode:           "pages",
+    CAMLRowLimit:   100,
+    maxItems:       0,
+    pageToken:      "",
+    onProgress:     null,
+    signal:         null,
+    timeout:        null
+};
+
+export default iterateListItems;
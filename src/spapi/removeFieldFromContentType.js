@@ -0,0 +1,106 @@
+import objectExtend         from "common-micro-libs/src/jsutils/objectExtend"
+import xmlEscape            from "../sputils/xmlEscape"
+import getSiteWebUrl        from "./getSiteWebUrl"
+import getListContentType   from "./getListContentType"
+import ContentTypeModel     from "../models/ContentTypeModel"
+import { clearListCache }   from "../sputils/listSchemaUtils"
+import callSoapService      from "../sputils/callSoapService"
+import {
+    getFieldRefsXml,
+    getFieldRefs }          from "../sputils/contentTypeUtils"
+
+//========================================================================
+
+/**
+ * Removes columns from a list content type using `Lists.asmx` `UpdateContentType`.
+ * The columns are only unlinked from the content type - they are not deleted
+ * from the list (see `deleteListColumns()`). Cached data for the list
+ * (ex. `getListContentTypes()`) is cleared.
+ *
+ * @function removeFieldFromContentType
+ *
+ * @param {Object} options
+ *
+ * @param {String} options.listName
+ *  The list name (Title) or ID
+ *
+ * @param {String} options.contentTypeId
+ *
+ * @param {Array<String|Object>|String} options.fields
+ *  The columns to be removed - their internal names (or objects with a `Name` or `ID`).
+ *
+ * @param {String} [options.webURL=currentSite]
+ *
+ * @param {ContentTypeModel} [options.ContentTypeModel=ContentTypeModel]
+ *
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to cancel the request. When aborted, the returned
+ *  promise is rejected with an `AbortError`.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
+ *
+ * @return {Promise<ContentTypeModel, Error>}
+ *  Resolved with the (updated) definition of the content type. Rejected with a
+ *  `SoapFaultError` if any of the fields could not be removed.
+ *
+ * @see https://msdn.microsoft.com/en-us/library/lists.lists.updatecontenttype(v=office.12).aspx
+ */
+const removeFieldFromContentType = function(options) {
+    let opt = objectExtend({}, removeFieldFromContentType.defaults, options);
+
+    return getSiteWebUrl(opt.webURL).then(function(webURL) {
+        opt.webURL = webURL;
+
+        if (!opt.contentTypeId) {
+            throw new Error("removeFieldFromContentType(): options.contentTypeId is required");
+        }
+
+        return getFieldRefs({
+            listName:   opt.listName,
+            webURL:     webURL,
+            fields:     opt.fields,
+            signal:     opt.signal,
+            timeout:    opt.timeout
+        })
+            .then(function(fieldRefs) {
+                return callSoapService(webURL, "Lists", "UpdateContentType", {
+                    listName:               xmlEscape.escape(opt.listName),
+                    contentTypeId:          xmlEscape.escape(opt.contentTypeId),
+                    contentTypeProperties:  "",
+                    newFields:              "",
+                    updateFields:           "",
+                    deleteFields:           getFieldRefsXml(
+                        fieldRefs.map(fieldRef => fieldRef.Name ? { ID: fieldRef.ID, Name: fieldRef.Name } : { ID: fieldRef.ID }),
+                        true
+                    ),
+                    addToView:              "FALSE"
+                }, { signal: opt.signal, timeout: opt.timeout });
+            })
+            .then(function() {
+                clearListCache(webURL, opt.listName);
+
+                return getListContentType({
+                    listName:           opt.listName,
+                    contentTypeId:      opt.contentTypeId,
+                    webURL:             webURL,
+                    ContentTypeModel:   opt.ContentTypeModel,
+                    signal:             opt.signal,
+                    timeout:            opt.timeout
+                });
+            });
+    });
+};
+
+removeFieldFromContentType.defaults = {
+    listName:           "",
+    contentTypeId:      "",
+    fields:             null,
+    webURL:             "",
+    ContentTypeModel:   ContentTypeModel,
+    signal:             null,
+    timeout:            null
+};
+
+export default removeFieldFromContentType;
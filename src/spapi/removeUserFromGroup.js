@@ -0,0 +1,72 @@
+import objectExtend     from "common-micro-libs/src/jsutils/objectExtend"
+import xmlEscape        from "../sputils/xmlEscape"
+import getSiteWebUrl    from "./getSiteWebUrl"
+import callSoapService  from "../sputils/callSoapService"
+import {
+    USER_GROUP_NAMESPACE,
+    getUserLoginName,
+    clearGroupCache }   from "../sputils/userGroupUtils"
+
+//========================================================================
+
+/**
+ * Removes a user from a SharePoint group using `UserGroup.asmx` `RemoveUserFromGroup`.
+ * Cached group data (ex. `getGroupMembers()`) for the site is cleared.
+ *
+ * @function removeUserFromGroup
+ *
+ * @param {Object} options
+ *
+ * @param {String} options.groupName
+ *  The name of the group
+ *
+ * @param {String|UserProfileModel} options.user
+ *  The user login name or a `UserProfileModel` (ex. as returned by `getGroupMembers()`)
+ *
+ * @param {String} [options.webURL=currentSite]
+ *
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to cancel the request. When aborted, the returned
+ *  promise is rejected with an `AbortError`.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
+ *
+ * @return {Promise<undefined, Error>}
+ *
+ * @see https://msdn.microsoft.com/en-us/library/ms772554(v=office.12).aspx
+ */
+const removeUserFromGroup = function(options) {
+    let opt = objectExtend({}, removeUserFromGroup.defaults, options);
+
+    return getSiteWebUrl(opt.webURL).then(function(webURL) {
+        const userLoginName = getUserLoginName(opt.user);
+
+        if (!opt.groupName || !userLoginName) {
+            throw new Error("removeUserFromGroup(): options.groupName and options.user are required");
+        }
+
+        return callSoapService(webURL, "UserGroup", "RemoveUserFromGroup", {
+            groupName:      xmlEscape.escape(opt.groupName),
+            userLoginName:  xmlEscape.escape(userLoginName)
+        }, {
+            namespace:  USER_GROUP_NAMESPACE,
+            signal:     opt.signal,
+            timeout:    opt.timeout
+        })
+            .then(function() {
+                clearGroupCache(webURL);
+            });
+    });
+};
+
+removeUserFromGroup.defaults = {
+    groupName:  "",
+    user:       "",
+    webURL:     "",
+    signal:     null,
+    timeout:    null
+};
+
+export default removeUserFromGroup;
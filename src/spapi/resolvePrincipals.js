@@ -29,6 +29,14 @@ import domFind from "common-micro-libs/src/domutils/domFind";
      * @param {Compose} [options.UserProfileModel=UserProfileModel]
      *  A Composable object that will be used to build each user profile.
      *
+     * @param {AbortSignal} [options.signal]
+     *  A signal that can be used to cancel the request. When aborted, the returned
+     *  promise is rejected with an `AbortError`.
+     *
+     * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+     *  Number of milliseconds each request is allowed to take before it is
+     *  rejected with a `TimeoutError`.
+     *
      * @return {Promise<Array<UserProfileModel>, Error>}
      *  Promise is resolved with an array of UserProfileModels
      *  or rejected with an error.
@@ -60,10 +68,13 @@ import domFind from "common-micro-libs/src/domutils/domFind";
 
             return apiFetch(opt.webURL, {
                 method:     "POST",
+                idempotent: true,
                 headers:    {
                     'Content-Type': 'text/xml;charset=UTF-8',
                     'SOAPAction':   'http://schemas.microsoft.com/sharepoint/soap/ResolvePrincipals'
                 },
+                signal: opt.signal,
+                timeout: opt.timeout,
                 body: '<soap:Envelope xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">' +
                     '<soap:Body><ResolvePrincipals xmlns="http://schemas.microsoft.com/sharepoint/soap/">' +
                     '<principalKeys>' + principalXml + '</principalKeys>' +
@@ -99,7 +110,9 @@ import domFind from "common-micro-libs/src/domutils/domFind";
         principalKeys:      [],
         principalType:      'All',
         addToUserInfoList:  true,
-        UserProfileModel:   UserProfileModel
+        UserProfileModel:   UserProfileModel,
+        signal:             null,
+        timeout:            null
     };
 
     export default resolvePrincipals;
@@ -0,0 +1,245 @@
+import objectExtend         from "common-micro-libs/src/jsutils/objectExtend"
+import Promise              from "common-micro-libs/src/jsutils/es6-promise"
+import getContextInfo       from "./getContextInfo"
+import apiFetch             from "../../sputils/apiFetch"
+import { getRestHeaders }   from "../../sputils/restUtils"
+import { getHttpErrorType } from "../../sputils/errors"
+import {
+    getBoundary,
+    buildBatchBody,
+    getOperationGroups,
+    parseBatchResponse }    from "../../sputils/batchUtils"
+
+//==============================================================================
+const IS_ABSOLUTE_URL = /^https?:\/\//i;
+
+/**
+ * Creates a batch that collects several SharePoint REST operations and sends
+ * them to the server in a single OData `$batch` request. Write operations
+ * (anything other than a `GET`) that are added one after the other are sent
+ * together in a changeset, unless `newChangeset()` is called between them.
+ *
+ * Each call to `add()` returns a promise for that operation's result, which is
+ * rejected (with an `HttpError`) if the operation failed. The promises are only
+ * settled once the batch is sent with `send()`.
+ *
+ * @function createBatch
+ *
+ * @param {Object} [options]
+ *
+ * @param {String} [options.webURL=currentSite]
+ *  The web where the `$batch` request is sent. All operations in the batch
+ *  must be for this web.
+ *
+ * @param {ApiFetchRetryPolicy|Boolean} [options.retry=null]
+ *  The retry policy for the `$batch` request. By default, the request is only
+ *  retried if all of its operations are `GET`s.
+ *
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to cancel the request. When aborted, the promise
+ *  returned by `send()` (and those of each operation) are rejected with an `AbortError`.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
+ *
+ * @return {Batch}
+ *
+ * @see https://docs.microsoft.com/en-us/sharepoint/dev/sp-add-ins/make-batch-requests-with-the-rest-apis
+ *
+ * @example
+ *
+ * const batch = createBatch({ webURL: "https://tenant.sharepoint.com/sites/dev" });
+ *
+ * batch.add({ url: "_api/web/lists/getbytitle('Tasks')" })
+ *      .then(result => console.log(result.content.d.ItemCount));
+ *
+ * batch.add({
+ *      method: "POST",
+ *      url:    "_api/web/lists/getbytitle('Tasks')/items",
+ *      body:   { __metadata: { type: "SP.Data.TasksListItem" }, Title: "New task" }
+ * });
+ *
+ * batch.send().then(results => console.log(results.length)); // 2
+ */
+export default function createBatch(options) {
+    const opt           = objectExtend({}, createBatch.defaults, options);
+    const operations    = [];
+    let changeset       = 0;
+    let sent            = false;
+
+    /**
+     * A batch of REST operations. Created with [createBatch]{@link createBatch}.
+     *
+     * @typedef {Object} Batch
+     *
+     * @property {Function} add
+     *  Adds an operation (`BatchOperation`) to the batch. Operation `url` can be
+     *  relative to the web (ex. `_api/web/lists`). Returns a `Promise<BatchResult, HttpError>`.
+     * @property {Function} newChangeset
+     *  Write operations added after calling this method are sent in a new changeset.
+     * @property {Function} getOperationCount
+     *  Returns the number of operations in the batch.
+     * @property {Function} send
+     *  Sends the batch. Returns a `Promise<Array<BatchResult>, Error>` with the
+     *  result of each operation (in the order they were added) - the promise is
+     *  not rejected if only some of the operations failed. Changesets are atomic:
+     *  if one fails, all of its operations get the changeset's error result (and
+     *  an operation with no response gets `undefined`).
+     */
+    const batch = {
+        add(operation) {
+            if (sent) {
+                throw new Error("createBatch(): batch was already sent");
+            }
+
+            const entry = {
+                operation: objectExtend({ changeset }, operation)
+            };
+
+            entry.promise = new Promise((resolve, reject) => {
+                entry.resolve   = resolve;
+                entry.reject    = reject;
+            });
+
+            // Avoid unhandled rejections for operations whose promise is not used
+            entry.promise.catch(() => {});
+
+            operations.push(entry);
+            return entry.promise;
+        },
+
+        newChangeset() {
+            ++changeset;
+            return batch;
+        },
+
+        getOperationCount() {
+            return operations.length;
+        },
+
+        send() {
+            if (sent) {
+                return Promise.reject(new Error("createBatch(): batch was already sent"));
+            }
+
+            sent = true;
+
+            if (!operations.length) {
+                return Promise.resolve([]);
+            }
+
+            return getContextInfo(opt.webURL).then(contextInfo => {
+                const batchUrl  = `${ contextInfo.WebFullUrl }/_api/$batch`;
+                const boundary  = getBoundary();
+                const ops       = operations.map(entry => objectExtend({}, entry.operation, {
+                    url: getOperationUrl(entry.operation.url, contextInfo.WebFullUrl)
+                }));
+
+                return apiFetch(batchUrl, {
+                    method:     "POST",
+                    headers:    objectExtend(getRestHeaders(contextInfo), {
+                        "Content-Type": `multipart/mixed; boundary=${ boundary }`
+                    }),
+                    retry:      opt.retry,
+                    idempotent: ops.every(op => String(op.method || "GET").toUpperCase() === "GET"),
+                    signal:     opt.signal,
+                    timeout:    opt.timeout,
+                    body:       buildBatchBody(ops, boundary)
+                })
+                .then(response => {
+                    const resultGroups = parseBatchResponse(
+                        response.content,
+                        response.response && response.response.headers ?
+                            response.response.headers.get("content-type") :
+                            ""
+                    );
+                    const results   = [];
+                    let index       = 0;
+
+                    // Results are matched to operations by group (see getOperationGroups()):
+                    // when a changeset fails, only one response is returned for all of its
+                    // operations, so position in the overall response can not be relied on.
+                    getOperationGroups(ops).forEach((group, groupIndex) => {
+                        const groupResults  = resultGroups[groupIndex] || [];
+                        const isFailed      = group.operations.length > 1 &&
+                            groupResults.length === 1 &&
+                            !groupResults[0].ok;
+
+                        group.operations.forEach((op, opIndex) => {
+                            const entry     = operations[index];
+                            const result    = isFailed ? groupResults[0] : groupResults[opIndex];
+
+                            results.push(result);
+
+                            if (!result) {
+                                entry.reject(new Error(`createBatch(): no response received for operation ${ index } (${ op.url })`));
+                            }
+                            else if (result.ok) {
+                                entry.resolve(result);
+                            }
+                            else {
+                                entry.reject(getOperationError(result, op));
+                            }
+
+                            ++index;
+                        });
+                    });
+
+                    return results;
+                });
+            })
+            .catch(error => {
+                operations.forEach(entry => entry.reject(error));
+                return Promise.reject(error);
+            });
+        }
+    };
+
+    return batch;
+}
+
+/**
+ * Default options
+ *
+ * @name defaults
+ * @memberof createBatch
+ * @static
+ * @type {Object}
+ */
+createBatch.defaults = {
+    webURL: "",
+    retry:  null,
+    signal: null,
+    timeout: null
+};
+
+function getOperationUrl(url, webFullUrl) {
+    url = String(url || "");
+    return IS_ABSOLUTE_URL.test(url) ? url : `${ webFullUrl }/${ url.replace(/^\//, "") }`;
+}
+
+/**
+ * Returns the error for a failed batch operation
+ *
+ * @private
+ *
+ * @param {BatchResult} result
+ * @param {BatchOperation} operation
+ *
+ * @return {HttpError}
+ */
+function getOperationError(result, operation) {
+    const HttpErrorType = getHttpErrorType(result.status);
+    const error         = new HttpErrorType(
+        `HTTP ${ result.status }: ${ result.statusText } (${ operation.url })`,
+        {
+            status:     result.status,
+            statusText: result.statusText,
+            url:        operation.url
+        }
+    );
+
+    error.response = result;
+    return error;
+}
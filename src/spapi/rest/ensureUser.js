@@ -18,6 +18,13 @@ import UserProfileModel     from "../../models/UserProfileModel"
  * @param {String} [options.webURL]
  * @param {Boolean} [options.cache=true]
  * @param {UserProfileModel} [options.UserProfileModel=UserProfileModel]
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to cancel the request. When aborted, the returned
+ *  promise is rejected with an `AbortError`.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
  *
  * @return {Promise<UserProfileModel, Error>}
  *
@@ -29,7 +36,9 @@ export default function ensureUser (options) {
         logonName: "",
         webURL: "",
         cache: true,
-        UserProfileModel
+        UserProfileModel,
+        signal: null,
+        timeout: null
     }, options);
 
     return getContextInfo(opt.webURL)
@@ -47,6 +56,8 @@ export default function ensureUser (options) {
             const apiRequest = apiFetch(`${ contextInfo.WebFullUrl }/_api/web/ensureuser`, {
                 method:     "POST",
                 headers:    getRestHeaders(contextInfo),
+                signal:     opt.signal,
+                timeout:    opt.timeout,
                 body:       JSON.stringify({ logonName: opt.logonName })
             });
 
@@ -40,6 +40,7 @@ export default function getContextInfo (webURL, noCache) {
 
         apiResponse = apiFetch(apiUrl, {
             method:     "POST",
+            idempotent: true,
             headers:    getRestHeaders()
         }).then(response => {
             /**
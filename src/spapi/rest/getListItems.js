@@ -0,0 +1,457 @@
+import objectExtend         from "common-micro-libs/src/jsutils/objectExtend"
+import Promise              from "common-micro-libs/src/jsutils/es6-promise"
+import getContextInfo       from "./getContextInfo"
+import getWebUrlFromPageUrl from "./getWebUrlFromPageUrl"
+import apiFetch             from "../../sputils/apiFetch"
+import { getRestHeaders }   from "../../sputils/restUtils"
+import getDateString        from "../../sputils/getDateString"
+import getListColumns       from "../getListColumns"
+import getSoapListItems     from "../getListItems"
+import updateListItems      from "../updateListItems"
+import ListItemModel        from "../../models/ListItemModel"
+import ListItemsCollection  from "../../collections/ListItemsCollection"
+import { IS_GUID }          from "../../sputils/constants"
+
+//==============================================================================
+const IS_UTC_DATE       = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+const ODATA_OPTIONS     = ["$select", "$expand", "$filter", "$orderby", "$top"];
+
+/**
+ * Retrieves items from a list using the SharePoint REST api. This is the REST
+ * equivalent of the SOAP based [getListItems]{@link getListItems} and returns
+ * the same `ListItemsCollection` of `ListItemModel`s, with each item's values
+ * normalized to the same (string) format returned by the SOAP api - ex. lookup
+ * and person values are returned as `ID;#Title`, dates as `yyyy-mm-dd hh:mm:ss`
+ * (local time) and booleans as `1` or `0`. Lookup and person values include
+ * the lookup value only when they are included in `$expand` - else they are
+ * returned as `ID;#`. Fields are returned with their internal name (the `OData_`
+ * prefix added by the REST api is removed).
+ *
+ * Items are retrieved with the `_api/web/lists/getbytitle(...)/items` endpoint
+ * using the OData options (`$select`, `$expand`, `$filter`, `$orderby`, `$top`),
+ * unless `options.CAMLQuery` is defined, in which case the list's
+ * `RenderListDataAsStream` endpoint is used with the CAML query.
+ *
+ * The returned collection's `getNextPageToken()` can be used with `options.pageToken`
+ * to get the next page of items.
+ *
+ * @function getListItems
+ *
+ * @param {Object} options
+ *
+ * @param {String} options.listName
+ *  The list name (Title) or ID
+ *
+ * @param {String} [options.webURL=currentSite]
+ *
+ * @param {String|Array<String>} [options.$select]
+ * @param {String|Array<String>} [options.$expand]
+ * @param {String} [options.$filter]
+ * @param {String} [options.$orderby]
+ * @param {Number} [options.$top]
+ *  These can be the result of [camlToOData]{@link camlToOData}.
+ *
+ * @param {String} [options.CAMLQuery=""]
+ *  A CAML `<Query>`. When defined, `RenderListDataAsStream` is used and all
+ *  OData options are ignored.
+ *
+ * @param {String} [options.CAMLViewFields=""]
+ *  Used with `options.CAMLQuery`.
+ *
+ * @param {String|Number} [options.CAMLRowLimit=""]
+ *  Used with `options.CAMLQuery`.
+ *
+ * @param {String} [options.pageToken=""]
+ *  The token (from a prior call's `getNextPageToken()`) for the page of data to
+ *  retrieve. When defined, the query options must be the same as the ones used
+ *  to retrieve the prior page.
+ *
+ * @param {Boolean} [options.convertTypes=false]
+ *  Same as the `getListItems` option.
+ *
+ * @param {ListItemModel} [options.ListItemModel=ListItemModel]
+ *
+ * @param {ApiFetchRetryPolicy|Boolean} [options.retry=null]
+ *
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to cancel the request. When aborted, the returned
+ *  promise is rejected with an `AbortError`.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
+ *
+ * @return {Promise<ListItemsCollection, Error>}
+ *
+ * @see https://msdn.microsoft.com/en-us/library/office/dn292552.aspx
+ * @see https://docs.microsoft.com/en-us/sharepoint/dev/sp-add-ins/working-with-lists-and-list-items-with-rest#sharepoint-online-only-renderlistdataasstream
+ *
+ * @example
+ *
+ * getListItems({
+ *      listName:   "Tasks",
+ *      $select:    ["ID", "Title", "AssignedTo/Id", "AssignedTo/Title"],
+ *      $expand:    "AssignedTo",
+ *      $filter:    "Status eq 'Active'",
+ *      $top:       100
+ * })
+ * .then(tasks => console.log(tasks[0].AssignedTo)); // "12;#Paul Tavares"
+ */
+export default function getListItems(options) {
+    const opt = objectExtend({}, getListItems.defaults, options);
+
+    const useCAMLQuery = !!opt.CAMLQuery;
+
+    // Only RenderListDataAsStream (a POST) needs the request digest from the context info
+    return Promise.all([
+        getWebUrlFromPageUrl(opt.webURL),
+        useCAMLQuery ? getContextInfo(opt.webURL) : null
+    ]).then(([webURL, contextInfo]) => {
+        opt.webURL = webURL;
+
+        const listUrl = `${ webURL }_api/web/lists${ getListPath(opt.listName) }`;
+        let apiRequest;
+
+        if (useCAMLQuery) {
+            apiRequest = apiFetch(`${ listUrl }/RenderListDataAsStream${ opt.pageToken || "" }`, {
+                method:     "POST",
+                idempotent: true,
+                headers:    getRestHeaders(contextInfo),
+                retry:      opt.retry,
+                signal:     opt.signal,
+                timeout:    opt.timeout,
+                body:       JSON.stringify({
+                    parameters: {
+                        __metadata: { type: "SP.RenderListDataParameters" },
+                        ViewXml:    getViewXml(opt),
+                        RenderOptions: 2,   // ListData
+                        DatesInUtc: true
+                    }
+                })
+            });
+        }
+        else {
+            apiRequest = apiFetch(opt.pageToken || `${ listUrl }/items${ getODataQueryString(opt) }`, {
+                method:     "GET",
+                headers:    getRestHeaders(),
+                retry:      opt.retry,
+                signal:     opt.signal,
+                timeout:    opt.timeout
+            });
+        }
+
+        return apiRequest.then(response => {
+            const content   = response.content || {};
+            let rows        = [];
+            let nextPageToken;
+
+            if (useCAMLQuery) {
+                // Depending on the `Accept` header, data could be wrapped in `d`
+                const listData = content.d && content.d.RenderListDataAsStream ?
+                    JSON.parse(content.d.RenderListDataAsStream) :
+                    content;
+
+                rows            = (listData.Row || []).map(getRowFromListData);
+                nextPageToken   = listData.NextHref || "";
+            }
+            else {
+                const data      = content.d || content;
+
+                rows            = (data.results || data.value || []).map(getRowFromODataItem);
+                nextPageToken   = data.__next || data["odata.nextLink"] || "";
+            }
+
+            return getItemColumns(opt, rows).then(columns => {
+                return ListItemsCollection.create(
+                    rows.map(row => opt.ListItemModel.create(row, objectExtend({}, opt, {
+                        columns,
+                        // Used by the model's `save()`, `delete()` and `reload()`
+                        getListItems:       getSoapListItems,
+                        updateListItems:    updateListItems
+                    }))),
+                    {
+                        apiResponse:    response,
+                        queryOptions:   opt,
+                        nextPageToken
+                    }
+                );
+            });
+        });
+    });
+}
+
+/**
+ * Default options
+ *
+ * @name defaults
+ * @memberof getListItems
+ * @static
+ * @type {Object}
+ */
+getListItems.defaults = {
+    listName:       "",
+    webURL:         "",
+    $select:        null,
+    $expand:        null,
+    $filter:        "",
+    $orderby:       "",
+    $top:           "",
+    CAMLQuery:      "",
+    CAMLViewFields: "",
+    CAMLRowLimit:   "",
+    pageToken:      "",
+    convertTypes:   false,
+    ListItemModel:  ListItemModel,
+    retry:          null,
+    signal:         null,
+    timeout:        null
+};
+
+function getListPath(listName) {
+    listName = String(listName || "");
+
+    if (IS_GUID.test(listName)) {
+        return `(guid'${ listName.replace(/[{}]/g, "") }')`;
+    }
+
+    return `/getbytitle('${ encodeURIComponent(listName.replace(/'/g, "''")) }')`;
+}
+
+function getODataQueryString(opt) {
+    const params = ODATA_OPTIONS
+        .filter(optionName => !!opt[optionName] && (!Array.isArray(opt[optionName]) || opt[optionName].length))
+        .map(optionName => {
+            const value = Array.isArray(opt[optionName]) ? opt[optionName].join(",") : String(opt[optionName]);
+            return `${ optionName }=${ encodeURIComponent(value) }`;
+        });
+
+    return params.length ? "?" + params.join("&") : "";
+}
+
+function getViewXml(opt) {
+    return "<View>" +
+        opt.CAMLQuery +
+        (opt.CAMLViewFields || "") +
+        (opt.CAMLRowLimit ? `<RowLimit Paged="TRUE">${ opt.CAMLRowLimit }</RowLimit>` : "") +
+        "</View>";
+}
+
+/**
+ * Converts an item returned by the OData endpoint to the format returned by
+ * the SOAP api:
+ *
+ * -    The `OData_` prefix (added to fields whose internal name starts with `_`)
+ *      is removed.
+ * -    Lookups that are not expanded (their navigation property is deferred) are
+ *      returned as `ID;#`, using the `{Field}Id` property.
+ * -    The `{Field}Id` and `{Field}StringId` properties of lookups and the `Id`
+ *      property (same as `ID`) are not returned.
+ *
+ * @private
+ *
+ * @param {Object} item
+ *
+ * @return {Object}
+ */
+function getRowFromODataItem(item) {
+    return Object.keys(item).reduce((row, fieldName) => {
+        if (
+            fieldName === "__metadata" ||
+            (fieldName === "Id" && "ID" in item) ||
+            isLookupIdProperty(item, fieldName)
+        ) {
+            return row;
+        }
+
+        let value = getODataFieldValue(item[fieldName]);
+
+        if (value === undefined && item[fieldName] && item[fieldName].__deferred) {
+            value = getLookupIdValue(item[`${ fieldName }Id`]);
+        }
+
+        if (value !== undefined) {
+            row[fieldName === "Id" ? "ID" : fieldName.replace(/^OData_/, "")] = value;
+        }
+
+        return row;
+    }, {});
+}
+
+/**
+ * Checks if a property of an OData item is the `{Field}Id` (or `{Field}StringId`)
+ * of a lookup or person field - which is the case when the item also has the
+ * lookup's navigation property (`{Field}`), deferred or expanded.
+ *
+ * @private
+ *
+ * @param {Object} item
+ * @param {String} fieldName
+ *
+ * @return {Boolean}
+ */
+function isLookupIdProperty(item, fieldName) {
+    const lookupName    = /^(.+?)(String)?Id$/.exec(fieldName);
+    const lookup        = lookupName ? item[lookupName[1]] : null;
+
+    return !!lookup && typeof lookup === "object" && (
+        !!lookup.__deferred ||
+        "Id" in lookup ||
+        "ID" in lookup ||
+        (Array.isArray(lookup.results) && lookup.results.every(result => !!result && typeof result === "object"))
+    );
+}
+
+/**
+ * Returns the value of a `{Field}Id` property as `ID;#` (multiple IDs are
+ * delimited with `;#`).
+ *
+ * @private
+ *
+ * @param {Number|Object} lookupId
+ *
+ * @return {String|undefined}
+ */
+function getLookupIdValue(lookupId) {
+    if (lookupId === null || lookupId === undefined) {
+        return undefined;
+    }
+
+    if (Array.isArray(lookupId.results)) {
+        return lookupId.results.map(id => `${ id };#`).join(";#");
+    }
+
+    return `${ lookupId };#`;
+}
+
+function getODataFieldValue(value) {
+    if (value === null || value === undefined) {
+        return undefined;
+    }
+
+    if (typeof value === "boolean") {
+        return value ? "1" : "0";
+    }
+
+    if (typeof value === "number") {
+        return String(value);
+    }
+
+    if (typeof value === "string") {
+        return IS_UTC_DATE.test(value) ? getSoapDateString(value) : value;
+    }
+
+    // Not expanded
+    if (value.__deferred) {
+        return undefined;
+    }
+
+    // Multi-value (ex. MultiChoice, LookupMulti, UserMulti)
+    if (Array.isArray(value.results)) {
+        if (!value.results.length) {
+            return "";
+        }
+
+        if (value.results.some(result => result && typeof result === "object")) {
+            return value.results.map(getLookupValue).join(";#");
+        }
+
+        return ";#" + value.results.join(";#") + ";#";
+    }
+
+    // Lookup or Person (expanded)
+    if ("Id" in value || "ID" in value) {
+        return getLookupValue(value);
+    }
+
+    return undefined;
+}
+
+/**
+ * Returns an expanded lookup (or person) as `ID;#Value`. The value is the
+ * first attribute selected (other than `Id`), which is normally the lookup's
+ * show field (ex. `Title`).
+ *
+ * @private
+ */
+function getLookupValue(lookup) {
+    const valueName = Object.keys(lookup).filter(attrName => attrName !== "__metadata" && attrName !== "Id" && attrName !== "ID")[0];
+    return `${ "Id" in lookup ? lookup.Id : lookup.ID };#${ valueName && lookup[valueName] !== null ? lookup[valueName] : "" }`;
+}
+
+/**
+ * Converts a row returned by `RenderListDataAsStream` to the format returned
+ * by the SOAP api. Raw values (ex. `Field.` for numbers, `Field.value` for
+ * booleans) are used instead of the display ones.
+ *
+ * @private
+ *
+ * @param {Object} listDataRow
+ *
+ * @return {Object}
+ */
+function getRowFromListData(listDataRow) {
+    return Object.keys(listDataRow).reduce((row, fieldName) => {
+        if (fieldName.indexOf(".") !== -1) {
+            return row;
+        }
+
+        let value = listDataRow[fieldName];
+
+        if (`${ fieldName }.` in listDataRow) {
+            value = listDataRow[`${ fieldName }.`];
+        }
+        else if (`${ fieldName }.value` in listDataRow) {
+            value = listDataRow[`${ fieldName }.value`];
+        }
+
+        if (Array.isArray(value)) {
+            value = value.map(lookup => {
+                // Lookup: {lookupId, lookupValue} -- Person: {id, title}
+                if ("lookupId" in lookup) {
+                    return `${ lookup.lookupId };#${ lookup.lookupValue || "" }`;
+                }
+                return `${ lookup.id };#${ lookup.title || "" }`;
+            }).join(";#");
+        }
+        else if (typeof value === "string" && IS_UTC_DATE.test(value)) {
+            value = getSoapDateString(value);
+        }
+        else if (value !== null && value !== undefined) {
+            value = String(value);
+        }
+
+        if (value !== null && value !== undefined && value !== "") {
+            row[fieldName] = value;
+        }
+
+        return row;
+    }, {});
+}
+
+function getSoapDateString(utcDateString) {
+    return getDateString(new Date(utcDateString)).replace("T", " ");
+}
+
+/**
+ * Returns the list columns if `convertTypes` option is true.
+ *
+ * @private
+ */
+function getItemColumns(opt, rows) {
+    if (!opt.convertTypes) {
+        return Promise.resolve(null);
+    }
+
+    const fieldNames = {};
+
+    rows.forEach(row => Object.keys(row).forEach(fieldName => fieldNames[fieldName] = true));
+
+    return getListColumns({
+        listName:   opt.listName,
+        webURL:     opt.webURL,
+        cache:      true,
+        whiteList:  Object.keys(fieldNames),
+        signal:     opt.signal,
+        timeout:    opt.timeout
+    });
+}
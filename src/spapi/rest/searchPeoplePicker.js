@@ -44,6 +44,13 @@ export const PRINCIPAL_SOURCES = freeze({
  * @param {Object} [options.webURL='currentSiteUrl']
  * @param {Object} [options.cache=true]
  * @param {UserProfileModel} [options.UserProfileModel=UserProfileModel]
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to cancel the request. When aborted, the returned
+ *  promise is rejected with an `AbortError`.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
  *
  * @return {Promise<Array<UserProfileModel>, Error>}
  */
@@ -65,7 +72,10 @@ export function searchPeoplePicker(options) {
 
         const apiRequest = apiFetch(`${ contextInfo.WebFullUrl }/_api/SP.UI.ApplicationPages.ClientPeoplePickerWebServiceInterface.ClientPeoplePickerSearchUser`, {
             method:     "POST",
+            idempotent: true,
             headers:    getRestHeaders(contextInfo),
+            signal:     opt.signal,
+            timeout:    opt.timeout,
             body:       JSON.stringify({
                 queryParams: {
                     QueryString:                opt.searchText,
@@ -110,7 +120,9 @@ searchPeoplePicker.defaults = {
     principalSource:    'All',
     webURL:             '',
     cache:              true,
-    UserProfileModel:   UserProfileModel
+    UserProfileModel:   UserProfileModel,
+    signal:             null,
+    timeout:            null
 };
 
 
@@ -1,5 +1,6 @@
 import apiFetch from "../sputils/apiFetch";
 import cache from "../sputils/cache";
+import whenNotAborted from "../sputils/whenNotAborted";
 import getSiteWebUrl from "./getSiteWebUrl";
 import UserProfileModel from "../models/UserProfileModel";
 import objectExtend from "common-micro-libs/src/jsutils/objectExtend";
@@ -17,6 +18,13 @@ import domFind from "common-micro-libs/src/domutils/domFind";
  *      SecurityGroup, SharePointGroup, All
  * @param {Object} [options.webURL='currentSiteUrl']
  * @param {Object} [options.cache=true]
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to cancel the request. When aborted, the returned
+ *  promise is rejected with an `AbortError`.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
  *
  * @return {Promise<Array<UserProfileModel>, Error>}
  *  Promise is resolved with an array of UserProfileModels
@@ -39,15 +47,20 @@ var searchPrincipals = function(options){
 
         opt.isCached = cache.isCached(opt.cacheKey);
 
-        if (opt.cacheXML && opt.isCached) {
-            return cache(opt.cacheKey);
+        if (opt.cache && opt.isCached) {
+            return whenNotAborted(cache(opt.cacheKey), opt.signal);
         }
 
         cache.clear(opt.cacheKey);
 
+        // A cached request is shared with other callers, so it is not bound to
+        // this caller's signal - the signal is only applied to this caller's wait.
         reqPromise = apiFetch(opt.webURL, {
                 method:     "POST",
+                idempotent: true,
                 headers:    {'Content-Type': 'text/xml;charset=UTF-8'},
+                signal:     opt.cache ? null : opt.signal,
+                timeout:    opt.timeout,
                 body:       '<soap:Envelope xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">' +
                     '<soap:Body><SearchPrincipals xmlns="http://schemas.microsoft.com/sharepoint/soap/">' +
                     '<searchText>' + opt.searchText + '</searchText>' +
@@ -97,7 +110,7 @@ var searchPrincipals = function(options){
             cache.clear(opt.cacheKey, reqPromise);
         });
 
-        return reqPromise;
+        return whenNotAborted(reqPromise, opt.signal);
     });
 };
 
@@ -107,7 +120,9 @@ searchPrincipals.defaults = {
     principalType:      'All',
     webURL:             '',
     cache:              true,
-    UserProfileModel:   UserProfileModel
+    UserProfileModel:   UserProfileModel,
+    signal:             null,
+    timeout:            null
 };
 
 
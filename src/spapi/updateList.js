@@ -0,0 +1,110 @@
+import objectExtend     from "common-micro-libs/src/jsutils/objectExtend"
+import callSoapService  from "../sputils/callSoapService"
+import xmlEscape        from "../sputils/xmlEscape"
+import getSiteWebUrl    from "./getSiteWebUrl"
+import ListModel        from "../models/ListModel"
+import {
+    getFieldsXml,
+    getListPropertiesXml,
+    clearListCache }    from "../sputils/listSchemaUtils"
+
+//========================================================================
+
+/**
+ * Updates a list definition (properties and columns) using `Lists.asmx` `UpdateList`.
+ * Cached data for the list (ex. `getList()`, `getListColumns()`) is cleared.
+ *
+ * @function updateList
+ *
+ * @param {Object} options
+ *
+ * @param {String} options.listName
+ *  The list name (Title) or ID
+ *
+ * @param {String} [options.webURL=currentSite]
+ *
+ * @param {Object|String} [options.listProperties]
+ *  The list properties to be updated (ex. `{ Description: "...", EnableVersioning: true }`)
+ *  or the `<List>` XML. See `getListPropertiesXml()` in `sputils/listSchemaUtils`.
+ *
+ * @param {Array<Object|String>} [options.newFields]
+ *  Columns to be added. See `getFieldXml()` in `sputils/listSchemaUtils`.
+ *
+ * @param {Array<Object|String>} [options.updateFields]
+ *  Columns to be updated. Each must include the column's `Name`.
+ *
+ * @param {Array<Object|String>} [options.deleteFields]
+ *  Columns to be deleted - their internal names (or objects with a `Name`).
+ *
+ * @param {String} [options.listVersion=""]
+ *  The version of the list (`ListModel#Version`) the update is based on. When
+ *  set, SharePoint fails the update if the list was changed since then.
+ *
+ * @param {ListModel} [options.ListModel=ListModel]
+ *
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to cancel the request. When aborted, the returned
+ *  promise is rejected with an `AbortError`.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
+ *
+ * @return {Promise<ListModel, Error>}
+ *  Resolved with a ListModel built from the `ListProperties` returned by SharePoint.
+ *  The model's source (`getSource()`) is the full response, which includes the
+ *  definition of each column added or updated (`NewFields` and `UpdateFields`).
+ *  Rejected with a `SoapFaultError` if any of the changes failed.
+ *
+ * @see https://msdn.microsoft.com/en-us/library/lists.lists.updatelist(v=office.12).aspx
+ *
+ * @example
+ *
+ * updateList({
+ *      listName:       "Tasks",
+ *      listProperties: { Description: "Team tasks", EnableVersioning: true },
+ *      newFields:      [{ Type: "Note", DisplayName: "Comments", NumLines: 6 }],
+ *      deleteFields:   ["OldColumn"]
+ * });
+ */
+const updateList = function(options) {
+    let opt = objectExtend({}, updateList.defaults, options);
+
+    return getSiteWebUrl(opt.webURL).then(function(webURL) {
+        opt.webURL = webURL;
+
+        return callSoapService(webURL, "Lists", "UpdateList", {
+            listName:       xmlEscape.escape(opt.listName),
+            listProperties: getListPropertiesXml(opt.listProperties),
+            newFields:      getFieldsXml(opt.newFields),
+            updateFields:   getFieldsXml(opt.updateFields),
+            deleteFields:   getFieldsXml(opt.deleteFields, true),
+            listVersion:    xmlEscape.escape(String(opt.listVersion || ""))
+        }, { signal: opt.signal, timeout: opt.timeout })
+            .then(function(response) {
+                const list = opt.ListModel.create(response.content, { webURL: webURL });
+
+                clearListCache(webURL, [opt.listName, list.Title, list.ID]);
+                return list;
+            }, function(error) {
+                // Some of the changes could have been done
+                clearListCache(webURL, opt.listName);
+                throw error;
+            });
+    });
+};
+
+updateList.defaults = {
+    listName:       "",
+    webURL:         "",
+    listProperties: null,
+    newFields:      null,
+    updateFields:   null,
+    deleteFields:   null,
+    listVersion:    "",
+    ListModel:      ListModel,
+    signal:         null,
+    timeout:        null
+};
+
+export default updateList;
@@ -0,0 +1,74 @@
+import objectExtend             from "common-micro-libs/src/jsutils/objectExtend"
+import Promise                  from "common-micro-libs/src/jsutils/es6-promise"
+import updateList               from "./updateList"
+import ListColumnModel          from "../models/ListColumnModel"
+import ListColumnsCollection    from "../collections/ListColumnsCollection"
+import { getResultColumns }     from "../sputils/listSchemaUtils"
+
+//========================================================================
+
+/**
+ * Updates columns of a list using `Lists.asmx` `UpdateList`.
+ *
+ * @function updateListColumns
+ *
+ * @param {Object} options
+ *
+ * @param {String} options.listName
+ *  The list name (Title) or ID
+ *
+ * @param {Array<Object|String>} options.columns
+ *  The columns attributes to be updated. Each must include the column's internal
+ *  `Name` (ex. `{ Name: "Status", Required: true }`). See `getFieldXml()` in
+ *  `sputils/listSchemaUtils`.
+ *
+ * @param {String} [options.webURL=currentSite]
+ *
+ * @param {ListColumnModel} [options.ListColumnModel=ListColumnModel]
+ *
+ * @param {ListColumnsCollection} [options.ListColumnsCollection=ListColumnsCollection]
+ *
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to cancel the request. When aborted, the returned
+ *  promise is rejected with an `AbortError`.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
+ *
+ * @return {Promise<ListColumnsCollection, Error>}
+ *  Resolved with the (updated) definition of the columns.
+ */
+const updateListColumns = function(options) {
+    let opt = objectExtend({}, updateListColumns.defaults, options);
+
+    if (!opt.columns || !opt.columns.length) {
+        return Promise.resolve(opt.ListColumnsCollection.create([]));
+    }
+
+    return updateList({
+        listName:       opt.listName,
+        webURL:         opt.webURL,
+        updateFields:   opt.columns,
+        signal:         opt.signal,
+        timeout:        opt.timeout
+    })
+        .then(function(list) {
+            return opt.ListColumnsCollection.create(
+                getResultColumns(list, "UpdateFields", opt.ListColumnModel),
+                { listDef: list }
+            );
+        });
+};
+
+updateListColumns.defaults = {
+    listName:               "",
+    webURL:                 "",
+    columns:                null,
+    ListColumnModel:        ListColumnModel,
+    ListColumnsCollection:  ListColumnsCollection,
+    signal:                 null,
+    timeout:                null
+};
+
+export default updateListColumns;
@@ -1,7 +1,14 @@
 import apiFetch         from "../sputils/apiFetch"
+import getNodesFromXml  from "../sputils/getNodesFromXml"
 import getSiteWebUrl    from "./getSiteWebUrl"
+import ListItemModel    from "../models/ListItemModel"
 import objectExtend     from "common-micro-libs/src/jsutils/objectExtend"
 import Promise          from "common-micro-libs/src/jsutils/es6-promise"
+import {
+    AbortError,
+    UpdateListItemsError } from "../sputils/errors"
+import xmlEscape        from "../sputils/xmlEscape"
+import getListItems     from "./getListItems"
 
 //======================================================================
 
@@ -47,10 +54,53 @@ let counter = Date.now();
  * @param {Number} [options.concurrency=2]
  *  Number of max concurrent updates allowed.
  *
+ * @param {ApiFetchRetryPolicy|Boolean} [options.retry=null]
+ *  The retry policy used for each batch request. By default, batches are only
+ *  retried (based on `apiFetch.defaults.retry`) when SharePoint throttles them,
+ *  since batches that timed out or failed otherwise may have been applied. Set
+ *  to `false` to disable retries. See [apiFetch]{@link apiFetch}.
+ *
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to cancel the updates. Batches not yet sent will not
+ *  be sent and the returned promise is rejected with an `AbortError`. Note that
+ *  batches already processed by SharePoint are not reverted.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
+ *
+ * @param {ListItemModel} [options.ListItemModel=ListItemModel]
+ *  The model used for the items returned by SharePoint in each update's result.
+ *
+ * @param {Boolean} [options.checkVersion=false]
+ *  If true, each `Update` must include the version of the item it is based on
+ *  (`owshiddenversion`, as returned by `getListItems`), which is sent to SharePoint
+ *  so that the update fails if the item was changed by someone else since then.
+ *  Such failures are reported with a status of `conflict`. The promise is rejected
+ *  with an `Error` (nothing is sent) if any update is missing `owshiddenversion`.
+ *
+ * @param {Boolean} [options.stopOnError=false]
+ *  If true, no further batches are sent once a batch fails, and each batch is
+ *  sent with `OnError="Return"` so that SharePoint stops processing it at the
+ *  first error. Updates not processed are reported with a status of `cancelled`.
+ *  Batches already sent when a batch fails are not aborted (SharePoint may
+ *  have already applied them) - their results are reported as usual.
+ *
+ * @param {Boolean} [options.rollbackOnError=false]
+ *  If true and any update fails, then the updates that succeeded are reverted:
+ *  items updated are restored to the values they had (for the fields updated)
+ *  and items created are deleted. Those values are retrieved prior to sending
+ *  the updates. The outcome of the rollback is provided in the `rollback`
+ *  property of the rejected response. Deletes and updates given as XML strings
+ *  are not reverted. Not done when the updates are aborted.
+ *
  *
  * @return {Promise}
  *  The promise returned is resolved with a {@link updateListItemsResponse}
- *  object.
+ *  object. If any update failed, the promise is rejected with an
+ *  `UpdateListItemsError`, which has the same properties as that object
+ *  (with `status` set to `error`). The `results` property provides the
+ *  outcome of each individual update.
  *
  * @example
  *
@@ -70,6 +120,11 @@ let counter = Date.now();
  * .then(function(response){
  *      alert(response.message);
  * })
+ * .catch(function(error){
+ *      error.results
+ *          .filter(result => result.status === "error")
+ *          .forEach(result => console.log(`Update #${ result.index } failed: ${ result.errorText }`));
+ * })
  */
 function updateListItems(options) {
     var opt = objectExtend({}, updateListItems.defaults, options, { counter: 1});
@@ -77,27 +132,49 @@ function updateListItems(options) {
     return getSiteWebUrl(opt.webURL).then(function(webURL){
         opt.webURL = webURL;
 
-        // Get an array of Strings with all updates
-        opt._updates = getUpdateArray(opt);
+        // Get an array with all updates (xml strings and their input)
+        opt._updates = getUpdates(opt);
+
+        if (opt.checkVersion && opt.updateType === "Update") {
+            let missingVersion = opt._updates.filter(function(update){
+                var values = getUpdateValues(update.update);
+                return !values || values.owshiddenversion === undefined || values.owshiddenversion === "";
+            });
+
+            if (missingVersion.length) {
+                return Promise.reject(new Error(
+                    "updateListItems(): checkVersion is true but update(s) " +
+                    missingVersion.map(function(update){ return update.index; }).join(", ") +
+                    " do not include owshiddenversion"
+                ));
+            }
+        }
 
         return new Promise(function(resolve, reject){
             var
-            updatePromisesList  = [],
+            batches             = [],
             batchProcessingDone = false,
             updatesInFlight     = 0,
             maxConcurrentUpds   = opt.concurrency,
-            getBatchUpdateList  = function(){
+            isAborted           = function(){
+                return !!opt.signal && opt.signal.aborted;
+            },
+            getBatchUpdateList  = function(batch){
                 var
                 count           = 0,
-                xmlUpdateString = "";
+                xmlUpdateString = "",
+                update;
 
                 while (opt._updates.length && count < opt.batchSize) {
-                    xmlUpdateString += opt._updates.shift();
+                    update = opt._updates.shift();
+                    xmlUpdateString += update.xml;
+                    batch.updates.push(update);
                     count++;
                 }
 
                 if (!/<\/Batch>/.test(xmlUpdateString)) {
-                    xmlUpdateString = '<Batch OnError="Continue">' + xmlUpdateString + '</Batch>';
+                    xmlUpdateString = '<Batch OnError="' + (opt.stopOnError ? "Return" : opt.updateOnError) + '">' +
+                        xmlUpdateString + '</Batch>';
                 }
 
                 if (!opt._updates.length) {
@@ -106,9 +183,23 @@ function updateListItems(options) {
 
                 return xmlUpdateString;
             },
+            rollbackSnapshot    = null,
+            onUpdateFailed = function(){
+                // If stopOnError, then don't send any more batches
+                if (opt.stopOnError) {
+                    batchProcessingDone = true;
+                }
+
+                onUpdateDone();
+            },
             onUpdateDone = function(){
                 --updatesInFlight;
 
+                // If aborted, then don't send any more batches
+                if (isAborted()) {
+                    batchProcessingDone = true;
+                }
+
                 // If we're all done, then resolve the overall updateListItems promise
                 if (updatesInFlight === 0 && batchProcessingDone) {
                     resolveUpdateListItems();
@@ -127,6 +218,7 @@ function updateListItems(options) {
                 }
 
                 var
+                batch = { updates: [], promise: null },
                 updatePromise = apiFetch(opt.webURL + "_vti_bin/Lists.asmx", {
                     method: "POST",
                     headers: {
@@ -134,19 +226,21 @@ function updateListItems(options) {
                         'SOAPAction':   'http://schemas.microsoft.com/sharepoint/soap/UpdateListItems'
 
                     },
+                    retry: opt.retry,
+                    signal: opt.signal,
+                    timeout: opt.timeout,
                     body: "<?xml version=\"1.0\" encoding=\"utf-8\"?>" +
                         "<soap:Envelope xmlns:xsi=\"http://www.w3.org/2001/XMLSchema-instance\" xmlns:xsd=\"http://www.w3.org/2001/XMLSchema\" xmlns:soap=\"http://schemas.xmlsoap.org/soap/envelope/\">" +
                         "<soap:Body><UpdateListItems xmlns=\"http://schemas.microsoft.com/sharepoint/soap/\">" +
                         "<listName>" + opt.listName + "</listName><updates>" +
-                        getBatchUpdateList() +
+                        getBatchUpdateList(batch) +
                         "</updates></UpdateListItems></soap:Body></soap:Envelope>"
                 });
 
                 updatesInFlight++;
-                updatePromisesList.push(updatePromise);
-                // on resolve or reject: call onUpdateDone()
-                // FIXME: on first Promise.reject - stop all further executions of apiFetch's
-                updatePromise.then(onUpdateDone, onUpdateDone);
+                batch.promise = updatePromise;
+                batches.push(batch);
+                updatePromise.then(onUpdateDone, onUpdateFailed);
 
                 // If we are not yet done, then call execBatchUpdate again
                 if (!batchProcessingDone){
@@ -156,10 +250,21 @@ function updateListItems(options) {
             // resolveUpdateListItems
             // Called when all Updates have been sent to the server
             resolveUpdateListItems = function(){
-                var
-                // Processes the values returns by apiFetch (ApiResponse object)
-                processAjaxResponses = function(apiResponses, isHttpError){
-                    var isMultiRequest = updatePromisesList.length > 1,
+                // Wait for all batches to settle, so that the result of every update is known
+                Promise.all(batches.map(function(batch){
+                    return batch.promise.then(
+                        function(apiResponse){
+                            return { batch: batch, apiResponse: apiResponse, error: null };
+                        },
+                        function(error){
+                            return { batch: batch, apiResponse: (error && error.response) || null, error: error };
+                        }
+                    );
+                }))
+                .then(function(batchOutcomes){
+                    var
+                    isMultiRequest  = batches.length > 1,
+                    firstError      = null,
 
                     /**
                      * Response object returned by updateListItems. Note that if batch
@@ -183,61 +288,470 @@ function updateListItems(options) {
                      *  be an array with all API Responses.
                      *  If an error occurred, this property will be an `Error` or
                      *  an `Object`
+                     *
+                     * @property {Array<updateListItemsResult>} results
+                     *  The result of each individual update (`Method`), in the same
+                     *  order as they were given on input.
+                     *
+                     * @property {Array<updateListItemsResult>} conflicts
+                     *  The results that have a status of `conflict` (item was changed
+                     *  by someone else). Each one's `item` has the current values
+                     *  from the server.
                      */
                     response = {
                         status:     "success", //error || success
                         message:    "Update Successful.",
-                        response:   isMultiRequest ? [] : null
+                        response:   isMultiRequest ? [] : null,
+                        results:    [],
+                        conflicts:  []
                     };
 
-                    if (!Array.isArray(apiResponses)) {
-                        if (apiResponses instanceof Error) {
-                            response.status     = "error";
-                            response.message    = apiResponses.message;
-                            response.response   = apiResponses;
+                    batchOutcomes.forEach(function(outcome){
+                        if (outcome.error && !firstError) {
+                            firstError = outcome.error;
                         }
 
-                    } else {
-                        apiResponses.forEach(function(reqResponse){
-                            if (isMultiRequest) {
-                                response.response.push(reqResponse);
-
-                            } else {
-                                response.response = reqResponse;
-                            }
-
-                            if (isHttpError) {
-                                response.status     = "error";
-                                response.message    = reqResponse.message || "HTTP error";
-                            }
-                        });
+                        if (isMultiRequest) {
+                            response.response.push(outcome.error || outcome.apiResponse);
+
+                        } else {
+                            response.response = outcome.error || outcome.apiResponse;
+                        }
+
+                        response.results.push.apply(response.results, getBatchResults(outcome, opt));
+                    });
+
+                    // Updates never sent (ex. due to stopOnError)
+                    if (opt._updates.length) {
+                        response.results.push.apply(response.results, getBatchResults({
+                            batch:      { updates: opt._updates.splice(0) },
+                            cancelled:  true
+                        }, opt));
                     }
 
-                    if (response.status === "error") {
-                        // FIXME: convert response to an Error
-                        reject(response);
+                    if (firstError) {
+                        if (isAborted()) {
+                            reject(firstError instanceof AbortError ? firstError : new AbortError());
+                            return;
+                        }
+
+                        response.status     = "error";
+                        response.message    = firstError.message || "HTTP error";
+                        response.response   = firstError;
+                        response.conflicts  = response.results.filter(function(result){
+                            return result.status === "conflict";
+                        });
+
+                        getConflictItems(response.conflicts, opt)
+                            .then(function(){
+                                if (rollbackSnapshot) {
+                                    return rollbackUpdates(response.results, rollbackSnapshot, opt).then(function(rollback){
+                                        response.rollback = rollback;
+                                    });
+                                }
+                            })
+                            .then(function(){
+                                reject(new UpdateListItemsError(response.message, response));
+                            });
 
                     } else {
                         resolve(response);
                     }
-                };
-
-                // When all requests are done, then process the responses
-                Promise.all(updatePromisesList).then(
-                    function(apiResponses){
-                        processAjaxResponses(apiResponses, false);
-                    },
-                    function (err) {
-                        processAjaxResponses(err, true);
-                    }
-                )["catch"](function(err){
+                })["catch"](function(err){
                     reject(err);
                 });
             };
 
-            execBatchUpdate();
+            if (isAborted()) {
+                reject(new AbortError());
+                return;
+            }
+
+            if (!opt.rollbackOnError) {
+                execBatchUpdate();
+                return;
+            }
+
+            // Get the current values of the items being updated prior to sending any updates
+            getRollbackSnapshot(opt).then(function(snapshot){
+                rollbackSnapshot = snapshot;
+                execBatchUpdate();
+            })["catch"](reject);
+        });
+    });
+}
+
+/**
+ * Returns the result of each update (`Method`) sent in a batch. Results are
+ * correlated to the updates by way of the `Method` `ID` attribute, which
+ * SharePoint returns in each `Result` (ex. `<Result ID="1,Update">`).
+ *
+ * @private
+ *
+ * @param {Object} outcome
+ * @param {Object} outcome.batch
+ * @param {ApiFetchResponse} [outcome.apiResponse]
+ * @param {Error} [outcome.error]
+ * @param {Boolean} [outcome.cancelled]
+ *  True if the batch was never sent
+ * @param {Object} opt
+ *  The `updateListItems` options
+ *
+ * @return {Array<updateListItemsResult>}
+ */
+function getBatchResults(outcome, opt) {
+    let results         = [];
+    let methods         = {};
+    let resultElements  = [];
+
+    outcome.batch.updates.forEach(update => {
+        (update.xml.match(/<Method\s[^>]*>/g) || []).forEach(methodTag => {
+            let methodId    = /\sID=["']([^"']*)["']/.exec(methodTag);
+            let command     = /\sCmd=["']([^"']*)["']/.exec(methodTag);
+
+            if (methodId) {
+                methods[methodId[1]] = {
+                    update:     update,
+                    command:    command ? command[1] : "",
+                    result:     null
+                };
+            }
         });
     });
+
+    if (outcome.apiResponse && outcome.apiResponse.content && outcome.apiResponse.content.getElementsByTagName) {
+        resultElements = Array.prototype.slice.call(outcome.apiResponse.content.getElementsByTagName("Result"));
+    }
+
+    resultElements.forEach(resultEle => {
+        let resultId    = String(resultEle.getAttribute("ID") || "").split(",");
+        let method      = methods[resultId[0]] || {
+                update:     { index: -1, update: null },
+                command:    resultId[1] || ""
+            };
+        let errorCode   = getChildText(resultEle, "ErrorCode");
+        let item        = getNodesFromXml({
+                xDoc:               resultEle,
+                nodeName:           "z:row",
+                nodeModel:          opt.ListItemModel,
+                nodeModelOptions:   {
+                    listName:           opt.listName,
+                    webURL:             opt.webURL,
+                    getListItems:       getListItems,
+                    updateListItems:    updateListItems
+                }
+            })[0] || null;
+
+        /**
+         * The result of an individual update
+         *
+         * @typedef {Object} updateListItemsResult
+         *
+         * @property {Number} index
+         *  The index of the update in `options.updates` (`0` when a single update was given).
+         * @property {Object|Array|String} update
+         *  The update, as given on input.
+         * @property {String} methodId
+         *  The `ID` of the `Method` element sent to SharePoint.
+         * @property {String} command
+         *  The `Cmd` of the update (ex. `Update`, `New`, `Delete`).
+         * @property {String} status
+         *  Either `success`, `error`, `conflict` (item was changed by someone else
+         *  since the version given in `owshiddenversion`) or `cancelled` (update
+         *  not processed).
+         * @property {String} errorCode
+         *  The SharePoint error code (ex. `0x00000000` when successful).
+         * @property {String} errorText
+         *  The SharePoint error message (empty string when successful).
+         * @property {ListItemModel} item
+         *  The item as returned by SharePoint after the update. `null` if none
+         *  was returned (ex. for deletes or failed updates). For conflicts, the
+         *  item with its current values on the server.
+         */
+        method.result = {
+            index:      method.update.index,
+            update:     method.update.update,
+            methodId:   resultId[0],
+            command:    resultId[1] || method.command,
+            status:     getResultStatus(errorCode),
+            errorCode:  errorCode,
+            errorText:  getChildText(resultEle, "ErrorText"),
+            item:       item
+        };
+
+        results.push(method.result);
+    });
+
+    // Any update without a result is reported as an error if the batch failed
+    // without a response (ex. HTTP error) or as cancelled if it was not processed
+    // (ex. batch not sent or SharePoint stopped processing it due to `OnError="Return"`)
+    Object.keys(methods).forEach(methodId => {
+        let method      = methods[methodId];
+        let isCancelled = outcome.cancelled || !!resultElements.length;
+
+        if (!method.result) {
+            results.push({
+                index:      method.update.index,
+                update:     method.update.update,
+                methodId:   methodId,
+                command:    method.command,
+                status:     isCancelled ? "cancelled" : "error",
+                errorCode:  (!isCancelled && outcome.error && outcome.error.errorCode) || "",
+                errorText:  isCancelled ?
+                                "Update not processed" :
+                                (outcome.error ? outcome.error.message : "No result returned"),
+                item:       null
+            });
+        }
+    });
+
+    return results;
+}
+
+/**
+ * Retrieves the current values of the items being updated (only the fields
+ * being updated), so that they can be restored on failure.
+ *
+ * @private
+ *
+ * @param {Object} opt
+ *  The `updateListItems` options
+ *
+ * @return {Promise<Object>}
+ *  Resolved with an object whose keys are item `ID`s and values the `ListItemModel`s
+ */
+function getRollbackSnapshot(opt) {
+    let itemIds     = [];
+    let fieldNames  = {};
+
+    if (opt.updateType === "Update") {
+        opt._updates.forEach(update => {
+            let values = getUpdateValues(update.update);
+
+            if (values && values.ID) {
+                itemIds.push(values.ID);
+                Object.keys(values).forEach(fieldName => fieldNames[fieldName] = true);
+            }
+        });
+    }
+
+    return getItemsById(itemIds, Object.keys(fieldNames), opt);
+}
+
+/**
+ * Retrieves the current values of the items whose updates failed with a
+ * version conflict and SharePoint did not return the item. Sets the `item`
+ * of each result.
+ *
+ * @private
+ *
+ * @param {Array<updateListItemsResult>} conflicts
+ * @param {Object} opt
+ *  The `updateListItems` options
+ *
+ * @return {Promise}
+ *  Never rejected.
+ */
+function getConflictItems(conflicts, opt) {
+    let itemIds     = [];
+    let fieldNames  = { owshiddenversion: true };
+    let getItemId   = result => (getUpdateValues(result.update) || {}).ID;
+
+    conflicts.forEach(result => {
+        if (!result.item && getItemId(result)) {
+            itemIds.push(getItemId(result));
+            Object.keys(getUpdateValues(result.update)).forEach(fieldName => fieldNames[fieldName] = true);
+        }
+    });
+
+    if (!itemIds.length) {
+        return Promise.resolve();
+    }
+
+    return getItemsById(itemIds, Object.keys(fieldNames), opt)
+        .then(items => {
+            conflicts.forEach(result => {
+                if (!result.item) {
+                    result.item = items[getItemId(result)] || null;
+                }
+            });
+        })
+        ["catch"](() => {});
+}
+
+/**
+ * Retrieves a set of items by `ID`
+ *
+ * @private
+ *
+ * @param {Array<String>} itemIds
+ * @param {Array<String>} fieldNames
+ * @param {Object} opt
+ *  The `updateListItems` options
+ *
+ * @return {Promise<Object>}
+ *  Resolved with an object whose keys are item `ID`s and values the `ListItemModel`s
+ */
+function getItemsById(itemIds, fieldNames, opt) {
+    let items   = {};
+    let queries = [];
+
+    // Retrieve items in groups of 500 (max. number of values for the CAML <In> operator)
+    for (let i = 0; i < itemIds.length; i += 500) {
+        queries.push(itemIds.slice(i, i + 500));
+    }
+
+    return queries.reduce((prevQuery, queryIds) => {
+        return prevQuery.then(() => getListItems({
+            listName:           opt.listName,
+            webURL:             opt.webURL,
+            CAMLQuery:          '<Query><Where><In><FieldRef Name="ID"/><Values>' +
+                                queryIds.map(itemId => '<Value Type="Counter">' + itemId + '</Value>').join("") +
+                                '</Values></In></Where></Query>',
+            CAMLViewFields:     '<ViewFields>' +
+                                fieldNames.map(fieldName => '<FieldRef Name="' + fieldName + '"/>').join("") +
+                                '</ViewFields>',
+            CAMLQueryOptions:   '<QueryOptions><ViewAttributes Scope="RecursiveAll"/></QueryOptions>',
+            CAMLRowLimit:       queryIds.length,
+            ListItemModel:      opt.ListItemModel,
+            signal:             opt.signal,
+            timeout:            opt.timeout
+        }))
+        .then(queryItems => queryItems.forEach(item => items[item.ID] = item));
+    }, Promise.resolve())
+    .then(() => items);
+}
+
+/**
+ * Reverts the successful updates: restores updated items to the values in the
+ * snapshot and deletes created items.
+ *
+ * @private
+ *
+ * @param {Array<updateListItemsResult>} results
+ * @param {Object} snapshot
+ * @param {Object} opt
+ *  The `updateListItems` options
+ *
+ * @return {Promise<Object>}
+ *  Resolved (never rejected) with an object containing `status` (`success` or
+ *  `error`) and `results` (Array of `updateListItemsResult`).
+ */
+function rollbackUpdates(results, snapshot, opt) {
+    let restores = [];
+    let removals = [];
+    let rollback = { status: "success", results: [] };
+
+    results.forEach(result => {
+        if (result.status !== "success") {
+            return;
+        }
+
+        if (result.command === "New" && result.item) {
+            removals.push({ ID: result.item.ID });
+
+        } else if (result.command === "Update") {
+            let values      = getUpdateValues(result.update);
+            let prevItem    = values && snapshot[values.ID];
+
+            if (prevItem) {
+                let restore = { ID: values.ID };
+
+                // The item version is not restored (it is set by SharePoint)
+                Object.keys(values).forEach(fieldName => {
+                    if (fieldName !== "ID" && fieldName !== "owshiddenversion") {
+                        restore[fieldName] = xmlEscape.escape(
+                            prevItem[fieldName] === undefined || prevItem[fieldName] === null ? "" : String(prevItem[fieldName])
+                        );
+                    }
+                });
+
+                restores.push(restore);
+            }
+        }
+    });
+
+    const revert = (updates, updateType) => {
+        if (!updates.length) {
+            return Promise.resolve();
+        }
+
+        return updateListItems({
+            listName:       opt.listName,
+            webURL:         opt.webURL,
+            updates:        updates,
+            updateType:     updateType,
+            batchSize:      opt.batchSize,
+            concurrency:    opt.concurrency,
+            retry:          opt.retry
+        })
+        .then(null, response => response)
+        .then(response => {
+            if (!response || response.status !== "success") {
+                rollback.status = "error";
+            }
+
+            if (response && response.results) {
+                rollback.results.push.apply(rollback.results, response.results);
+            }
+        });
+    };
+
+    return revert(restores, "Update").then(() => revert(removals, "Delete")).then(() => rollback);
+}
+
+/**
+ * Returns an object with the field values of an update given on input
+ * (`Object` or `Array<Array>`). `null` is returned for XML strings.
+ *
+ * @private
+ *
+ * @param {Object|Array|String} update
+ *
+ * @return {Object|null}
+ */
+function getUpdateValues(update) {
+    if (Array.isArray(update)) {
+        return update.reduce((values, fieldValue) => {
+            if (Array.isArray(fieldValue)) {
+                values[fieldValue[0]] = fieldValue[1];
+            }
+            return values;
+        }, {});
+    }
+
+    if (update && typeof update === "object") {
+        return update;
+    }
+
+    return null;
+}
+
+/**
+ * Returns the status of an update given the SharePoint error code
+ *
+ * @private
+ *
+ * @param {String} errorCode
+ *
+ * @return {String}
+ */
+function getResultStatus(errorCode) {
+    if (!errorCode || errorCode === "0x00000000") {
+        return "success";
+    }
+
+    // 0x81020015: Save Conflict. Your changes conflict with those made concurrently by another user.
+    if (errorCode.toLowerCase() === "0x81020015") {
+        return "conflict";
+    }
+
+    return "error";
+}
+
+function getChildText(ele, tagName) {
+    let childEle = ele.getElementsByTagName(tagName)[0];
+    return childEle ? String(childEle.textContent).trim() : "";
 }
 
 /**
@@ -284,6 +798,21 @@ function updateListItems(options) {
  *  Each item in the Array is an xml string (the single Method element)
  */
 function getUpdateArray(options){
+    return getUpdates(options).map(update => update.xml);
+}
+
+/**
+ * Same as `getUpdateArray()`, but each item in the returned array is an object
+ * with the `xml` string, the `index` of the update in `options.updates`
+ * and the `update` as given on input.
+ *
+ * @private
+ *
+ * @param {Object} options
+ *
+ * @return {Array<Object>}
+ */
+function getUpdates(options){
     let opt = objectExtend({
         updateType: "Update",
         updates:    []
@@ -316,10 +845,12 @@ function getUpdateArray(options){
             // If this column has fields to be updated, create
             // the method agregate around it
             if (thisUpd) {
-                updates.push(
-                    '<Method ID="' + getUpdId() + '" Cmd="' +
-                    opt.updateType + '">' + thisUpd + '</Method>'
-                );
+                updates.push({
+                    xml:    '<Method ID="' + getUpdId() + '" Cmd="' +
+                            opt.updateType + '">' + thisUpd + '</Method>',
+                    index:  i,
+                    update: updArray[i]
+                });
             }
         }
     }
@@ -339,10 +870,12 @@ function getUpdateArray(options){
         }
 
         if (thisUpd) {
-            updates.push(
-                '<Method ID="' + getUpdId() + '" Cmd="' +
-                opt.updateType + '">' + thisUpd + '</Method>'
-            );
+            updates.push({
+                xml:    '<Method ID="' + getUpdId() + '" Cmd="' +
+                        opt.updateType + '">' + thisUpd + '</Method>',
+                index:  0,
+                update: updArray
+            });
         }
     }
 
@@ -357,22 +890,24 @@ function getUpdateArray(options){
     // If options.updates is a string, then just add it as is to
     // the array
     else if (ofType === "string"){
-        updates.push(opt.updates);
+        updates.push({ xml: opt.updates, index: 0, update: opt.updates });
     }
     else if (Array.isArray(opt.updates) && opt.updates.length) {
         ofType = typeof opt.updates[0];
 
+        // Array<Array> must be checked before Array<Object>, since `typeof`
+        // an Array is also "object" - otherwise, each inner array would be
+        // sent as a separate (invalid) update.
+        if (Array.isArray(opt.updates[0])) {
+            processArrayOfArrays(opt.updates);
+        }
         // Array<Object>
-        if (ofType === "object") {
+        else if (ofType === "object") {
             processArrayOfObjects(opt.updates);
         }
         // Array<String>
         else if (ofType === "string") {
-            updates.push.apply(updates, opt.updates);
-        }
-        // Array<Array>
-        else if (Array.isArray(opt.updates[0])) {
-            processArrayOfArrays(opt.updates);
+            opt.updates.forEach((update, index) => updates.push({ xml: update, index, update }));
         }
     }
     else if (ofType === "object") {
@@ -399,7 +934,14 @@ updateListItems.defaults = {
     updateType:     'Update',
     updateOnError:  'Continue',
     batchSize:      100,
-    concurrency:    2
+    concurrency:    2,
+    retry:          null,
+    signal:         null,
+    timeout:        null,
+    ListItemModel:  ListItemModel,
+    checkVersion:   false,
+    stopOnError:    false,
+    rollbackOnError: false
 };
 
 export default updateListItems;
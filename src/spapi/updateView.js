@@ -0,0 +1,122 @@
+import objectExtend         from "common-micro-libs/src/jsutils/objectExtend"
+import xmlEscape            from "../sputils/xmlEscape"
+import getSiteWebUrl        from "./getSiteWebUrl"
+import { getViewId }        from "./getListViews"
+import ViewModel            from "../models/ViewModel"
+import { clearListCache }   from "../sputils/listSchemaUtils"
+import callSoapService      from "../sputils/callSoapService"
+import {
+    getViewFieldsXml,
+    getViewQueryXml,
+    getRowLimitXml }        from "../sputils/viewUtils"
+
+//========================================================================
+
+/**
+ * Updates a list view using `Views.asmx` `UpdateView`. Only the parts of the
+ * view that are defined on input are changed.
+ *
+ * @function updateView
+ *
+ * @param {Object} options
+ *
+ * @param {String} options.listName
+ *  The list name (Title) or ID
+ *
+ * @param {String} options.viewName
+ *  The view ID or display name
+ *
+ * @param {Object} [options.viewProperties]
+ *  View attributes to be updated (ex. `{ DisplayName: "Open Tasks", DefaultView: true }`).
+ *  Boolean values are sent as `TRUE`/`FALSE`.
+ *
+ * @param {Array<String>|String} [options.viewFields]
+ *  See `addView()`
+ *
+ * @param {String|CamlQuery} [options.query]
+ *  See `addView()`
+ *
+ * @param {Number} [options.rowLimit]
+ *
+ * @param {Boolean} [options.paged=true]
+ *
+ * @param {String} [options.webURL=currentSite]
+ *
+ * @param {ViewModel} [options.ViewModel=ViewModel]
+ *
+ * @param {AbortSignal} [options.signal]
+ *  A signal that can be used to cancel the request. When aborted, the returned
+ *  promise is rejected with an `AbortError`.
+ *
+ * @param {Number} [options.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each request is allowed to take before it is
+ *  rejected with a `TimeoutError`.
+ *
+ * @return {Promise<ViewModel, Error>}
+ *  Resolved with the (updated) definition of the view.
+ *
+ * @see https://msdn.microsoft.com/en-us/library/views.views.updateview(v=office.12).aspx
+ */
+const updateView = function(options) {
+    let opt = objectExtend({}, updateView.defaults, options);
+
+    return getSiteWebUrl(opt.webURL).then(function(webURL) {
+        opt.webURL = webURL;
+
+        return getViewId(opt)
+            .then(function(viewId) {
+                return callSoapService(webURL, "Views", "UpdateView", {
+                    listName:       xmlEscape.escape(opt.listName),
+                    viewName:       viewId,
+                    viewProperties: getViewPropertiesXml(opt.viewProperties),
+                    query:          getViewQueryXml(opt.query),
+                    viewFields:     getViewFieldsXml(opt.viewFields),
+                    aggregations:   "",
+                    formats:        "",
+                    rowLimit:       getRowLimitXml(opt.rowLimit, opt.paged)
+                }, { signal: opt.signal, timeout: opt.timeout });
+            })
+            .then(function(response) {
+                clearListCache(webURL, opt.listName);
+
+                return opt.ViewModel.create(response.content.getElementsByTagName("View")[0], {
+                    listName:   opt.listName,
+                    webURL:     webURL
+                });
+            });
+    });
+};
+
+function getViewPropertiesXml(viewProperties) {
+    if (!viewProperties) {
+        return "";
+    }
+
+    return "<View" +
+        Object.keys(viewProperties).map(function(propName) {
+            let value = viewProperties[propName];
+
+            if (typeof value === "boolean") {
+                value = value ? "TRUE" : "FALSE";
+            }
+
+            return ` ${ propName }="${ xmlEscape.escape(String(value)) }"`;
+        }).join("") +
+        "/>";
+}
+
+updateView.defaults = {
+    listName:       "",
+    viewName:       "",
+    viewProperties: null,
+    viewFields:     null,
+    query:          "",
+    rowLimit:       "",
+    paged:          true,
+    webURL:         "",
+    ViewModel:      ViewModel,
+    signal:         null,
+    timeout:        null
+};
+
+export default updateView;
@@ -1,10 +1,20 @@
 import fetchPolyfill    from "common-micro-libs/src/jsutils/es7-fetch"
 import parseXML         from "common-micro-libs/src/jsutils/parseXML"
 import Promise          from "common-micro-libs/src/jsutils/es6-promise"
+import objectExtend     from "common-micro-libs/src/jsutils/objectExtend"
 import doesMsgHaveError from "./doesMsgHaveError"
 import getMsgError      from "./getMsgError"
+import getSoapAction    from "./getSoapAction"
+import whenNotAborted   from "./whenNotAborted"
+import { getMsgErrorCode } from "./getMsgError"
+import {
+    AbortError,
+    SoapFaultError,
+    TimeoutError,
+    getHttpErrorType }  from "./errors"
 
-var fetch = fetchPolyfill.fetch;
+var INTERCEPTORS    = [];
+var transport       = fetchPolyfill.fetch;
 
 /**
  * Handles API calls to SharePoint using the low level ES7 fetch() api,
@@ -12,9 +22,52 @@ var fetch = fetchPolyfill.fetch;
  * Sharepoint Status errors and then data parsed, returning instead an
  * object.
  *
+ * Requests that fail with a retryable error (by default: HTTP `429` and `503`,
+ * which is how SharePoint signals throttling) are retried based on the
+ * retry policy defined in `apiFetch.defaults.retry`, which can be overridden
+ * per request by way of `init.retry`. Requests that are not idempotent (see
+ * `init.idempotent`) are, by default, only retried when SharePoint throttled
+ * them (HTTP `429`, or `503` with a `Retry-After` header) - not when they timed
+ * out or failed otherwise, since they may have changed data. Giving a retry
+ * policy applies it to these requests as well.
+ *
+ * Interceptors registered via `apiFetch.addInterceptor()` are given the
+ * opportunity to change each request prior to it being sent and to
+ * inspect/transform the response (or error) afterwards.
+ *
+ * Requests are sent using the transport set with `apiFetch.setTransport()`,
+ * which defaults to `fetch()`.
+ *
+ * Requests can be cancelled by providing an `AbortSignal` in `init.signal`.
+ * When aborted, the returned promise is rejected with an `AbortError`.
+ *
+ * Failed requests are rejected with an [ApiFetchError]{@link ApiFetchError}
+ * subtype (ex. `HttpError`, `ThrottledError`, `AuthError`, `SoapFaultError`,
+ * `TimeoutError`) which includes the HTTP status, SharePoint error code, url
+ * and SOAP action of the request.
+ *
  * @param {String|Request} input
  * @param {Object} init
  *
+ * @param {ApiFetchRetryPolicy|Boolean} [init.retry=apiFetch.defaults.retry]
+ *  The retry policy for this request. Any attribute defined will override
+ *  those found in `apiFetch.defaults.retry`. Set to `false` to disable retries.
+ *  Setting a retry policy enables all retries for non-idempotent requests.
+ *
+ * @param {Boolean} [init.idempotent]
+ *  Whether the request can safely be sent more than once. Defaults to `true`
+ *  for `GET`, `HEAD` and `OPTIONS` requests and `false` otherwise - SOAP
+ *  operations that only read data (which are sent as `POST`) should set this
+ *  to `true` in order for them to be retried with the full default policy.
+ *
+ * @param {AbortSignal} [init.signal]
+ *  A signal (from an `AbortController`) that can be used to cancel the request.
+ *
+ * @param {Number} [init.timeout=apiFetch.defaults.timeout]
+ *  Number of milliseconds each attempt is allowed to take before the request is
+ *  rejected with a `TimeoutError` (timed out attempts of idempotent requests are
+ *  retried). A value of `0` means no timeout.
+ *
  * @return {Promise<ApiFetchResponse, Error>}
  *  Promise is resolved with an object containing the following:
  *
@@ -24,12 +77,435 @@ var fetch = fetchPolyfill.fetch;
  *          response:   response    // A Response object
  *      }
  *
+ * @example
+ *
+ * // Retry up to 5 times when SharePoint throttles the request
+ * apiFetch(webURL + "_vti_bin/Lists.asmx", {
+ *      method: "POST",
+ *      body:   soapEnvelope,
+ *      retry:  { maxAttempts: 5 }
+ * });
  */
 var apiFetch = function(input, init){
-    return fetch(input, init)
-        .then(parseApiResponse)
-        .then(checkForSharePointErrors)
-        .then(checkForHttpErrors);
+    var retryPolicy = getRetryPolicy(init),
+        signal      = init && init.signal,
+        timeout     = init && init.timeout !== undefined && init.timeout !== null ? init.timeout : apiFetch.defaults.timeout,
+        attempt     = 0,
+        fetchInit   = init,
+        doFetch     = function(){
+            attempt++;
+
+            if (signal && signal.aborted) {
+                return Promise.reject(new AbortError("", getRequestDetails(input, fetchInit)));
+            }
+
+            return runRequestInterceptors({
+                    url:        input,
+                    init:       objectExtend({}, fetchInit, signal ? { signal: signal } : null),
+                    attempt:    attempt
+                })
+                .then(function(request){
+                    return whenNotAborted(
+                        sendRequest(request, timeout, signal),
+                        signal,
+                        getRequestDetails(input, fetchInit)
+                    )
+                        .then(function(response){
+                            return checkForSharePointErrors(response, request);
+                        })
+                        .then(function(response){
+                            return checkForHttpErrors(response, request);
+                        })
+                        .then(
+                            function(response){
+                                return runResponseInterceptors(response, request);
+                            },
+                            function(error){
+                                return runErrorInterceptors(error, request);
+                            }
+                        );
+                })
+                ["catch"](function(error){
+                    // Normalize errors (ex. native fetch() DOMException) when request was aborted
+                    if (signal && signal.aborted) {
+                        return Promise.reject(
+                            error instanceof AbortError ?
+                                error :
+                                new AbortError("", getRequestDetails(input, fetchInit))
+                        );
+                    }
+
+                    if (
+                        attempt < retryPolicy.maxAttempts &&
+                        retryPolicy.isRetryable(error, attempt, retryPolicy)
+                    ) {
+                        return wait(getRetryDelay(error, attempt, retryPolicy), signal, getRequestDetails(input, fetchInit))
+                            .then(doFetch);
+                    }
+
+                    return Promise.reject(error);
+                });
+        };
+
+    // Remove our options from the `init` object given to fetch()
+    if (init && (init.hasOwnProperty("retry") || init.hasOwnProperty("timeout") || init.hasOwnProperty("idempotent"))) {
+        fetchInit = objectExtend({}, init);
+        delete fetchInit.retry;
+        delete fetchInit.timeout;
+        delete fetchInit.idempotent;
+    }
+
+    return doFetch();
+},
+
+/**
+ * Sends the request using the current transport and parses the response.
+ * If a `timeout` is defined and the response is not received in time, then
+ * promise is rejected with a `TimeoutError` and (if supported) the underlying
+ * request is aborted.
+ *
+ * @private
+ *
+ * @param {ApiFetchRequest} request
+ * @param {Number} [timeout]
+ * @param {AbortSignal} [signal]
+ *  The signal provided by the caller of `apiFetch`
+ *
+ * @returns {Promise<ApiFetchResponse, Error>}
+ */
+sendRequest = function(request, timeout, signal) {
+    var controller, onAbort, timer;
+
+    if (!timeout) {
+        return transport(request.url, request.init).then(parseApiResponse);
+    }
+
+    // Use our own signal for the request, so that it can be aborted on timeout
+    if (typeof AbortController !== "undefined") {
+        controller  = new AbortController();
+        onAbort     = function(){
+            controller.abort();
+        };
+
+        if (signal) {
+            signal.addEventListener("abort", onAbort);
+        }
+
+        request.init.signal = controller.signal;
+    }
+
+    return new Promise(function(resolve, reject){
+        var cleanup = function(){
+            clearTimeout(timer);
+
+            if (signal && onAbort) {
+                signal.removeEventListener("abort", onAbort);
+            }
+        };
+
+        timer = setTimeout(function(){
+            cleanup();
+            reject(new TimeoutError(
+                `Request timed out after ${ timeout }ms (${ request.url })`,
+                getRequestDetails(request.url, request.init)
+            ));
+
+            if (controller) {
+                controller.abort();
+            }
+        }, timeout);
+
+        transport(request.url, request.init)
+            .then(parseApiResponse)
+            .then(
+                function(response){
+                    cleanup();
+                    resolve(response);
+                },
+                function(error){
+                    cleanup();
+                    reject(error);
+                }
+            );
+    });
+},
+
+/**
+ * Returns the request details that are added to errors
+ *
+ * @private
+ *
+ * @param {String|Request} url
+ * @param {Object} [init]
+ *
+ * @returns {Object}
+ */
+getRequestDetails = function(url, init) {
+    return {
+        url:        String((url && url.url) || url || ""),
+        soapAction: getSoapAction(init)
+    };
+},
+
+/**
+ * Runs the request through all registered `request` interceptors.
+ *
+ * @private
+ *
+ * @param {ApiFetchRequest} request
+ *
+ * @returns {Promise<ApiFetchRequest>}
+ */
+runRequestInterceptors = function(request) {
+    // Headers are copied so that interceptors don't alter the caller's object
+    if (request.init.headers && !request.init.headers.forEach) {
+        request.init.headers = objectExtend({}, request.init.headers);
+    }
+
+    return INTERCEPTORS.reduce(function(promise, interceptor){
+        if (!interceptor.request) {
+            return promise;
+        }
+
+        return promise.then(function(req){
+            return Promise.resolve(interceptor.request(req)).then(function(newReq){
+                return newReq || req;
+            });
+        });
+    }, Promise.resolve(request));
+},
+
+/**
+ * Runs the api response through all registered `response` interceptors.
+ *
+ * @private
+ *
+ * @param {ApiFetchResponse} response
+ * @param {ApiFetchRequest} request
+ *
+ * @returns {Promise<ApiFetchResponse>}
+ */
+runResponseInterceptors = function(response, request) {
+    return INTERCEPTORS.reduce(function(promise, interceptor){
+        if (!interceptor.response) {
+            return promise;
+        }
+
+        return promise.then(function(res){
+            return Promise.resolve(interceptor.response(res, request)).then(function(newRes){
+                return newRes || res;
+            });
+        });
+    }, Promise.resolve(response));
+},
+
+/**
+ * Runs a request error through all registered `error` interceptors. An
+ * interceptor can recover from the error by returning (or resolving with)
+ * an `ApiFetchResponse`, which will then be processed by the `response`
+ * interceptors.
+ *
+ * @private
+ *
+ * @param {Error} error
+ * @param {ApiFetchRequest} request
+ *
+ * @returns {Promise<ApiFetchResponse, Error>}
+ */
+runErrorInterceptors = function(error, request) {
+    return INTERCEPTORS.reduce(function(promise, interceptor){
+        if (!interceptor.error) {
+            return promise;
+        }
+
+        return promise["catch"](function(err){
+            return Promise.resolve(interceptor.error(err, request)).then(function(response){
+                if (response) {
+                    return runResponseInterceptors(response, request);
+                }
+
+                return Promise.reject(err);
+            });
+        });
+    }, Promise.reject(error));
+},
+
+/**
+ * Returns the retry policy for a given request
+ *
+ * @private
+ *
+ * @param {Object} [init]
+ *
+ * @returns {ApiFetchRetryPolicy}
+ */
+getRetryPolicy = function(init) {
+    var policy = objectExtend({}, apiFetch.defaults.retry);
+
+    if (init && init.retry === false) {
+        policy.maxAttempts = 1;
+
+    } else if (init && init.retry) {
+        objectExtend(policy, init.retry);
+
+    } else if (!isIdempotentRequest(init)) {
+        policy.isRetryable = getThrottledOnlyCheck(policy.isRetryable);
+    }
+
+    return policy;
+},
+
+/**
+ * Returns a retry check for requests that are not idempotent: only requests
+ * that SharePoint throttled (HTTP `429`, or `503` with a `Retry-After` header)
+ * are retried, since those were not processed by the server.
+ *
+ * @private
+ *
+ * @param {Function} isRetryable
+ *
+ * @returns {Function}
+ */
+getThrottledOnlyCheck = function(isRetryable) {
+    return function(error, attempt, retryPolicy){
+        var response    = getErrorHttpResponse(error),
+            status      = response ? response.status : 0;
+
+        return (
+            status === 429 ||
+            (status === 503 && !!response.headers && !!response.headers.get("Retry-After"))
+        ) &&
+            isRetryable(error, attempt, retryPolicy);
+    };
+},
+
+/**
+ * Returns `true` if the request can safely be sent more than once, based
+ * on `init.idempotent` or (if not set) on the request method.
+ *
+ * @private
+ *
+ * @param {Object} [init]
+ *
+ * @returns {Boolean}
+ */
+isIdempotentRequest = function(init) {
+    if (init && init.idempotent !== undefined) {
+        return !!init.idempotent;
+    }
+
+    return ["GET", "HEAD", "OPTIONS"].indexOf(String((init && init.method) || "GET").toUpperCase()) !== -1;
+},
+
+/**
+ * Returns the HTTP status code (if any) associated with an `apiFetch` error.
+ *
+ * @private
+ *
+ * @param {Error} error
+ *
+ * @returns {Number}
+ */
+getErrorStatus = function(error) {
+    var response = getErrorHttpResponse(error);
+    return response ? response.status : 0;
+},
+
+/**
+ * Returns the fetch `Response` (if any) associated with an `apiFetch` error.
+ *
+ * @private
+ *
+ * @param {Error} error
+ *
+ * @returns {Response|undefined}
+ */
+getErrorHttpResponse = function(error) {
+    var response = error && error.response;
+
+    if (response && !response.status && response.response) {
+        response = response.response;
+    }
+
+    return response && response.status ? response : undefined;
+},
+
+/**
+ * Default check for whether a failed request should be retried.
+ * Returns `true` if the HTTP status of the failed request is one of the
+ * status codes defined in the policy `retryOnStatus`, or if the request
+ * timed out and the policy `retryOnTimeout` is true.
+ *
+ * @param {Error} error
+ * @param {Number} attempt
+ * @param {ApiFetchRetryPolicy} retryPolicy
+ *
+ * @returns {Boolean}
+ */
+isRetryableError = function(error, attempt, retryPolicy) {
+    if (error instanceof TimeoutError) {
+        return !!retryPolicy.retryOnTimeout;
+    }
+
+    return (retryPolicy.retryOnStatus || []).indexOf(getErrorStatus(error)) !== -1;
+},
+
+/**
+ * Returns the number of milliseconds to wait before the next attempt.
+ * If the server sent a `Retry-After` header (and policy allows it), then
+ * that value is used, else an exponential delay is calculated.
+ *
+ * @private
+ *
+ * @param {Error} error
+ * @param {Number} attempt
+ * @param {ApiFetchRetryPolicy} retryPolicy
+ *
+ * @returns {Number}
+ */
+getRetryDelay = function(error, attempt, retryPolicy) {
+    var response    = getErrorHttpResponse(error),
+        retryAfter  = response && response.headers && retryPolicy.respectRetryAfter ?
+            response.headers.get("Retry-After") :
+            null,
+        delay;
+
+    if (retryAfter) {
+        // Value is either a number of seconds or an HTTP date
+        delay = /^\d+$/.test(retryAfter) ?
+            Number(retryAfter) * 1000 :
+            Date.parse(retryAfter) - Date.now();
+
+        if (!isNaN(delay)) {
+            return Math.min(Math.max(delay, 0), retryPolicy.maxDelay);
+        }
+    }
+
+    delay = retryPolicy.delay * Math.pow(retryPolicy.factor, attempt - 1);
+
+    return Math.min(delay, retryPolicy.maxDelay);
+},
+
+/**
+ * Returns a promise that is resolved after the given number of milliseconds.
+ * If the `signal` is aborted while waiting, promise is rejected with an `AbortError`.
+ *
+ * @private
+ *
+ * @param {Number} ms
+ * @param {AbortSignal} [signal]
+ * @param {Object} [abortErrorDetails]
+ *
+ * @returns {Promise}
+ */
+wait = function(ms, signal, abortErrorDetails) {
+    return whenNotAborted(
+        new Promise(function(resolve){
+            setTimeout(resolve, ms);
+        }),
+        signal,
+        abortErrorDetails
+    );
 },
 
 /**
@@ -38,10 +514,11 @@ var apiFetch = function(input, init){
  * @private
  *
  * @param response
+ * @param {ApiFetchRequest} request
  *
  * @returns {*}
  */
-checkForHttpErrors = function(response) {
+checkForHttpErrors = function(response, request) {
     var res = response.status ? response : response.response ? response.response : {};
 
     // If server returned an error code, then reject promise
@@ -49,14 +526,22 @@ checkForHttpErrors = function(response) {
         return response;
 
     } else {
-        var error = new Error(`HTTP ${ res.status }: ${ res.statusText } (${ res.url })`);
+        var HttpErrorType   = getHttpErrorType(res.status),
+            error           = new HttpErrorType(
+                `HTTP ${ res.status }: ${ res.statusText } (${ res.url })`,
+                objectExtend(getRequestDetails(request.url, request.init), {
+                    status:     res.status,
+                    statusText: res.statusText
+                })
+            );
+
         error.response = response;
         return Promise.reject(error);
     }
 },
 
 /**
- * Parses the API response into either XML or JSON
+ * Parses the API response into either XML, JSON or text (multipart)
  *
  * @private
  *
@@ -64,8 +549,10 @@ checkForHttpErrors = function(response) {
  * @returns {*}
  */
 parseApiResponse = function(response){
+    var contentType = String(response.headers.get("content-type") || "").toLowerCase();
+
     // If the message return is JSON, then parse that.
-    if (response.headers.map["content-type"].join("").toLowerCase().indexOf("application/json") !== -1) {
+    if (contentType.indexOf("application/json") !== -1) {
         return response.json().then(content => ({
             content,
             msgType:    'json',
@@ -73,6 +560,15 @@ parseApiResponse = function(response){
         }));
     }
 
+    // Multipart messages (ex. `$batch` responses) are returned as text
+    if (contentType.indexOf("multipart/") !== -1) {
+        return response.text().then(content => ({
+            content,
+            msgType:    'text',
+            response:   response
+        }));
+    }
+
     // Get the response text and then parse it.
     return response.text().then(function(responseString){
         /**
@@ -80,9 +576,9 @@ parseApiResponse = function(response){
          *
          * @typedef {Object} ApiFetchResponse
          *
-         * @property {Document} content
+         * @property {Document|Object|String} content
          * @property {String} msgType
-         *  Valid value: `xml`
+         *  Valid values: `xml`, `json` or `text` (multipart messages)
          * @property {Object} response
          *  API fetch response
          */
@@ -100,13 +596,22 @@ parseApiResponse = function(response){
  * @private
  *
  * @param {Object} response
+ * @param {ApiFetchRequest} request
  *
  * @returns {*}
  */
-checkForSharePointErrors = function(response){
+checkForSharePointErrors = function(response, request){
     if (response.msgType === 'xml'){
         if (doesMsgHaveError(response.content)) {
-            var error = new Error(getMsgError(response.content));
+            var error = new SoapFaultError(
+                getMsgError(response.content),
+                objectExtend(getRequestDetails(request.url, request.init), {
+                    status:     response.response.status,
+                    statusText: response.response.statusText,
+                    errorCode:  getMsgErrorCode(response.content)
+                })
+            );
+
             error.response = response;
             return Promise.reject(error);
         }
@@ -115,5 +620,164 @@ checkForSharePointErrors = function(response){
     return response;
 };
 
+/**
+ * Default options used by `apiFetch`. Changes made to these will apply to all
+ * requests that do not override them.
+ *
+ * @name apiFetch.defaults
+ * @type {Object}
+ */
+apiFetch.defaults = {
+    /**
+     * Default number of milliseconds a request is allowed to take. `0` means no timeout.
+     *
+     * @type {Number}
+     */
+    timeout: 0,
+
+    /**
+     * A retry policy for `apiFetch` requests
+     *
+     * @typedef {Object} ApiFetchRetryPolicy
+     *
+     * @property {Number} maxAttempts
+     *  Maximum number of attempts (including the first one). A value of `1`
+     *  disables retries.
+     * @property {Number} delay
+     *  The delay (milliseconds) before the first retry.
+     * @property {Number} factor
+     *  The factor by which the delay is multiplied on each subsequent retry.
+     * @property {Number} maxDelay
+     *  The maximum delay (milliseconds) between attempts.
+     * @property {Boolean} respectRetryAfter
+     *  If true, then the `Retry-After` response header (when present) is used
+     *  for the delay.
+     * @property {Array<Number>} retryOnStatus
+     *  HTTP status codes that are considered retryable by the default `isRetryable`.
+     * @property {Boolean} retryOnTimeout
+     *  If true, requests that fail with a `TimeoutError` are considered retryable
+     *  by the default `isRetryable`.
+     * @property {Function} isRetryable
+     *  Called with the `Error`, the attempt number and the retry policy. Should
+     *  return `true` if the request should be attempted again.
+     */
+    retry: {
+        maxAttempts:        3,
+        delay:              1000,
+        factor:             2,
+        maxDelay:           30000,
+        respectRetryAfter:  true,
+        retryOnStatus:      [429, 503],
+        retryOnTimeout:     true,
+        isRetryable:        isRetryableError
+    }
+};
+
+/**
+ * Adds an interceptor to all `apiFetch` requests. Interceptors are executed
+ * in the order they were added and each method can return a value (or a
+ * `Promise`) which will be used in place of the one given on input.
+ *
+ * @param {ApiFetchInterceptor} interceptor
+ *
+ * @return {Object}
+ *  An object with a `remove()` method that can be used to remove the interceptor.
+ *
+ * @example
+ *
+ * apiFetch.addInterceptor({
+ *      request(request) {
+ *          request.init.headers["X-Correlation-Id"] = uuid.generate();
+ *          return request;
+ *      },
+ *      error(error, request) {
+ *          console.log(`${ request.url } failed: ${ error.message }`);
+ *      }
+ * });
+ */
+apiFetch.addInterceptor = function(interceptor) {
+    /**
+     * An `apiFetch` interceptor. All methods are optional.
+     *
+     * @typedef {Object} ApiFetchInterceptor
+     *
+     * @property {Function} [request]
+     *  Called with an `ApiFetchRequest` prior to the request being sent.
+     * @property {Function} [response]
+     *  Called with the `ApiFetchResponse` and the `ApiFetchRequest` once the
+     *  response is received and parsed.
+     * @property {Function} [error]
+     *  Called with the `Error` and the `ApiFetchRequest` when the request fails.
+     *  This includes SharePoint SOAP errors found in the response. Returning an
+     *  `ApiFetchResponse` recovers from the error.
+     */
+
+    /**
+     * The request given to interceptors.
+     *
+     * @typedef {Object} ApiFetchRequest
+     *
+     * @property {String|Request} url
+     * @property {Object} init
+     *  The options for `fetch()` (`method`, `headers`, `body`, etc.)
+     * @property {Number} attempt
+     *  The attempt number (greater than `1` when the request is being retried).
+     */
+    INTERCEPTORS.push(interceptor);
+
+    return {
+        remove() {
+            apiFetch.removeInterceptor(interceptor);
+        }
+    };
+};
+
+/**
+ * Removes an interceptor previously added with `apiFetch.addInterceptor()`
+ *
+ * @param {ApiFetchInterceptor} interceptor
+ */
+apiFetch.removeInterceptor = function(interceptor) {
+    var index = INTERCEPTORS.indexOf(interceptor);
+
+    if (index !== -1) {
+        INTERCEPTORS.splice(index, 1);
+    }
+};
+
+/**
+ * Sets the transport used to send requests. A transport is a function with the
+ * same signature as `fetch()` - it is called with the url and the request
+ * `init` object and should return a `Promise` that resolves to a `Response`
+ * (or an object that implements `status`, `statusText`, `url`, `headers.get()`,
+ * `text()` and `json()`). Call with no arguments to restore the default.
+ *
+ * @param {Function} [newTransport=fetch]
+ *
+ * @example
+ *
+ * // Run all spapi functions against an in-memory mock of SharePoint
+ * apiFetch.setTransport(createMockTransport());
+ */
+apiFetch.setTransport = function(newTransport) {
+    transport = newTransport || fetchPolyfill.fetch;
+};
+
+/**
+ * Returns the transport currently being used to send requests.
+ *
+ * @return {Function}
+ */
+apiFetch.getTransport = function() {
+    return transport;
+};
+
+/**
+ * The default `isRetryable` check used by the retry policy.
+ *
+ * @type {Function}
+ */
+apiFetch.isRetryableError = isRetryableError;
+
 export default apiFetch;
 
@@ -0,0 +1,268 @@
+import objectExtend     from "common-micro-libs/src/jsutils/objectExtend"
+import { REST_HEADERS } from "./constants"
+
+//===========================================================
+const CRLF = "\r\n";
+
+/**
+ * Returns a new (random) boundary string for a multipart message
+ *
+ * @param {String} [prefix="batch"]
+ *
+ * @return {String}
+ */
+export function getBoundary(prefix) {
+    return `${ prefix || "batch" }_${ Date.now().toString(36) }${ Math.random().toString(36).substr(2) }`;
+}
+
+/**
+ * Builds the body of an OData `$batch` request. Operations that are not a
+ * `GET` are sent in changesets - consecutive operations that have the same
+ * `changeset` value are sent in the same changeset.
+ *
+ * @param {Array<BatchOperation>} operations
+ * @param {String} boundary
+ *  The batch boundary. Must match the one used in the request's
+ *  `Content-Type` header (`multipart/mixed; boundary=...`).
+ *
+ * @return {String}
+ *
+ * @example
+ *
+ * buildBatchBody([
+ *      { method: "GET", url: "https://tenant.sharepoint.com/_api/web/lists" },
+ *      { method: "POST", url: "https://tenant.sharepoint.com/_api/web/lists/getbytitle('Tasks')/items", body: {...}, changeset: 1 }
+ * ], "batch_123");
+ */
+export function buildBatchBody(operations, boundary) {
+    const lines = [];
+
+    /**
+     * A REST operation to be sent in a batch
+     *
+     * @typedef {Object} BatchOperation
+     *
+     * @property {String} url
+     *  The absolute url of the operation
+     * @property {String} [method="GET"]
+     * @property {Object} [headers]
+     * @property {Object|String} [body]
+     *  Objects are sent as JSON
+     * @property {*} [changeset]
+     *  Non-GET operations with the same value (and next to each other) are
+     *  sent in the same changeset.
+     */
+    getOperationGroups(operations).forEach(group => {
+        let changesetBoundary = "";
+
+        if (group.isChangeset) {
+            changesetBoundary = getBoundary("changeset");
+            lines.push(
+                `--${ boundary }`,
+                `Content-Type: multipart/mixed; boundary=${ changesetBoundary }`,
+                "Content-Transfer-Encoding: binary",
+                ""
+            );
+        }
+
+        group.operations.forEach(operation => {
+            const headers   = objectExtend({ Accept: REST_HEADERS.Accept }, operation.headers);
+            const body      = operation.body && typeof operation.body === "object" ?
+                JSON.stringify(operation.body) :
+                (operation.body || "");
+
+            if (body && !hasHeader(headers, "content-type")) {
+                headers["Content-Type"] = REST_HEADERS["Content-Type"];
+            }
+
+            lines.push(
+                `--${ changesetBoundary || boundary }`,
+                "Content-Type: application/http",
+                "Content-Transfer-Encoding: binary",
+                "",
+                `${ getMethod(operation) } ${ operation.url } HTTP/1.1`
+            );
+
+            Object.keys(headers).forEach(headerName => lines.push(`${ headerName }: ${ headers[headerName] }`));
+
+            lines.push("", body);
+        });
+
+        if (changesetBoundary) {
+            lines.push(`--${ changesetBoundary }--`, "");
+        }
+    });
+
+    lines.push(`--${ boundary }--`, "");
+
+    return lines.join(CRLF);
+}
+
+/**
+ * Returns the operations grouped the way they are sent in the `$batch` request
+ * (see `buildBatchBody()`): each `GET` is in a group of its own and consecutive
+ * write operations with the same `changeset` value are grouped in a changeset.
+ *
+ * @param {Array<BatchOperation>} operations
+ *
+ * @return {Array<Object>}
+ *  Each group has `isChangeset` (Boolean) and `operations` (the operations in
+ *  the group).
+ */
+export function getOperationGroups(operations) {
+    return operations.reduce((groups, operation) => {
+        const isRead    = getMethod(operation) === "GET";
+        const lastGroup = groups[groups.length - 1];
+
+        if (!isRead && lastGroup && lastGroup.isChangeset && lastGroup.operations[0].changeset === operation.changeset) {
+            lastGroup.operations.push(operation);
+        }
+        else {
+            groups.push({ isChangeset: !isRead, operations: [operation] });
+        }
+
+        return groups;
+    }, []);
+}
+
+/**
+ * Parses the response of an OData `$batch` request. Results are grouped the
+ * same way as the operations were sent (see `getOperationGroups()`): one group
+ * for each top level response, where a changeset response (nested multipart
+ * message) is one group with the results of its operations.
+ *
+ * Note that if a changeset fails, SharePoint returns only one result (the
+ * error) for the whole changeset.
+ *
+ * @param {String} responseText
+ * @param {String} [contentType]
+ *  The response's `Content-Type` header, from which the boundary is taken.
+ *  If not defined, the boundary is taken from the first line of the response.
+ *
+ * @return {Array<Array<BatchResult>>}
+ */
+export function parseBatchResponse(responseText, contentType) {
+    return getMultipartParts(responseText, contentType).map(part => {
+        const { headers, body } = parseHeaders(part);
+
+        if (/multipart\/mixed/i.test(headers["content-type"] || "")) {
+            return getMultipartParts(body, headers["content-type"]).map(changesetPart => {
+                return parseHttpResponse(parseHeaders(changesetPart).body);
+            });
+        }
+
+        return [parseHttpResponse(body)];
+    });
+}
+
+/**
+ * Returns the parts of a multipart message
+ *
+ * @private
+ *
+ * @param {String} text
+ * @param {String} [contentType]
+ *  The `Content-Type` of the message, from which the boundary is taken. If not
+ *  defined, the boundary is taken from the first line of the message.
+ *
+ * @return {Array<String>}
+ */
+function getMultipartParts(text, contentType) {
+    let boundary = /boundary=["']?([^;"'\s]+)/i.exec(contentType || "");
+
+    text        = String(text || "");
+    boundary    = boundary ? boundary[1] : (/^\s*--([^\r\n]+)/.exec(text) || [])[1];
+
+    if (!boundary) {
+        return [];
+    }
+
+    const endIndex = text.indexOf(`--${ boundary }--`);
+
+    return (endIndex === -1 ? text : text.substr(0, endIndex))
+        .split(`--${ boundary }`)
+        .slice(1)   // preamble
+        .map(part => part.replace(/^\r?\n/, ""))
+        .filter(part => !!part.trim());
+}
+
+/**
+ * Splits a block of text into its headers (lower case names) and body
+ *
+ * @private
+ *
+ * @param {String} text
+ *
+ * @return {Object}
+ */
+function parseHeaders(text) {
+    const separator = /\r?\n\r?\n/.exec(text);
+    const headers   = {};
+    const head      = separator ? text.substr(0, separator.index) : text;
+
+    head.split(/\r?\n/).forEach(line => {
+        const colonIndex = line.indexOf(":");
+
+        if (colonIndex > 0) {
+            headers[line.substr(0, colonIndex).trim().toLowerCase()] = line.substr(colonIndex + 1).trim();
+        }
+    });
+
+    return {
+        headers,
+        body: separator ? text.substr(separator.index + separator[0].length) : ""
+    };
+}
+
+/**
+ * Parses an `application/http` response
+ *
+ * @private
+ *
+ * @param {String} text
+ *
+ * @return {BatchResult}
+ */
+function parseHttpResponse(text) {
+    const statusLine    = /^\s*HTTP\/\d(?:\.\d)?\s+(\d{3})\s*([^\r\n]*)\r?\n?/.exec(text) || ["", "0", ""];
+    const { headers, body } = parseHeaders(text.substr(statusLine[0].length));
+    const status        = parseInt(statusLine[1], 10);
+    let content         = body.replace(/\r?\n$/, "");
+
+    if (content && /json/i.test(headers["content-type"] || "")) {
+        try {
+            content = JSON.parse(content);
+        } catch (e) {} // eslint-disable-line
+    }
+
+    /**
+     * The result of one operation in a batch
+     *
+     * @typedef {Object} BatchResult
+     *
+     * @property {Number} status
+     *  The HTTP status code
+     * @property {String} statusText
+     * @property {Boolean} ok
+     *  True if `status` is `2xx`
+     * @property {Object} headers
+     *  Header names are in lower case
+     * @property {Object|String} content
+     *  The parsed JSON content or the text returned
+     */
+    return {
+        status,
+        statusText: statusLine[2].trim(),
+        ok:         status >= 200 && status < 300,
+        headers,
+        content
+    };
+}
+
+function getMethod(operation) {
+    return String(operation.method || "GET").toUpperCase();
+}
+
+function hasHeader(headers, headerName) {
+    return Object.keys(headers).some(name => name.toLowerCase() === headerName);
+}
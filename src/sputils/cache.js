@@ -1,9 +1,15 @@
+import Map          from "common-micro-libs/src/jsutils/es6-Map"
+import Promise      from "common-micro-libs/src/jsutils/es6-promise"
+import EventEmitter from "common-micro-libs/src/jsutils/EventEmitter"
+
 /**
  * Simple caching function.
  * @function
  *
  * @param {Sting} key
  * @param {Object} value
+ * @param {Object} [options]
+ *  See `cache.set()`
  *
  * @return {undefined}
  *
@@ -13,19 +19,44 @@
  *  cache("myKey", "value") // Setter. Same as cache.set();
  *  cache.clear(key)
  *  cache.clearAll()
+ *  cache.clearByPrefix(prefix)
+ *  cache.clearMatching(regExpOrFunction)
  *  cache.get(key),
- *  cache.set(key, value),
+ *  cache.set(key, value, options),
  *  cache.isCached(key)
+ *  cache.on(eventName, callback)
+ *  cache.setStorage(storage)
+ *  cache.hasStorage()
+ *  cache.persist(key, value, version)
+ *  cache.getPersisted(key, version)
+ *  cache.unpersist(keyOrMatcher)
+ *
+ * Entries can be set to expire (`ttl`) and the cache can be limited in size
+ * (`maxSize`), in which case the least recently used entries are evicted
+ * first. See `cache.defaults`.
+ *
+ * Data that should survive page reloads can be persisted to a storage backend
+ * (see `sputils/cacheStorage`) by way of `cache.persist()`. Persisted entries
+ * are versioned: `cache.getPersisted()` only returns the value if the version
+ * given matches the one it was stored with. The `clear*` methods only remove
+ * in-memory entries - persisted entries are removed with `cache.unpersist()`.
  *
- * Dependencies:
+ * Events:
  *
- *  none
+ *  evict   - an entry was removed due to `ttl` or `maxSize`. Callback
+ *            receives an object with `key`, `value` and `reason` (`expired`
+ *            or `size`).
+ *  clear   - an entry was removed by way of one of the `clear*` methods.
+ *            Callback receives an object with `key` and `value`.
  *
  */
 var cache = (function(){
 
-    var cacheData   = {},
-        fnCaller    = function cache(key, value){
+    var cacheData   = new Map(),
+        events      = EventEmitter.create(),
+        accessCount = 0,
+        storage     = null,
+        fnCaller    = function cache(key, value, options){
 
             if (!key) {
 
@@ -41,18 +72,139 @@ var cache = (function(){
             }
 
             // Setter
-            return fnCaller.set(key, value);
+            return fnCaller.set(key, value, options);
+
+        },
+
+        /**
+         * Returns the cache entry for a key, removing it first if expired.
+         * @private
+         */
+        getEntry = function(key){
+
+            var entry = cacheData.get(key);
+
+            if (entry && entry.expires && entry.expires <= Date.now()) {
+
+                evict(key, "expired");
+                return;
+
+            }
+
+            return entry;
+
+        },
+
+        /**
+         * Removes an entry from cache and emits the given event.
+         * @private
+         */
+        removeEntry = function(key, eventName, eventData){
+
+            var entry = cacheData.get(key);
+
+            if (!entry) {
+
+                return;
+
+            }
+
+            cacheData["delete"](key);
 
-        };
+            if (entry.timer) {
+
+                clearTimeout(entry.timer);
+
+            }
+
+            eventData       = eventData || {};
+            eventData.key   = key;
+            eventData.value = entry.value;
+
+            events.emit(eventName, eventData);
+
+        },
+
+        evict = function(key, reason){
+
+            removeEntry(key, "evict", { reason: reason });
+
+        },
+
+        /**
+         * Removes least recently used entries until cache is within `maxSize`
+         * @private
+         */
+        enforceMaxSize = function(){
+
+            var maxSize = fnCaller.defaults.maxSize,
+                lruKey, lruAccess;
+
+            while (maxSize > 0 && cacheData.size > maxSize) {
+
+                lruKey      = undefined;
+                lruAccess   = Infinity;
+
+                cacheData.forEach(function(entry, key){
+
+                    if (entry.lastAccess < lruAccess) {
+
+                        lruAccess   = entry.lastAccess;
+                        lruKey      = key;
+
+                    }
+
+                });
+
+                evict(lruKey, "size");
+
+            }
+
+        },
+
+        /**
+         * Returns a function that checks if a key matches. `matcher` can be a
+         * RegExp or a function that is called with the key and returns a Boolean.
+         * @private
+         */
+        getKeyMatcher = function(matcher){
+
+            return function(key){
+
+                return typeof matcher === "function" ?
+                    !!matcher(key) :
+                    matcher.test(key);
+
+            };
+
+        },
+
+        noop = function(){};
+
+    /**
+     * Default options.
+     *
+     * @name cache.defaults
+     * @type {Object}
+     *
+     * @property {Number} ttl
+     *  Default time to live (milliseconds) for new entries. `0` means no expiration.
+     * @property {Number} maxSize
+     *  Maximum number of entries to hold. `0` means no limit.
+     */
+    fnCaller.defaults = {
+        ttl:        0,
+        maxSize:    0
+    };
 
     /**
-     * Clear specific key from cache.
+     * Clear specific key from cache (in memory only - see `cache.unpersist()`).
      * @function cache.clear
      * @param {String} key
      */
     fnCaller.clear = function(key){
 
-        delete cacheData[key];
+        removeEntry(key, "clear");
 
     };
     /**
@@ -61,7 +213,55 @@ var cache = (function(){
      */
     fnCaller.clearAll = function(){
 
-        cacheData = {};
+        fnCaller.clearMatching(function(){
+
+            return true;
+
+        });
+
+    };
+    /**
+     * Clears all cached entries whose key starts with the given prefix
+     * (ex. a site's `webURL`).
+     * @function cache.clearByPrefix
+     * @param {String} prefix
+     */
+    fnCaller.clearByPrefix = function(prefix){
+
+        fnCaller.clearMatching(function(key){
+
+            return String(key).indexOf(prefix) === 0;
+
+        });
+
+    };
+    /**
+     * Clears all cached entries whose key matches. `matcher` can be a RegExp
+     * or a function that is called with the key and returns a Boolean.
+     * Persisted entries are not removed (see `cache.unpersist()`).
+     * @function cache.clearMatching
+     * @param {RegExp|Function} matcher
+     */
+    fnCaller.clearMatching = function(matcher){
+
+        var keys = [],
+            isMatch = getKeyMatcher(matcher);
+
+        cacheData.forEach(function(entry, key){
+
+            if (isMatch(key)) {
+
+                keys.push(key);
+
+            }
+
+        });
+
+        keys.forEach(function(key){
+
+            removeEntry(key, "clear");
+
+        });
 
     };
      /**
@@ -71,7 +271,16 @@ var cache = (function(){
      */
     fnCaller.get = function(key) {
 
-        return cacheData[key];
+        var entry = getEntry(key);
+
+        if (!entry) {
+
+            return;
+
+        }
+
+        entry.lastAccess = ++accessCount;
+        return entry.value;
 
     };
     /**
@@ -79,10 +288,48 @@ var cache = (function(){
      * @function cache.set
      * @param {String} key
      * @param {*} value
+     * @param {Object} [options]
+     * @param {Number} [options.ttl=cache.defaults.ttl]
+     *  Number of milliseconds the entry should be kept.
      */
-    fnCaller.set = function(key, value) {
+    fnCaller.set = function(key, value, options) {
+
+        var ttl = options && typeof options.ttl !== "undefined" ?
+                options.ttl :
+                fnCaller.defaults.ttl,
+            oldEntry = cacheData.get(key),
+            entry = {
+                value:      value,
+                expires:    ttl > 0 ? Date.now() + ttl : 0,
+                lastAccess: ++accessCount,
+                timer:      null
+            };
+
+        if (oldEntry && oldEntry.timer) {
+
+            clearTimeout(oldEntry.timer);
+
+        }
+
+        // Expired entries are removed (and `evict` emitted) when they expire,
+        // not only when they are next accessed.
+        if (entry.expires) {
+
+            entry.timer = setTimeout(function(){
+
+                if (cacheData.get(key) === entry) {
+
+                    evict(key, "expired");
+
+                }
+
+            }, ttl);
+
+        }
+
+        cacheData.set(key, entry);
+        enforceMaxSize();
 
-        cacheData[key] = value;
         return value;
 
     };
@@ -94,7 +341,7 @@ var cache = (function(){
      */
     fnCaller.isCached = function(key){
 
-        if (cacheData.hasOwnProperty(key)) {
+        if (getEntry(key)) {
 
             return true;
 
@@ -102,11 +349,149 @@ var cache = (function(){
 
         return false;
     };
+    /**
+     * Adds an event listener. See list of events above.
+     * @function cache.on
+     * @param {String} eventName
+     * @param {Function} callback
+     * @return {EventListener}
+     *  Listener object with an `off()` method.
+     */
+    fnCaller.on = function(eventName, callback){
+
+        return events.on(eventName, callback);
+
+    };
+    /**
+     * Sets the storage backend used to persist entries across page loads.
+     * Use `null` to stop persisting data (already persisted data is not removed).
+     * @function cache.setStorage
+     * @param {CacheStorage} storage
+     *  See `sputils/cacheStorage` for the available backends.
+     */
+    fnCaller.setStorage = function(newStorage){
+
+        storage = newStorage || null;
+
+    };
+    /**
+     * Returns a boolean indicating if a storage backend has been set.
+     * @function cache.hasStorage
+     * @return {Boolean}
+     */
+    fnCaller.hasStorage = function(){
+
+        return !!storage;
+
+    };
+    /**
+     * Persists a piece of data to the storage backend. Value must be
+     * serializable to JSON.
+     * @function cache.persist
+     * @param {String} key
+     * @param {*} value
+     * @param {String} [version=""]
+     *  The version of the data (ex. the list `Version`).
+     * @return {Promise}
+     *  Resolved once stored. Rejected if no storage is set or if the
+     *  backend fails to store the data (ex. quota exceeded).
+     */
+    fnCaller.persist = function(key, value, version){
+
+        if (!storage) {
+
+            return Promise.reject(new Error("cache.persist(): no storage set"));
+
+        }
+
+        return storage.setItem(key, JSON.stringify({
+            version:    version || "",
+            value:      value
+        }));
+
+    };
+    /**
+     * Gets a persisted piece of data. If it was stored with a different version,
+     * then it is removed from storage.
+     * @function cache.getPersisted
+     * @param {String} key
+     * @param {String} [version=""]
+     * @return {Promise}
+     *  Resolved with the value, or `undefined` if not stored (or stored with a
+     *  different version). Never rejected.
+     */
+    fnCaller.getPersisted = function(key, version){
+
+        if (!storage) {
+
+            return Promise.resolve();
+
+        }
+
+        return storage.getItem(key).then(function(stored){
+
+            if (!stored) {
+
+                return;
+
+            }
+
+            stored = JSON.parse(stored);
+
+            if (stored.version !== (version || "")) {
+
+                storage.removeItem(key)["catch"](noop);
+                return;
+
+            }
+
+            return stored.value;
+
+        })["catch"](noop);
+
+    };
+
+    /**
+     * Removes persisted data from the storage backend (in memory entries are
+     * not affected - see `cache.clear()`). Used when the persisted data is known
+     * to be outdated (ex. after a list definition is changed).
+     * @function cache.unpersist
+     * @param {String|RegExp|Function} keyOrMatcher
+     *  The key of the entry, or a RegExp or function (called with each key and
+     *  returns a Boolean) matching the keys of the entries to be removed.
+     * @return {Promise}
+     *  Resolved once removed. Never rejected.
+     */
+    fnCaller.unpersist = function(keyOrMatcher){
+
+        if (!storage) {
+
+            return Promise.resolve();
+
+        }
+
+        if (typeof keyOrMatcher === "string") {
+
+            return storage.removeItem(keyOrMatcher)["catch"](noop);
+
+        }
+
+        return storage.keys().then(function(keys){
+
+            return Promise.all(
+                keys.filter(getKeyMatcher(keyOrMatcher)).map(function(key){
+
+                    return storage.removeItem(key)["catch"](noop);
+
+                })
+            );
+
+        })["catch"](noop);
+
+    };
 
     return fnCaller;
 
 })(); //end: cache method.
 
 export default cache;
-
-
@@ -0,0 +1,132 @@
+import Promise from "common-micro-libs/src/jsutils/es6-promise"
+
+//==============================================================
+
+/**
+ * Storage backend used by `cache` to persist entries across page loads.
+ * All methods are asynchronous. Values are Strings.
+ *
+ * @typedef {Object} CacheStorage
+ *
+ * @property {Function} getItem
+ *  Called with a key. Resolves with the stored String or `null`.
+ * @property {Function} setItem
+ *  Called with a key and a String value. Resolves once stored.
+ * @property {Function} removeItem
+ *  Called with a key. Resolves once removed.
+ * @property {Function} keys
+ *  Resolves with an Array of all stored keys.
+ */
+
+/**
+ * Creates a cache storage backend from a Web Storage object (`window.sessionStorage`
+ * or `window.localStorage`). Keys are namespaced so that only entries created
+ * by the cache are ever read or removed.
+ *
+ * @function createWebStorage
+ *
+ * @param {Storage} storage
+ * @param {String} [namespace="spwidgets.cache:"]
+ *
+ * @return {CacheStorage}
+ *
+ * @example
+ *
+ * cache.setStorage(createWebStorage(window.localStorage));
+ */
+export function createWebStorage(storage, namespace = "spwidgets.cache:") {
+    // Wraps the synchronous Storage calls so that errors (ex. quota exceeded)
+    // are returned as rejected promises
+    const run = fn => new Promise(resolve => resolve(fn()));
+
+    return {
+        getItem(key) {
+            return run(() => storage.getItem(namespace + key));
+        },
+
+        setItem(key, value) {
+            return run(() => storage.setItem(namespace + key, value));
+        },
+
+        removeItem(key) {
+            return run(() => storage.removeItem(namespace + key));
+        },
+
+        keys() {
+            return run(() => {
+                const keys = [];
+
+                for (let i = 0; i < storage.length; i++) {
+                    let key = storage.key(i);
+
+                    if (key && key.indexOf(namespace) === 0) {
+                        keys.push(key.substr(namespace.length));
+                    }
+                }
+
+                return keys;
+            });
+        }
+    };
+}
+
+/**
+ * Creates a cache storage backend that uses IndexedDB. Better suited than
+ * Web Storage for large data sets (ex. sites with many lists), since it is
+ * not limited to a few megabytes.
+ *
+ * @function createIndexedDBStorage
+ *
+ * @param {String} [dbName="spwidgets.cache"]
+ * @param {IDBFactory} [idb=window.indexedDB]
+ *
+ * @return {CacheStorage}
+ */
+export function createIndexedDBStorage(dbName = "spwidgets.cache", idb = window.indexedDB) {
+    const STORE_NAME = "entries";
+    let dbPromise;
+
+    const getDb = () => {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = idb.open(dbName, 1);
+
+                request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+                request.onsuccess       = () => resolve(request.result);
+                request.onerror         = () => {
+                    dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+
+        return dbPromise;
+    };
+
+    // Runs `fn` with the object store and resolves with the result of the request it returns
+    const run = (mode, fn) => getDb().then(db => new Promise((resolve, reject) => {
+        const request = fn(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+
+        request.onsuccess   = () => resolve(request.result);
+        request.onerror     = () => reject(request.error);
+    }));
+
+    return {
+        getItem(key) {
+            return run("readonly", store => store.get(key))
+                .then(value => value === undefined ? null : value);
+        },
+
+        setItem(key, value) {
+            return run("readwrite", store => store.put(value, key));
+        },
+
+        removeItem(key) {
+            return run("readwrite", store => store["delete"](key));
+        },
+
+        keys() {
+            return run("readonly", store => store.getAllKeys());
+        }
+    };
+}
@@ -0,0 +1,52 @@
+import objectExtend from "common-micro-libs/src/jsutils/objectExtend"
+import apiFetch     from "./apiFetch"
+
+//===========================================================
+
+/**
+ * Calls an operation of one of the SharePoint SOAP services (`_vti_bin/*.asmx`).
+ *
+ * @param {String} webURL
+ *  The site url (with ending `/`)
+ * @param {String} service
+ *  The service name, ex. `Lists` (for `_vti_bin/Lists.asmx`)
+ * @param {String} operation
+ *  ex. `GetListContentType`
+ * @param {Object} [params]
+ *  The operation parameters. Values are used as is (must already be XML escaped
+ *  where needed), in the order defined.
+ * @param {Object} [options]
+ * @param {String} [options.namespace="http://schemas.microsoft.com/sharepoint/soap/"]
+ *  The XML namespace of the service operations (also used to build the `SOAPAction`)
+ * @param {AbortSignal} [options.signal]
+ *  Any other option is given to `apiFetch()`.
+ *
+ * @return {Promise<ApiFetchResponse, Error>}
+ *
+ * @example
+ *
+ * callSoapService(webURL, "Views", "GetView", { listName: "Tasks", viewName: "{...}" }, { signal });
+ */
+export default function callSoapService(webURL, service, operation, params, options) {
+    const init      = objectExtend({}, callSoapService.defaults, options);
+    const namespace = init.namespace;
+
+    delete init.namespace;
+
+    return apiFetch(webURL + "_vti_bin/" + service + ".asmx", objectExtend(init, {
+        method: "POST",
+        headers: {
+            'Content-Type': 'text/xml;charset=UTF-8',
+            'SOAPAction':   namespace + operation
+        },
+        body: "<?xml version=\"1.0\" encoding=\"utf-8\"?>" +
+            "<soap:Envelope xmlns:xsi=\"http://www.w3.org/2001/XMLSchema-instance\" xmlns:xsd=\"http://www.w3.org/2001/XMLSchema\" xmlns:soap=\"http://schemas.xmlsoap.org/soap/envelope/\">" +
+            "<soap:Body><" + operation + " xmlns=\"" + namespace + "\">" +
+            Object.keys(params || {}).map(paramName => `<${ paramName }>${ params[paramName] }</${ paramName }>`).join("") +
+            "</" + operation + "></soap:Body></soap:Envelope>"
+    }));
+}
+
+callSoapService.defaults = {
+    namespace: "http://schemas.microsoft.com/sharepoint/soap/"
+};
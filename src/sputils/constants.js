@@ -7,3 +7,11 @@ export const REST_HEADERS = {
     "Content-Type": "application/json;odata=verbose",
     "Accept":       "application/json;odata=verbose"
 };
+
+/**
+ * Matches a GUID, with or without the surrounding braces
+ * (ex. `{fa564e0f-0c70-4ab9-b863-0177e6ddd247}`)
+ *
+ * @type {RegExp}
+ */
+export const IS_GUID = /^\{?[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\}?$/i;
@@ -0,0 +1,134 @@
+import Promise          from "common-micro-libs/src/jsutils/es6-promise"
+import xmlEscape        from "./xmlEscape"
+import getListColumns   from "../spapi/getListColumns"
+import { IS_GUID }      from "./constants"
+
+//===========================================================
+
+/**
+ * Returns the `<ContentType>` element used to set the properties of a content
+ * type (`CreateContentType` and `UpdateContentType`).
+ *
+ * @param {Object|String} contentTypeProperties
+ *  An object with the properties (ex. `Description`, `Group`) or a string with
+ *  the `<ContentType>` XML (returned as is).
+ *
+ * @return {String}
+ */
+export function getContentTypePropertiesXml(contentTypeProperties) {
+    if (!contentTypeProperties) {
+        return "";
+    }
+
+    if (typeof contentTypeProperties === "string") {
+        return contentTypeProperties;
+    }
+
+    return "<ContentType" +
+        Object.keys(contentTypeProperties).map(propName => {
+            return ` ${ propName }="${ xmlEscape.escape(getAttributeValue(contentTypeProperties[propName])) }"`;
+        }).join("") +
+        "/>";
+}
+
+/**
+ * Returns the `<FieldRefs>` element used by `Lists.asmx` `CreateContentType`
+ * and `UpdateContentType`. When `withMethods` is true, each field link is
+ * placed in its own `<Method>`.
+ *
+ * @param {Array<Object>} fieldRefs
+ *  The field links - objects with (at least) the field's `ID` and `Name`. Any
+ *  other attribute (ex. `Required`, `Hidden`) is also sent.
+ * @param {Boolean} [withMethods=false]
+ *
+ * @return {String}
+ */
+export function getFieldRefsXml(fieldRefs, withMethods) {
+    if (!fieldRefs || !fieldRefs.length) {
+        return "";
+    }
+
+    return "<FieldRefs>" +
+        fieldRefs.map((fieldRef, index) => {
+            const fieldRefXml = "<FieldRef" +
+                Object.keys(fieldRef).map(attrName => {
+                    return ` ${ attrName }="${ xmlEscape.escape(getAttributeValue(fieldRef[attrName])) }"`;
+                }).join("") +
+                "/>";
+
+            return withMethods ? `<Method ID="${ index + 1 }">${ fieldRefXml }</Method>` : fieldRefXml;
+        }).join("") +
+        "</FieldRefs>";
+}
+
+/**
+ * Returns the field links (`ID` and `Name`) for a set of list columns. SharePoint
+ * requires the field ID in order to link (or unlink) a field to a content type,
+ * so columns given by name are looked up in the list definition.
+ *
+ * @param {Object} options
+ * @param {String} options.webURL
+ *  The site url (with ending `/`)
+ * @param {String} options.listName
+ * @param {Array<String|Object>} options.fields
+ *  The columns internal name (or `StaticName` or `DisplayName`) or objects with
+ *  the field link attributes (ex. `{ Name: "Status", Required: true }`). Objects
+ *  that already have an `ID` are used as is.
+ * @param {AbortSignal} [options.signal]
+ * @param {Number} [options.timeout]
+ *
+ * @return {Promise<Array<Object>, Error>}
+ *  Rejected if a column is not found in the list.
+ */
+export function getFieldRefs(options) {
+    const fields = [].concat(options.fields || []).map(field => {
+        return typeof field === "string" ? { Name: field } : field;
+    });
+
+    if (fields.every(field => field.ID && IS_GUID.test(field.ID))) {
+        return Promise.resolve(fields);
+    }
+
+    return getListColumns({
+        listName:   options.listName,
+        webURL:     options.webURL,
+        signal:     options.signal,
+        timeout:    options.timeout
+    })
+        .then(columns => fields.map(field => {
+            if (field.ID && IS_GUID.test(field.ID)) {
+                return field;
+            }
+
+            let column;
+
+            columns.some(col => {
+                if (col.Name === field.Name || col.StaticName === field.Name || col.DisplayName === field.Name) {
+                    column = col;
+                    return true;
+                }
+            });
+
+            if (!column) {
+                throw new Error(`Column "${ field.Name }" not found in list "${ options.listName }"`);
+            }
+
+            const fieldRef = { ID: column.ID, Name: column.Name };
+
+            Object.keys(field).forEach(attrName => {
+                if (attrName !== "ID" && attrName !== "Name") {
+                    fieldRef[attrName] = field[attrName];
+                }
+            });
+
+            return fieldRef;
+        }));
+}
+
+function getAttributeValue(value) {
+    if (typeof value === "boolean") {
+        return value ? "TRUE" : "FALSE";
+    }
+
+    return String(value);
+}
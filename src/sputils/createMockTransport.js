@@ -0,0 +1,222 @@
+import Promise       from "common-micro-libs/src/jsutils/es6-promise"
+import objectExtend  from "common-micro-libs/src/jsutils/objectExtend"
+import getSoapAction from "./getSoapAction"
+
+//==============================================================
+
+/**
+ * Creates an in-memory transport that can be given to `apiFetch.setTransport()`,
+ * allowing the `spapi` functions to be run against canned responses instead of
+ * a real SharePoint server. Responses are matched by SOAP action (ex. `GetListItems`)
+ * and/or REST route (url and method).
+ *
+ * Requests for which no response is defined are answered with a HTTP `404`.
+ *
+ * @function createMockTransport
+ *
+ * @return {MockTransport}
+ *
+ * @example
+ *
+ * const transport = createMockTransport();
+ *
+ * // Canned SOAP response (ex. the XML fixtures in `test/server/soapMsgs`)
+ * transport.respondTo(
+ *      { soapAction: "GetListItems" },
+ *      fs.readFileSync("test/server/soapMsgs/list.GetListItems.response.success.xml", "utf8")
+ * );
+ *
+ * // REST route
+ * transport.respondTo(
+ *      { url: /_api\/contextinfo/, method: "POST" },
+ *      { d: { GetContextWebInformation: { ... } } }
+ * );
+ *
+ * // Dynamic response
+ * transport.respondTo({ soapAction: "UpdateListItems" }, request => {
+ *      return request.body.indexOf("Cmd=\"Delete\"") > -1 ? deleteResponseXml : updateResponseXml;
+ * });
+ *
+ * apiFetch.setTransport(transport);
+ */
+export default function createMockTransport() {
+    let routes = [];
+
+    /**
+     * A mock transport. Function has the same signature as `fetch()`.
+     *
+     * @typedef {Function} MockTransport
+     *
+     * @property {Function} respondTo
+     *  Defines a response. Called with a `MockTransportMatcher`, the response body and
+     *  an optional object with `status`, `statusText` and `headers`. The body can be
+     *  a String (sent as XML), an Object (sent as JSON) or a Function that is called
+     *  with the `MockTransportRequest` and returns (or resolves with) the body.
+     *  Returns the transport (chainable).
+     * @property {Array<MockTransportRequest>} requests
+     *  List of requests received by the transport.
+     * @property {Function} reset
+     *  Removes all defined responses and recorded requests.
+     */
+    const transport = function(url, init) {
+        const request = getRequest(url, init);
+        let route;
+
+        transport.requests.push(request);
+
+        routes.some(thisRoute => {
+            if (isMatch(thisRoute.matcher, request)) {
+                route = thisRoute;
+                return true;
+            }
+        });
+
+        if (!route) {
+            return Promise.resolve(createResponse(request, `No mock response defined for ${ request.method } ${ request.url } (${ request.soapAction })`, {
+                status:     404,
+                statusText: "Not Found",
+                headers:    { "content-type": "text/plain" }
+            }));
+        }
+
+        return Promise.resolve(
+            typeof route.body === "function" ? route.body(request) : route.body
+        )
+        .then(body => createResponse(request, body, route.responseInit));
+    };
+
+    transport.requests = [];
+
+    transport.respondTo = function(matcher, body, responseInit) {
+        /**
+         * Defines which requests a mock response applies to. All properties are
+         * optional, but those defined must match the request.
+         *
+         * @typedef {Object} MockTransportMatcher
+         *
+         * @property {String} [soapAction]
+         *  The SOAP operation name (ex. `GetListItems`).
+         * @property {String|RegExp} [url]
+         *  A String (url must contain it) or a RegExp.
+         * @property {String} [method]
+         */
+        routes.push({ matcher, body, responseInit });
+        return transport;
+    };
+
+    transport.reset = function() {
+        routes = [];
+        transport.requests = [];
+    };
+
+    return transport;
+}
+
+/**
+ * Builds the request object given to the response functions
+ *
+ * @private
+ *
+ * @param {String|Request} url
+ * @param {Object} [init]
+ *
+ * @return {MockTransportRequest}
+ */
+function getRequest(url, init) {
+    const opt       = objectExtend({ method: "GET", headers: {}, body: "" }, init);
+    const headers   = {};
+    const body      = String(opt.body || "");
+
+    if (opt.headers.forEach) {
+        opt.headers.forEach((value, name) => headers[name.toLowerCase()] = value);
+
+    } else {
+        Object.keys(opt.headers).forEach(name => headers[name.toLowerCase()] = opt.headers[name]);
+    }
+
+    /**
+     * A request received by the mock transport
+     *
+     * @typedef {Object} MockTransportRequest
+     *
+     * @property {String} url
+     * @property {String} method
+     * @property {Object} headers
+     *  Header names are lowercase.
+     * @property {String} body
+     * @property {String} soapAction
+     *  The SOAP operation name, if request is a SOAP call.
+     */
+    return {
+        url:        String(url.url || url),
+        method:     String(opt.method).toUpperCase(),
+        headers:    headers,
+        body:       body,
+        soapAction: getSoapAction({ headers, body })
+    };
+}
+
+function isMatch(matcher, request) {
+    if (matcher.soapAction && matcher.soapAction !== request.soapAction) {
+        return false;
+    }
+
+    if (matcher.method && String(matcher.method).toUpperCase() !== request.method) {
+        return false;
+    }
+
+    if (matcher.url) {
+        if (matcher.url instanceof RegExp) {
+            return matcher.url.test(request.url);
+        }
+
+        return request.url.indexOf(matcher.url) !== -1;
+    }
+
+    return true;
+}
+
+/**
+ * Creates an object that implements the parts of the fetch `Response` that
+ * are used by `apiFetch`.
+ *
+ * @private
+ *
+ * @param {MockTransportRequest} request
+ * @param {String|Object} body
+ * @param {Object} [responseInit]
+ *
+ * @return {Object}
+ */
+function createResponse(request, body, responseInit) {
+    const isJSON    = body !== null && typeof body === "object";
+    const opt       = objectExtend({
+        status:     200,
+        statusText: "OK",
+        headers:    {}
+    }, responseInit);
+    const headers   = {
+        "content-type": isJSON ? "application/json;odata=verbose;charset=utf-8" : "text/xml;charset=utf-8"
+    };
+    const bodyString = isJSON ? JSON.stringify(body) : String(body || "");
+
+    Object.keys(opt.headers).forEach(name => headers[name.toLowerCase()] = opt.headers[name]);
+
+    return {
+        url:        request.url,
+        status:     opt.status,
+        statusText: opt.statusText,
+        ok:         opt.status >= 200 && opt.status < 300,
+        headers:    {
+            get(name) {
+                return headers.hasOwnProperty(name.toLowerCase()) ? headers[name.toLowerCase()] : null;
+            }
+        },
+        text() {
+            return Promise.resolve(bodyString);
+        },
+        json() {
+            return Promise.resolve(JSON.parse(bodyString));
+        }
+    };
+}
@@ -0,0 +1,192 @@
+/**
+ * Base error for failed `apiFetch` requests. HTTP, SOAP, timeout and abort
+ * failures reported by `apiFetch` (and thus the `spapi` functions) are all
+ * instances of this error type.
+ *
+ * @class ApiFetchError
+ * @extends Error
+ *
+ * @param {String} message
+ * @param {Object} [details]
+ *  Any of the properties below
+ *
+ * @property {Number} status
+ *  The HTTP status code (`0` if no response was received)
+ * @property {String} statusText
+ * @property {String} errorCode
+ *  The SharePoint error code found in the SOAP response (ex. `0x81020014`)
+ * @property {String} url
+ *  The url of the request
+ * @property {String} soapAction
+ *  The SOAP operation (ex. `GetListItems`), if request was a SOAP call
+ * @property {ApiFetchResponse} response
+ *  The api response (if one was received)
+ */
+export const ApiFetchError = createErrorType("ApiFetchError", Error);
+
+/**
+ * Request failed with an HTTP status other than `2xx`
+ *
+ * @class HttpError
+ * @extends ApiFetchError
+ */
+export const HttpError = createErrorType("HttpError", ApiFetchError);
+
+/**
+ * Request failed because SharePoint is throttling requests (HTTP `429` or `503`)
+ *
+ * @class ThrottledError
+ * @extends HttpError
+ */
+export const ThrottledError = createErrorType("ThrottledError", HttpError);
+
+/**
+ * Request failed because the user is not authenticated or does not have access
+ * (HTTP `401` or `403`)
+ *
+ * @class AuthError
+ * @extends HttpError
+ */
+export const AuthError = createErrorType("AuthError", HttpError);
+
+/**
+ * The SOAP response contained a SharePoint error or fault.
+ *
+ * @class SoapFaultError
+ * @extends ApiFetchError
+ */
+export const SoapFaultError = createErrorType("SoapFaultError", ApiFetchError);
+
+/**
+ * The request did not complete within the allowed time.
+ *
+ * @class TimeoutError
+ * @extends ApiFetchError
+ */
+export const TimeoutError = createErrorType("TimeoutError", ApiFetchError);
+
+/**
+ * Error used to reject requests that were cancelled by way of an `AbortSignal`.
+ *
+ * @class AbortError
+ * @extends ApiFetchError
+ *
+ * @param {String} [message="Request aborted"]
+ */
+export const AbortError = createErrorType("AbortError", ApiFetchError, "Request aborted");
+
+/**
+ * A query (ex. CAML) could not be translated to OData (see `camlToOData()`)
+ * because it uses constructs that OData can not express.
+ *
+ * @class ODataTranslationError
+ * @extends Error
+ *
+ * @property {Array<Object>} unsupported
+ *  The parts of the query that could not be translated. Each object has
+ *  `caml` and `reason` attributes.
+ */
+export const ODataTranslationError = createErrorType("ODataTranslationError", Error);
+
+/**
+ * One or more of the updates sent by `updateListItems()` failed. The error has
+ * the same properties as the [updateListItemsResponse]{@link updateListItemsResponse}
+ * (with `status` set to `error`), so the outcome of each update is available
+ * in its `results`.
+ *
+ * @class UpdateListItemsError
+ * @extends Error
+ *
+ * @property {String} status
+ *  Always `error`
+ * @property {Error|Object} response
+ *  The error of the first batch that failed
+ * @property {Array<updateListItemsResult>} results
+ * @property {Array<updateListItemsResult>} conflicts
+ * @property {Object} [rollback]
+ *  Set when `rollbackOnError` was used
+ */
+export const UpdateListItemsError = createErrorType("UpdateListItemsError", Error);
+
+/**
+ * One of the actions of a `provisionSchema()` plan failed. The actions after
+ * it were cancelled.
+ *
+ * @class ProvisionSchemaError
+ * @extends Error
+ *
+ * @property {SchemaPlan} plan
+ *  The plan (with `status` set to `error`). The action that failed has its
+ *  `error` set.
+ */
+export const ProvisionSchemaError = createErrorType("ProvisionSchemaError", Error);
+
+/**
+ * Returns the error type for a given HTTP status code.
+ *
+ * @param {Number} status
+ *
+ * @return {Function}
+ */
+export function getHttpErrorType(status) {
+    switch (status) {
+        case 401:
+        case 403:
+            return AuthError;
+
+        case 429:
+        case 503:
+            return ThrottledError;
+    }
+
+    return HttpError;
+}
+
+/**
+ * Checks if an error is the result of a request having been aborted. Also
+ * returns `true` for the `DOMException` thrown by the native `fetch()`.
+ *
+ * @param {Error} error
+ *
+ * @return {Boolean}
+ */
+export function isAbortError(error) {
+    return error instanceof AbortError || (!!error && error.name === "AbortError");
+}
+
+/**
+ * Creates a new error type. Prototype based (instead of `class ... extends Error`)
+ * so that `instanceof` works once transpiled.
+ *
+ * @private
+ *
+ * @param {String} name
+ * @param {Function} ParentError
+ * @param {String} [defaultMessage=""]
+ *
+ * @return {Function}
+ */
+function createErrorType(name, ParentError, defaultMessage) {
+    const ErrorType = function(message, details) {
+        this.status     = 0;
+        this.statusText = "";
+        this.errorCode  = "";
+        this.url        = "";
+        this.soapAction = "";
+        this.response   = null;
+
+        // Assigned as-is (no deep copy) since `response` holds the api response
+        if (details) {
+            Object.keys(details).forEach(prop => this[prop] = details[prop]);
+        }
+
+        this.message    = message || defaultMessage || "";
+        this.stack      = (new Error(this.message)).stack;
+    };
+
+    ErrorType.prototype             = Object.create(ParentError.prototype);
+    ErrorType.prototype.constructor = ErrorType;
+    ErrorType.prototype.name        = name;
+
+    return ErrorType;
+}
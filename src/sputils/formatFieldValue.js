@@ -0,0 +1,145 @@
+import getDateString from "./getDateString"
+
+//==============================================================
+
+/**
+ * Converts a field value back to the string format expected by SharePoint
+ * webservices (SOAP) when updating items (ex. `UpdateListItems`). This is the
+ * reverse of [parseFieldValue]{@link parseFieldValue}. Returned value is NOT
+ * xml escaped.
+ *
+ * When the column definition is not given, the format is determined from the
+ * value itself (ex. `Date`, `Boolean`, objects with an `ID` are treated as
+ * lookups, Arrays of strings as multi-choice values).
+ *
+ * @function formatFieldValue
+ *
+ * @param {*} value
+ * @param {ListColumnModel|Object} [column]
+ *
+ * @return {String}
+ *
+ * @example
+ *
+ * formatFieldValue(["High", "Urgent"], { Type: "MultiChoice" });
+ * // => ";#High;#Urgent;#"
+ *
+ * formatFieldValue([{ID: 1}, {ID: 5}], { Type: "LookupMulti" });
+ * // => "1;#;#5;#"
+ */
+const formatFieldValue = function(value, column) {
+    let columnType = column ? column.Type : "";
+
+    if (value === null || value === undefined) {
+        return "";
+    }
+
+    if (columnType === "Calculated") {
+        columnType = column.ResultType || "";
+    }
+
+    if (!columnType) {
+        columnType = getValueType(value);
+    }
+
+    switch (columnType) {
+        case "DateTime":
+            return value instanceof Date ? getDateString(value) : String(value);
+
+        case "Boolean":
+            return typeof value === "boolean" ? (value ? "1" : "0") : String(value);
+
+        case "Lookup":
+        case "User":
+            return Array.isArray(value) ? formatLookupValues(value) : formatLookupValue(value);
+
+        case "LookupMulti":
+        case "UserMulti":
+            return formatLookupValues(Array.isArray(value) ? value : [value]);
+
+        case "MultiChoice":
+            if (Array.isArray(value)) {
+                return value.length ? ";#" + value.join(";#") + ";#" : "";
+            }
+            break;
+
+        case "URL":
+            if (typeof value === "object") {
+                return value.url ?
+                    String(value.url).replace(/,/g, ",,") + ", " + (value.description || value.url) :
+                    "";
+            }
+            break;
+    }
+
+    return String(value);
+};
+
+/**
+ * Returns the column type that best matches a value
+ *
+ * @private
+ *
+ * @param {*} value
+ *
+ * @return {String}
+ */
+function getValueType(value) {
+    if (value instanceof Date) {
+        return "DateTime";
+    }
+
+    if (typeof value === "boolean") {
+        return "Boolean";
+    }
+
+    if (Array.isArray(value)) {
+        return value.some(isLookupValue) ? "LookupMulti" : "MultiChoice";
+    }
+
+    if (isLookupValue(value)) {
+        return "Lookup";
+    }
+
+    if (value && typeof value === "object" && "url" in value) {
+        return "URL";
+    }
+
+    return "";
+}
+
+function isLookupValue(value) {
+    return !!value && typeof value === "object" && ("ID" in value || "AccountName" in value);
+}
+
+/**
+ * Returns the value for one lookup (or person). People without an `ID` are
+ * sent using their account name (`-1;#domain\user`), which SharePoint resolves.
+ *
+ * @private
+ *
+ * @param {Object|String|Number} value
+ *
+ * @return {String}
+ */
+function formatLookupValue(value) {
+    if (!value || typeof value !== "object") {
+        return value ? String(value) : "";
+    }
+
+    if (!value.ID && value.AccountName) {
+        return "-1;#" + value.AccountName;
+    }
+
+    return value.ID ? String(value.ID) : "";
+}
+
+function formatLookupValues(values) {
+    return values
+        .map(formatLookupValue)
+        .filter(value => value !== "")
+        .map(value => value.indexOf(";#") > -1 ? value : value + ";#")
+        .join(";#");
+}
+
+export default formatFieldValue;
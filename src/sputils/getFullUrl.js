@@ -1,5 +1,3 @@
-const DOCUMENT_LOCATION = document.location;
-
 /**
  * Returns the full URL (starting with `http...` for a given page address
  *
@@ -21,6 +19,8 @@ export default function getFullUrl(pageAddress, noEndSlash) {
         return pageAddress;
     }
 
+    const DOCUMENT_LOCATION = document.location;
+
     pageAddress = DOCUMENT_LOCATION.protocol + "//" +
         DOCUMENT_LOCATION.hostname +
         (   Number(DOCUMENT_LOCATION.port) !== 80 &&
@@ -76,3 +76,57 @@ import parseXML from "common-micro-libs/src/jsutils/parseXML";
         return error;
     };
 
+    /**
+     * Returns the SharePoint error code found in a webservices response.
+     * The most specific code is returned, looking in order of: the SOAP fault
+     * detail `errorcode`, the first `ErrorCode` that is not a success code, the
+     * `CopyResult` `ErrorCode` attribute and finally the `faultcode`.
+     *
+     * @param {XMLDocument|String} xmlMsg
+     *
+     * @return {String}
+     *  Empty string if no error code is found
+     *
+     * @example
+     *
+     * getMsgErrorCode(xmlDoc); // => "0x81020014"
+     */
+    export function getMsgErrorCode(xmlMsg) {
+        if (typeof xmlMsg === "string") {
+            xmlMsg = parseXML(xmlMsg);
+
+        } else if (xmlMsg && xmlMsg.jquery) {
+            xmlMsg = xmlMsg[0];
+        }
+
+        if (!xmlMsg || !xmlMsg.querySelector) {
+            return "";
+        }
+
+        var errorCode   = "",
+            detailCode  = domFind(xmlMsg, "errorcode")[0],
+            copyResult  = domFind(xmlMsg, "CopyResult[ErrorMessage]")[0],
+            faultCode   = domFind(xmlMsg, "faultcode")[0];
+
+        if (detailCode) {
+            return detailCode.textContent;
+        }
+
+        domFind(xmlMsg, "ErrorCode").some(function(errorCodeEle){
+            var errorCodeString = errorCodeEle.textContent;
+            if (errorCodeString !== "0x00000000" && errorCodeString !== "NoError") {
+                errorCode = errorCodeString;
+                return true;
+            }
+        });
+
+        if (!errorCode && copyResult) {
+            errorCode = copyResult.getAttribute("ErrorCode") || "";
+        }
+
+        if (!errorCode && faultCode) {
+            errorCode = faultCode.textContent;
+        }
+
+        return errorCode;
+    }
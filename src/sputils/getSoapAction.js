@@ -0,0 +1,35 @@
+/**
+ * Returns the SOAP operation name (ex. `GetListItems`) of a request, using either
+ * the `SOAPAction` header or the first element found inside of the `soap:Body`.
+ *
+ * @param {Object} [init]
+ *  The request options (same as those given to `fetch()`)
+ *
+ * @return {String}
+ *  Empty string if request does not seem to be a SOAP call.
+ */
+export default function getSoapAction(init) {
+    const headers   = (init && init.headers) || {};
+    const body      = String((init && init.body) || "");
+    let soapAction  = "";
+
+    if (headers.get) {
+        soapAction = headers.get("SOAPAction") || "";
+
+    } else {
+        Object.keys(headers).some(name => {
+            if (name.toLowerCase() === "soapaction") {
+                soapAction = headers[name];
+                return true;
+            }
+        });
+    }
+
+    if (soapAction) {
+        return String(soapAction).replace(/"/g, "").split("/").pop();
+    }
+
+    const bodyMatch = /<soap:Body>\s*<([\w:]+)/.exec(body);
+
+    return bodyMatch ? bodyMatch[1].split(":").pop() : "";
+}
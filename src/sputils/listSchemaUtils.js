@@ -0,0 +1,228 @@
+import xmlEscape        from "./xmlEscape"
+import cache            from "./cache"
+import getNodesFromXml  from "./getNodesFromXml"
+import getListItems     from "../spapi/getListItems"
+
+//===========================================================
+
+// Column attributes that are sent as child elements of `<Field>`
+const FIELD_CHILD_ELEMENTS = {
+    Choices:        choices => `<CHOICES>${ [].concat(choices).map(choice => `<CHOICE>${ xmlEscape.escape(String(choice)) }</CHOICE>`).join("") }</CHOICES>`,
+    Default:        value => `<Default>${ xmlEscape.escape(String(value)) }</Default>`,
+    DefaultFormula: value => `<DefaultFormula>${ xmlEscape.escape(String(value)) }</DefaultFormula>`,
+    Formula:        value => `<Formula>${ xmlEscape.escape(String(value)) }</Formula>`,
+    CustomXml:      value => String(value)
+};
+
+// Attributes of `ListColumnModel` that are not part of the column schema
+const IGNORED_FIELD_ATTRIBUTES = ["webURL", "listID", "listName", "isContentType", "___xmlNode"];
+
+/**
+ * Returns the CAML `<Field>` element for a column definition.
+ *
+ * @param {Object|String} column
+ *  An object with the column attributes (ex. `Type`, `DisplayName`, `Required`)
+ *  or a string with the `<Field>` XML (returned as is). Boolean values are sent
+ *  as `TRUE`/`FALSE`. The following attributes are sent as child elements:
+ *  `Choices` (Array), `Default`, `DefaultFormula` and `Formula`. `CustomXml`
+ *  can be used to add any other XML inside the `<Field>` element.
+ *
+ * @return {String}
+ *
+ * @example
+ *
+ * getFieldXml({ Name: "Status", DisplayName: "Status", Type: "Choice", Choices: ["New", "Active"], Default: "New" });
+ * // => <Field Name="Status" DisplayName="Status" Type="Choice"><CHOICES><CHOICE>New</CHOICE><CHOICE>Active</CHOICE></CHOICES><Default>New</Default></Field>
+ */
+export function getFieldXml(column) {
+    if (typeof column === "string") {
+        return column;
+    }
+
+    let attributes  = "";
+    let children    = "";
+
+    Object.keys(column).forEach(attrName => {
+        const value = column[attrName];
+
+        if (
+            value === null ||
+            value === undefined ||
+            typeof value === "function" ||
+            IGNORED_FIELD_ATTRIBUTES.indexOf(attrName) !== -1
+        ) {
+            return;
+        }
+
+        if (FIELD_CHILD_ELEMENTS[attrName]) {
+            children += FIELD_CHILD_ELEMENTS[attrName](value);
+            return;
+        }
+
+        if (typeof value === "object") {
+            return;
+        }
+
+        attributes += ` ${ attrName }="${ xmlEscape.escape(getAttributeValue(value)) }"`;
+    });
+
+    return children ? `<Field${ attributes }>${ children }</Field>` : `<Field${ attributes }/>`;
+}
+
+/**
+ * Returns the `<Fields>` element used by `Lists.asmx` `UpdateList` (`newFields`,
+ * `updateFields` and `deleteFields`), with each column in its own `<Method>`.
+ *
+ * @param {Array<Object|String>} columns
+ *  See `getFieldXml()`. When `nameOnly` is true, strings that are not XML are
+ *  taken as the column's internal name.
+ * @param {Boolean} [nameOnly=false]
+ *  If true, only the column's `Name` is sent (used when deleting columns).
+ *
+ * @return {String}
+ */
+export function getFieldsXml(columns, nameOnly) {
+    if (!columns || !columns.length) {
+        return "";
+    }
+
+    return "<Fields>" +
+        columns.map((column, index) => {
+            if (nameOnly && (typeof column !== "string" || column.trim().charAt(0) !== "<")) {
+                column = { Name: typeof column === "string" ? column : column.Name };
+            }
+
+            return `<Method ID="${ index + 1 }">${ getFieldXml(column) }</Method>`;
+        }).join("") +
+        "</Fields>";
+}
+
+/**
+ * Returns the `<List>` element used by `Lists.asmx` `UpdateList` to set the
+ * list properties.
+ *
+ * @param {Object|String} listProperties
+ *  An object with the properties (ex. `Title`, `Description`, `EnableVersioning`)
+ *  or a string with the `<List>` XML (returned as is).
+ *
+ * @return {String}
+ */
+export function getListPropertiesXml(listProperties) {
+    if (!listProperties) {
+        return "";
+    }
+
+    if (typeof listProperties === "string") {
+        return listProperties;
+    }
+
+    return "<List" +
+        Object.keys(listProperties)
+            .filter(propName => listProperties[propName] !== null && listProperties[propName] !== undefined && typeof listProperties[propName] !== "object")
+            .map(propName => ` ${ propName }="${ xmlEscape.escape(getAttributeValue(listProperties[propName])) }"`)
+            .join("") +
+        "/>";
+}
+
+/**
+ * Returns the column definitions returned by `Lists.asmx` `UpdateList` for
+ * one of the groups of changes.
+ *
+ * @param {ListModel} list
+ *  The list returned by `updateList()`
+ * @param {String} resultName
+ *  `NewFields` or `UpdateFields`
+ * @param {ListColumnModel} ListColumnModel
+ *
+ * @return {Array<ListColumnModel>}
+ */
+export function getResultColumns(list, resultName, ListColumnModel) {
+    const resultEle = list.getSource().getElementsByTagName(resultName)[0];
+
+    if (!resultEle) {
+        return [];
+    }
+
+    return getNodesFromXml({
+        xDoc:               resultEle,
+        nodeName:           "Field",
+        nodeModel:          ListColumnModel,
+        convertTypes:       true,
+        nodeModelOptions:   {
+            list:           list,
+            getListItems:   getListItems
+        }
+    });
+}
+
+/**
+ * Clears the cached data (in memory and persisted) for a list - ex. after its
+ * definition was changed or the list was deleted. This includes the list
+ * definition (`getList`, `getListColumns`), content types (`getListContentTypes`,
+ * `getListContentType`), form collection, items (`getListItems`) and the site's
+ * list collection.
+ *
+ * @param {String} webURL
+ *  The site url (with ending `/`), as returned by `getSiteWebUrl`
+ * @param {Array<String>|String} listNames
+ *  The names the list can be referenced by (ex. its Title and ID)
+ */
+export function clearListCache(webURL, listNames) {
+    listNames = [].concat(listNames).filter(name => !!name);
+
+    // `getList()` caches the definition under both the list Title and ID
+    const listDefinitions = listNames
+        .map(name => cache.get(`${ webURL }?List=${ name }`))
+        .filter(listDefinition => !!listDefinition);
+
+    const names = listNames
+        .reduce((allNames, name) => {
+            name = String(name).toLowerCase();
+            allNames.push(name);
+
+            // IDs can be used with or without the braces
+            if (name.charAt(0) === "{") {
+                allNames.push(name.replace(/[{}]/g, ""));
+            }
+
+            return allNames;
+        }, []);
+
+    const isListKey = key => {
+        key = String(key);
+
+        if (key.indexOf(webURL) !== 0) {
+            return false;
+        }
+
+        const keyPath = key.substr(webURL.length).toLowerCase();
+
+        if (keyPath === "?getlistversion" || keyPath.indexOf("_vti_bin/sitedata.asmx?") === 0) {
+            return true;
+        }
+
+        if (keyPath.indexOf("?list=") === 0 && listDefinitions.indexOf(cache.get(key)) !== -1) {
+            return true;
+        }
+
+        return names.some(name => {
+            return keyPath === `?list=${ name }` ||
+                keyPath === `?getlistcontenttypes=${ name }` ||
+                keyPath.indexOf(`?getlistcontenttype=${ name }&`) === 0 ||
+                keyPath === `_vti_bin/forms.asmx?operation=getformcollection&list=${ name }` ||
+                keyPath.indexOf(`?${ name }|`) === 0;
+        });
+    };
+
+    // Persisted copies (ex. the list definition) are outdated as well
+    cache.unpersist(isListKey);
+    cache.clearMatching(isListKey);
+}
+
+function getAttributeValue(value) {
+    if (typeof value === "boolean") {
+        return value ? "TRUE" : "FALSE";
+    }
+
+    return String(value);
+}
@@ -0,0 +1,147 @@
+import objectExtend             from "common-micro-libs/src/jsutils/objectExtend"
+import parseDateString          from "./parseDateString"
+import parseLookupFieldValue    from "./parseLookupFieldValue"
+import parsePeopleField         from "./parsePeopleField"
+
+//==============================================================
+const CALCULATED_VALUE_PREFIX = /^(string|float|datetime|boolean|error);#/i;
+
+/**
+ * Converts a field value, as returned by SharePoint webservices (SOAP), into
+ * a javascript native based on the type of column it belongs to. Values that
+ * are not strings are returned as is, so it is safe to call this method with
+ * a value that was already converted.
+ *
+ * | Column Type                         | Converted to                           |
+ * |-------------------------------------|----------------------------------------|
+ * | `Counter`, `Integer`                | `Number` (integer)                     |
+ * | `Number`, `Currency`                | `Number`                               |
+ * | `DateTime`                          | `Date`                                 |
+ * | `Boolean`                           | `Boolean`                              |
+ * | `Lookup`                            | `Object` (`{ID, Title}`)               |
+ * | `LookupMulti`                       | `Array<Object>` (`{ID, Title}`)        |
+ * | `User`                              | `UserProfileModel`                     |
+ * | `UserMulti`                         | `Array<UserProfileModel>`              |
+ * | `MultiChoice`                       | `Array<String>`                        |
+ * | `URL`                               | `Object` (`{url, description}`)        |
+ * | `Calculated`                        | Based on the column `ResultType`       |
+ *
+ * Empty values for all of the above (except `Boolean`, `LookupMulti`,
+ * `UserMulti` and `MultiChoice`) are converted to `null`. All other column
+ * types are returned as is.
+ *
+ * @function parseFieldValue
+ *
+ * @param {String} value
+ * @param {ListColumnModel|Object} column
+ *  The column definition. Only `Type` (and `ResultType` for `Calculated`
+ *  columns) is used.
+ * @param {Object} [options]
+ * @param {UserProfileModel} [options.PersonModel=UserProfileModel]
+ *  The model used for `User` and `UserMulti` values. See [parsePeopleField]{@link parsePeopleField}.
+ *
+ * @return {*}
+ *
+ * @example
+ *
+ * parseFieldValue(";#High;#Urgent;#", { Type: "MultiChoice" });
+ * // => ["High", "Urgent"]
+ *
+ * parseFieldValue("2017-01-01 00:00:00", { Type: "DateTime" });
+ * // => Date
+ */
+const parseFieldValue = function(value, column, options) {
+    let opt         = objectExtend({}, parseFieldValue.defaults, options);
+    let columnType  = column ? column.Type : "";
+
+    if (typeof value !== "string" || !columnType) {
+        return value;
+    }
+
+    if (columnType === "Calculated") {
+        let valueType = CALCULATED_VALUE_PREFIX.exec(value);
+
+        value       = value.replace(CALCULATED_VALUE_PREFIX, "");
+        columnType  = column.ResultType || (valueType ? {
+            float:      "Number",
+            datetime:   "DateTime",
+            "boolean":  "Boolean"
+        }[valueType[1].toLowerCase()] : "");
+    }
+
+    switch (columnType) {
+        case "Counter":
+        case "Integer":
+            return value === "" ? null : parseInt(value, 10);
+
+        case "Number":
+        case "Currency":
+            return value === "" ? null : parseFloat(value);
+
+        case "DateTime":
+            // SOAP returns dates as `yyyy-mm-dd hh:mm:ss`
+            return parseDateString(value.replace(" ", "T"));
+
+        case "Boolean":
+            return value === "1" || value.toUpperCase() === "TRUE";
+
+        case "Lookup":
+            return parseLookupFieldValue(value)[0] || null;
+
+        case "LookupMulti":
+            return parseLookupFieldValue(value);
+
+        case "User":
+            return parsePeopleField(value, opt.PersonModel)[0] || null;
+
+        case "UserMulti":
+            return parsePeopleField(value, opt.PersonModel);
+
+        case "MultiChoice":
+            return value.split(";#").filter(choice => choice !== "");
+
+        case "URL":
+            return parseUrlValue(value);
+    }
+
+    return value;
+};
+
+/**
+ * Parses a URL field value (format: `url, description`). Commas in the url
+ * are escaped by SharePoint as `,,`.
+ *
+ * @private
+ *
+ * @param {String} value
+ *
+ * @return {Object|null}
+ */
+function parseUrlValue(value) {
+    if (!value) {
+        return null;
+    }
+
+    let valueParts = /^((?:[^,]|,,)*), ([\s\S]*)$/.exec(value);
+
+    if (!valueParts) {
+        return { url: value.replace(/,,/g, ","), description: "" };
+    }
+
+    return {
+        url:            valueParts[1].replace(/,,/g, ","),
+        description:    valueParts[2]
+    };
+}
+
+/**
+ * Defaults for the function
+ *
+ * @name parseFieldValue.defaults
+ * @type {Object}
+ */
+parseFieldValue.defaults = {
+    PersonModel: null
+};
+
+export default parseFieldValue;
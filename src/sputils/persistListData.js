@@ -0,0 +1,80 @@
+import Promise          from "common-micro-libs/src/jsutils/es6-promise"
+import cache            from "./cache"
+import getListVersion   from "../spapi/getListVersion"
+import { isAbortError } from "./errors"
+
+//==============================================================
+
+/**
+ * Returns data related to a list definition (ex. the list schema, content types)
+ * from the cache storage backend, if it was persisted for the list's current
+ * version. Otherwise, `fetchData()` is called and its result persisted
+ * against the current version of the list.
+ *
+ * If no storage has been set with `cache.setStorage()`, then this simply
+ * returns `fetchData()`.
+ *
+ * @private
+ *
+ * @param {Object} options
+ * @param {String} options.key
+ *  The key used in storage.
+ * @param {String} options.listName
+ * @param {String} options.webURL
+ * @param {AbortSignal} [options.signal]
+ *  Used when retrieving the list version.
+ * @param {Number} [options.timeout]
+ *  Used when retrieving the list version.
+ * @param {Function} options.fetchData
+ *  Called with no arguments. Should return a Promise.
+ * @param {Function} [options.serialize]
+ *  Called with the data resolved by `fetchData()`. Should return a value
+ *  that can be serialized to JSON.
+ * @param {Function} [options.deserialize]
+ *  Called with the value persisted. Should return the data as `fetchData()`
+ *  would resolve it.
+ *
+ * @return {Promise}
+ */
+export default function persistListData(options) {
+    const {
+        key,
+        listName,
+        webURL,
+        signal,
+        timeout,
+        fetchData,
+        serialize   = data => data,
+        deserialize = value => value
+    } = options;
+
+    if (!cache.hasStorage()) {
+        return fetchData();
+    }
+
+    return getListVersion({ listName, webURL, signal, timeout })
+        ["catch"](error => {
+            if (isAbortError(error)) {
+                throw error;
+            }
+
+            return "";
+        })
+        .then(version => {
+            // If the list version is not known, we can't validate persisted data
+            if (!version) {
+                return fetchData();
+            }
+
+            return cache.getPersisted(key, version).then(value => {
+                if (value !== undefined) {
+                    return deserialize(value);
+                }
+
+                return Promise.resolve(fetchData()).then(data => {
+                    cache.persist(key, serialize(data), version)["catch"](() => {});
+                    return data;
+                });
+            });
+        });
+}
@@ -0,0 +1,136 @@
+import callSoapService  from "./callSoapService"
+import cache            from "./cache"
+import getNodesFromXml  from "./getNodesFromXml"
+import whenNotAborted   from "./whenNotAborted"
+
+//===========================================================
+
+/**
+ * The XML namespace of the `UserGroup.asmx` operations. Used with `callSoapService()`.
+ *
+ * @type {String}
+ */
+export const USER_GROUP_NAMESPACE = "http://schemas.microsoft.com/sharepoint/soap/directory/";
+
+/**
+ * Calls an operation of the `UserGroup.asmx` service. The response is cached
+ * (in memory) until the group membership of the site is changed (see `clearGroupCache()`).
+ *
+ * @param {String} webURL
+ *  The site url (with ending `/`)
+ * @param {String} operation
+ *  ex. `GetUserCollectionFromGroup`
+ * @param {Object} params
+ *  The operation parameters. Values are used as is (must already be XML escaped
+ *  where needed), in the order defined.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {Number} [options.timeout]
+ * @param {Boolean} [options.cache=true]
+ *  If false, the request is always made (and any cached response is replaced)
+ *
+ * @return {Promise<ApiFetchResponse, Error>}
+ */
+export function callUserGroupServiceCached(webURL, operation, params, options) {
+    options = options || {};
+
+    const cacheKey = webURL + "_vti_bin/UserGroup.asmx?Operation=" + operation +
+        Object.keys(params).map(paramName => `&${ paramName }=${ params[paramName] }`).join("");
+
+    if (options.cache !== false && cache.isCached(cacheKey)) {
+        return whenNotAborted(cache.get(cacheKey), options.signal);
+    }
+
+    // The request is shared with other callers, so it is not bound to this
+    // caller's signal - the signal is only applied to this caller's wait.
+    const reqPromise = callSoapService(webURL, "UserGroup", operation, params, {
+        namespace:  USER_GROUP_NAMESPACE,
+        timeout:    options.timeout,
+        idempotent: true
+    });
+
+    cache(cacheKey, reqPromise);
+    reqPromise["catch"](function() {
+        cache.clear(cacheKey);
+    });
+
+    return whenNotAborted(reqPromise, options.signal);
+}
+
+/**
+ * Returns the groups (`<Group>` elements) in a `UserGroup.asmx` response as
+ * plain objects. Boolean values (ex. `OwnerIsUser`) are converted to `Boolean`s.
+ *
+ * @param {XMLDocument} xmlDoc
+ *
+ * @return {Array<SiteGroup>}
+ *
+ * @typedef {Object} SiteGroup
+ *
+ * @property {String} ID
+ * @property {String} Name
+ * @property {String} Description
+ * @property {String} OwnerID
+ * @property {Boolean} OwnerIsUser
+ *
+ * @example
+ *
+ * {
+ *      ID:             "5",
+ *      Name:           "Team Site Members",
+ *      Description:    "Use this group to grant people contribute permissions to the SharePoint site: Team Site",
+ *      OwnerID:        "3",
+ *      OwnerIsUser:    false
+ * }
+ */
+export function getGroupsFromXml(xmlDoc) {
+    // Return plain objects (no reference to the XML node), so that they can be cached
+    return JSON.parse(JSON.stringify(getNodesFromXml({
+        xDoc:           xmlDoc,
+        nodeName:       "Group",
+        convertTypes:   true
+    })));
+}
+
+/**
+ * Returns `true` if the group matches the given group name or ID
+ *
+ * @param {SiteGroup} group
+ * @param {String|Number} groupName
+ *
+ * @return {Boolean}
+ */
+export function isSameGroup(group, groupName) {
+    return String(group.ID) === String(groupName) ||
+        String(group.Name).toLowerCase() === String(groupName).toLowerCase();
+}
+
+/**
+ * Returns the login name for a user given as a String or a `UserProfileModel`
+ *
+ * @param {String|UserProfileModel} user
+ *
+ * @return {String}
+ */
+export function getUserLoginName(user) {
+    if (!user) {
+        return "";
+    }
+
+    if (typeof user === "string") {
+        return user;
+    }
+
+    return user.LoginName || user.AccountName || "";
+}
+
+/**
+ * Clears the cached group data (`getGroupCollectionFromSite()`, `getGroupMembers()`
+ * and `getGroupsForUser()`) for a site - ex. after a user is added to a group.
+ *
+ * @param {String} webURL
+ *  The site url (with ending `/`), as returned by `getSiteWebUrl`
+ */
+export function clearGroupCache(webURL) {
+    cache.clearByPrefix(webURL + "_vti_bin/UserGroup.asmx?");
+}
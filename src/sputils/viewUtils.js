@@ -0,0 +1,85 @@
+import xmlEscape    from "./xmlEscape"
+import { IS_GUID }  from "./constants"
+
+//===========================================================
+
+/**
+ * Returns `true` if the view name is a view ID (GUID), which is what `Views.asmx`
+ * requires to identify a view.
+ *
+ * @param {String} viewName
+ *
+ * @return {Boolean}
+ */
+export function isViewId(viewName) {
+    return IS_GUID.test(String(viewName || ""));
+}
+
+/**
+ * Returns the `<ViewFields>` element for a view
+ *
+ * @param {Array<String>|String} viewFields
+ *  The internal names of the fields or the `<ViewFields>` XML (returned as is)
+ *
+ * @return {String}
+ */
+export function getViewFieldsXml(viewFields) {
+    if (!viewFields) {
+        return "";
+    }
+
+    if (typeof viewFields === "string") {
+        return viewFields;
+    }
+
+    return "<ViewFields>" +
+        viewFields.map(fieldName => `<FieldRef Name="${ xmlEscape.escape(fieldName) }"/>`).join("") +
+        "</ViewFields>";
+}
+
+/**
+ * Returns the `<Query>` element for a view
+ *
+ * @param {String|CamlQuery} query
+ *  The `<Query>` XML or a `CamlQuery`. The conditions of a `<Where>` (without
+ *  the `<Query>` element) are also accepted.
+ *
+ * @return {String}
+ */
+export function getViewQueryXml(query) {
+    if (!query) {
+        return "";
+    }
+
+    if (typeof query.toCAMLQuery === "function") {
+        return query.toCAMLQuery();
+    }
+
+    query = String(query).trim();
+
+    if (/^<Query[\s>]/.test(query)) {
+        return query;
+    }
+
+    if (/^<(Where|OrderBy|GroupBy)[\s>]/.test(query)) {
+        return `<Query>${ query }</Query>`;
+    }
+
+    return `<Query><Where>${ query }</Where></Query>`;
+}
+
+/**
+ * Returns the `<RowLimit>` element for a view
+ *
+ * @param {Number} rowLimit
+ * @param {Boolean} [paged=true]
+ *
+ * @return {String}
+ */
+export function getRowLimitXml(rowLimit, paged) {
+    if (!rowLimit) {
+        return "";
+    }
+
+    return `<RowLimit Paged="${ paged === false ? "FALSE" : "TRUE" }">${ parseInt(rowLimit, 10) }</RowLimit>`;
+}
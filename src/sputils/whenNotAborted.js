@@ -0,0 +1,50 @@
+import Promise          from "common-micro-libs/src/jsutils/es6-promise"
+import { AbortError }   from "./errors"
+
+/**
+ * Returns a promise that follows the one given on input, but that is rejected
+ * with an `AbortError` as soon as the `signal` is aborted. The promise given on
+ * input is not affected by the abort, so it can be shared by several callers
+ * (ex. a cached request), each one waiting on it with their own signal.
+ *
+ * @param {Promise} promise
+ * @param {AbortSignal} [signal]
+ * @param {Object} [errorDetails]
+ *  Details (ex. `url`, `soapAction`) to be set on the `AbortError`.
+ *
+ * @return {Promise}
+ *
+ * @example
+ *
+ * whenNotAborted(cache.get(cacheKey), opt.signal).then(response => { ... });
+ */
+export default function whenNotAborted(promise, signal, errorDetails) {
+    if (!signal) {
+        return promise;
+    }
+
+    if (signal.aborted) {
+        return Promise.reject(new AbortError("", errorDetails));
+    }
+
+    return new Promise(function(resolve, reject){
+        var onAbort = function(){
+                reject(new AbortError("", errorDetails));
+            },
+            removeListener = function(){
+                signal.removeEventListener("abort", onAbort);
+            };
+
+        signal.addEventListener("abort", onAbort);
+        promise.then(
+            function(value){
+                removeListener();
+                resolve(value);
+            },
+            function(error){
+                removeListener();
+                reject(error);
+            }
+        );
+    });
+}
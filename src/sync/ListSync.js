@@ -0,0 +1,424 @@
+import EventEmitter         from "common-micro-libs/src/jsutils/EventEmitter"
+import dataStore            from "common-micro-libs/src/jsutils/dataStore"
+import objectExtend         from "common-micro-libs/src/jsutils/objectExtend"
+import Promise              from "common-micro-libs/src/jsutils/es6-promise"
+import getListItems         from "../spapi/getListItems"
+import { setPagingToken }   from "../spapi/iterateListItems"
+import getSiteWebUrl        from "../spapi/getSiteWebUrl"
+import cache                from "../sputils/cache"
+import { isAbortError }     from "../sputils/errors"
+import ListItemModel        from "../models/ListItemModel"
+import ListItemsCollection  from "../collections/ListItemsCollection"
+
+//==========================================================================
+const PRIVATE = dataStore.create();
+
+/**
+ * Keeps a local `ListItemsCollection` up to date with a SharePoint list by
+ * polling for changes with the `GetListItemChangesSinceToken` operation.
+ * New items are added to the collection, existing items (`ListItemModel`) are
+ * updated in place and deleted items are removed from the collection.
+ *
+ * The first sync (no change token) retrieves all items matching the query
+ * (all pages, when `options.CAMLRowLimit` is set). Only items whose values
+ * changed are reported as `updated`.
+ *
+ * @class ListSync
+ * @extends EventEmitter
+ *
+ * @param {Object} options
+ *
+ * @param {String} options.listName
+ * @param {String} [options.webURL=currentSite]
+ * @param {String} [options.CAMLQuery=""]
+ * @param {String} [options.CAMLViewFields=""]
+ * @param {String} [options.CAMLQueryOptions=""]
+ * @param {String|Number} [options.CAMLRowLimit=""]
+ * @param {ListItemModel} [options.ListItemModel=ListItemModel]
+ *
+ * @param {ListItemsCollection} [options.items]
+ *  The collection to keep up to date. One is created if not defined.
+ *
+ * @param {String} [options.changeToken=""]
+ *  The change token to start from. Should only be used if `options.items`
+ *  already contains the items as of that token.
+ *
+ * @param {Number} [options.interval=60000]
+ *  Number of milliseconds between each poll, when `start()` is used.
+ *
+ * @param {Boolean} [options.persistToken=false]
+ *  If true, the change token is persisted between sessions using the storage
+ *  backend set with `cache.setStorage()`, and is used on the first sync if no
+ *  `options.changeToken` is defined. Since only changes since that token are
+ *  retrieved, this is only useful when the items are also persisted (and given
+ *  on input) or when only changes are of interest.
+ *
+ * @param {String} [options.storageKey]
+ *  The key under which the change token is persisted. Defaults to one
+ *  derived from the `webURL`, `listName` and `CAMLQuery`.
+ *
+ * @fires ListSync#change
+ * @fires ListSync#sync
+ * @fires ListSync#error
+ *
+ * @example
+ *
+ * const tasksSync = ListSync.create({ listName: "Tasks", interval: 30000 });
+ *
+ * tasksSync.on("change", changes => console.log(`${ changes.added.length } tasks added`));
+ * tasksSync.start();
+ *
+ * myListWidget.setItems(tasksSync.getItems());
+ */
+const ListSync = EventEmitter.extend(/** @lends ListSync.prototype */{
+    init(options) {
+        const inst = {
+            opt:            objectExtend({}, this.getFactory().defaults, options),
+            items:          (options && options.items) || ListItemsCollection.create([]),
+            changeToken:    (options && options.changeToken) || "",
+            tokenLoaded:    false,
+            isRunning:      false,
+            timer:          null,
+            pendingSync:    null,
+            abortController: null
+        };
+
+        PRIVATE.set(this, inst);
+
+        this.onDestroy(() => {
+            this.stop();
+            PRIVATE["delete"](this);
+        });
+    },
+
+    /**
+     * Returns the collection of items being kept in sync.
+     *
+     * @return {ListItemsCollection}
+     */
+    getItems() {
+        return PRIVATE.get(this).items;
+    },
+
+    /**
+     * Returns the current change token.
+     *
+     * @return {String}
+     */
+    getChangeToken() {
+        return PRIVATE.get(this).changeToken;
+    },
+
+    /**
+     * Starts polling for changes. A sync is done immediately, and then
+     * every `options.interval` milliseconds after the previous one completes.
+     */
+    start() {
+        const inst = PRIVATE.get(this);
+
+        if (inst.isRunning) {
+            return;
+        }
+
+        inst.isRunning = true;
+
+        const scheduleNext = () => {
+            if (inst.isRunning) {
+                inst.timer = setTimeout(poll, inst.opt.interval);
+            }
+        };
+        const poll = () => {
+            inst.timer = null;
+            this.sync().then(scheduleNext, scheduleNext);
+        };
+
+        poll();
+    },
+
+    /**
+     * Stops polling for changes. A sync that is in progress is aborted.
+     */
+    stop() {
+        const inst = PRIVATE.get(this);
+
+        inst.isRunning = false;
+
+        if (inst.timer) {
+            clearTimeout(inst.timer);
+            inst.timer = null;
+        }
+
+        if (inst.abortController) {
+            inst.abortController.abort();
+        }
+    },
+
+    /**
+     * Retrieves the changes since the last sync and applies them to the
+     * collection. If a sync is already in progress, its promise is returned.
+     *
+     * @return {Promise<ListSyncChanges, Error>}
+     */
+    sync() {
+        const inst = PRIVATE.get(this);
+
+        if (inst.pendingSync) {
+            return inst.pendingSync;
+        }
+
+        if (typeof AbortController !== "undefined") {
+            inst.abortController = new AbortController();
+        }
+
+        /**
+         * The changes applied to the collection during a sync.
+         *
+         * @typedef {Object} ListSyncChanges
+         *
+         * @property {Array<ListItemModel>} added
+         * @property {Array<ListItemModel>} updated
+         * @property {Array<ListItemModel>} removed
+         * @property {String} changeToken
+         */
+        const changes = {
+            added:          [],
+            updated:        [],
+            removed:        [],
+            changeToken:    ""
+        };
+
+        inst.pendingSync = getStorageKey(inst)
+            .then(storageKey => {
+                if (inst.tokenLoaded || inst.changeToken || !inst.opt.persistToken) {
+                    inst.tokenLoaded = true;
+                    return;
+                }
+
+                return cache.getPersisted(storageKey).then(changeToken => {
+                    inst.tokenLoaded = true;
+                    inst.changeToken = changeToken || "";
+                });
+            })
+            .then(() => getChanges(inst, changes, null))
+            .then(() => {
+                inst.pendingSync        = null;
+                inst.abortController    = null;
+                changes.changeToken     = inst.changeToken;
+
+                if (inst.opt.persistToken && cache.hasStorage()) {
+                    getStorageKey(inst).then(storageKey => cache.persist(storageKey, inst.changeToken))["catch"](noop);
+                }
+
+                if (changes.added.length || changes.updated.length || changes.removed.length) {
+                    /**
+                     * Items were added, updated or removed from the collection.
+                     *
+                     * @event ListSync#change
+                     * @type {ListSyncChanges}
+                     */
+                    this.emit("change", changes);
+                }
+
+                /**
+                 * A sync was completed (even if no changes were found).
+                 *
+                 * @event ListSync#sync
+                 * @type {ListSyncChanges}
+                 */
+                this.emit("sync", changes);
+
+                return changes;
+            })
+            ["catch"](error => {
+                inst.pendingSync        = null;
+                inst.abortController    = null;
+
+                if (!isAbortError(error)) {
+                    /**
+                     * A sync failed.
+                     *
+                     * @event ListSync#error
+                     * @type {Error}
+                     */
+                    this.emit("error", error);
+                }
+
+                return Promise.reject(error);
+            });
+
+        return inst.pendingSync;
+    }
+});
+
+/**
+ * Retrieves changes since the current token and applies them to the collection.
+ * Continues retrieving while SharePoint indicates there are more changes.
+ *
+ * When there is no change token (or it is no longer valid), a full refresh is
+ * done: all pages of the result set are retrieved (following
+ * `ListItemCollectionPositionNext`) and only then are items no longer in the
+ * result set removed from the collection.
+ *
+ * @private
+ *
+ * @param {Object} inst
+ * @param {ListSyncChanges} changes
+ * @param {Object} [refresh]
+ *  The state of a full refresh in progress: the IDs of all items received
+ *  (`ids`), the token of the next page (`pageToken`) and the change token
+ *  returned with the first page (`changeToken`).
+ *
+ * @return {Promise}
+ */
+function getChanges(inst, changes, refresh) {
+    const opt = inst.opt;
+
+    if (!inst.changeToken && !refresh) {
+        refresh = { ids: {}, pageToken: "", changeToken: "" };
+    }
+
+    return getListItems({
+        listName:           opt.listName,
+        webURL:             opt.webURL,
+        CAMLQuery:          opt.CAMLQuery,
+        CAMLViewFields:     opt.CAMLViewFields,
+        CAMLQueryOptions:   refresh && refresh.pageToken ?
+                                setPagingToken(opt.CAMLQueryOptions, refresh.pageToken) :
+                                opt.CAMLQueryOptions,
+        CAMLRowLimit:       opt.CAMLRowLimit,
+        ListItemModel:      opt.ListItemModel,
+        operation:          "GetListItemChangesSinceToken",
+        changeToken:        refresh ? "" : inst.changeToken,
+        signal:             inst.abortController ? inst.abortController.signal : null
+    })
+        .then(changedItems => {
+            // Token no longer valid (ex. too old) - do a full refresh
+            if (!refresh && changedItems.isChangeTokenInvalid()) {
+                inst.changeToken = "";
+                return getChanges(inst, changes, null);
+            }
+
+            changedItems.forEach(changedItem => {
+                const item = findItem(inst.items, changedItem.ID);
+
+                if (refresh) {
+                    refresh.ids[changedItem.ID] = true;
+                }
+
+                if (!item) {
+                    inst.items.push(changedItem);
+                    changes.added.push(changedItem);
+                    return;
+                }
+
+                const changedAttrs = Object.keys(changedItem).filter(attrName => {
+                    return !isSameValue(item[attrName], changedItem[attrName]);
+                });
+
+                if (changedAttrs.length) {
+                    changedAttrs.forEach(attrName => item[attrName] = changedItem[attrName]);
+                    changes.updated.push(item);
+                }
+            });
+
+            changedItems.getRemovedItemIds().forEach(itemId => removeItem(inst.items, itemId, changes));
+
+            if (!refresh) {
+                inst.changeToken = changedItems.getChangeToken();
+
+                if (changedItems.hasMoreChanges()) {
+                    return getChanges(inst, changes, null);
+                }
+
+                return;
+            }
+
+            // The token returned with the first page is kept, so that changes
+            // made while the pages are retrieved are picked up on the next sync
+            refresh.changeToken = refresh.changeToken || changedItems.getChangeToken();
+            refresh.pageToken   = changedItems.getNextPageToken();
+
+            if (refresh.pageToken) {
+                return getChanges(inst, changes, refresh);
+            }
+
+            inst.changeToken = refresh.changeToken;
+            inst.items
+                .filter(item => !refresh.ids[item.ID])
+                .forEach(item => removeItem(inst.items, item.ID, changes));
+        });
+}
+
+/**
+ * Returns `true` if two item values are the same. Values that are objects
+ * (ex. lookup values) are compared by their content.
+ *
+ * @private
+ *
+ * @param {*} valueA
+ * @param {*} valueB
+ *
+ * @return {Boolean}
+ */
+function isSameValue(valueA, valueB) {
+    if (valueA === valueB) {
+        return true;
+    }
+
+    if (valueA && valueB && typeof valueA === "object" && typeof valueB === "object") {
+        return JSON.stringify(valueA) === JSON.stringify(valueB);
+    }
+
+    return false;
+}
+
+function findItem(items, itemId) {
+    let response;
+
+    items.some(item => {
+        if (String(item.ID) === String(itemId)) {
+            response = item;
+            return true;
+        }
+    });
+
+    return response;
+}
+
+function removeItem(items, itemId, changes) {
+    const item = findItem(items, itemId);
+
+    if (item) {
+        items.splice(items.indexOf(item), 1);
+        changes.removed.push(item);
+    }
+}
+
+function getStorageKey(inst) {
+    if (inst.opt.storageKey) {
+        return Promise.resolve(inst.opt.storageKey);
+    }
+
+    return getSiteWebUrl(inst.opt.webURL).then(webURL => {
+        return webURL + "?ListSync=" + [inst.opt.listName, inst.opt.CAMLQuery].join("|");
+    });
+}
+
+function noop() {}
+
+ListSync.defaults = {
+    listName:           "",
+    webURL:             "",
+    CAMLQuery:          "",
+    CAMLViewFields:     "",
+    CAMLQueryOptions:   "",
+    CAMLRowLimit:       "",
+    ListItemModel:      ListItemModel,
+    items:              null,
+    changeToken:        "",
+    interval:           60000,
+    persistToken:       false,
+    storageKey:         ""
+};
+
+export default ListSync;
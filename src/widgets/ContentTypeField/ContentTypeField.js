@@ -3,6 +3,7 @@ import Deferred             from "common-micro-libs/src/jsutils/Deferred"
 import Promise              from "common-micro-libs/src/jsutils/es6-promise"
 import ChoiceField          from "../ChoiceField/ChoiceField"
 import getListContentTypes  from "../../spapi/getListContentTypes"
+import getListContentType   from "../../spapi/getListContentType"
 
 //=================================================================
 const PRIVATE               = dataStore.create();
@@ -24,7 +25,9 @@ export default ChoiceField.extend({
         ChoiceFieldPrototype.init.call(this, options);
         const deferred = Deferred.create();
         const state = {
-            onReady: deferred.promise.then(() => this)
+            onReady:    deferred.promise.then(() => this),
+            listName:   options.listName,
+            webURL:     options.webURL
         };
         PRIVATE.set(this, state);
 
@@ -49,5 +52,40 @@ export default ChoiceField.extend({
 
     setSelected(...vals) {
         return this.onReady().then(() => ChoiceFieldPrototype.setSelected.call(this, ...vals));
+    },
+
+    /**
+     * Returns the definition of the content types currently selected.
+     *
+     * @return {Promise<Array<ContentTypeModel>, Error>}
+     */
+    getSelectedContentTypes() {
+        const state = PRIVATE.get(this);
+
+        return this.onReady().then(() => Promise.all(
+            this.getSelected().map(contentType => getListContentType({
+                listName:       state.listName,
+                webURL:         state.webURL,
+                contentTypeId:  contentType.ID
+            }))
+        ));
+    },
+
+    /**
+     * Returns the internal names of the fields (columns) that are part of the
+     * content types currently selected. An empty array is returned if no
+     * content type is selected.
+     *
+     * @return {Promise<Array<String>, Error>}
+     */
+    getContentTypeFields() {
+        return this.getSelectedContentTypes().then(contentTypes => contentTypes.reduce((fieldNames, contentType) => {
+            contentType.getFieldNames().forEach(fieldName => {
+                if (fieldNames.indexOf(fieldName) === -1) {
+                    fieldNames.push(fieldName);
+                }
+            });
+            return fieldNames;
+        }, []));
     }
 });
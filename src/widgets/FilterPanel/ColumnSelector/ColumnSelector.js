@@ -44,8 +44,9 @@ const CSS_CLASS_COL_SELECTED    = CSS_CLASS_BASE + "-col--selected";
 const ColumnSelector = EventEmitter.extend(Widget).extend(/** @lends ColumnSelector.prototype */{
     init: function (options) {
         var inst = {
-            opt:        objectExtend({}, this.getFactory().defaults, options),
-            listCols:   null
+            opt:            objectExtend({}, this.getFactory().defaults, options),
+            listCols:       null,
+            visibleCols:    null
         };
 
         PRIVATE.set(this, inst);
@@ -88,11 +89,12 @@ const ColumnSelector = EventEmitter.extend(Widget).extend(/** @lends ColumnSelec
             }
         }.bind(this));
 
-        loadColumns.call(this)
-            .then(showColumns.bind(this))
-            ["catch"](function(e){
-                console.error(e); // jshint ignore:line
-            });
+        inst.loaded = loadColumns.call(this)
+            .then(showColumns.bind(this));
+
+        inst.loaded["catch"](function(e){
+            console.error(e); // jshint ignore:line
+        });
 
         this.onDestroy(function () {
             PRIVATE.delete(this);
@@ -140,6 +142,24 @@ const ColumnSelector = EventEmitter.extend(Widget).extend(/** @lends ColumnSelec
                 domAddClass(ele, CSS_CLASS_COL_SELECTED);
             }
         });
+    },
+
+    /**
+     * Limits the columns shown to the given set (ex. the fields of a content type).
+     * Columns currently selected are always shown.
+     *
+     * @param {Array<String>} [columnNames]
+     *  The internal names of the columns to show. If not defined (or empty), all
+     *  columns are shown.
+     *
+     * @return {Promise}
+     */
+    setVisibleColumns: function(columnNames){
+        var inst = PRIVATE.get(this);
+
+        inst.visibleCols = columnNames && columnNames.length ? columnNames : null;
+
+        return inst.loaded.then(showColumns.bind(this));
     }
 });
 
@@ -191,8 +211,14 @@ function loadColumns() {
  * @private
  */
 function showColumns() {
-    var inst = PRIVATE.get(this),
-        cols    = inst.listCols.slice();
+    var inst        = PRIVATE.get(this),
+        visibleCols = inst.visibleCols,
+        selected    = this.getSelected(),
+        cols        = inst.listCols.filter(function(colDef){
+            return  !visibleCols ||
+                    visibleCols.indexOf(colDef.Name) !== -1 ||
+                    selected.indexOf(colDef) !== -1;
+        });
 
 
     sortBy(cols, "DisplayName");
@@ -202,6 +228,7 @@ function showColumns() {
             fillTemplate(columnTemplate, cols)
         )
     );
+    this.setSelected(selected);
 }
 
 function toggleColumnSelection(colEle) {
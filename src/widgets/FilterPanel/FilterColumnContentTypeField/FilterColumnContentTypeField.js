@@ -14,6 +14,8 @@ const PRIVATE = dataStore.stash;
  * @extends FilterColumn
  *
  * @param {Object} options
+ *
+ * @fires FilterColumnContentTypeField#content-type-change
  */
 const FilterColumnContentTypeField = FilterColumn.extend(/** @lends FilterColumnContentTypeField.prototype */{
     init: function (options) {
@@ -59,6 +61,15 @@ const FilterColumnContentTypeField = FilterColumn.extend(/** @lends FilterColumn
             } else {
                 this.setKeywordInfo("");
             }
+
+            /**
+             * The content types selected were changed. Use `getContentTypeFields()`
+             * to get the fields that are part of the selected content types.
+             *
+             * @event FilterColumnContentTypeField#content-type-change
+             * @type {FilterColumnContentTypeField}
+             */
+            this.emit("content-type-change", this);
         }.bind(this));
 
         this.removeCompareOperators("Contains");
@@ -70,6 +81,16 @@ const FilterColumnContentTypeField = FilterColumn.extend(/** @lends FilterColumn
         const inst = PRIVATE.get(this);
         inst.setFieldCommonFilters.call(this, filter);
         return inst.inputWdg.setSelected(filter.values).then(() => this.evalDirtyState());
+    },
+
+    /**
+     * Returns the internal names of the fields that are part of the selected
+     * content types. See [ContentTypeField#getContentTypeFields]{@link ContentTypeField#getContentTypeFields}
+     *
+     * @return {Promise<Array<String>, Error>}
+     */
+    getContentTypeFields: function(){
+        return PRIVATE.get(this).inputWdg.getContentTypeFields();
     }
 });
 
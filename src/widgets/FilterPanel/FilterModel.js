@@ -174,7 +174,7 @@ FilterModel = {
             type:           me.logicalOperator,
             values:         filterValues,
             onEachValue:    function(filterVal){
-                var isValidCamlXMLTag = (/<userid\/>/i).test(filterVal);
+                var isValidCamlXMLTag = (/<userid\b[^>]*\/>/i).test(filterVal);
 
                 return fillTemplate(template, {
                     colName:    colName,
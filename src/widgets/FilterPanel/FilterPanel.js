@@ -29,6 +29,7 @@ import FiltersCollection            from "./FiltersCollection"
 import FilterModel                  from "./FilterModel"
 
 import getListColumns               from "../../spapi/getListColumns"
+import getView                      from "../../spapi/getView"
 import SPFilterPanelTemplate        from "./FilterPanel.html"
 import "./FilterPanel.less"
 
@@ -66,6 +67,10 @@ CSS_CLASS_MS_BUTTON_PRIMARY = "ms-Button--primary",
  * @param {Array<Object>|FiltersCollection} [options.filters]
  *  A list of defined filters to show in the filter panel. See [setFilters()]{@link FilterPanel#setFilters}
  *  for more on the format of this parameter
+ * @param {Boolean} [options.limitColumnsByContentType=false]
+ *  When true, and content types are selected in the Content Type filter, only
+ *  the columns that are part of those content types are made available for
+ *  selection (columns already shown remain available).
  *
  * @fires FilterPanel#clear
  * @fires FilterPanel#find
@@ -78,7 +83,8 @@ FilterPanel = /** @lends FilterPanel.prototype */{
             uiFind:     null,
             body:       null,
             infoMsg:    null,
-            colsWdg:    {}      // List of columns currently shown
+            colsWdg:    {},     // List of columns currently shown
+            lastContentTypeChangeId: 0
         },
         opt = inst.opt;
 
@@ -190,6 +196,25 @@ FilterPanel = /** @lends FilterPanel.prototype */{
             hideFilterColumn.call(me, colDef.Name);
         });
 
+        me.on("filterColumn:content-type-change", function(contentTypeColWdg){
+            if (opt.limitColumnsByContentType) {
+                var changeId = ++inst.lastContentTypeChangeId;
+
+                contentTypeColWdg.getContentTypeFields()
+                    .then(function(fieldNames){
+                        // If content type was changed again, then this result is stale
+                        if (changeId !== inst.lastContentTypeChangeId || !inst.columnSelector) {
+                            return;
+                        }
+
+                        return inst.columnSelector.setVisibleColumns(fieldNames);
+                    })
+                    ["catch"](function(e){
+                        console.error(e); // jshint ignore:line
+                    });
+            }
+        });
+
         me.on("filterColumn:change", function(){
             if (this.isDirty()) {
                 domAddClass(inst.find, CSS_CLASS_MS_BUTTON_PRIMARY);
@@ -335,6 +360,59 @@ FilterPanel = /** @lends FilterPanel.prototype */{
         }.bind(this))["catch"](function(e){
             console.error(e); // jshint ignore:line
         });
+    },
+
+    /**
+     * Sets the filters on the panel from the query of a list view, so that
+     * users can start from an existing view. Only the conditions that can be
+     * represented as filters are loaded (see `FiltersCollection.fromCAMLQuery()`),
+     * using the columns of the panel's list.
+     *
+     * @param {ViewModel|String} view
+     *  A view (ex. from `getView()` or `getListViews()`) or a CAML query string.
+     *  If the view does not include its query (ex. from `getListViews()`), then
+     *  its full definition is first retrieved.
+     *
+     * @returns {Promise<Array<Object>>}
+     *  Resolved with the parts of the view's query that could not be loaded (see
+     *  `FiltersCollection.fromCAMLQuery()`).
+     */
+    setFiltersFromView: function(view){
+        var
+        opt         = PRIVATE.get(this).opt,
+        queryPromise;
+
+        if (typeof view === "string") {
+            queryPromise = Promise.resolve(view);
+
+        } else if (!view.getQuery() && view.Name) {
+            queryPromise = getView({
+                listName:   view.getListName() || opt.listName,
+                viewName:   view.Name,
+                webURL:     opt.webURL
+            }).then(function(fullView){
+                return fullView.getQuery();
+            });
+
+        } else {
+            queryPromise = Promise.resolve(view.getQuery());
+        }
+
+        // The list columns are needed to know how each condition is queried
+        // (ex. lookup columns)
+        return Promise.all([
+            queryPromise,
+            getListColumns({
+                listName:   opt.listName,
+                webURL:     opt.webURL
+            })
+        ]).then(function(results){
+            var result = FiltersCollection.fromCAMLQuery(results[0] || "", { columns: results[1] });
+
+            return Promise.resolve(this.setFilters(result.filters)).then(function(){
+                return result.unsupported;
+            });
+        }.bind(this));
     }
 };
 
@@ -572,6 +650,7 @@ FilterPanel.defaults = {
     hideHeader:         false,
     hideFindButton:     false,
     selectFieldsLayout: '3-col',    // 1, 2 or 3 -col
+    limitColumnsByContentType: false,
     labels: {                       // All possible labels used by all widgets
         title:          "Filter",
         find:           "Find",
@@ -2,9 +2,29 @@ import Collection       from "observable-data/src/ObservableArray";
 import objectExtend     from "common-micro-libs/src/jsutils/objectExtend";
 import toUrlParams      from "common-micro-libs/src/jsutils/toUrlParams";
 import getCamlLogical   from "../../sputils/getCamlLogical";
+import CamlQuery        from "../../caml/CamlQuery";
+import parseCamlQuery   from "../../caml/parseCamlQuery";
+import camlToOData      from "../../caml/camlToOData";
+import FilterModel      from "./FilterModel";
 
 //------------------------------------------------
 
+// The `<Value Type>` used by `FilterModel#toCAMLQuery()` for each type of column.
+// Any other type of column is queried as `Text`.
+var FILTER_VALUE_TYPES = {
+    User:           "Lookup",
+    UserMulti:      "Lookup",
+    Lookup:         "Lookup",
+    LookupMulti:    "Lookup",
+    DateTime:       "DateTime",
+    Number:         "Number",
+    Computed:       "Computed",
+    Boolean:        "Boolean"
+};
+
+// CAML value types that are compared the same way as `Text`
+var TEXT_VALUE_TYPES = ["Text", "Choice", "Note"];
+
 /**
  * A collection (Array like object) with the list of
  * individual Filters (`FilterModel`).
@@ -44,6 +64,21 @@ var FiltersCollection = {
         });
     },
 
+    /**
+     * Returns the filters (and sort orders) as OData query options, for use
+     * with the SharePoint REST api. See [camlToOData]{@link camlToOData}.
+     *
+     * @param {Object} [options]
+     *  Same options as `camlToOData()`
+     *
+     * @return {ODataQuery}
+     *
+     * @throws {ODataTranslationError}
+     */
+    toODataQuery: function(options){
+        return camlToOData(this, options);
+    },
+
     /**
      * Returns a URL parameters string with all the filters. All urls
      * params will be wrapped in an object with a single property.
@@ -174,8 +209,258 @@ function isFilterDefined(filter){
         );
 }
 
+/**
+ * Returns a `FilterModel` data object for a filter tree node, if the node can
+ * be represented by one - a single condition or a group of conditions that are
+ * all on the same column, use the same compare operator and would be queried
+ * the same way by `FilterModel#toCAMLQuery()` (ex. same `<Value Type>`).
+ *
+ * @private
+ *
+ * @param {CamlFilterNode} node
+ * @param {ListColumnModel} [column]
+ *
+ * @return {Object|String}
+ *  The filter data or a String with the reason it can not be represented.
+ */
+function getFilterDataFromNode(node, column){
+    var conditions  = getNodeConditions(node, node.logical),
+        filterData  = {
+            column:             conditions[0].field,
+            type:               column ? column.Type : getFilterType(conditions[0]),
+            compareOperator:    "",
+            logicalOperator:    node.logical || "Or",
+            values:             []
+        },
+        i, condition, compareOperator, typeError;
+
+    for (i = 0; i < conditions.length; i++) {
+        condition       = conditions[i];
+        compareOperator = condition.operator === "In" ? "Eq" : condition.operator;
+
+        if (condition.logical) {
+            return "Mixed And/Or conditions can not be represented as a filter";
+        }
+
+        if (condition.field !== filterData.column) {
+            return "Conditions on multiple columns can not be represented as one filter";
+        }
+
+        if (filterData.compareOperator && filterData.compareOperator !== compareOperator) {
+            return "Conditions with different compare operators can not be represented as one filter";
+        }
+
+        if (condition.operator === "In" && filterData.logicalOperator !== "Or") {
+            return "In conditions can only be combined using Or";
+        }
+
+        if (condition.values.some(isUnsupportedValue)) {
+            return "Unsupported value";
+        }
+
+        typeError = getFilterTypeError(condition, filterData.type);
+
+        if (typeError) {
+            return typeError;
+        }
+
+        filterData.compareOperator = compareOperator;
+        filterData.values = filterData.values.concat(condition.values.map(function(value){
+            return CamlQuery.isRaw(value) ? value.caml : value;
+        }));
+    }
+
+    return filterData;
+}
+
+/**
+ * Returns the type of column for a filter created from a condition, based on
+ * how the condition compares its values.
+ *
+ * @private
+ *
+ * @param {CamlFilterNode} condition
+ *
+ * @return {String}
+ */
+function getFilterType(condition){
+    if (CamlQuery.isLookupId(condition)) {
+        return "Lookup";
+    }
+
+    if (condition.valueType && FILTER_VALUE_TYPES[condition.valueType] === condition.valueType) {
+        return condition.valueType;
+    }
+
+    return "Text";
+}
+
+/**
+ * Checks that a condition would be queried the same way by a filter with the
+ * given type of column (`FilterModel#toCAMLQuery()`). Filters on lookup columns
+ * always use `LookupId` and date filters always use `IncludeTimeValue` and `StorageTZ`.
+ *
+ * @private
+ *
+ * @param {CamlFilterNode} condition
+ * @param {String} type
+ *
+ * @return {String}
+ *  An empty string if the condition is the same, else the reason it is not.
+ */
+function getFilterTypeError(condition, type){
+    var lookupId        = CamlQuery.isLookupId(condition),
+        filterValueType = FILTER_VALUE_TYPES[type] || "Text",
+        valueType       = lookupId ? "Lookup" : condition.valueType || "Text";
+
+    // These don't have a value
+    if (/IsNull|IsNotNull/.test(condition.operator)) {
+        return "";
+    }
+
+    if (filterValueType === "Lookup" && !lookupId) {
+        return "Lookup conditions that do not use LookupId can not be represented as a filter";
+    }
+
+    if (filterValueType === "DateTime" && (!condition.includeTimeValue || !condition.storageTZ)) {
+        return "DateTime conditions without IncludeTimeValue and StorageTZ can not be represented as a filter";
+    }
+
+    if (
+        valueType !== filterValueType &&
+        !(filterValueType === "Text" && TEXT_VALUE_TYPES.indexOf(valueType) !== -1)
+    ) {
+        return "Value Type " + (lookupId ? "Lookup (LookupId)" : valueType) +
+            " can not be represented as a filter on a " + (type || "Text") + " column";
+    }
+
+    return "";
+}
+
+/**
+ * Returns the conditions of a node, flattening nested nodes that use the
+ * same logical operator.
+ *
+ * @private
+ */
+function getNodeConditions(node, logical){
+    if (!node.logical || node.logical !== logical) {
+        return [node];
+    }
+
+    return node.conditions.reduce(function(conditions, condition){
+        return conditions.concat(getNodeConditions(condition, logical));
+    }, []);
+}
+
+/**
+ * `FilterModel` only supports `<UserID/>` (with or without attributes - ex.
+ * `<UserID Type="Integer"/>`) as a CAML element value
+ *
+ * @private
+ */
+function isUnsupportedValue(value){
+    return CamlQuery.isRaw(value) && !(/^<userid\b[^>]*\/>$/i).test(value.caml);
+}
+
 FiltersCollection = Collection.extend(FiltersCollection);
 
+/**
+ * Creates a collection of filters (`FilterModel`) from a CAML query string or
+ * from the result of [parseCamlQuery]{@link parseCamlQuery}. Each filter
+ * represents the conditions on one column, so only queries whose root
+ * conditions are joined with `And` and where each condition (or group of
+ * conditions) is on one column can be fully converted. The parts of the query
+ * that could not be converted are returned in `unsupported`.
+ *
+ * @method FiltersCollection.fromCAMLQuery
+ *
+ * @param {String|ParsedCamlQuery} camlQuery
+ * @param {Object} [options]
+ * @param {ListColumnsCollection} [options.columns]
+ *  The list columns. When defined, each filter is created with its column
+ *  definition. Else, the type of column of each filter is set based on its
+ *  conditions (ex. `Lookup` for conditions that use `LookupId`). Conditions that
+ *  the filter would query differently (ex. a different `<Value Type>`) are
+ *  returned in `unsupported`.
+ *
+ * @return {Object}
+ *  An object with `filters` (`FiltersCollection`) and `unsupported` (`Array<Object>`
+ *  with `caml` and `reason` attributes).
+ *
+ * @example
+ *
+ * const { filters, unsupported } = FiltersCollection.fromCAMLQuery(savedView.CAMLQuery);
+ *
+ * if (unsupported.length) {
+ *      console.warn("Some conditions could not be loaded", unsupported);
+ * }
+ *
+ * filterPanel.setFilters(filters);
+ */
+FiltersCollection.fromCAMLQuery = function(camlQuery, options){
+    var opt         = objectExtend({ columns: null }, options),
+        getColumn   = function(fieldName){
+            return opt.columns && opt.columns.getColumn ? opt.columns.getColumn(fieldName) : null;
+        },
+        parsed      = typeof camlQuery === "string" ? parseCamlQuery(camlQuery) : camlQuery,
+        unsupported = parsed.unsupported.slice(0),
+        filtersData = [],
+        getFilterData = function(column){
+            var filterData = null;
+
+            filtersData.some(function(thisFilterData){
+                if (thisFilterData.column === column) {
+                    filterData = thisFilterData;
+                    return true;
+                }
+            });
+
+            return filterData;
+        };
+
+    if (parsed.where) {
+        getNodeConditions(parsed.where, "And").forEach(function(node){
+            var filterData = getFilterDataFromNode(node, getColumn(getNodeConditions(node, node.logical)[0].field));
+
+            if (typeof filterData === "string" || getFilterData(filterData.column)) {
+                unsupported.push({
+                    caml:   CamlQuery.create({ where: node }).toCAMLWhere(),
+                    reason: typeof filterData === "string" ?
+                        filterData :
+                        "Only one filter per column is supported"
+                });
+                return;
+            }
+
+            filtersData.push(filterData);
+        });
+    }
+
+    parsed.orderBy.forEach(function(sort){
+        var filterData = getFilterData(sort.field);
+
+        if (!filterData) {
+            filterData = {
+                column: sort.field,
+                values: []
+            };
+            filtersData.push(filterData);
+        }
+
+        filterData.sortOrder = sort.ascending ? "Asc" : "Des";
+    });
+
+    return {
+        filters:        FiltersCollection.create(filtersData.map(function(filterData){
+            return FilterModel.create(filterData, {
+                column: getColumn(filterData.column)
+            });
+        })),
+        unsupported:    unsupported
+    };
+};
+
 FiltersCollection.defaults = {
     toUrlParamsOptions: {
         propName:           'filter',
@@ -16,6 +16,7 @@ import List                     from "../List/List"
 import getListItems             from "../../spapi/getListItems"
 import getCamlLogical           from "../../sputils/getCamlLogical"
 import xmlEscape                from "../../sputils/xmlEscape"
+import { isAbortError }         from "../../sputils/errors"
 
 import LookupFieldTemplate      from "./LookupField.html"
 import "./LookupField.less"
@@ -203,6 +204,7 @@ LookupField = /** @lends LookupField.prototype */{
 
         // Typing in the input field, searches the list
         var currentRetrieval,
+            currentRetrievalController,
             lastSearchString = "";
 
         domAddEventListener($input, "keyup", function(ev){
@@ -225,11 +227,26 @@ LookupField = /** @lends LookupField.prototype */{
                     return;
                 }
 
-                retrieveListData.call(this, thisSearchString)
+                // Cancel the prior search if it is still in flight
+                if (currentRetrievalController) {
+                    currentRetrievalController.abort();
+                }
+
+                currentRetrievalController = typeof AbortController !== "undefined" ?
+                    new AbortController() :
+                    null;
+
+                retrieveListData.call(
+                    this,
+                    thisSearchString,
+                    currentRetrievalController ? currentRetrievalController.signal : null
+                )
                     .then(
                         addItemsToChoices.bind(this)
                     )["catch"](function(e){
-                        console.log(e);//jshint ignore:line
+                        if (!isAbortError(e)) {
+                            console.log(e);//jshint ignore:line
+                        }
                     });
             }.bind(this), 300);
 
@@ -260,6 +277,10 @@ LookupField = /** @lends LookupField.prototype */{
         }
 
         this.onDestroy(function () {
+            if (currentRetrievalController) {
+                currentRetrievalController.abort();
+            }
+
             clearAllSelected.call(this);
 
             // Destroy all Compose object
@@ -434,7 +455,7 @@ LookupField = /** @lends LookupField.prototype */{
     }
 };
 
-function retrieveListData(query) {
+function retrieveListData(query, signal) {
     const me            = this;
     const inst          = PRIVATE.get(me);
     const queryOptions  = getQueryOptions.call(me);
@@ -464,6 +485,10 @@ function retrieveListData(query) {
         queryOptions.CAMLQuery = `<Query>${ queryCaml }</Query>`;
     }
 
+    if (signal) {
+        queryOptions.signal = signal;
+    }
+
     return getListItems(queryOptions);
 }
 
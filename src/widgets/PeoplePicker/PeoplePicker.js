@@ -16,6 +16,7 @@ import DomKeyboardInteraction   from "common-micro-libs/src/domutils/DomKeyboard
 
 import searchPrincipals         from "../../spapi/searchPrincipals"
 import parsePeopleField         from "../../sputils/parsePeopleField"
+import { isAbortError }         from "../../sputils/errors"
 
 import PeoplePickerUserProfileModel from "./PeoplePickerUserProfileModel"
 import ResultGroup                  from "./ResultGroup/ResultGroup"
@@ -135,6 +136,7 @@ const PeoplePicker = EventEmitter.extend(Widget).extend(/** @lends PeoplePicker.
             bodyClickEv:    null,
             lastSearchInput:"",
             lastSearchId:   1,
+            searchController: null,
             isSilentFocus:  false,
             selected:       [] // array of Persona widgets
         };
@@ -222,6 +224,7 @@ const PeoplePicker = EventEmitter.extend(Widget).extend(/** @lends PeoplePicker.
 
             if (!searchInput) {
                 inst.lastSearchId++;
+                abortPendingSearch.call(this);
                 requestSuggestions = undefined;
                 clearSuggestions.call(this);
                 return;
@@ -230,6 +233,7 @@ const PeoplePicker = EventEmitter.extend(Widget).extend(/** @lends PeoplePicker.
             // If not min length, exit
             if (searchInput.length < inst.opt.minLength) {
                 inst.lastSearchId++;
+                abortPendingSearch.call(this);
                 clearSuggestions.call(this);
                 return;
             }
@@ -237,12 +241,13 @@ const PeoplePicker = EventEmitter.extend(Widget).extend(/** @lends PeoplePicker.
             let exec = function(){
                 if (exec === requestSuggestions) {
                     inst.lastSearchId++;
-                    let searchId = inst.lastSearchId;
+                    let searchId    = inst.lastSearchId;
+                    let signal      = startNewSearch.call(this);
 
                     domAddClass($ui, CSS_CLASS_IS_SEARCHING);
                     domAddClass($suggestions, CSS_CLASS_IS_SEARCHING);
                     clearSuggestions.call(this);
-                    getSuggestions.call(this)
+                    getSuggestions.call(this, "", searchId, signal)
                         .then(function(peopleList){
                             // if already stale, then do nothing
                             if (searchId !== inst.lastSearchId) {
@@ -251,10 +256,20 @@ const PeoplePicker = EventEmitter.extend(Widget).extend(/** @lends PeoplePicker.
                                 return;
                             }
 
+                            inst.searchController = null;
                             showSuggestions.call(this, peopleList);
                             domRemoveClass($ui, CSS_CLASS_IS_SEARCHING);
                             domRemoveClass($suggestions, CSS_CLASS_IS_SEARCHING);
                         }.bind(this))["catch"](function(e){
+                            // Search was superseded by a newer one or cancelled
+                            if (isAbortError(e)) {
+                                if (!inst.searchController) {
+                                    domRemoveClass($ui, CSS_CLASS_IS_SEARCHING);
+                                    domRemoveClass($suggestions, CSS_CLASS_IS_SEARCHING);
+                                }
+                                return;
+                            }
+
                             console.log(e); // jshint ignore:line
                         });
                 }
@@ -318,6 +333,8 @@ const PeoplePicker = EventEmitter.extend(Widget).extend(/** @lends PeoplePicker.
         }
 
         this.onDestroy(function(){
+            abortPendingSearch.call(this);
+
             // Since the suggestion UI was detached from the widget, need to
             // ensure it is also destroyed.
             if ($suggestions.parentNode) {
@@ -610,6 +627,40 @@ const PeoplePicker = EventEmitter.extend(Widget).extend(/** @lends PeoplePicker.
     }
 });
 
+/**
+ * Aborts the search currently in flight (if any) and returns the `AbortSignal`
+ * to be used with the new search.
+ *
+ * @private
+ *
+ * @return {AbortSignal|undefined}
+ */
+function startNewSearch() {
+    let inst = PRIVATE.get(this);
+
+    abortPendingSearch.call(this);
+
+    if (typeof AbortController !== "undefined") {
+        inst.searchController = new AbortController();
+        return inst.searchController.signal;
+    }
+}
+
+/**
+ * Aborts the search currently in flight, if any.
+ *
+ * @private
+ */
+function abortPendingSearch() {
+    let inst                = PRIVATE.get(this);
+    let searchController    = inst.searchController;
+
+    if (searchController) {
+        inst.searchController = null;
+        searchController.abort();
+    }
+}
+
 function positionResultsPopup() {
     let { $suggestions, $input } = PRIVATE.get(this);
 
@@ -627,10 +678,11 @@ function positionResultsPopup() {
  *
  * @param {String} [searchString]
  * @param {Number} [searchId]
+ * @param {AbortSignal} [signal]
  *
  * @return {Promise}
  */
-function getSuggestions(searchString, searchId) {
+function getSuggestions(searchString, searchId, signal) {
     var inst        = PRIVATE.get(this),
         opt         = inst.opt,
         selected    = inst.selected;
@@ -642,7 +694,8 @@ function getSuggestions(searchString, searchId) {
             searchText:         searchString,
             maxResults:         opt.maxSearchResults,
             principalType:      opt.type,
-            UserProfileModel:   opt.UserProfileModel
+            UserProfileModel:   opt.UserProfileModel,
+            signal:             signal
         })
         // filter out those already selected
         .then(function(results){
@@ -0,0 +1,37 @@
+define([
+    "src/sputils/apiFetch",
+    "src/sputils/createMockTransport",
+    "text!./soapMsgs/web.webUrlFromPageUrl.response.success.xml"
+],
+function(
+    apiFetch,
+    createMockTransport,
+    webUrlFromPageUrlXML
+){
+
+    return {
+
+        // Sends all apiFetch() requests to an in-memory transport. The transport
+        // is returned so that specs can define the responses they need
+        // (see src/sputils/createMockTransport). Site used in responses is:
+        //
+        //      https://tenant.sharepoint.com/sites/test/
+        //
+        install: function(){
+            var transport = createMockTransport();
+
+            transport.respondTo({ soapAction: "WebUrlFromPageUrl" }, webUrlFromPageUrlXML);
+            apiFetch.setTransport(transport);
+
+            return transport;
+        },
+
+        uninstall: function(){
+            apiFetch.setTransport();
+        },
+
+        WEB_URL: "https://tenant.sharepoint.com/sites/test/"
+
+    };
+
+});
@@ -0,0 +1,157 @@
+define([
+    "src/caml/CamlQuery"
+], function(
+    CamlQuery
+){
+
+    var COLUMNS = [
+        { Name: "ID",           Type: "Counter" },
+        { Name: "Title",        Type: "Text" },
+        { Name: "Priority",     Type: "Choice" },
+        { Name: "DueDate",      Type: "DateTime" },
+        { Name: "AssignedTo",   Type: "User" },
+        { Name: "Project",      Type: "Lookup" }
+    ];
+
+    describe("CamlQuery", function(){
+
+        function getWhere(query) {
+            return query.toCAMLWhere();
+        }
+
+        it("builds a condition", function(){
+            expect(CamlQuery.create().where("Title").eq("one").toCAMLQuery())
+                .toBe('<Query><Where><Eq><FieldRef Name="Title"/><Value Type="Text">one</Value></Eq></Where></Query>');
+        });
+
+        it("escapes values", function(){
+            expect(getWhere(CamlQuery.create().where("Title").contains("a & <b")))
+                .toBe('<Contains><FieldRef Name="Title"/><Value Type="Text">a &amp; &lt;b</Value></Contains>');
+        });
+
+        it("applies and() and or() from left to right", function(){
+            var query = CamlQuery.create().where("a").eq(1).or("b").eq(2).and("c").eq(3);
+
+            expect(getWhere(query)).toBe(
+                "<And><Or>" +
+                    '<Eq><FieldRef Name="a"/><Value Type="Number">1</Value></Eq>' +
+                    '<Eq><FieldRef Name="b"/><Value Type="Number">2</Value></Eq>' +
+                "</Or>" +
+                '<Eq><FieldRef Name="c"/><Value Type="Number">3</Value></Eq>' +
+                "</And>"
+            );
+        });
+
+        it("groups conditions defined with a function", function(){
+            var query = CamlQuery.create()
+                .where("a").eq(true)
+                .and(function(q){
+                    q.where("b").isNull().or("c").isNotNull();
+                });
+
+            expect(getWhere(query)).toBe(
+                "<And>" +
+                    '<Eq><FieldRef Name="a"/><Value Type="Boolean">1</Value></Eq>' +
+                    '<Or><IsNull><FieldRef Name="b"/></IsNull><IsNotNull><FieldRef Name="c"/></IsNotNull></Or>' +
+                "</And>"
+            );
+        });
+
+        it("does not change the query used to build another one", function(){
+            var query       = CamlQuery.create().where("a").eq(1).and("b").eq(2);
+            var caml        = getWhere(query);
+            var fromQuery   = CamlQuery.create().where(query).and("c").eq(3);
+            var fromWhere   = CamlQuery.create({ where: query.getWhere() }).and("d").eq(4);
+
+            query.getWhere().conditions.push({ field: "e", operator: "Eq", values: [5] });
+
+            expect(getWhere(query)).toBe(caml);
+            expect(getWhere(fromQuery)).toContain('<FieldRef Name="c"/>');
+            expect(getWhere(fromWhere)).toContain('<FieldRef Name="d"/>');
+            expect(getWhere(fromWhere)).not.toContain('<FieldRef Name="c"/>');
+        });
+
+        it("builds In conditions", function(){
+            expect(getWhere(CamlQuery.create({ columns: COLUMNS }).where("Priority").in(["High", "Urgent"])))
+                .toBe('<In><FieldRef Name="Priority"/><Values><Value Type="Choice">High</Value><Value Type="Choice">Urgent</Value></Values></In>');
+        });
+
+        it("uses the column type for the Value Type", function(){
+            var query = CamlQuery.create({ columns: COLUMNS });
+
+            expect(getWhere(query.where("ID").gt("10"))).toBe('<Gt><FieldRef Name="ID"/><Value Type="Counter">10</Value></Gt>');
+            expect(getWhere(query.where("DueDate").lt("2017-01-01"))).toBe('<Lt><FieldRef Name="DueDate"/><Value Type="DateTime">2017-01-01</Value></Lt>');
+            expect(getWhere(query.where("Title").eq("one", "Computed"))).toBe('<Eq><FieldRef Name="Title"/><Value Type="Computed">one</Value></Eq>');
+        });
+
+        describe("dates", function(){
+
+            it("includes the time for Date values", function(){
+                expect(getWhere(CamlQuery.create().where("DueDate").geq(new Date(2017, 0, 15, 10, 30, 0))))
+                    .toBe('<Geq><FieldRef Name="DueDate"/><Value Type="DateTime" IncludeTimeValue="TRUE">2017-01-15T10:30:00</Value></Geq>');
+            });
+
+            it("sends Date values as UTC with storageTZ", function(){
+                expect(getWhere(CamlQuery.create().where("DueDate").geq(new Date(Date.UTC(2017, 0, 15, 10, 30, 0)), { storageTZ: true })))
+                    .toBe('<Geq><FieldRef Name="DueDate"/><Value Type="DateTime" IncludeTimeValue="TRUE" StorageTZ="TRUE">2017-01-15T10:30:00Z</Value></Geq>');
+            });
+
+            it("uses raw values as is", function(){
+                expect(getWhere(CamlQuery.create({ columns: COLUMNS }).where("DueDate").lt(CamlQuery.raw('<Today OffsetDays="-1"/>'))))
+                    .toBe('<Lt><FieldRef Name="DueDate"/><Value Type="DateTime"><Today OffsetDays="-1"/></Value></Lt>');
+            });
+        });
+
+        describe("lookups", function(){
+
+            it("compares the lookup ID when the value is an object with an ID", function(){
+                expect(getWhere(CamlQuery.create({ columns: COLUMNS }).where("Project").eq({ ID: 5, Title: "five" })))
+                    .toBe('<Eq><FieldRef Name="Project" LookupId="TRUE"/><Value Type="Lookup">5</Value></Eq>');
+            });
+
+            it("compares the current user ID with <UserID/>", function(){
+                expect(getWhere(CamlQuery.create().where("AssignedTo").eq(CamlQuery.raw("<UserID/>"))))
+                    .toBe('<Eq><FieldRef Name="AssignedTo" LookupId="TRUE"/><Value Type="Integer"><UserID/></Value></Eq>');
+            });
+
+            it("compares the lookup value for numeric strings", function(){
+                expect(getWhere(CamlQuery.create({ columns: COLUMNS }).where("Project").eq("5")))
+                    .toBe('<Eq><FieldRef Name="Project"/><Value Type="Lookup">5</Value></Eq>');
+                expect(getWhere(CamlQuery.create({ columns: COLUMNS }).where("Project").eq("5", { lookupId: true })))
+                    .toBe('<Eq><FieldRef Name="Project" LookupId="TRUE"/><Value Type="Lookup">5</Value></Eq>');
+            });
+
+            it("isLookupId() checks a condition", function(){
+                expect(CamlQuery.isLookupId({ field: "Project", operator: "Eq", values: ["5"] })).toBe(false);
+                expect(CamlQuery.isLookupId({ field: "Project", operator: "Eq", values: [{ ID: 5 }] })).toBe(true);
+                expect(CamlQuery.isLookupId({ field: "Project", operator: "Eq", values: [{ ID: 5 }], lookupId: false })).toBe(false);
+                expect(CamlQuery.isLookupId({ field: "Project", operator: "Eq", values: ["5"], lookupId: true })).toBe(true);
+            });
+        });
+
+        it("returns the options for getListItems", function(){
+            var options = CamlQuery.create()
+                .where("Title").beginsWith("a")
+                .orderBy("DueDate", false)
+                .orderBy("Title")
+                .viewFields("Title", "DueDate")
+                .rowLimit(50)
+                .queryOptions({ IncludeMandatoryColumns: "FALSE", ViewAttributes: { Scope: "RecursiveAll" } })
+                .toListItemsOptions({ listName: "Tasks" });
+
+            expect(options).toEqual({
+                listName:           "Tasks",
+                CAMLQuery:          '<Query><Where><BeginsWith><FieldRef Name="Title"/><Value Type="Text">a</Value></BeginsWith></Where>' +
+                                    '<OrderBy><FieldRef Name="DueDate" Ascending="FALSE"/><FieldRef Name="Title"/></OrderBy></Query>',
+                CAMLViewFields:     '<ViewFields><FieldRef Name="Title"/><FieldRef Name="DueDate"/></ViewFields>',
+                CAMLRowLimit:       50,
+                CAMLQueryOptions:   '<QueryOptions><IncludeMandatoryColumns>FALSE</IncludeMandatoryColumns><ViewAttributes Scope="RecursiveAll"/></QueryOptions>'
+            });
+        });
+
+        it("only sets the options that were defined", function(){
+            expect(CamlQuery.create().toListItemsOptions()).toEqual({ CAMLQuery: "<Query></Query>" });
+        });
+    });
+
+});
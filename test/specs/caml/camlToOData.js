@@ -0,0 +1,147 @@
+define([
+    "src/caml/camlToOData",
+    "src/caml/CamlQuery",
+    "src/sputils/errors"
+], function(
+    camlToOData,
+    CamlQuery,
+    errors
+){
+
+    var COLUMNS = [
+        { Name: "Title",        Type: "Text" },
+        { Name: "Status",       Type: "Choice" },
+        { Name: "Order",        Type: "Number" },
+        { Name: "DueDate",      Type: "DateTime" },
+        { Name: "AssignedTo",   Type: "User" },
+        { Name: "Project",      Type: "Lookup", ShowField: "Name" }
+    ];
+
+    describe("camlToOData", function(){
+
+        function getFilter(caml, options) {
+            return camlToOData(caml, Object.assign({ columns: COLUMNS }, options)).$filter;
+        }
+
+        function expectTranslationError(caml, options) {
+            var error;
+
+            try {
+                camlToOData(caml, Object.assign({ columns: COLUMNS }, options));
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error instanceof errors.ODataTranslationError).toBe(true);
+            return error;
+        }
+
+        it("translates compare operators", function(){
+            expect(getFilter('<Eq><FieldRef Name="Title"/><Value Type="Text">O\'Brien</Value></Eq>')).toBe("Title eq 'O''Brien'");
+            expect(getFilter('<Gt><FieldRef Name="Order"/><Value Type="Number">5</Value></Gt>')).toBe("Order gt 5");
+            expect(getFilter('<Contains><FieldRef Name="Title"/><Value Type="Text">a</Value></Contains>')).toBe("substringof('a',Title)");
+            expect(getFilter('<BeginsWith><FieldRef Name="Title"/><Value Type="Text">a</Value></BeginsWith>')).toBe("startswith(Title,'a')");
+            expect(getFilter('<IsNull><FieldRef Name="DueDate"/></IsNull>')).toBe("DueDate eq null");
+            expect(getFilter('<IsNotNull><FieldRef Name="_ModerationStatus"/></IsNotNull>')).toBe("OData_ModerationStatus ne null");
+        });
+
+        it("groups nested conditions", function(){
+            expect(getFilter(
+                "<And>" +
+                    '<In><FieldRef Name="Status"/><Values><Value Type="Choice">New</Value><Value Type="Choice">Active</Value></Values></In>' +
+                    '<Or><Eq><FieldRef Name="Order"/><Value Type="Number">1</Value></Eq>' +
+                    '<Eq><FieldRef Name="Order"/><Value Type="Number">2</Value></Eq></Or>' +
+                "</And>"
+            )).toBe("(Status eq 'New' or Status eq 'Active') and (Order eq 1 or Order eq 2)");
+        });
+
+        describe("lookups", function(){
+
+            it("filters on the show field when comparing the lookup value", function(){
+                var query = camlToOData('<Eq><FieldRef Name="Project"/><Value Type="Lookup">5</Value></Eq>', { columns: COLUMNS });
+
+                expect(query.$filter).toBe("Project/Name eq '5'");
+                expect(query.$expand).toBe("Project");
+            });
+
+            it("filters on the lookup ID when using LookupId", function(){
+                var query = camlToOData('<Eq><FieldRef Name="Project" LookupId="TRUE"/><Value Type="Lookup">5</Value></Eq>', { columns: COLUMNS });
+
+                expect(query.$filter).toBe("ProjectId eq 5");
+                expect(query.$expand).toBe("");
+            });
+
+            it("uses currentUserId for <UserID/>", function(){
+                expect(getFilter('<Eq><FieldRef Name="AssignedTo"/><Value Type="Integer"><UserID/></Value></Eq>', { currentUserId: 7 }))
+                    .toBe("AssignedToId eq 7");
+            });
+
+            it("can not translate <UserID/> without currentUserId", function(){
+                var error = expectTranslationError('<Eq><FieldRef Name="AssignedTo"/><Value Type="Integer"><UserID/></Value></Eq>');
+
+                expect(error.unsupported[0].reason).toBe("<UserID/> requires options.currentUserId");
+            });
+        });
+
+        describe("dates", function(){
+
+            function pad(n) {
+                return n < 10 ? "0" + n : String(n);
+            }
+
+            it("translates <Today/> to the local date", function(){
+                var today = new Date();
+
+                today.setDate(today.getDate() - 1);
+
+                expect(getFilter('<Lt><FieldRef Name="DueDate"/><Value Type="DateTime"><Today OffsetDays="-1"/></Value></Lt>'))
+                    .toBe("DueDate lt datetime'" + today.getFullYear() + "-" + pad(today.getMonth() + 1) + "-" + pad(today.getDate()) + "T00:00:00'");
+            });
+
+            it("sends StorageTZ values as UTC", function(){
+                expect(getFilter('<Geq><FieldRef Name="DueDate"/><Value Type="DateTime" IncludeTimeValue="TRUE" StorageTZ="TRUE">2017-01-01T10:00:00</Value></Geq>'))
+                    .toBe("DueDate ge datetime'2017-01-01T10:00:00Z'");
+                expect(getFilter('<Geq><FieldRef Name="DueDate"/><Value Type="DateTime" IncludeTimeValue="TRUE">2017-01-01T10:00:00</Value></Geq>'))
+                    .toBe("DueDate ge datetime'2017-01-01T10:00:00'");
+            });
+        });
+
+        it("translates the sort order and view fields of a CamlQuery", function(){
+            var query = camlToOData(
+                CamlQuery.create()
+                    .where("Status").eq("Active")
+                    .orderBy("DueDate", false)
+                    .viewFields("Title", "Project"),
+                { columns: COLUMNS }
+            );
+
+            expect(query.$orderby).toBe("DueDate desc");
+            expect(query.$select).toBe("Title,Project/Id,Project/Name");
+            expect(query.$expand).toBe("Project");
+            expect(query.queryString).toBe(
+                "$filter=" + encodeURIComponent("Status eq 'Active'") +
+                "&$orderby=" + encodeURIComponent("DueDate desc") +
+                "&$select=" + encodeURIComponent("Title,Project/Id,Project/Name") +
+                "&$expand=Project"
+            );
+        });
+
+        it("accepts the view fields as CAML", function(){
+            expect(camlToOData("", { viewFields: '<ViewFields><FieldRef Name="Title"/><FieldRef Name="Status"/></ViewFields>' }).$select)
+                .toBe("Title,Status");
+        });
+
+        it("throws an ODataTranslationError for parts of the query that can not be translated", function(){
+            var error = expectTranslationError(
+                "<And>" +
+                    '<Eq><FieldRef Name="Title"/><Value Type="Text">one</Value></Eq>' +
+                    '<Membership Type="CurrentUserGroups"><FieldRef Name="AssignedTo"/></Membership>' +
+                "</And>"
+            );
+
+            expect(error.unsupported.length).toBe(1);
+            expect(error.unsupported[0].caml).toContain("<Membership");
+        });
+    });
+
+});
@@ -0,0 +1,97 @@
+define([
+    "src/caml/parseCamlQuery",
+    "src/caml/CamlQuery"
+], function(
+    parseCamlQuery,
+    CamlQuery
+){
+
+    describe("parseCamlQuery", function(){
+
+        it("parses conditions into a filter tree", function(){
+            var parsed = parseCamlQuery(
+                "<Where><Or>" +
+                    '<Eq><FieldRef Name="Status"/><Value Type="Text">Active</Value></Eq>' +
+                    '<IsNull><FieldRef Name="Status"/></IsNull>' +
+                "</Or></Where>"
+            );
+
+            expect(parsed.where).toEqual({
+                logical:    "Or",
+                conditions: [
+                    { field: "Status", operator: "Eq", values: ["Active"], valueType: "Text" },
+                    { field: "Status", operator: "IsNull", values: [] }
+                ]
+            });
+            expect(parsed.unsupported).toEqual([]);
+        });
+
+        it("accepts a View, Query or just the conditions", function(){
+            var condition = '<Eq><FieldRef Name="Title"/><Value Type="Text">one</Value></Eq>';
+
+            expect(parseCamlQuery("<View><Query><Where>" + condition + "</Where></Query></View>").where.field).toBe("Title");
+            expect(parseCamlQuery("<Query><Where>" + condition + "</Where></Query>").where.field).toBe("Title");
+            expect(parseCamlQuery(condition).where.field).toBe("Title");
+            expect(parseCamlQuery("").where).toBeNull();
+        });
+
+        it("parses the sort order", function(){
+            expect(parseCamlQuery('<OrderBy><FieldRef Name="DueDate" Ascending="FALSE"/><FieldRef Name="Title"/></OrderBy>').orderBy)
+                .toEqual([{ field: "DueDate", ascending: false }, { field: "Title", ascending: true }]);
+        });
+
+        it("parses In values and the condition attributes", function(){
+            var parsed = parseCamlQuery(
+                "<And>" +
+                    '<In><FieldRef Name="Project" LookupId="TRUE"/><Values><Value Type="Lookup">1</Value><Value Type="Lookup">2</Value></Values></In>' +
+                    '<Geq><FieldRef Name="DueDate"/><Value Type="DateTime" IncludeTimeValue="TRUE" StorageTZ="TRUE">2017-01-01T00:00:00Z</Value></Geq>' +
+                "</And>"
+            );
+
+            expect(parsed.where.conditions[0]).toEqual({
+                field:      "Project",
+                operator:   "In",
+                values:     ["1", "2"],
+                valueType:  "Lookup",
+                lookupId:   true
+            });
+            expect(parsed.where.conditions[1].includeTimeValue).toBe(true);
+            expect(parsed.where.conditions[1].storageTZ).toBe(true);
+        });
+
+        it("returns CAML element values as raw values", function(){
+            var value = parseCamlQuery('<Eq><FieldRef Name="AssignedTo"/><Value Type="Integer"><UserID/></Value></Eq>').where.values[0];
+
+            expect(CamlQuery.isRaw(value)).toBe(true);
+            expect(value.caml).toBe("<UserID/>");
+        });
+
+        it("returns the unsupported parts of the query", function(){
+            var parsed = parseCamlQuery(
+                "<Where><And>" +
+                    '<Eq><FieldRef Name="Title"/><Value Type="Text">one</Value></Eq>' +
+                    '<Membership Type="CurrentUserGroups"><FieldRef Name="AssignedTo"/></Membership>' +
+                "</And></Where>"
+            );
+
+            expect(parsed.where.field).toBe("Title");
+            expect(parsed.unsupported.length).toBe(1);
+            expect(parsed.unsupported[0].reason).toBe("Unsupported CAML element: Membership");
+            expect(parsed.unsupported[0].caml).toContain("<Membership");
+        });
+
+        it("can be used to create a CamlQuery", function(){
+            var caml    = '<Or><Eq><FieldRef Name="Title"/><Value Type="Text">one</Value></Eq>' +
+                          '<IsNotNull><FieldRef Name="Priority"/></IsNotNull></Or>';
+
+            expect(CamlQuery.create({ where: parseCamlQuery(caml).where }).toCAMLWhere()).toBe(caml);
+        });
+
+        it("throws on invalid XML", function(){
+            expect(function(){
+                parseCamlQuery("<Where><Eq></Where>");
+            }).toThrow();
+        });
+    });
+
+});
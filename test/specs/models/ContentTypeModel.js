@@ -0,0 +1,99 @@
+define([
+    "src/models/ContentTypeModel",
+    "src/models/ListColumnModel",
+    "text!../../server/soapMsgs/list.GetListContentType.response.success.xml"
+], function(
+    ContentTypeModel,
+    ListColumnModel,
+    getListContentTypeXML
+){
+
+    /**
+     * Returns the first `<ContentType>` element of an XML string
+     */
+    function getContentTypeElement(xml) {
+        return (new DOMParser()).parseFromString(xml, "text/xml").getElementsByTagName("ContentType")[0];
+    }
+
+    describe("ContentTypeModel", function(){
+        var contentType;
+
+        beforeEach(function(){
+            contentType = ContentTypeModel.create(getContentTypeElement(getListContentTypeXML), {
+                listName:   "Tasks",
+                webURL:     "https://tenant.sharepoint.com/sites/test/"
+            });
+        });
+
+        //----------------------------------------------
+
+        it("sets the content type attributes on the model", function(){
+            expect(contentType.ID).toBe("0x010800719988A683552B489A4C7F1E2288B466");
+            expect(contentType.Name).toBe("Task");
+            expect(contentType.Group).toBe("List Content Types");
+            expect(contentType.Hidden).toBe(false);
+            expect(contentType.getListName()).toBe("Tasks");
+        });
+
+        it("can be created from a plain object", function(){
+            var item = ContentTypeModel.create({ ID: "0x0100AB", Name: "Item" });
+
+            expect(item.ID).toBe("0x0100AB");
+            expect(item.Name).toBe("Item");
+            expect(item.Description).toBe("");
+        });
+
+        it("isChildOf() checks the content type ID", function(){
+            expect(contentType.isChildOf("0x0108")).toBe(true);
+            expect(contentType.isChildOf("0x01")).toBe(true);
+            expect(contentType.isChildOf("0x0104")).toBe(false);
+        });
+
+        it("returns the field links", function(){
+            var fieldLinks = contentType.getFieldLinks();
+
+            expect(fieldLinks.length).toBe(4);
+            expect(fieldLinks[1].ID).toBe("{fa564e0f-0c70-4ab9-b863-0177e6ddd247}");
+            expect(fieldLinks[1].Name).toBe("Title");
+            expect(fieldLinks[1].Required).toBe(true);
+            expect(fieldLinks[0].Hidden).toBe(true);
+        });
+
+        it("returns the field links from the fields when there are no FieldRefs", function(){
+            var source = getContentTypeElement(
+                '<ContentType ID="0x0100AB" Name="Item"><Fields>' +
+                    '<Field ID="{fa564e0f-0c70-4ab9-b863-0177e6ddd247}" Name="Title" Type="Text" Required="TRUE"/>' +
+                    '<Field ID="{c042a256-787d-4a6f-8a8a-cf6ab767f12d}" Name="ContentType" Type="Computed" Hidden="TRUE"/>' +
+                '</Fields></ContentType>'
+            );
+
+            expect(ContentTypeModel.create(source).getFieldLinks()).toEqual([
+                { ID: "{fa564e0f-0c70-4ab9-b863-0177e6ddd247}", Name: "Title", Required: true, Hidden: false },
+                { ID: "{c042a256-787d-4a6f-8a8a-cf6ab767f12d}", Name: "ContentType", Required: false, Hidden: true }
+            ]);
+        });
+
+        it("returns the field names, without the hidden ones by default", function(){
+            expect(contentType.getFieldNames()).toEqual(["Title", "Status", "AssignedTo"]);
+            expect(contentType.getFieldNames(true)).toEqual(["ContentType", "Title", "Status", "AssignedTo"]);
+        });
+
+        it("hasField() finds fields by name or ID", function(){
+            expect(contentType.hasField("status")).toBe(true);
+            expect(contentType.hasField("c15b34c3-ce7d-490a-b133-3f4de8801b76")).toBe(true);
+            expect(contentType.hasField("{C15B34C3-CE7D-490A-B133-3F4DE8801B76}")).toBe(true);
+            expect(contentType.hasField("Priority")).toBe(false);
+        });
+
+        it("returns the fields as list column models", function(){
+            var fields = contentType.getFields();
+
+            expect(fields.length).toBe(4);
+            expect(ListColumnModel.isInstanceOf(fields[2])).toBe(true);
+            expect(fields[2].Name).toBe("Status");
+            expect(fields[2].DisplayName).toBe("Task Status");
+            expect(fields[2].listName).toBe("Tasks");
+        });
+    });
+
+});
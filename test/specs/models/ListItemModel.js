@@ -1,6 +1,14 @@
 define([
-    "src/models/ListItemModel"
-], function(ListItemModel){
+    "src/models/ListItemModel",
+    "src/spapi/updateListItems",
+    "test/server/mock.transport",
+    "text!../../server/soapMsgs/list.UpdateListItems.response.success.xml"
+], function(
+    ListItemModel,
+    updateListItems,
+    mockTransport,
+    updateListItemsSuccessXML
+){
 
     describe("ListItemModel", function(){
 
@@ -16,6 +24,113 @@ define([
             it("has properties defined on input", function(){
                 expect(this.listItem).toEqual(this.itemObj);
             });
+
+            it("tracks changes made to its attributes", function(){
+                expect(this.listItem.isDirty()).toBe(false);
+
+                this.listItem.Name = "Changed";
+
+                expect(this.listItem.isDirty()).toBe(true);
+                expect(this.listItem.getChanges()).toEqual({ Name: "Changed" });
+            });
+        });
+
+        describe("save() and delete()", function(){
+            var transport;
+
+            beforeEach(function(){
+                transport = mockTransport.install();
+                transport.respondTo({ soapAction: "UpdateListItems" }, updateListItemsSuccessXML);
+            });
+
+            afterEach(function(){
+                mockTransport.uninstall();
+            });
+
+            function createItem(itemData) {
+                return ListItemModel.create(itemData, {
+                    listName:           "Tasks",
+                    webURL:             mockTransport.WEB_URL,
+                    updateListItems:    updateListItems
+                });
+            }
+
+            function getUpdateRequests() {
+                return transport.requests.filter(function(request){
+                    return request.soapAction === "UpdateListItems";
+                });
+            }
+
+            it("save() sends only the changed attributes and refreshes the item", function(done){
+                var item = createItem({ ID: "1", Title: "Old title", Status: "Not Started" });
+
+                item.Title = "Updated title";
+
+                item.save()
+                    .then(function(savedItem){
+                        var body = getUpdateRequests()[0].body;
+
+                        expect(savedItem).toBe(item);
+                        expect(body).toContain('Cmd="Update"');
+                        expect(body).toContain('<Field Name="Title">Updated title</Field>');
+                        expect(body).not.toContain('<Field Name="Status">');
+                        expect(item.Status).toBe("Completed");
+                        expect(item.isDirty()).toBe(false);
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("save() does not send a request if nothing changed", function(done){
+                createItem({ ID: "1", Title: "Old title" }).save()
+                    .then(function(){
+                        expect(getUpdateRequests().length).toBe(0);
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("delete() sends a Delete for the item ID", function(done){
+                createItem({ ID: "1", Title: "Old title" })["delete"]()
+                    .then(function(){
+                        var body = getUpdateRequests()[0].body;
+
+                        expect(body).toContain('Cmd="Delete"><Field Name="ID">1</Field>');
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("delete() rejects if the item has no ID", function(done){
+                createItem({ Title: "New item" })["delete"]()
+                    .then(
+                        function(){
+                            done.fail("expected delete() to fail");
+                        },
+                        function(error){
+                            expect(error instanceof Error).toBe(true);
+                            expect(getUpdateRequests().length).toBe(0);
+                            done();
+                        }
+                    );
+            });
+
+            it("rejects if updateListItems was not given on input", function(done){
+                var item = ListItemModel.create({ ID: "1", Title: "Old title" }, { listName: "Tasks" });
+
+                item.Title = "Updated title";
+
+                item.save()
+                    .then(
+                        function(){
+                            done.fail("expected save() to fail");
+                        },
+                        function(error){
+                            expect(error.message).toContain("updateListItems");
+                            done();
+                        }
+                    );
+            });
         });
 
     });
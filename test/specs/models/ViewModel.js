@@ -0,0 +1,82 @@
+define([
+    "src/models/ViewModel",
+    "src/caml/CamlQuery",
+    "text!../../server/soapMsgs/views.GetView.response.success.xml",
+    "text!../../server/soapMsgs/views.GetViewCollection.response.success.xml"
+], function(
+    ViewModel,
+    CamlQuery,
+    getViewXML,
+    getViewCollectionXML
+){
+
+    /**
+     * Returns the `<View>` elements of a Views.asmx response
+     */
+    function getViewElements(xml) {
+        return (new DOMParser()).parseFromString(xml, "text/xml").getElementsByTagName("View");
+    }
+
+    describe("ViewModel", function(){
+        var view;
+
+        beforeEach(function(){
+            view = ViewModel.create(getViewElements(getViewXML)[0], { listName: "Tasks" });
+        });
+
+        //----------------------------------------------
+
+        it("sets the view attributes on the model", function(){
+            expect(view.Name).toBe("{5B8E4C2A-9F1D-4E3B-A6C7-0D2F8E1B3A94}");
+            expect(view.DisplayName).toBe("Active Tasks");
+            expect(view.Url).toBe("/sites/test/Lists/Tasks/active.aspx");
+            expect(view.getListName()).toBe("Tasks");
+        });
+
+        it("converts boolean attributes and reports the default view", function(){
+            var defaultView = ViewModel.create(getViewElements(getViewCollectionXML)[0]);
+
+            expect(defaultView.DefaultView).toBe(true);
+            expect(defaultView.isDefault()).toBe(true);
+            expect(view.DefaultView).toBe(false);
+            expect(view.isDefault()).toBe(false);
+        });
+
+        it("returns the view fields, query and row limit", function(){
+            expect(view.getViewFields()).toEqual(["LinkTitle", "Status", "DueDate"]);
+            expect(view.getQuery()).toContain("<Query");
+            expect(view.getQuery()).toContain('<FieldRef Name="Status"/>');
+            expect(view.getRowLimit()).toBe(30);
+            expect(view.isPaged()).toBe(true);
+        });
+
+        it("returns empty values for views without their definition", function(){
+            var listView = ViewModel.create(getViewElements(getViewCollectionXML)[1]);
+
+            expect(listView.getViewFields()).toEqual([]);
+            expect(listView.getQuery()).toBe("");
+            expect(listView.getRowLimit()).toBe(0);
+            expect(listView.isPaged()).toBe(false);
+        });
+
+        it("returns the parsed query", function(){
+            var parsed = view.getParsedQuery();
+
+            expect(parsed.where).toEqual({ field: "Status", operator: "Neq", values: ["Completed"], valueType: "Text" });
+            expect(parsed.orderBy).toEqual([{ field: "DueDate", ascending: false }]);
+        });
+
+        it("converts to a CamlQuery", function(){
+            var query = view.toCamlQuery();
+
+            expect(CamlQuery.isInstanceOf(query)).toBe(true);
+            expect(query.toListItemsOptions()).toEqual({
+                CAMLQuery:      '<Query><Where><Neq><FieldRef Name="Status"/><Value Type="Text">Completed</Value></Neq></Where>' +
+                                '<OrderBy><FieldRef Name="DueDate" Ascending="FALSE"/></OrderBy></Query>',
+                CAMLViewFields: '<ViewFields><FieldRef Name="LinkTitle"/><FieldRef Name="Status"/><FieldRef Name="DueDate"/></ViewFields>',
+                CAMLRowLimit:   30
+            });
+        });
+    });
+
+});
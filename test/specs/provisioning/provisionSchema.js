@@ -0,0 +1,274 @@
+define([
+    "src/provisioning/provisionSchema",
+    "src/sputils/errors",
+    "test/server/mock.transport",
+    "text!../../server/soapMsgs/list.GetList.response.success.xml",
+    "text!../../server/soapMsgs/list.AddList.response.success.xml",
+    "text!../../server/soapMsgs/list.UpdateList.response.success.xml",
+    "text!../../server/soapMsgs/list.GetListContentTypes.response.success.xml",
+    "text!../../server/soapMsgs/error.faultcode.xml"
+], function(
+    provisionSchema,
+    errors,
+    mockTransport,
+    getListXML,
+    addListXML,
+    updateListXML,
+    getListContentTypesXML,
+    faultXML
+){
+
+    // SOAP fault returned by GetList when the list does not exist
+    var listNotFoundXML = faultXML.replace("0x81020067", "0x82000006");
+
+    describe("provisionSchema", function(){
+        var transport;
+
+        beforeEach(function(){
+            // Only the Tasks list (list.GetList fixture) exists in the site
+            transport = mockTransport.install()
+                .respondTo({ soapAction: "GetList" }, function(request){
+                    return request.body.indexOf("<listName>Tasks</listName>") !== -1 ? getListXML : listNotFoundXML;
+                })
+                .respondTo({ soapAction: "AddList" }, addListXML)
+                .respondTo({ soapAction: "UpdateList" }, updateListXML);
+        });
+
+        afterEach(function(){
+            mockTransport.uninstall();
+        });
+
+        function getRequests(soapAction) {
+            return transport.requests.filter(function(request){
+                return request.soapAction === soapAction;
+            });
+        }
+
+        function getActionTypes(plan) {
+            return plan.actions.map(function(action){
+                return action.type;
+            });
+        }
+
+        function getActionStatuses(plan) {
+            return plan.actions.map(function(action){
+                return action.status;
+            });
+        }
+
+        /**
+         * Returns a manifest for the Tasks list with a changed description and
+         * one new column
+         */
+        function getTasksManifest() {
+            return {
+                lists: [
+                    {
+                        listName:       "Tasks",
+                        description:    "Team tasks",
+                        columns:        [
+                            { Name: "Status", DisplayName: "Task Status", Type: "Choice" },
+                            { Name: "Category", DisplayName: "Category", Type: "Text" }
+                        ]
+                    }
+                ]
+            };
+        }
+
+        //----------------------------------------------
+
+        describe("dryRun", function(){
+
+            it("plans the creation of missing lists without applying it", function(done){
+                provisionSchema(
+                    {
+                        lists: [{
+                            listName:       "Projects",
+                            description:    "Team projects",
+                            listProperties: { EnableVersioning: true },
+                            columns:        [{ Name: "ProjectStatus", DisplayName: "Status", Type: "Choice" }]
+                        }]
+                    },
+                    { webURL: mockTransport.WEB_URL, dryRun: true }
+                )
+                    .then(function(plan){
+                        expect(plan.dryRun).toBe(true);
+                        expect(plan.status).toBe("pending");
+                        expect(getActionTypes(plan)).toEqual(["createList"]);
+                        expect(plan.actions[0].listName).toBe("Projects");
+                        expect(plan.actions[0].status).toBe("pending");
+                        expect(plan.actions[0].options.templateID).toBe(100);
+                        expect(plan.actions[0].options.listProperties).toEqual({ EnableVersioning: true });
+                        expect(getRequests("AddList").length).toBe(0);
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("plans updates to the list properties and columns that are different", function(done){
+                var manifest = getTasksManifest();
+
+                manifest.lists[0].listProperties = { EnableVersioning: true };
+                manifest.lists[0].columns.push({ Name: "Priority", DisplayName: "Task Priority", Type: "Choice" });
+
+                provisionSchema(manifest, { webURL: mockTransport.WEB_URL, dryRun: true })
+                    .then(function(plan){
+                        expect(getActionTypes(plan)).toEqual(["updateList", "addColumns", "updateColumns"]);
+                        expect(plan.actions[0].options.listProperties).toEqual({ Description: "Team tasks" });
+                        expect(plan.actions[1].options.columns).toEqual([{ Name: "Category", DisplayName: "Category", Type: "Text" }]);
+                        expect(plan.actions[2].options.columns).toEqual([{ Name: "Priority", DisplayName: "Task Priority" }]);
+                        expect(plan.actions[2].description).toBe("Update column(s) of list Tasks: Priority");
+                        expect(getRequests("UpdateList").length).toBe(0);
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("warns about list properties that can only be set on creation", function(done){
+                provisionSchema(
+                    { lists: [{ listName: "Tasks", listProperties: { DraftVersionVisibility: 1 } }] },
+                    { webURL: mockTransport.WEB_URL, dryRun: true }
+                )
+                    .then(function(plan){
+                        expect(plan.actions.length).toBe(0);
+                        expect(plan.warnings.length).toBe(1);
+                        expect(plan.warnings[0]).toContain("DraftVersionVisibility");
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+        });
+
+        it("applies the plan in order", function(done){
+            provisionSchema(getTasksManifest(), { webURL: mockTransport.WEB_URL })
+                .then(function(plan){
+                    var requests = getRequests("UpdateList");
+
+                    expect(plan.status).toBe("success");
+                    expect(getActionTypes(plan)).toEqual(["updateList", "addColumns"]);
+                    expect(getActionStatuses(plan)).toEqual(["done", "done"]);
+                    expect(requests.length).toBe(2);
+                    expect(requests[0].body).toContain('<List Description="Team tasks"/>');
+                    expect(requests[1].body).toContain('<Field Name="Category" DisplayName="Category" Type="Text"/>');
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("creates missing lists", function(done){
+            provisionSchema({ lists: [{ listName: "Projects" }] }, { webURL: mockTransport.WEB_URL })
+                .then(function(plan){
+                    expect(getActionStatuses(plan)).toEqual(["done"]);
+                    expect(getRequests("AddList").length).toBe(1);
+                    expect(getRequests("AddList")[0].body).toContain("<listName>Projects</listName>");
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("does not add content types provided by the template of lists that are created", function(done){
+            transport.respondTo({ soapAction: "GetListContentTypes" }, getListContentTypesXML);
+
+            provisionSchema({ lists: [{ listName: "Projects", templateID: 107, contentTypes: ["0x0108"] }] }, { webURL: mockTransport.WEB_URL })
+                .then(function(plan){
+                    expect(getActionTypes(plan)).toEqual(["createList", "addContentType"]);
+                    expect(getActionStatuses(plan)).toEqual(["done", "done"]);
+                    expect(getRequests("GetListContentTypes")[0].body).toContain("<listName>Projects</listName>");
+                    expect(getRequests("ApplyContentTypeToList").length).toBe(0);
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("returns an empty plan when the site already matches the manifest", function(done){
+            provisionSchema(
+                {
+                    lists: [{
+                        listName:       "Tasks",
+                        description:    "",
+                        listProperties: { EnableVersioning: true },
+                        columns:        [{ Name: "Status", DisplayName: "Task Status", Type: "Choice", Choices: ["Active"] }]
+                    }]
+                },
+                { webURL: mockTransport.WEB_URL }
+            )
+                .then(function(plan){
+                    expect(plan.status).toBe("success");
+                    expect(plan.actions).toEqual([]);
+                    expect(getRequests("UpdateList").length).toBe(0);
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("does not plan changes to column attributes that are not reported with their default value", function(done){
+            var manifest = {
+                lists: [{
+                    listName:   "Tasks",
+                    columns:    [{ Name: "Status", DisplayName: "Task Status", Indexed: false, EnforceUniqueValues: "FALSE", Required: false }]
+                }]
+            };
+
+            provisionSchema(manifest, { webURL: mockTransport.WEB_URL })
+                .then(function(plan){
+                    expect(plan.actions).toEqual([]);
+
+                    // Provisioning the same manifest again is also a no-op
+                    return provisionSchema(manifest, { webURL: mockTransport.WEB_URL, dryRun: true });
+                })
+                .then(function(plan){
+                    expect(plan.actions).toEqual([]);
+
+                    manifest.lists[0].columns[0].Indexed = true;
+                    return provisionSchema(manifest, { webURL: mockTransport.WEB_URL, dryRun: true });
+                })
+                .then(function(plan){
+                    expect(getActionTypes(plan)).toEqual(["updateColumns"]);
+                    expect(plan.actions[0].options.columns).toEqual([{ Name: "Status", Indexed: true }]);
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("rejects with a ProvisionSchemaError and cancels the remaining actions when one fails", function(done){
+            transport = mockTransport.install()
+                .respondTo({ soapAction: "GetList" }, getListXML)
+                .respondTo({ soapAction: "UpdateList" }, faultXML);
+
+            provisionSchema(getTasksManifest(), { webURL: mockTransport.WEB_URL })
+                .then(
+                    function(){
+                        done.fail("expected provisionSchema to fail");
+                    },
+                    function(error){
+                        var plan = error.plan;
+
+                        expect(error instanceof errors.ProvisionSchemaError).toBe(true);
+                        expect(error.message).toContain("Update list Tasks properties: Description failed");
+                        expect(plan.status).toBe("error");
+                        expect(getActionStatuses(plan)).toEqual(["error", "cancelled"]);
+                        expect(plan.actions[0].error instanceof errors.SoapFaultError).toBe(true);
+                        expect(getRequests("UpdateList").length).toBe(1);
+                        done();
+                    }
+                );
+        });
+
+        it("rejects with the error when the site definitions can not be retrieved", function(done){
+            transport = mockTransport.install().respondTo({ soapAction: "GetList" }, faultXML);
+
+            provisionSchema(getTasksManifest(), { webURL: mockTransport.WEB_URL, dryRun: true })
+                .then(
+                    function(){
+                        done.fail("expected provisionSchema to fail");
+                    },
+                    function(error){
+                        expect(error instanceof errors.SoapFaultError).toBe(true);
+                        expect(error.errorCode).toBe("0x81020067");
+                        done();
+                    }
+                );
+        });
+    });
+
+});
@@ -0,0 +1,141 @@
+define([
+    "src/spapi/addFieldToContentType",
+    "src/spapi/removeFieldFromContentType",
+    "src/sputils/cache",
+    "src/sputils/listSchemaUtils",
+    "test/server/mock.transport",
+    "text!../../server/soapMsgs/list.UpdateContentType.response.success.xml",
+    "text!../../server/soapMsgs/list.GetListContentType.response.success.xml",
+    "text!../../server/soapMsgs/list.GetList.response.success.xml"
+], function(
+    addFieldToContentType,
+    removeFieldFromContentType,
+    cache,
+    listSchemaUtils,
+    mockTransport,
+    updateContentTypeXML,
+    getListContentTypeXML,
+    getListXML
+){
+
+    var CONTENT_TYPE_ID = "0x010800719988A683552B489A4C7F1E2288B466";
+    var STATUS_ID       = "{c15b34c3-ce7d-490a-b133-3f4de8801b76}";
+    var PRIORITY_ID     = "{a8eb573e-9e11-481a-a8c9-1104a54b2fbd}";
+
+    describe("addFieldToContentType", function(){
+        var transport;
+
+        beforeEach(function(){
+            transport = mockTransport.install()
+                .respondTo({ soapAction: "UpdateContentType" }, updateContentTypeXML)
+                .respondTo({ soapAction: "GetListContentType" }, getListContentTypeXML)
+                .respondTo({ soapAction: "GetList" }, getListXML);
+        });
+
+        afterEach(function(){
+            mockTransport.uninstall();
+            listSchemaUtils.clearListCache(mockTransport.WEB_URL, "Tasks");
+        });
+
+        function getRequests(soapAction) {
+            return transport.requests.filter(function(request){
+                return request.soapAction === soapAction;
+            });
+        }
+
+        //----------------------------------------------
+
+        it("links the fields to the content type", function(done){
+            addFieldToContentType({
+                listName:       "Tasks",
+                contentTypeId:  CONTENT_TYPE_ID,
+                fields:         [{ Name: "Priority", Required: true }],
+                webURL:         mockTransport.WEB_URL
+            })
+                .then(function(contentType){
+                    expect(getRequests("UpdateContentType")[0].body).toContain(
+                        "<contentTypeId>" + CONTENT_TYPE_ID + "</contentTypeId>" +
+                        "<contentTypeProperties></contentTypeProperties>" +
+                        '<newFields><FieldRefs><Method ID="1"><FieldRef ID="' + PRIORITY_ID + '" Name="Priority" Required="TRUE"/></Method></FieldRefs></newFields>' +
+                        "<updateFields></updateFields>" +
+                        "<deleteFields></deleteFields>" +
+                        "<addToView>FALSE</addToView>"
+                    );
+                    expect(contentType.ID).toBe(CONTENT_TYPE_ID);
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("returns the updated content type definition", function(done){
+            var cacheKey = mockTransport.WEB_URL + "?getListContentType=Tasks&ID=" + CONTENT_TYPE_ID;
+
+            // The cached definition is outdated once the content type is updated
+            cache.set(cacheKey, "stale");
+
+            addFieldToContentType({
+                listName:       "Tasks",
+                contentTypeId:  CONTENT_TYPE_ID,
+                fields:         [{ ID: PRIORITY_ID, Name: "Priority" }],
+                webURL:         mockTransport.WEB_URL
+            })
+                .then(function(contentType){
+                    expect(getRequests("GetList").length).toBe(0);
+                    expect(getRequests("GetListContentType").length).toBe(1);
+                    expect(contentType.Name).toBe("Task");
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("rejects if no contentTypeId is given", function(done){
+            addFieldToContentType({ listName: "Tasks", fields: ["Priority"], webURL: mockTransport.WEB_URL })
+                .then(
+                    function(){
+                        done.fail("expected addFieldToContentType() to fail");
+                    },
+                    function(error){
+                        expect(error.message).toBe("addFieldToContentType(): options.contentTypeId is required");
+                        expect(getRequests("UpdateContentType").length).toBe(0);
+                        done();
+                    }
+                );
+        });
+
+        describe("removeFieldFromContentType", function(){
+
+            it("unlinks the fields from the content type", function(done){
+                removeFieldFromContentType({
+                    listName:       "Tasks",
+                    contentTypeId:  CONTENT_TYPE_ID,
+                    fields:         [{ Name: "Task Status", Required: true }],
+                    webURL:         mockTransport.WEB_URL
+                })
+                    .then(function(){
+                        var body = getRequests("UpdateContentType")[0].body;
+
+                        expect(body).toContain("<newFields></newFields>");
+                        expect(body).toContain(
+                            '<deleteFields><FieldRefs><Method ID="1"><FieldRef ID="' + STATUS_ID + '" Name="Status"/></Method></FieldRefs></deleteFields>'
+                        );
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("rejects if no contentTypeId is given", function(done){
+                removeFieldFromContentType({ listName: "Tasks", fields: ["Status"], webURL: mockTransport.WEB_URL })
+                    .then(
+                        function(){
+                            done.fail("expected removeFieldFromContentType() to fail");
+                        },
+                        function(error){
+                            expect(error.message).toBe("removeFieldFromContentType(): options.contentTypeId is required");
+                            done();
+                        }
+                    );
+            });
+        });
+    });
+
+});
@@ -0,0 +1,83 @@
+define([
+    "src/spapi/addListColumns",
+    "test/server/mock.transport",
+    "text!../../server/soapMsgs/list.UpdateList.response.success.xml"
+], function(
+    addListColumns,
+    mockTransport,
+    updateListXML
+){
+
+    describe("addListColumns", function(){
+        var transport;
+
+        beforeEach(function(){
+            transport = mockTransport.install();
+            transport.respondTo({ soapAction: "UpdateList" }, updateListXML);
+        });
+
+        afterEach(function(){
+            mockTransport.uninstall();
+        });
+
+        function getRequests() {
+            return transport.requests.filter(function(request){
+                return request.soapAction === "UpdateList";
+            });
+        }
+
+        //----------------------------------------------
+
+        it("adds the columns and resolves with their definition", function(done){
+            addListColumns({
+                listName:   "Projects",
+                webURL:     mockTransport.WEB_URL,
+                columns:    [
+                    '<Field Type="Choice" DisplayName="ProjectStatus"/>',
+                    { DisplayName: "Due Date", Type: "DateTime", Format: "DateOnly" }
+                ]
+            })
+                .then(function(columns){
+                    expect(getRequests().length).toBe(1);
+                    expect(getRequests()[0].body).toContain(
+                        '<newFields><Fields><Method ID="1"><Field Type="Choice" DisplayName="ProjectStatus"/></Method>' +
+                        '<Method ID="2"><Field DisplayName="Due Date" Type="DateTime" Format="DateOnly"/></Method></Fields></newFields>'
+                    );
+                    expect(columns.length).toBe(2);
+                    expect(columns[0].Name).toBe("ProjectStatus");
+                    expect(columns[1].Name).toBe("Due_x0020_Date");
+                    expect(columns[1].Type).toBe("DateTime");
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("creates columns with their internal name and then sets their display name", function(done){
+            addListColumns({
+                listName:   "Projects",
+                webURL:     mockTransport.WEB_URL,
+                columns:    [{ Name: "ProjectStatus", DisplayName: "Status", Type: "Choice" }]
+            })
+                .then(function(){
+                    expect(getRequests().length).toBe(2);
+                    expect(getRequests()[0].body).toContain('<Field Name="ProjectStatus" DisplayName="ProjectStatus" Type="Choice"/>');
+                    expect(getRequests()[1].body).toContain(
+                        '<updateFields><Fields><Method ID="1"><Field Name="ProjectStatus" DisplayName="Status"/></Method></Fields></updateFields>'
+                    );
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("does not send a request when there are no columns", function(done){
+            addListColumns({ listName: "Projects", webURL: mockTransport.WEB_URL, columns: [] })
+                .then(function(columns){
+                    expect(columns.length).toBe(0);
+                    expect(transport.requests.length).toBe(0);
+                    done();
+                })
+                .catch(done.fail);
+        });
+    });
+
+});
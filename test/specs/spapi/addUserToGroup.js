@@ -0,0 +1,160 @@
+define([
+    "src/spapi/addUserToGroup",
+    "src/spapi/removeUserFromGroup",
+    "src/spapi/getGroupMembers",
+    "src/models/UserProfileModel",
+    "src/sputils/userGroupUtils",
+    "test/server/mock.transport",
+    "text!../../server/soapMsgs/usergroup.GetUserCollectionFromGroup.response.success.xml"
+], function(
+    addUserToGroup,
+    removeUserFromGroup,
+    getGroupMembers,
+    UserProfileModel,
+    userGroupUtils,
+    mockTransport,
+    getUserCollectionFromGroupXML
+){
+
+    var LOGIN_NAME = "i:0#.f|membership|paul@tenant.onmicrosoft.com";
+
+    /**
+     * Returns a UserGroup.asmx response with no result (as returned by
+     * AddUserToGroup and RemoveUserFromGroup)
+     */
+    function getEmptyResponseXML(operation) {
+        return '<?xml version="1.0" encoding="utf-8"?>' +
+            '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/"><soap:Body>' +
+            "<" + operation + 'Response xmlns="' + userGroupUtils.USER_GROUP_NAMESPACE + '" />' +
+            "</soap:Body></soap:Envelope>";
+    }
+
+    describe("addUserToGroup", function(){
+        var transport;
+
+        beforeEach(function(){
+            transport = mockTransport.install()
+                .respondTo({ soapAction: "AddUserToGroup" }, getEmptyResponseXML("AddUserToGroup"))
+                .respondTo({ soapAction: "RemoveUserFromGroup" }, getEmptyResponseXML("RemoveUserFromGroup"))
+                .respondTo({ soapAction: "GetUserCollectionFromGroup" }, getUserCollectionFromGroupXML);
+        });
+
+        afterEach(function(){
+            mockTransport.uninstall();
+            userGroupUtils.clearGroupCache(mockTransport.WEB_URL);
+        });
+
+        function getRequests(soapAction) {
+            return transport.requests.filter(function(request){
+                return request.soapAction === soapAction;
+            });
+        }
+
+        //----------------------------------------------
+
+        it("adds the user to the group", function(done){
+            addUserToGroup({
+                groupName:  "R&D Members",
+                user:       LOGIN_NAME,
+                userName:   "Paul Tavares",
+                userEmail:  "paul@tenant.onmicrosoft.com",
+                webURL:     mockTransport.WEB_URL
+            })
+                .then(function(){
+                    expect(getRequests("AddUserToGroup")[0].body).toContain(
+                        "<groupName>R&amp;D Members</groupName>" +
+                        "<userName>Paul Tavares</userName>" +
+                        "<userLoginName>" + LOGIN_NAME + "</userLoginName>" +
+                        "<userEmail>paul@tenant.onmicrosoft.com</userEmail>" +
+                        "<userNotes></userNotes>"
+                    );
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("uses the name and email of a user profile", function(done){
+            addUserToGroup({
+                groupName:  "Team Site Members",
+                user:       UserProfileModel.create({ ID: "12", Name: "Paul Tavares", AccountName: LOGIN_NAME, Email: "paul@tenant.onmicrosoft.com" }),
+                webURL:     mockTransport.WEB_URL
+            })
+                .then(function(){
+                    var body = getRequests("AddUserToGroup")[0].body;
+
+                    expect(body).toContain("<userName>Paul Tavares</userName><userLoginName>" + LOGIN_NAME + "</userLoginName>");
+                    expect(body).toContain("<userEmail>paul@tenant.onmicrosoft.com</userEmail>");
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("clears the cached group members", function(done){
+            var options = { groupName: "Team Site Members", webURL: mockTransport.WEB_URL };
+
+            getGroupMembers(options)
+                .then(function(){
+                    return addUserToGroup({ groupName: "Team Site Members", user: LOGIN_NAME, webURL: mockTransport.WEB_URL });
+                })
+                .then(function(){
+                    return getGroupMembers(options);
+                })
+                .then(function(){
+                    expect(getRequests("GetUserCollectionFromGroup").length).toBe(2);
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("rejects if no groupName or user is given", function(done){
+            addUserToGroup({ groupName: "Team Site Members", webURL: mockTransport.WEB_URL })
+                .then(
+                    function(){
+                        done.fail("expected addUserToGroup() to fail");
+                    },
+                    function(error){
+                        expect(error.message).toBe("addUserToGroup(): options.groupName and options.user are required");
+                        expect(getRequests("AddUserToGroup").length).toBe(0);
+                        done();
+                    }
+                );
+        });
+
+        describe("removeUserFromGroup", function(){
+
+            it("removes the user from the group and clears the cached group members", function(done){
+                var options = { groupName: "Team Site Members", webURL: mockTransport.WEB_URL };
+
+                getGroupMembers(options)
+                    .then(function(members){
+                        return removeUserFromGroup({ groupName: "Team Site Members", user: members[0], webURL: mockTransport.WEB_URL });
+                    })
+                    .then(function(){
+                        expect(getRequests("RemoveUserFromGroup")[0].body).toContain(
+                            "<groupName>Team Site Members</groupName><userLoginName>" + LOGIN_NAME + "</userLoginName>"
+                        );
+                        return getGroupMembers(options);
+                    })
+                    .then(function(){
+                        expect(getRequests("GetUserCollectionFromGroup").length).toBe(2);
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("rejects if no user is given", function(done){
+                removeUserFromGroup({ groupName: "Team Site Members", user: {}, webURL: mockTransport.WEB_URL })
+                    .then(
+                        function(){
+                            done.fail("expected removeUserFromGroup() to fail");
+                        },
+                        function(error){
+                            expect(error.message).toBe("removeUserFromGroup(): options.groupName and options.user are required");
+                            done();
+                        }
+                    );
+            });
+        });
+    });
+
+});
@@ -0,0 +1,95 @@
+define([
+    "src/spapi/addView",
+    "src/caml/CamlQuery",
+    "src/sputils/cache",
+    "test/server/mock.transport",
+    "text!../../server/soapMsgs/views.GetView.response.success.xml"
+], function(
+    addView,
+    CamlQuery,
+    cache,
+    mockTransport,
+    getViewXML
+){
+
+    var LIST_CACHE_KEY = mockTransport.WEB_URL + "?List=Tasks";
+
+    describe("addView", function(){
+        var transport;
+
+        beforeEach(function(){
+            // AddView responds with the new view definition - same as GetView
+            transport = mockTransport.install()
+                .respondTo({ soapAction: "AddView" }, getViewXML.replace(/GetView(Response|Result)/g, "AddView$1"));
+        });
+
+        afterEach(function(){
+            mockTransport.uninstall();
+            cache.clear(LIST_CACHE_KEY);
+        });
+
+        function getRequest() {
+            return transport.requests.filter(function(request){
+                return request.soapAction === "AddView";
+            })[0];
+        }
+
+        //----------------------------------------------
+
+        it("sends the view definition", function(done){
+            addView({
+                listName:   "Tasks",
+                viewName:   "Active & Late",
+                viewFields: ["LinkTitle", "Status"],
+                query:      '<Neq><FieldRef Name="Status"/><Value Type="Text">Completed</Value></Neq>',
+                rowLimit:   50,
+                webURL:     mockTransport.WEB_URL
+            })
+                .then(function(view){
+                    expect(getRequest().body).toContain(
+                        "<listName>Tasks</listName>" +
+                        "<viewName>Active &amp; Late</viewName>" +
+                        '<viewFields><ViewFields><FieldRef Name="LinkTitle"/><FieldRef Name="Status"/></ViewFields></viewFields>' +
+                        '<query><Query><Where><Neq><FieldRef Name="Status"/><Value Type="Text">Completed</Value></Neq></Where></Query></query>' +
+                        '<rowLimit><RowLimit Paged="TRUE">50</RowLimit></rowLimit>' +
+                        "<type>HTML</type>" +
+                        "<makeViewDefault>false</makeViewDefault>"
+                    );
+                    expect(view.DisplayName).toBe("Active Tasks");
+                    expect(view.getListName()).toBe("Tasks");
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("accepts a CamlQuery and can make the view the default", function(done){
+            var query = CamlQuery.create().where("Status").eq("Active");
+
+            addView({
+                listName:           "Tasks",
+                viewName:           "Active",
+                query:              query,
+                makeViewDefault:    true,
+                webURL:             mockTransport.WEB_URL
+            })
+                .then(function(){
+                    expect(getRequest().body).toContain("<query>" + query.toCAMLQuery() + "</query>");
+                    expect(getRequest().body).toContain("<makeViewDefault>true</makeViewDefault>");
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("clears the cached list definition", function(done){
+            cache.set(LIST_CACHE_KEY, "cached");
+
+            addView({ listName: "Tasks", viewName: "Active", webURL: mockTransport.WEB_URL })
+                .then(function(){
+                    expect(cache.isCached(LIST_CACHE_KEY)).toBe(false);
+                    done();
+                })
+                .catch(done.fail);
+        });
+    });
+
+});
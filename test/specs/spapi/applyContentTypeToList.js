@@ -0,0 +1,96 @@
+define([
+    "src/spapi/applyContentTypeToList",
+    "src/sputils/listSchemaUtils",
+    "test/server/mock.transport",
+    "text!../../server/soapMsgs/list.ApplyContentTypeToList.response.success.xml",
+    "text!../../server/soapMsgs/list.GetListContentTypes.response.success.xml",
+    "text!../../server/soapMsgs/list.GetListContentType.response.success.xml"
+], function(
+    applyContentTypeToList,
+    listSchemaUtils,
+    mockTransport,
+    applyContentTypeToListXML,
+    getListContentTypesXML,
+    getListContentTypeXML
+){
+
+    // ID of the list content type (in list.GetListContentTypes fixture) created from Announcement (0x0104)
+    var LIST_ANNOUNCEMENT_ID = "0x0104008D2E1B6A3C5F4E7B9A0C1D2E3F4A5B6C";
+
+    describe("applyContentTypeToList", function(){
+        var transport;
+
+        beforeEach(function(){
+            transport = mockTransport.install()
+                .respondTo({ soapAction: "ApplyContentTypeToList" }, applyContentTypeToListXML)
+                .respondTo({ soapAction: "GetListContentTypes" }, getListContentTypesXML)
+                .respondTo({ soapAction: "GetListContentType" }, getListContentTypeXML);
+        });
+
+        afterEach(function(){
+            mockTransport.uninstall();
+            listSchemaUtils.clearListCache(mockTransport.WEB_URL, "Tasks");
+        });
+
+        function getRequests(soapAction) {
+            return transport.requests.filter(function(request){
+                return request.soapAction === soapAction;
+            });
+        }
+
+        //----------------------------------------------
+
+        it("adds the site content type to the list", function(done){
+            applyContentTypeToList({ listName: "Tasks", contentTypeId: "0x0104", webURL: mockTransport.WEB_URL })
+                .then(function(){
+                    expect(getRequests("ApplyContentTypeToList")[0].body).toContain(
+                        "<webUrl>" + mockTransport.WEB_URL + "</webUrl>" +
+                        "<contentTypeId>0x0104</contentTypeId>" +
+                        "<listName>Tasks</listName>"
+                    );
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("returns the list content type created from the site content type", function(done){
+            applyContentTypeToList({ listName: "Tasks", contentTypeId: "0x0104", webURL: mockTransport.WEB_URL })
+                .then(function(contentType){
+                    expect(getRequests("GetListContentTypes").length).toBe(1);
+                    expect(getRequests("GetListContentType")[0].body).toContain("<contentTypeId>" + LIST_ANNOUNCEMENT_ID + "</contentTypeId>");
+                    expect(contentType.getListName()).toBe("Tasks");
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("rejects if the content type is not found in the list afterwards", function(done){
+            applyContentTypeToList({ listName: "Tasks", contentTypeId: "0x0105", webURL: mockTransport.WEB_URL })
+                .then(
+                    function(){
+                        done.fail("expected applyContentTypeToList() to fail");
+                    },
+                    function(error){
+                        expect(error.message).toBe("applyContentTypeToList(): content type 0x0105 not found in list Tasks");
+                        expect(getRequests("GetListContentType").length).toBe(0);
+                        done();
+                    }
+                );
+        });
+
+        it("rejects if no contentTypeId is given", function(done){
+            applyContentTypeToList({ listName: "Tasks", webURL: mockTransport.WEB_URL })
+                .then(
+                    function(){
+                        done.fail("expected applyContentTypeToList() to fail");
+                    },
+                    function(error){
+                        expect(error.message).toBe("applyContentTypeToList(): options.contentTypeId is required");
+                        expect(getRequests("ApplyContentTypeToList").length).toBe(0);
+                        done();
+                    }
+                );
+        });
+    });
+
+});
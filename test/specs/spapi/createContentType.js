@@ -0,0 +1,105 @@
+define([
+    "src/spapi/createContentType",
+    "src/models/ContentTypeModel",
+    "src/sputils/listSchemaUtils",
+    "test/server/mock.transport",
+    "text!../../server/soapMsgs/list.CreateContentType.response.success.xml",
+    "text!../../server/soapMsgs/list.GetListContentType.response.success.xml",
+    "text!../../server/soapMsgs/list.GetList.response.success.xml"
+], function(
+    createContentType,
+    ContentTypeModel,
+    listSchemaUtils,
+    mockTransport,
+    createContentTypeXML,
+    getListContentTypeXML,
+    getListXML
+){
+
+    // ID returned in list.CreateContentType fixture
+    var NEW_CONTENT_TYPE_ID = "0x0100E1F2A3B4C5D6E7F8091A2B3C4D5E6F70";
+
+    describe("createContentType", function(){
+        var transport;
+
+        beforeEach(function(){
+            transport = mockTransport.install()
+                .respondTo({ soapAction: "CreateContentType" }, createContentTypeXML)
+                .respondTo({ soapAction: "GetListContentType" }, getListContentTypeXML)
+                .respondTo({ soapAction: "GetList" }, getListXML);
+        });
+
+        afterEach(function(){
+            mockTransport.uninstall();
+            listSchemaUtils.clearListCache(mockTransport.WEB_URL, "Tasks");
+        });
+
+        function getRequests(soapAction) {
+            return transport.requests.filter(function(request){
+                return request.soapAction === soapAction;
+            });
+        }
+
+        //----------------------------------------------
+
+        it("creates the content type and returns its definition", function(done){
+            createContentType({
+                listName:               "Tasks",
+                displayName:            "Issue & Risk",
+                parentType:             "0x0108",
+                contentTypeProperties:  { Description: "Project issues", Group: "Custom" },
+                addToView:              true,
+                webURL:                 mockTransport.WEB_URL
+            })
+                .then(function(contentType){
+                    expect(getRequests("CreateContentType")[0].body).toContain(
+                        "<listName>Tasks</listName>" +
+                        "<displayName>Issue &amp; Risk</displayName>" +
+                        "<parentType>0x0108</parentType>" +
+                        "<fields></fields>" +
+                        '<contentTypeProperties><ContentType Description="Project issues" Group="Custom"/></contentTypeProperties>' +
+                        "<addToView>TRUE</addToView>"
+                    );
+                    expect(getRequests("GetList").length).toBe(0);
+                    expect(getRequests("GetListContentType")[0].body).toContain("<contentTypeId>" + NEW_CONTENT_TYPE_ID + "</contentTypeId>");
+                    expect(ContentTypeModel.isInstanceOf(contentType)).toBe(true);
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("links the fields given by name", function(done){
+            createContentType({
+                listName:       "Tasks",
+                displayName:    "Issue",
+                fields:         ["Priority", { Name: "Status", Required: true }],
+                webURL:         mockTransport.WEB_URL
+            })
+                .then(function(){
+                    expect(getRequests("CreateContentType")[0].body).toContain(
+                        "<fields><FieldRefs>" +
+                            '<FieldRef ID="{a8eb573e-9e11-481a-a8c9-1104a54b2fbd}" Name="Priority"/>' +
+                            '<FieldRef ID="{c15b34c3-ce7d-490a-b133-3f4de8801b76}" Name="Status" Required="TRUE"/>' +
+                        "</FieldRefs></fields>"
+                    );
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("rejects if no displayName is given", function(done){
+            createContentType({ listName: "Tasks", webURL: mockTransport.WEB_URL })
+                .then(
+                    function(){
+                        done.fail("expected createContentType() to fail");
+                    },
+                    function(error){
+                        expect(error.message).toBe("createContentType(): options.displayName is required");
+                        expect(getRequests("CreateContentType").length).toBe(0);
+                        done();
+                    }
+                );
+        });
+    });
+
+});
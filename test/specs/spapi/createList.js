@@ -0,0 +1,89 @@
+define([
+    "src/spapi/createList",
+    "test/server/mock.transport",
+    "text!../../server/soapMsgs/list.AddList.response.success.xml",
+    "text!../../server/soapMsgs/list.UpdateList.response.success.xml",
+    "text!../../server/soapMsgs/list.GetList.response.success.xml"
+], function(
+    createList,
+    mockTransport,
+    addListXML,
+    updateListXML,
+    getListXML
+){
+
+    describe("createList", function(){
+        var transport;
+
+        beforeEach(function(){
+            transport = mockTransport.install()
+                .respondTo({ soapAction: "AddList" }, addListXML)
+                .respondTo({ soapAction: "UpdateList" }, updateListXML)
+                .respondTo({ soapAction: "GetList" }, getListXML);
+        });
+
+        afterEach(function(){
+            mockTransport.uninstall();
+        });
+
+        function getListRequests() {
+            return transport.requests.filter(function(request){
+                return /^(AddList|UpdateList|GetList)$/.test(request.soapAction);
+            });
+        }
+
+        //----------------------------------------------
+
+        it("creates the list", function(done){
+            createList({
+                listName:       "Projects & Tasks",
+                description:    "Team projects",
+                templateID:     107,
+                webURL:         mockTransport.WEB_URL
+            })
+                .then(function(list){
+                    var requests = getListRequests();
+
+                    expect(requests.length).toBe(1);
+                    expect(requests[0].url).toBe(mockTransport.WEB_URL + "_vti_bin/Lists.asmx");
+                    expect(requests[0].body).toContain(
+                        "<listName>Projects &amp; Tasks</listName><description>Team projects</description><templateID>107</templateID>"
+                    );
+                    expect(list.ID).toBe("{3A1B2C3D-4E5F-4A6B-8C7D-9E0F1A2B3C4D}");
+                    expect(list.Title).toBe("Projects");
+                    expect(list.Fields).toBeUndefined();
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("sets the list properties and adds the columns", function(done){
+            createList({
+                listName:       "Projects",
+                webURL:         mockTransport.WEB_URL,
+                listProperties: { EnableVersioning: true },
+                columns:        [{ Name: "ProjectStatus", Type: "Choice", Choices: ["New", "Active"] }]
+            })
+                .then(function(list){
+                    var requests = getListRequests();
+
+                    expect(requests.map(function(request){ return request.soapAction; }))
+                        .toEqual(["AddList", "UpdateList", "UpdateList", "GetList"]);
+
+                    // Subsequent requests use the list ID
+                    expect(requests[1].body).toContain("<listName>{3A1B2C3D-4E5F-4A6B-8C7D-9E0F1A2B3C4D}</listName>");
+                    expect(requests[1].body).toContain('<listProperties><List EnableVersioning="TRUE"/></listProperties>');
+                    expect(requests[2].body).toContain(
+                        '<newFields><Fields><Method ID="1"><Field Name="ProjectStatus" Type="Choice">' +
+                        "<CHOICES><CHOICE>New</CHOICE><CHOICE>Active</CHOICE></CHOICES></Field></Method></Fields></newFields>"
+                    );
+
+                    // Resolved with the list definition as retrieved after the changes
+                    expect(list.Title).toBe("Tasks");
+                    done();
+                })
+                .catch(done.fail);
+        });
+    });
+
+});
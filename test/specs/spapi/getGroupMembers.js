@@ -0,0 +1,114 @@
+define([
+    "src/spapi/getGroupMembers",
+    "src/spapi/getGroupCollectionFromSite",
+    "src/models/UserProfileModel",
+    "src/sputils/userGroupUtils",
+    "test/server/mock.transport",
+    "text!../../server/soapMsgs/usergroup.GetUserCollectionFromGroup.response.success.xml",
+    "text!../../server/soapMsgs/usergroup.GetGroupCollectionFromSite.response.success.xml"
+], function(
+    getGroupMembers,
+    getGroupCollectionFromSite,
+    UserProfileModel,
+    userGroupUtils,
+    mockTransport,
+    getUserCollectionFromGroupXML,
+    getGroupCollectionFromSiteXML
+){
+
+    describe("getGroupMembers", function(){
+        var transport;
+
+        beforeEach(function(){
+            transport = mockTransport.install()
+                .respondTo({ soapAction: "GetUserCollectionFromGroup" }, getUserCollectionFromGroupXML)
+                .respondTo({ soapAction: "GetGroupCollectionFromSite" }, getGroupCollectionFromSiteXML);
+        });
+
+        afterEach(function(){
+            mockTransport.uninstall();
+            userGroupUtils.clearGroupCache(mockTransport.WEB_URL);
+        });
+
+        function getRequests(soapAction) {
+            return transport.requests.filter(function(request){
+                return request.soapAction === soapAction;
+            });
+        }
+
+        //----------------------------------------------
+
+        it("returns the group members as user profiles", function(done){
+            getGroupMembers({ groupName: "R&D Members", webURL: mockTransport.WEB_URL })
+                .then(function(members){
+                    expect(getRequests("GetUserCollectionFromGroup")[0].body).toContain("<groupName>R&amp;D Members</groupName>");
+                    expect(members.length).toBe(2);
+                    expect(UserProfileModel.isInstanceOf(members[0])).toBe(true);
+                    expect(members[0].ID).toBe("12");
+                    expect(members[0].Name).toBe("Paul Tavares");
+                    expect(members[0].LoginName).toBe("i:0#.f|membership|paul@tenant.onmicrosoft.com");
+                    expect(members[0].AccountName).toBe(members[0].LoginName);
+                    expect(members[1].IsSiteAdmin).toBe(true);
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("caches the members of each group", function(done){
+            getGroupMembers({ groupName: "Team Site Members", webURL: mockTransport.WEB_URL })
+                .then(function(){
+                    return getGroupMembers({ groupName: "Team Site Members", webURL: mockTransport.WEB_URL });
+                })
+                .then(function(){
+                    expect(getRequests("GetUserCollectionFromGroup").length).toBe(1);
+                    return getGroupMembers({ groupName: "Team Site Owners", webURL: mockTransport.WEB_URL });
+                })
+                .then(function(){
+                    expect(getRequests("GetUserCollectionFromGroup").length).toBe(2);
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("rejects if no groupName is given", function(done){
+            getGroupMembers({ webURL: mockTransport.WEB_URL })
+                .then(
+                    function(){
+                        done.fail("expected getGroupMembers() to fail");
+                    },
+                    function(error){
+                        expect(error.message).toBe("getGroupMembers(): options.groupName is required");
+                        expect(getRequests("GetUserCollectionFromGroup").length).toBe(0);
+                        done();
+                    }
+                );
+        });
+
+        describe("getGroupCollectionFromSite", function(){
+
+            it("returns the site groups", function(done){
+                getGroupCollectionFromSite({ webURL: mockTransport.WEB_URL })
+                    .then(function(groups){
+                        expect(groups.map(function(group){ return group.Name; }))
+                            .toEqual(["Team Site Owners", "Team Site Visitors", "Team Site Members"]);
+                        expect(groups[0].OwnerIsUser).toBe(false);
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("makes the request when cache is false", function(done){
+                getGroupCollectionFromSite({ webURL: mockTransport.WEB_URL })
+                    .then(function(){
+                        return getGroupCollectionFromSite({ webURL: mockTransport.WEB_URL, cache: false });
+                    })
+                    .then(function(){
+                        expect(getRequests("GetGroupCollectionFromSite").length).toBe(2);
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+        });
+    });
+
+});
@@ -0,0 +1,133 @@
+define([
+    "src/spapi/getGroupsForUser",
+    "src/spapi/isCurrentUserInGroup",
+    "src/models/UserProfileModel",
+    "src/sputils/cache",
+    "src/sputils/userGroupUtils",
+    "test/server/mock.transport",
+    "text!../../server/soapMsgs/usergroup.GetGroupCollectionFromUser.response.success.xml"
+], function(
+    getGroupsForUser,
+    isCurrentUserInGroup,
+    UserProfileModel,
+    cache,
+    userGroupUtils,
+    mockTransport,
+    getGroupCollectionFromUserXML
+){
+
+    var LOGIN_NAME = "i:0#.f|membership|paul@tenant.onmicrosoft.com";
+
+    describe("getGroupsForUser", function(){
+        var transport;
+
+        beforeEach(function(){
+            transport = mockTransport.install()
+                .respondTo({ soapAction: "GetGroupCollectionFromUser" }, getGroupCollectionFromUserXML);
+        });
+
+        afterEach(function(){
+            mockTransport.uninstall();
+            userGroupUtils.clearGroupCache(mockTransport.WEB_URL);
+        });
+
+        function getRequests() {
+            return transport.requests.filter(function(request){
+                return request.soapAction === "GetGroupCollectionFromUser";
+            });
+        }
+
+        //----------------------------------------------
+
+        it("returns the groups the user is a member of", function(done){
+            getGroupsForUser({ user: LOGIN_NAME, webURL: mockTransport.WEB_URL })
+                .then(function(groups){
+                    expect(getRequests()[0].body).toContain("<userLoginName>" + LOGIN_NAME + "</userLoginName>");
+                    expect(groups.length).toBe(1);
+                    expect(groups[0].ID).toBe("5");
+                    expect(groups[0].Name).toBe("Team Site Members");
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("accepts a user profile", function(done){
+            getGroupsForUser({ user: UserProfileModel.create({ ID: "12", AccountName: LOGIN_NAME }), webURL: mockTransport.WEB_URL })
+                .then(function(){
+                    expect(getRequests()[0].body).toContain("<userLoginName>" + LOGIN_NAME + "</userLoginName>");
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("rejects if no user is given", function(done){
+            getGroupsForUser({ webURL: mockTransport.WEB_URL })
+                .then(
+                    function(){
+                        done.fail("expected getGroupsForUser() to fail");
+                    },
+                    function(error){
+                        expect(error.message).toBe("getGroupsForUser(): options.user is required");
+                        expect(getRequests().length).toBe(0);
+                        done();
+                    }
+                );
+        });
+
+        describe("isCurrentUserInGroup", function(){
+
+            // getCurrentUser() resolves with the user cached under this key, so
+            // that it does not need to look up the user in the page
+            var CURRENT_USER_CACHE_KEY = "getCurrentUserData";
+
+            beforeEach(function(){
+                cache(CURRENT_USER_CACHE_KEY, Promise.resolve({ ID: "12", Name: "Paul Tavares", AccountName: LOGIN_NAME }));
+            });
+
+            afterEach(function(){
+                cache.clear(CURRENT_USER_CACHE_KEY);
+            });
+
+            it("resolves with true if the current user is in the group (by name or ID)", function(done){
+                Promise.all([
+                    isCurrentUserInGroup({ groupName: "Team Site Members", webURL: mockTransport.WEB_URL }),
+                    isCurrentUserInGroup({ groupName: 5, webURL: mockTransport.WEB_URL })
+                ])
+                    .then(function(results){
+                        expect(results).toEqual([true, true]);
+                        expect(getRequests()[0].body).toContain("<userLoginName>" + LOGIN_NAME + "</userLoginName>");
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("resolves with true if the current user is in any of the groups", function(done){
+                isCurrentUserInGroup({ groupName: ["Team Site Owners", "Team Site Members"], webURL: mockTransport.WEB_URL })
+                    .then(function(isMember){
+                        expect(isMember).toBe(true);
+                        return isCurrentUserInGroup({ groupName: ["Team Site Owners", "Team Site Visitors"], webURL: mockTransport.WEB_URL });
+                    })
+                    .then(function(isMember){
+                        expect(isMember).toBe(false);
+                        expect(getRequests().length).toBe(1);
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("rejects if no groupName is given", function(done){
+                isCurrentUserInGroup({ groupName: [], webURL: mockTransport.WEB_URL })
+                    .then(
+                        function(){
+                            done.fail("expected isCurrentUserInGroup() to fail");
+                        },
+                        function(error){
+                            expect(error.message).toBe("isCurrentUserInGroup(): options.groupName is required");
+                            done();
+                        }
+                    );
+            });
+        });
+    });
+
+});
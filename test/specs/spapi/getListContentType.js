@@ -0,0 +1,107 @@
+define([
+    "src/spapi/getListContentType",
+    "src/sputils/errors",
+    "test/server/mock.transport",
+    "text!../../server/soapMsgs/list.GetListContentType.response.success.xml"
+], function(
+    getListContentType,
+    errors,
+    mockTransport,
+    getListContentTypeXML
+){
+
+    var CONTENT_TYPE_ID = "0x010800719988A683552B489A4C7F1E2288B466";
+
+    describe("getListContentType", function(){
+        var transport;
+
+        beforeEach(function(){
+            transport = mockTransport.install();
+        });
+
+        afterEach(function(){
+            mockTransport.uninstall();
+        });
+
+        function getRequests() {
+            return transport.requests.filter(function(request){
+                return request.soapAction === "GetListContentType";
+            });
+        }
+
+        //----------------------------------------------
+
+        describe("signal", function(){
+
+            beforeEach(function(){
+                // Response is delayed so that requests can be aborted while in flight
+                transport.respondTo({ soapAction: "GetListContentType" }, function(){
+                    return new Promise(function(resolve){
+                        setTimeout(function(){
+                            resolve(getListContentTypeXML);
+                        }, 20);
+                    });
+                });
+            });
+
+            it("rejects with an AbortError when aborted", function(done){
+                var controller = new AbortController();
+
+                getListContentType({
+                    listName:       "Tasks",
+                    contentTypeId:  CONTENT_TYPE_ID + "01",
+                    webURL:         mockTransport.WEB_URL,
+                    cache:          false,
+                    signal:         controller.signal
+                })
+                    .then(
+                        function(){
+                            done.fail("expected request to be aborted");
+                        },
+                        function(error){
+                            expect(error instanceof errors.AbortError).toBe(true);
+                            done();
+                        }
+                    );
+
+                setTimeout(function(){
+                    controller.abort();
+                }, 5);
+            });
+
+            it("does not abort a cached request shared with other callers", function(done){
+                var controller  = new AbortController();
+                var options     = {
+                    listName:       "Tasks",
+                    contentTypeId:  CONTENT_TYPE_ID + "02",
+                    webURL:         mockTransport.WEB_URL
+                };
+                var aborted     = getListContentType(Object.assign({ signal: controller.signal }, options));
+                var notAborted  = getListContentType(options);
+
+                setTimeout(function(){
+                    controller.abort();
+                }, 5);
+
+                aborted
+                    .then(
+                        function(){
+                            done.fail("expected request to be aborted");
+                        },
+                        function(error){
+                            expect(error instanceof errors.AbortError).toBe(true);
+                            return notAborted;
+                        }
+                    )
+                    .then(function(contentType){
+                        expect(contentType.Name).toBe("Task");
+                        expect(getRequests().length).toBe(1);
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+        });
+
+    });
+
+});
@@ -1,11 +1,19 @@
 define([
     "src/spapi/getListItems",
     "test/server/mock.soap.webUrlFromPageUrl",
-    "test/server/mock.soap.getListItems"
+    "test/server/mock.soap.getListItems",
+    "test/server/mock.transport",
+    "text!../../server/soapMsgs/list.GetListItems.response.threshold.xml",
+    "text!../../server/soapMsgs/list.GetListItems.response.success.xml",
+    "text!../../server/soapMsgs/list.GetList.response.success.xml"
 ], function(
     getListItems,
     mockSoapWebUrlFromPageUrl,
-    mockSoapGetListItems
+    mockSoapGetListItems,
+    mockTransport,
+    getListItemsThresholdXML,
+    getListItemsSuccessXML,
+    getListSuccessXML
 ){
 
     describe("getListItems", function(){
@@ -149,4 +157,192 @@ define([
 
     });
 
-});
\ No newline at end of file
+    describe("getListItems thresholdFallback", function(){
+        var transport;
+
+        // List with items 1 to 7 - odd items are "Completed"
+        var LIST_ITEMS = [1, 2, 3, 4, 5, 6, 7].map(function(id){
+            return { ID: id, Title: "Task " + id, Status: id % 2 ? "Completed" : "Not Started" };
+        });
+
+        var COMPLETED_QUERY = '<Where><Eq><FieldRef Name="Status"/><Value Type="Text">Completed</Value></Eq></Where>';
+
+        function getListItemsXML(items) {
+            return '<?xml version="1.0" encoding="utf-8"?>' +
+                '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/"><soap:Body>' +
+                '<GetListItemsResponse xmlns="http://schemas.microsoft.com/sharepoint/soap/"><GetListItemsResult>' +
+                '<listitems xmlns:rs="urn:schemas-microsoft-com:rowset" xmlns:z="#RowsetSchema">' +
+                '<rs:data ItemCount="' + items.length + '">' +
+                items.map(function(item){
+                    return '<z:row ows_ID="' + item.ID + '" ows_Title="' + item.Title + '" ows_Status="' + item.Status + '" />';
+                }).join("") +
+                '</rs:data></listitems></GetListItemsResult></GetListItemsResponse></soap:Body></soap:Envelope>';
+        }
+
+        // Queries that are not limited to a range of IDs exceed the threshold
+        function respondToGetListItems(request) {
+            var start   = /<Geq><FieldRef Name="ID"\/><Value Type="Counter">(\d+)</.exec(request.body),
+                end     = /<Lt><FieldRef Name="ID"\/><Value Type="Counter">(\d+)</.exec(request.body);
+
+            if (start && end) {
+                return getListItemsXML(LIST_ITEMS.filter(function(item){
+                    return item.ID >= Number(start[1]) &&
+                        item.ID < Number(end[1]) &&
+                        (request.body.indexOf("Completed") === -1 || item.Status === "Completed");
+                }));
+            }
+
+            if (/<OrderBy><FieldRef Name="ID" Ascending="FALSE"\/><\/OrderBy>/.test(request.body)) {
+                return getListItemsXML(LIST_ITEMS.slice(-1));
+            }
+
+            return getListItemsThresholdXML;
+        }
+
+        function getRequests() {
+            return transport.requests.filter(function(request){
+                return request.soapAction === "GetListItems";
+            });
+        }
+
+        beforeEach(function(){
+            transport = mockTransport.install();
+            transport.respondTo({ soapAction: "GetListItems" }, respondToGetListItems);
+        });
+
+        afterEach(function(){
+            mockTransport.uninstall();
+        });
+
+        //----------------------------------------------
+
+        it("rejects with the threshold error if thresholdFallback is false", function(done){
+            getListItems({
+                listName:   "Tasks",
+                webURL:     mockTransport.WEB_URL,
+                CAMLQuery:  "<Query>" + COMPLETED_QUERY + "</Query>"
+            })
+                .then(
+                    function(){
+                        done.fail("expected query to fail");
+                    },
+                    function(error){
+                        expect(error.errorCode).toBe("0x80070024");
+                        expect(getRequests().length).toBe(1);
+                        done();
+                    }
+                );
+        });
+
+        it("queries the list by ID ranges when the threshold is exceeded", function(done){
+            getListItems({
+                listName:           "Tasks",
+                webURL:             mockTransport.WEB_URL,
+                CAMLQuery:          "<Query>" + COMPLETED_QUERY + "</Query>",
+                thresholdFallback:  true,
+                partitionSize:      3
+            })
+                .then(function(items){
+                    var rangeRequests = getRequests().slice(2);
+
+                    expect(items.map(function(item){ return item.ID; })).toEqual(["1", "3", "5", "7"]);
+
+                    // failed query + last ID + 3 ranges
+                    expect(getRequests().length).toBe(5);
+                    expect(rangeRequests[0].body).toContain('<Value Type="Counter">1</Value></Geq>');
+                    expect(rangeRequests[0].body).toContain('<Value Type="Counter">4</Value></Lt>');
+                    expect(rangeRequests[0].body).toContain(COMPLETED_QUERY);
+                    expect(rangeRequests[0].body).toContain("<rowLimit>3</rowLimit>");
+                    expect(rangeRequests[2].body).toContain('<Value Type="Counter">7</Value></Geq>');
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("applies OrderBy and CAMLRowLimit to the merged results", function(done){
+            getListItems({
+                listName:           "Tasks",
+                webURL:             mockTransport.WEB_URL,
+                CAMLQuery:          "<Query>" + COMPLETED_QUERY + '<OrderBy><FieldRef Name="ID" Ascending="FALSE"/><FieldRef Name="Title"/></OrderBy></Query>',
+                CAMLRowLimit:       3,
+                thresholdFallback:  true,
+                partitionSize:      3
+            })
+                .then(function(items){
+                    expect(items.map(function(item){ return item.ID; })).toEqual(["7", "5", "3"]);
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("stops querying ranges once CAMLRowLimit is reached if there is no OrderBy", function(done){
+            getListItems({
+                listName:           "Tasks",
+                webURL:             mockTransport.WEB_URL,
+                CAMLQuery:          "<Query>" + COMPLETED_QUERY + "</Query>",
+                CAMLRowLimit:       2,
+                thresholdFallback:  true,
+                partitionSize:      3
+            })
+                .then(function(items){
+                    expect(items.length).toBe(2);
+
+                    // failed query + last ID + first range (IDs 1 to 3)
+                    expect(getRequests().length).toBe(3);
+                    done();
+                })
+                .catch(done.fail);
+        });
+    });
+
+    describe("getListItems convertTypes", function(){
+        var transport;
+
+        beforeEach(function(){
+            transport = mockTransport.install()
+                .respondTo({ soapAction: "GetListItems" }, getListItemsSuccessXML)
+                .respondTo({ soapAction: "GetList" }, getListSuccessXML);
+        });
+
+        afterEach(function(){
+            mockTransport.uninstall();
+        });
+
+        //----------------------------------------------
+
+        it("converts values based on the list columns", function(done){
+            getListItems({
+                listName:       "Tasks",
+                webURL:         mockTransport.WEB_URL,
+                convertTypes:   true
+            })
+                .then(function(items){
+                    var item = items[0];
+
+                    expect(item.Title).toBe("Add service to my account");
+                    expect(item.PercentComplete).toBe(0);
+                    expect(item.Checkmark).toBe(false);
+                    expect(item.Predecessors).toEqual([]);
+                    expect(item.AssignedTo).toEqual([]);
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("does not retrieve the list columns by default", function(done){
+            getListItems({
+                listName:   "Tasks",
+                webURL:     mockTransport.WEB_URL
+            })
+                .then(function(items){
+                    expect(items[0].PercentComplete).toBe("0");
+                    expect(transport.requests.some(function(request){
+                        return request.soapAction === "GetList";
+                    })).toBe(false);
+                    done();
+                })
+                .catch(done.fail);
+        });
+    });
+
+});
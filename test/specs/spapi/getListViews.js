@@ -0,0 +1,110 @@
+define([
+    "src/spapi/getListViews",
+    "src/spapi/getView",
+    "src/models/ViewModel",
+    "test/server/mock.transport",
+    "text!../../server/soapMsgs/views.GetViewCollection.response.success.xml",
+    "text!../../server/soapMsgs/views.GetView.response.success.xml"
+], function(
+    getListViews,
+    getView,
+    ViewModel,
+    mockTransport,
+    getViewCollectionXML,
+    getViewXML
+){
+
+    var ACTIVE_VIEW_ID = "{5B8E4C2A-9F1D-4E3B-A6C7-0D2F8E1B3A94}";
+
+    describe("getListViews", function(){
+        var transport;
+
+        beforeEach(function(){
+            transport = mockTransport.install()
+                .respondTo({ soapAction: "GetViewCollection" }, getViewCollectionXML)
+                .respondTo({ soapAction: "GetView" }, getViewXML);
+        });
+
+        afterEach(function(){
+            mockTransport.uninstall();
+        });
+
+        function getRequests(soapAction) {
+            return transport.requests.filter(function(request){
+                return request.soapAction === soapAction;
+            });
+        }
+
+        //----------------------------------------------
+
+        it("returns the list views", function(done){
+            getListViews({ listName: "Tasks & Issues", webURL: mockTransport.WEB_URL })
+                .then(function(views){
+                    var request = getRequests("GetViewCollection")[0];
+
+                    expect(request.url).toBe(mockTransport.WEB_URL + "_vti_bin/Views.asmx");
+                    expect(request.body).toContain("<listName>Tasks &amp; Issues</listName>");
+
+                    expect(views.length).toBe(2);
+                    expect(ViewModel.isInstanceOf(views[0])).toBe(true);
+                    expect(views.map(function(view){ return view.DisplayName; })).toEqual(["All Tasks", "Active Tasks"]);
+                    expect(views[0].isDefault()).toBe(true);
+                    expect(views[1].getListName()).toBe("Tasks & Issues");
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        describe("getView", function(){
+
+            it("returns the view by its ID", function(done){
+                getView({ listName: "Tasks", viewName: ACTIVE_VIEW_ID, webURL: mockTransport.WEB_URL })
+                    .then(function(view){
+                        expect(getRequests("GetViewCollection").length).toBe(0);
+                        expect(getRequests("GetView")[0].body).toContain("<listName>Tasks</listName><viewName>" + ACTIVE_VIEW_ID + "</viewName>");
+                        expect(view.DisplayName).toBe("Active Tasks");
+                        expect(view.getViewFields()).toEqual(["LinkTitle", "Status", "DueDate"]);
+                        expect(view.getRowLimit()).toBe(30);
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("finds the view ID from its display name", function(done){
+                getView({ listName: "Tasks", viewName: "Active Tasks", webURL: mockTransport.WEB_URL })
+                    .then(function(view){
+                        expect(getRequests("GetViewCollection").length).toBe(1);
+                        expect(getRequests("GetView")[0].body).toContain("<viewName>" + ACTIVE_VIEW_ID + "</viewName>");
+                        expect(view.Name).toBe(ACTIVE_VIEW_ID);
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("returns the default view if no viewName is given", function(done){
+                getView({ listName: "Tasks", webURL: mockTransport.WEB_URL })
+                    .then(function(){
+                        expect(getRequests("GetViewCollection").length).toBe(0);
+                        expect(getRequests("GetView")[0].body).toContain("<viewName></viewName>");
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("rejects if the view is not found", function(done){
+                getView({ listName: "Tasks", viewName: "Late Tasks", webURL: mockTransport.WEB_URL })
+                    .then(
+                        function(){
+                            done.fail("expected getView() to fail");
+                        },
+                        function(error){
+                            expect(error.message).toBe('View "Late Tasks" not found in list Tasks');
+                            expect(getRequests("GetView").length).toBe(0);
+                            done();
+                        }
+                    );
+            });
+        });
+    });
+
+});
@@ -0,0 +1,114 @@
+define([
+    "src/spapi/iterateListItems",
+    "test/server/mock.transport",
+    "text!../../server/soapMsgs/list.GetListItems.response.paged.xml",
+    "text!../../server/soapMsgs/list.GetListItems.response.success.xml"
+], function(
+    iterateListItems,
+    mockTransport,
+    getListItemsPagedXML,
+    getListItemsSuccessXML
+){
+
+    describe("iterateListItems", function(){
+        var transport;
+
+        beforeEach(function(){
+            transport = mockTransport.install();
+
+            // First page has a ListItemCollectionPositionNext; second page is the last one
+            transport.respondTo({ soapAction: "GetListItems" }, function(request){
+                return request.body.indexOf("ListItemCollectionPositionNext") === -1 ?
+                    getListItemsPagedXML :
+                    getListItemsSuccessXML;
+            });
+        });
+
+        afterEach(function(){
+            mockTransport.uninstall();
+        });
+
+        function getPagingRequests() {
+            return transport.requests.filter(function(request){
+                return request.soapAction === "GetListItems";
+            });
+        }
+
+        //----------------------------------------------
+
+        it("retrieves all pages", function(done){
+            var pages = [];
+
+            iterateListItems({
+                listName:   "Tasks",
+                webURL:     mockTransport.WEB_URL
+            })
+                .forEach(function(page){
+                    pages.push(page);
+                })
+                .then(function(){
+                    expect(pages.length).toBe(2);
+                    expect(getPagingRequests().length).toBe(2);
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("sends the page token when CAMLQueryOptions is a self-closing <QueryOptions/>", function(done){
+            iterateListItems({
+                listName:           "Tasks",
+                webURL:             mockTransport.WEB_URL,
+                CAMLQueryOptions:   "<QueryOptions/>"
+            })
+                .forEach(function(){})
+                .then(function(){
+                    var requests = getPagingRequests();
+
+                    expect(requests.length).toBe(2);
+                    expect(requests[0].body).not.toContain("<Paging");
+                    expect(requests[1].body).toContain(
+                        '<QueryOptions><Paging ListItemCollectionPositionNext="Paged=TRUE&amp;p_ID=1" /></QueryOptions>'
+                    );
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("keeps other query options when sending the page token", function(done){
+            iterateListItems({
+                listName:           "Tasks",
+                webURL:             mockTransport.WEB_URL,
+                CAMLQueryOptions:   '<QueryOptions><ViewAttributes Scope="Recursive"/></QueryOptions>'
+            })
+                .forEach(function(){})
+                .then(function(){
+                    expect(getPagingRequests()[1].body).toContain(
+                        '<QueryOptions><ViewAttributes Scope="Recursive"/><Paging ListItemCollectionPositionNext="Paged=TRUE&amp;p_ID=1" /></QueryOptions>'
+                    );
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("rejects if the page token can not be added to CAMLQueryOptions", function(done){
+            iterateListItems({
+                listName:           "Tasks",
+                webURL:             mockTransport.WEB_URL,
+                CAMLQueryOptions:   '<ViewAttributes Scope="Recursive"/>'
+            })
+                .forEach(function(){})
+                .then(
+                    function(){
+                        done.fail("expected iteration to fail");
+                    },
+                    function(error){
+                        expect(error.message).toContain("CAMLQueryOptions");
+                        expect(getPagingRequests().length).toBe(1);
+                        done();
+                    }
+                );
+        });
+
+    });
+
+});
@@ -0,0 +1,141 @@
+define([
+    "src/spapi/rest/createBatch",
+    "src/sputils/errors",
+    "test/server/mock.transport",
+    "text!../../../server/restMsgs/batch.response.success.txt",
+    "text!../../../server/restMsgs/batch.response.changesetFailed.txt"
+], function(
+    createBatch,
+    errors,
+    mockTransport,
+    msgBatchSuccess,
+    msgBatchChangesetFailed
+){
+
+    describe("createBatch", function(){
+        var transport;
+
+        beforeEach(function(){
+            transport = mockTransport.install();
+            transport.respondTo({ url: /getweburlfrompageurl/i }, { d: { GetWebUrlFromPageUrl: mockTransport.WEB_URL } });
+            transport.respondTo({ url: /_api\/contextinfo$/ }, {
+                d: {
+                    GetContextWebInformation: {
+                        FormDigestValue:            "0x1234,01 Jan 2017 00:00:00 -0000",
+                        FormDigestTimeoutSeconds:   1800,
+                        WebFullUrl:                 "https://tenant.sharepoint.com/sites/test"
+                    }
+                }
+            });
+        });
+
+        afterEach(function(){
+            mockTransport.uninstall();
+        });
+
+        function respondToBatch(responseText) {
+            transport.respondTo({ url: /_api\/\$batch$/ }, responseText, {
+                headers: { "content-type": "multipart/mixed; boundary=" + /^--([^\r\n]+)/.exec(responseText)[1] }
+            });
+        }
+
+        function settle(promise) {
+            return promise.then(
+                function(result){ return { result: result }; },
+                function(error){ return { error: error }; }
+            );
+        }
+
+        // Resolves with the outcome (`result` or `error`) of each promise
+        function settleAll(promises) {
+            return promises.reduce(function(chain, promise){
+                return chain.then(function(outcomes){
+                    return settle(promise).then(function(outcome){
+                        return outcomes.concat(outcome);
+                    });
+                });
+            }, settle(promises[0]).then(function(){ return []; }));
+        }
+
+        it("resolves each operation with its result", function(done){
+            var batch = createBatch({ webURL: mockTransport.WEB_URL });
+            var operations;
+
+            respondToBatch(msgBatchSuccess);
+
+            operations = [
+                batch.add({ url: "_api/web/lists/getbytitle('Tasks')" }),
+                batch.add({ method: "POST", url: "_api/web/lists/getbytitle('Tasks')/items", body: { Title: "New task" } }),
+                batch.add({ method: "DELETE", url: "_api/web/lists/getbytitle('Tasks')/items(1)" }),
+                batch.add({ url: "_api/web/lists/getbytitle('Issues')" })
+            ];
+
+            batch.send()
+                .then(function(results){
+                    expect(results.length).toBe(4);
+                    return settleAll(operations);
+                })
+                .then(function(outcomes){
+                    expect(outcomes[0].result.content.d.Title).toBe("Tasks");
+                    expect(outcomes[1].result.status).toBe(201);
+                    expect(outcomes[2].result.status).toBe(204);
+                    expect(outcomes[3].error instanceof errors.HttpError).toBe(true);
+                    expect(outcomes[3].error.status).toBe(404);
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("rejects all operations of a failed changeset and matches later results", function(done){
+            var batch = createBatch({ webURL: mockTransport.WEB_URL });
+            var operations;
+
+            respondToBatch(msgBatchChangesetFailed);
+
+            operations = [
+                batch.add({ url: "_api/web/lists/getbytitle('Tasks')" }),
+                batch.add({ method: "POST", url: "_api/web/lists/getbytitle('Tasks')/items", body: { Titel: "New task" } }),
+                batch.add({ method: "POST", url: "_api/web/lists/getbytitle('Tasks')/items", body: { Title: "Other task" } }),
+                batch.add({ url: "_api/web/lists/getbytitle('Issues')" })
+            ];
+
+            batch.send()
+                .then(function(results){
+                    expect(results.length).toBe(4);
+                    expect(results[1]).toBe(results[2]);
+                    return settleAll(operations);
+                })
+                .then(function(outcomes){
+                    expect(outcomes[0].result.content.d.Title).toBe("Tasks");
+                    expect(outcomes[1].error.status).toBe(400);
+                    expect(outcomes[2].error.status).toBe(400);
+                    expect(outcomes[3].result.content.d.Title).toBe("Issues");
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("rejects operations with no response", function(done){
+            var batch = createBatch({ webURL: mockTransport.WEB_URL });
+            var lastOperation;
+
+            respondToBatch(msgBatchChangesetFailed);
+
+            batch.add({ url: "_api/web/lists/getbytitle('Tasks')" });
+            batch.add({ method: "POST", url: "_api/web/lists/getbytitle('Tasks')/items", body: { Title: "New task" } });
+            batch.add({ url: "_api/web/lists/getbytitle('Issues')" });
+            lastOperation = batch.add({ url: "_api/web/lists/getbytitle('Documents')" });
+
+            batch.send()
+                .then(function(){
+                    return settle(lastOperation);
+                })
+                .then(function(outcome){
+                    expect(outcome.error.message).toContain("no response received for operation 3");
+                    done();
+                })
+                .catch(done.fail);
+        });
+    });
+
+});
@@ -0,0 +1,253 @@
+define([
+    "src/spapi/rest/getListItems",
+    "test/server/mock.transport"
+], function(
+    getListItems,
+    mockTransport
+){
+
+    var LIST_URL = mockTransport.WEB_URL + "_api/web/lists/getbytitle('Tasks')";
+
+    describe("rest/getListItems", function(){
+        var transport;
+
+        beforeEach(function(){
+            transport = mockTransport.install();
+            transport.respondTo({ url: /getweburlfrompageurl/i }, { d: { GetWebUrlFromPageUrl: mockTransport.WEB_URL } });
+            transport.respondTo({ url: /_api\/contextinfo$/ }, {
+                d: {
+                    GetContextWebInformation: {
+                        FormDigestValue:            "0x1234,01 Jan 2017 00:00:00 -0000",
+                        FormDigestTimeoutSeconds:   1800,
+                        WebFullUrl:                 "https://tenant.sharepoint.com/sites/test"
+                    }
+                }
+            });
+        });
+
+        afterEach(function(){
+            mockTransport.uninstall();
+        });
+
+        function pad(n) {
+            return n < 10 ? "0" + n : String(n);
+        }
+
+        // The SOAP format (local time) of a UTC date
+        function getSoapDate(utcDateString) {
+            var date = new Date(utcDateString);
+
+            return date.getFullYear() + "-" + pad(date.getMonth() + 1) + "-" + pad(date.getDate()) + " " +
+                pad(date.getHours()) + ":" + pad(date.getMinutes()) + ":" + pad(date.getSeconds());
+        }
+
+        function getRequests(urlRegEx) {
+            return transport.requests.filter(function(request){
+                return urlRegEx.test(request.url);
+            });
+        }
+
+        //----------------------------------------------
+
+        describe("OData", function(){
+
+            beforeEach(function(){
+                transport.respondTo({ url: /\/items(\?|$)/ }, function(request){
+                    if (/\$skiptoken/.test(request.url)) {
+                        return { d: { results: [{ __metadata: {}, Id: 2, ID: 2, Title: "two" }] } };
+                    }
+
+                    return {
+                        d: {
+                            results: [{
+                                __metadata:             { type: "SP.Data.TasksListItem" },
+                                Id:                     1,
+                                ID:                     1,
+                                Title:                  "one",
+                                Done:                   true,
+                                Order:                  5,
+                                Modified:               "2017-01-15T10:30:00Z",
+                                AssignedTo:             { __metadata: {}, Id: 7, Title: "Paul Tavares" },
+                                AssignedToId:           7,
+                                AssignedToStringId:     "7",
+                                Project:                { __deferred: { uri: LIST_URL + "/items(1)/Project" } },
+                                ProjectId:              3,
+                                Reviewers:              { results: [{ __metadata: {}, Id: 1, Title: "a" }, { __metadata: {}, Id: 2, Title: "b" }] },
+                                ReviewersId:            { results: [1, 2] },
+                                Labels:                 { __metadata: {}, results: ["A", "B"] },
+                                OData__ModerationStatus: 0,
+                                DueDate:                null
+                            }],
+                            __next: LIST_URL + "/items?$skiptoken=Paged%3dTRUE%26p_ID%3d1"
+                        }
+                    };
+                });
+            });
+
+            it("sends the OData query options", function(done){
+                getListItems({
+                    listName:   "Tasks",
+                    webURL:     mockTransport.WEB_URL,
+                    $select:    ["ID", "Title", "AssignedTo/Id", "AssignedTo/Title"],
+                    $expand:    "AssignedTo",
+                    $filter:    "Status eq 'Active'",
+                    $top:       10
+                })
+                    .then(function(){
+                        var request = getRequests(/\/items\?/)[0];
+
+                        expect(request.method).toBe("GET");
+                        expect(request.url).toBe(
+                            LIST_URL + "/items" +
+                            "?$select=" + encodeURIComponent("ID,Title,AssignedTo/Id,AssignedTo/Title") +
+                            "&$expand=AssignedTo" +
+                            "&$filter=" + encodeURIComponent("Status eq 'Active'") +
+                            "&$top=10"
+                        );
+                        expect(getRequests(/contextinfo/).length).toBe(0);
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("returns items in the same format as the SOAP api", function(done){
+                getListItems({ listName: "Tasks", webURL: mockTransport.WEB_URL })
+                    .then(function(items){
+                        var item = items[0];
+
+                        expect(item.ID).toBe("1");
+                        expect(item.Id).toBeUndefined();
+                        expect(item.__metadata).toBeUndefined();
+                        expect(item.Title).toBe("one");
+                        expect(item.Done).toBe("1");
+                        expect(item.Order).toBe("5");
+                        expect(item.Modified).toBe(getSoapDate("2017-01-15T10:30:00Z"));
+                        expect(item.AssignedTo).toBe("7;#Paul Tavares");
+                        expect(item.AssignedToId).toBeUndefined();
+                        expect(item.AssignedToStringId).toBeUndefined();
+                        expect(item.Project).toBe("3;#");
+                        expect(item.ProjectId).toBeUndefined();
+                        expect(item.Reviewers).toBe("1;#a;#2;#b");
+                        expect(item.ReviewersId).toBeUndefined();
+                        expect(item.Labels).toBe(";#A;#B;#");
+                        expect(item._ModerationStatus).toBe("0");
+                        expect(item.DueDate).toBeUndefined();
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("retrieves the next page with the page token", function(done){
+                getListItems({ listName: "Tasks", webURL: mockTransport.WEB_URL })
+                    .then(function(items){
+                        expect(items.getNextPageToken()).toBe(LIST_URL + "/items?$skiptoken=Paged%3dTRUE%26p_ID%3d1");
+
+                        return getListItems({
+                            listName:   "Tasks",
+                            webURL:     mockTransport.WEB_URL,
+                            pageToken:  items.getNextPageToken()
+                        });
+                    })
+                    .then(function(items){
+                        expect(getRequests(/\/items\?/)[1].url).toBe(LIST_URL + "/items?$skiptoken=Paged%3dTRUE%26p_ID%3d1");
+                        expect(items[0].ID).toBe("2");
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("uses the list ID when listName is a GUID", function(done){
+                getListItems({ listName: "{8B2F9D1E-3C4A-4B5D-9E6F-7A8B9C0D1E2F}", webURL: mockTransport.WEB_URL })
+                    .then(function(){
+                        expect(getRequests(/\/items$/)[0].url)
+                            .toBe(mockTransport.WEB_URL + "_api/web/lists(guid'8B2F9D1E-3C4A-4B5D-9E6F-7A8B9C0D1E2F')/items");
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+        });
+
+        describe("CAMLQuery", function(){
+
+            beforeEach(function(){
+                transport.respondTo({ url: /\/RenderListDataAsStream/ }, {
+                    Row: [{
+                        ID:                 "1",
+                        Title:              "one",
+                        Order:              "5.00",
+                        "Order.":           "5",
+                        Done:               "Yes",
+                        "Done.value":       "1",
+                        Modified:           "2017-01-15T10:30:00Z",
+                        AssignedTo:         [{ id: "7", title: "Paul Tavares" }],
+                        Project:            [{ lookupId: 3, lookupValue: "Alpha" }],
+                        DueDate:            ""
+                    }],
+                    NextHref: "?Paged=TRUE&p_ID=1"
+                });
+            });
+
+            it("uses RenderListDataAsStream with the CAML query", function(done){
+                getListItems({
+                    listName:       "Tasks",
+                    webURL:         mockTransport.WEB_URL,
+                    CAMLQuery:      '<Query><Where><Eq><FieldRef Name="Title"/><Value Type="Text">one</Value></Eq></Where></Query>',
+                    CAMLViewFields: '<ViewFields><FieldRef Name="Title"/></ViewFields>',
+                    CAMLRowLimit:   2
+                })
+                    .then(function(items){
+                        var request     = getRequests(/\/RenderListDataAsStream/)[0],
+                            parameters  = JSON.parse(request.body).parameters;
+
+                        expect(request.method).toBe("POST");
+                        expect(request.url).toBe(LIST_URL + "/RenderListDataAsStream");
+                        expect(request.headers["x-requestdigest"]).toBe("0x1234,01 Jan 2017 00:00:00 -0000");
+                        expect(parameters.ViewXml).toBe(
+                            '<View><Query><Where><Eq><FieldRef Name="Title"/><Value Type="Text">one</Value></Eq></Where></Query>' +
+                            '<ViewFields><FieldRef Name="Title"/></ViewFields><RowLimit Paged="TRUE">2</RowLimit></View>'
+                        );
+                        expect(items.getNextPageToken()).toBe("?Paged=TRUE&p_ID=1");
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("returns items in the same format as the SOAP api", function(done){
+                getListItems({
+                    listName:   "Tasks",
+                    webURL:     mockTransport.WEB_URL,
+                    CAMLQuery:  "<Query></Query>"
+                })
+                    .then(function(items){
+                        var item = items[0];
+
+                        expect(item.ID).toBe("1");
+                        expect(item.Order).toBe("5");
+                        expect(item.Done).toBe("1");
+                        expect(item.Modified).toBe(getSoapDate("2017-01-15T10:30:00Z"));
+                        expect(item.AssignedTo).toBe("7;#Paul Tavares");
+                        expect(item.Project).toBe("3;#Alpha");
+                        expect(item.DueDate).toBeUndefined();
+                        expect(item["Order."]).toBeUndefined();
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("sends the page token with the request", function(done){
+                getListItems({
+                    listName:   "Tasks",
+                    webURL:     mockTransport.WEB_URL,
+                    CAMLQuery:  "<Query></Query>",
+                    pageToken:  "?Paged=TRUE&p_ID=1"
+                })
+                    .then(function(){
+                        expect(getRequests(/\/RenderListDataAsStream/)[0].url).toBe(LIST_URL + "/RenderListDataAsStream?Paged=TRUE&p_ID=1");
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+        });
+    });
+
+});
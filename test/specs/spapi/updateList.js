@@ -0,0 +1,122 @@
+define([
+    "src/spapi/updateList",
+    "src/spapi/deleteList",
+    "src/sputils/cache",
+    "src/sputils/errors",
+    "test/server/mock.transport",
+    "text!../../server/soapMsgs/list.UpdateList.response.success.xml",
+    "text!../../server/soapMsgs/error.faultcode.xml"
+], function(
+    updateList,
+    deleteList,
+    cache,
+    errors,
+    mockTransport,
+    updateListXML,
+    faultXML
+){
+
+    var LIST_CACHE_KEY = mockTransport.WEB_URL + "?List=Projects";
+
+    describe("updateList", function(){
+        var transport;
+
+        beforeEach(function(){
+            transport = mockTransport.install();
+        });
+
+        afterEach(function(){
+            mockTransport.uninstall();
+            cache.clear(LIST_CACHE_KEY);
+        });
+
+        function getRequest(soapAction) {
+            return transport.requests.filter(function(request){
+                return request.soapAction === soapAction;
+            })[0];
+        }
+
+        //----------------------------------------------
+
+        it("sends the list properties and column changes", function(done){
+            transport.respondTo({ soapAction: "UpdateList" }, updateListXML);
+
+            updateList({
+                listName:       "Projects",
+                webURL:         mockTransport.WEB_URL,
+                listProperties: { Description: "Team & projects", EnableVersioning: true, Fields: {} },
+                newFields:      [{ DisplayName: "Comments", Type: "Note", NumLines: 6, Hidden: false }],
+                updateFields:   ['<Field Name="Status" Required="TRUE"/>'],
+                deleteFields:   ["OldColumn", { Name: "OtherColumn", Type: "Text" }],
+                listVersion:    2
+            })
+                .then(function(list){
+                    var body = getRequest("UpdateList").body;
+
+                    expect(body).toContain('<listProperties><List Description="Team &amp; projects" EnableVersioning="TRUE"/></listProperties>');
+                    expect(body).toContain('<newFields><Fields><Method ID="1"><Field DisplayName="Comments" Type="Note" NumLines="6" Hidden="FALSE"/></Method></Fields></newFields>');
+                    expect(body).toContain('<updateFields><Fields><Method ID="1"><Field Name="Status" Required="TRUE"/></Method></Fields></updateFields>');
+                    expect(body).toContain(
+                        '<deleteFields><Fields><Method ID="1"><Field Name="OldColumn"/></Method>' +
+                        '<Method ID="2"><Field Name="OtherColumn"/></Method></Fields></deleteFields>'
+                    );
+                    expect(body).toContain("<listVersion>2</listVersion>");
+
+                    expect(list.Title).toBe("Projects");
+                    expect(list.getSource().getElementsByTagName("NewFields").length).toBe(1);
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("clears the cached list definition", function(done){
+            transport.respondTo({ soapAction: "UpdateList" }, updateListXML);
+            cache.set(LIST_CACHE_KEY, "cached");
+
+            updateList({ listName: "Projects", webURL: mockTransport.WEB_URL, listProperties: { Description: "" } })
+                .then(function(){
+                    expect(cache.isCached(LIST_CACHE_KEY)).toBe(false);
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("rejects with a SoapFaultError and clears the cache if the update fails", function(done){
+            transport.respondTo({ soapAction: "UpdateList" }, faultXML);
+            cache.set(LIST_CACHE_KEY, "cached");
+
+            updateList({ listName: "Projects", webURL: mockTransport.WEB_URL, newFields: [{ DisplayName: "Title", Type: "Text" }] })
+                .then(
+                    function(){
+                        done.fail("expected update to fail");
+                    },
+                    function(error){
+                        expect(error instanceof errors.SoapFaultError).toBe(true);
+                        expect(error.errorCode).toBe("0x81020067");
+                        expect(cache.isCached(LIST_CACHE_KEY)).toBe(false);
+                        done();
+                    }
+                );
+        });
+
+        describe("deleteList", function(){
+
+            it("deletes the list and clears its cached data", function(done){
+                transport.respondTo({ soapAction: "DeleteList" }, '<?xml version="1.0" encoding="utf-8"?>' +
+                    '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/"><soap:Body>' +
+                    '<DeleteListResponse xmlns="http://schemas.microsoft.com/sharepoint/soap/" />' +
+                    "</soap:Body></soap:Envelope>");
+                cache.set(LIST_CACHE_KEY, "cached");
+
+                deleteList({ listName: "Projects", webURL: mockTransport.WEB_URL })
+                    .then(function(){
+                        expect(getRequest("DeleteList").body).toContain("<listName>Projects</listName>");
+                        expect(cache.isCached(LIST_CACHE_KEY)).toBe(false);
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+        });
+    });
+
+});
@@ -0,0 +1,417 @@
+define([
+    "src/spapi/updateListItems",
+    "src/sputils/apiFetch",
+    "src/sputils/createMockTransport",
+    "src/sputils/errors",
+    "test/server/mock.transport",
+    "text!../../server/soapMsgs/list.UpdateListItems.response.success.xml",
+    "text!../../server/soapMsgs/list.UpdateListItems.response.error.xml"
+], function(
+    updateListItems,
+    apiFetch,
+    createMockTransport,
+    errors,
+    mockTransport,
+    updateListItemsSuccessXML,
+    updateListItemsErrorXML
+){
+
+    /**
+     * Returns an UpdateListItems response with a result for each `Method` in
+     * the request. Items are returned with the values sent.
+     *
+     * @param {MockTransportRequest} request
+     * @param {Object} [errorCodes]
+     *  Error code to be returned for a given item ID
+     */
+    function getUpdateListItemsXML(request, errorCodes) {
+        var methodRegEx = /<Method ID="(\d+)" Cmd="(\w+)">([\s\S]*?)<\/Method>/g,
+            results     = "",
+            method, values, errorCode;
+
+        while ((method = methodRegEx.exec(request.body))) {
+            values      = {};
+            method[3].replace(/<Field Name="(\w+)">([^<]*)<\/Field>/g, function(match, name, value){
+                values[name] = value;
+            });
+            errorCode   = (errorCodes && errorCodes[values.ID]) || "0x00000000";
+
+            results += '<Result ID="' + method[1] + "," + method[2] + '"><ErrorCode>' + errorCode + '</ErrorCode>' +
+                (errorCode === "0x00000000" ?
+                    "<z:row " + Object.keys(values).map(function(name){
+                        return "ows_" + name + '="' + values[name] + '"';
+                    }).join(" ") + ' xmlns:z="#RowsetSchema" />' :
+                    "<ErrorText>Update failed</ErrorText>") +
+                "</Result>";
+        }
+
+        return '<?xml version="1.0" encoding="utf-8"?>' +
+            '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/"><soap:Body>' +
+            '<UpdateListItemsResponse xmlns="http://schemas.microsoft.com/sharepoint/soap/"><UpdateListItemsResult>' +
+            "<Results>" + results + "</Results>" +
+            "</UpdateListItemsResult></UpdateListItemsResponse></soap:Body></soap:Envelope>";
+    }
+
+    /**
+     * Returns a GetListItems response with the given items
+     *
+     * @param {Array<Object>} items
+     */
+    function getListItemsXML(items) {
+        return '<?xml version="1.0" encoding="utf-8"?>' +
+            '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/"><soap:Body>' +
+            '<GetListItemsResponse xmlns="http://schemas.microsoft.com/sharepoint/soap/"><GetListItemsResult>' +
+            '<listitems xmlns:rs="urn:schemas-microsoft-com:rowset" xmlns:z="#RowsetSchema">' +
+            '<rs:data ItemCount="' + items.length + '">' +
+            items.map(function(item){
+                return "<z:row " + Object.keys(item).map(function(name){
+                    return "ows_" + name + '="' + item[name] + '"';
+                }).join(" ") + " />";
+            }).join("") +
+            "</rs:data></listitems></GetListItemsResult></GetListItemsResponse></soap:Body></soap:Envelope>";
+    }
+
+    describe("updateListItems", function(){
+        var transport;
+
+        beforeEach(function(){
+            transport = mockTransport.install();
+        });
+
+        afterEach(function(){
+            mockTransport.uninstall();
+        });
+
+        //----------------------------------------------
+
+        describe("getUpdateArray()", function(){
+
+            it("builds one update from an Array<Array>", function(){
+                var updates = updateListItems.getUpdateArray({
+                    updates: [
+                        ["ID", "1"],
+                        ["Title", "new title"]
+                    ]
+                });
+
+                expect(updates.length).toBe(1);
+                expect(updates[0]).toMatch(/^<Method ID="\d+" Cmd="Update"><Field Name="ID">1<\/Field><Field Name="Title">new title<\/Field><\/Method>$/);
+            });
+
+            it("builds one update per Object in an Array<Object>", function(){
+                var updates = updateListItems.getUpdateArray({
+                    updates:    [{ ID: "1", Title: "one" }, { ID: "2", Title: "two" }],
+                    updateType: "Delete"
+                });
+
+                expect(updates.length).toBe(2);
+                expect(updates[0]).toContain('Cmd="Delete"><Field Name="ID">1</Field>');
+                expect(updates[1]).toContain('Cmd="Delete"><Field Name="ID">2</Field>');
+            });
+
+            it("uses Array<String> as is", function(){
+                var methodXml = '<Method ID="1" Cmd="Delete"><Field Name="ID">1</Field></Method>';
+
+                expect(updateListItems.getUpdateArray({ updates: [methodXml] })).toEqual([methodXml]);
+            });
+
+        });
+
+        it("resolves with the result of each update", function(done){
+            transport.respondTo({ soapAction: "UpdateListItems" }, updateListItemsSuccessXML);
+
+            updateListItems({
+                listName:   "Tasks",
+                webURL:     mockTransport.WEB_URL,
+                updates:    [{ ID: "1", Title: "Updated title" }, { ID: "2", Title: "Updated title for 2" }]
+            })
+                .then(function(response){
+                    expect(response.status).toBe("success");
+                    expect(response.results.length).toBe(2);
+                    expect(response.results[0].index).toBe(0);
+                    expect(response.results[0].status).toBe("success");
+                    expect(response.results[0].item.Title).toBe("Updated title");
+                    expect(response.results[1].index).toBe(1);
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("rejects with an UpdateListItemsError when an update fails", function(done){
+            transport.respondTo({ soapAction: "UpdateListItems" }, updateListItemsErrorXML);
+
+            updateListItems({
+                listName:   "Tasks",
+                webURL:     mockTransport.WEB_URL,
+                updates:    [{ ID: "1", Title: "Updated title" }, { ID: "2", Title: "Updated title for 2" }]
+            })
+                .then(
+                    function(){
+                        done.fail("expected updates to fail");
+                    },
+                    function(error){
+                        expect(error instanceof Error).toBe(true);
+                        expect(error instanceof errors.UpdateListItemsError).toBe(true);
+                        expect(error.status).toBe("error");
+                        expect(error.results[0].status).toBe("success");
+                        expect(error.results[1].status).toBe("conflict");
+                        expect(error.conflicts.length).toBe(1);
+                        expect(error.conflicts[0].item.Title).toBe("Changed by someone else");
+                        done();
+                    }
+                );
+        });
+
+        it("retries batches throttled by SharePoint", function(done){
+            var throttledTransport  = createMockTransport().respondTo({}, "", {
+                    status:     429,
+                    statusText: "Too Many Requests",
+                    headers:    { "Retry-After": "0" }
+                }),
+                updateRequestCount  = 0;
+
+            transport.respondTo({ soapAction: "UpdateListItems" }, updateListItemsSuccessXML);
+
+            // First UpdateListItems request is throttled
+            apiFetch.setTransport(function(url, init){
+                if (/<UpdateListItems /.test(init.body) && !updateRequestCount++) {
+                    return throttledTransport(url, init);
+                }
+
+                return transport(url, init);
+            });
+
+            updateListItems({
+                listName:   "Tasks",
+                webURL:     mockTransport.WEB_URL,
+                updates:    [{ ID: "1", Title: "Updated title" }]
+            })
+                .then(function(response){
+                    expect(updateRequestCount).toBe(2);
+                    expect(response.status).toBe("success");
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+
+        function getUpdateRequests() {
+            return transport.requests.filter(function(request){
+                return request.soapAction === "UpdateListItems";
+            });
+        }
+
+        function expectUpdateListItemsError(promise, done, onError) {
+            promise.then(
+                function(){
+                    done.fail("expected updates to fail");
+                },
+                function(error){
+                    expect(error instanceof errors.UpdateListItemsError).toBe(true);
+                    onError(error);
+                    done();
+                }
+            );
+        }
+
+        describe("stopOnError", function(){
+
+            beforeEach(function(){
+                transport.respondTo({ soapAction: "UpdateListItems" }, function(request){
+                    return getUpdateListItemsXML(request, { "2": "0x81020016" });
+                });
+            });
+
+            it("does not send further batches once a batch fails", function(done){
+                expectUpdateListItemsError(
+                    updateListItems({
+                        listName:       "Tasks",
+                        webURL:         mockTransport.WEB_URL,
+                        updates:        [{ ID: "1", Title: "one" }, { ID: "2", Title: "two" }, { ID: "3", Title: "three" }],
+                        batchSize:      1,
+                        concurrency:    1,
+                        stopOnError:    true
+                    }),
+                    done,
+                    function(error){
+                        expect(getUpdateRequests().length).toBe(2);
+                        expect(getUpdateRequests()[0].body).toContain('<Batch OnError="Return">');
+                        expect(error.results.map(function(result){ return result.status; })).toEqual(["success", "error", "cancelled"]);
+                        expect(error.results[2].index).toBe(2);
+                    }
+                );
+            });
+
+            it("sends all batches when false", function(done){
+                expectUpdateListItemsError(
+                    updateListItems({
+                        listName:       "Tasks",
+                        webURL:         mockTransport.WEB_URL,
+                        updates:        [{ ID: "1", Title: "one" }, { ID: "2", Title: "two" }, { ID: "3", Title: "three" }],
+                        batchSize:      1,
+                        concurrency:    1
+                    }),
+                    done,
+                    function(error){
+                        expect(getUpdateRequests().length).toBe(3);
+                        expect(getUpdateRequests()[0].body).toContain('<Batch OnError="Continue">');
+                        expect(error.results.map(function(result){ return result.status; })).toEqual(["success", "error", "success"]);
+                    }
+                );
+            });
+        });
+
+        describe("rollbackOnError", function(){
+
+            beforeEach(function(){
+                transport.respondTo({ soapAction: "GetListItems" }, getListItemsXML([
+                    { ID: "1", Title: "Original one" },
+                    { ID: "2", Title: "Original two" }
+                ]));
+                transport.respondTo({ soapAction: "UpdateListItems" }, function(request){
+                    return getUpdateListItemsXML(request, { "2": "0x81020016" });
+                });
+            });
+
+            it("restores the items that were updated", function(done){
+                expectUpdateListItemsError(
+                    updateListItems({
+                        listName:           "Tasks",
+                        webURL:             mockTransport.WEB_URL,
+                        updates:            [{ ID: "1", Title: "one" }, { ID: "2", Title: "two" }],
+                        rollbackOnError:    true
+                    }),
+                    done,
+                    function(error){
+                        var snapshotRequest = transport.requests.filter(function(request){
+                                return request.soapAction === "GetListItems";
+                            })[0],
+                            rollbackBody    = getUpdateRequests()[1].body;
+
+                        // Values are retrieved before updates are sent
+                        expect(transport.requests.indexOf(snapshotRequest)).toBeLessThan(transport.requests.indexOf(getUpdateRequests()[0]));
+                        expect(snapshotRequest.body).toContain('<Value Type="Counter">1</Value><Value Type="Counter">2</Value>');
+
+                        expect(getUpdateRequests().length).toBe(2);
+                        expect(rollbackBody).toContain('<Field Name="ID">1</Field><Field Name="Title">Original one</Field>');
+                        expect(rollbackBody).not.toContain('<Field Name="ID">2</Field>');
+                        expect(error.rollback.status).toBe("success");
+                        expect(error.rollback.results.length).toBe(1);
+                    }
+                );
+            });
+
+            it("deletes the items that were created", function(done){
+                expectUpdateListItemsError(
+                    updateListItems({
+                        listName:           "Tasks",
+                        webURL:             mockTransport.WEB_URL,
+                        updates:            [{ ID: "5", Title: "new" }, { ID: "2", Title: "two" }],
+                        updateType:         "New",
+                        rollbackOnError:    true
+                    }),
+                    done,
+                    function(error){
+                        var rollbackBody = getUpdateRequests()[1].body;
+
+                        expect(rollbackBody).toContain('Cmd="Delete"><Field Name="ID">5</Field></Method>');
+                        expect(error.rollback.status).toBe("success");
+                    }
+                );
+            });
+
+            it("does not roll back when all updates succeed", function(done){
+                updateListItems({
+                    listName:           "Tasks",
+                    webURL:             mockTransport.WEB_URL,
+                    updates:            [{ ID: "1", Title: "one" }],
+                    rollbackOnError:    true
+                })
+                    .then(function(response){
+                        expect(response.status).toBe("success");
+                        expect(response.rollback).toBeUndefined();
+                        expect(getUpdateRequests().length).toBe(1);
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+        });
+
+
+        describe("checkVersion", function(){
+
+            it("rejects without sending updates that do not include owshiddenversion", function(done){
+                transport.respondTo({ soapAction: "UpdateListItems" }, updateListItemsSuccessXML);
+
+                updateListItems({
+                    listName:       "Tasks",
+                    webURL:         mockTransport.WEB_URL,
+                    updates:        [{ ID: "1", Title: "one", owshiddenversion: "5" }, { ID: "2", Title: "two" }],
+                    checkVersion:   true
+                })
+                    .then(
+                        function(){
+                            done.fail("expected updates to be rejected");
+                        },
+                        function(error){
+                            expect(error.message).toContain("update(s) 1 do not include owshiddenversion");
+                            expect(getUpdateRequests().length).toBe(0);
+                            done();
+                        }
+                    );
+            });
+
+            it("sends the item version with each update", function(done){
+                transport.respondTo({ soapAction: "UpdateListItems" }, function(request){
+                    return getUpdateListItemsXML(request);
+                });
+
+                updateListItems({
+                    listName:       "Tasks",
+                    webURL:         mockTransport.WEB_URL,
+                    updates:        [{ ID: "1", Title: "one", owshiddenversion: "5" }],
+                    checkVersion:   true
+                })
+                    .then(function(response){
+                        expect(getUpdateRequests()[0].body).toContain('<Field Name="owshiddenversion">5</Field>');
+                        expect(response.results[0].status).toBe("success");
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("retrieves the current item of conflicts not returned by SharePoint", function(done){
+                transport.respondTo({ soapAction: "UpdateListItems" }, function(request){
+                    return getUpdateListItemsXML(request, { "2": "0x81020015" });
+                });
+                transport.respondTo({ soapAction: "GetListItems" }, getListItemsXML([
+                    { ID: "2", Title: "Changed by someone else", owshiddenversion: "7" }
+                ]));
+
+                expectUpdateListItemsError(
+                    updateListItems({
+                        listName:       "Tasks",
+                        webURL:         mockTransport.WEB_URL,
+                        updates:        [{ ID: "1", Title: "one", owshiddenversion: "5" }, { ID: "2", Title: "two", owshiddenversion: "6" }],
+                        checkVersion:   true
+                    }),
+                    done,
+                    function(error){
+                        var itemRequest = transport.requests.filter(function(request){
+                            return request.soapAction === "GetListItems";
+                        })[0];
+
+                        expect(itemRequest.body).toContain('<Value Type="Counter">2</Value>');
+                        expect(itemRequest.body).toContain('<FieldRef Name="owshiddenversion"/>');
+                        expect(error.conflicts.length).toBe(1);
+                        expect(error.conflicts[0].index).toBe(1);
+                        expect(error.conflicts[0].item.Title).toBe("Changed by someone else");
+                        expect(error.conflicts[0].item.owshiddenversion).toBe("7");
+                    }
+                );
+            });
+        });
+
+    });
+
+});
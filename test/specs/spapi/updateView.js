@@ -0,0 +1,102 @@
+define([
+    "src/spapi/updateView",
+    "src/spapi/deleteView",
+    "test/server/mock.transport",
+    "text!../../server/soapMsgs/views.GetViewCollection.response.success.xml",
+    "text!../../server/soapMsgs/views.GetView.response.success.xml"
+], function(
+    updateView,
+    deleteView,
+    mockTransport,
+    getViewCollectionXML,
+    getViewXML
+){
+
+    var ACTIVE_VIEW_ID = "{5B8E4C2A-9F1D-4E3B-A6C7-0D2F8E1B3A94}";
+
+    describe("updateView", function(){
+        var transport;
+
+        beforeEach(function(){
+            transport = mockTransport.install()
+                .respondTo({ soapAction: "GetViewCollection" }, getViewCollectionXML)
+                .respondTo({ soapAction: "UpdateView" }, getViewXML.replace(/GetView(Response|Result)/g, "UpdateView$1"))
+                .respondTo({ soapAction: "DeleteView" }, getViewXML.replace(/<GetViewResult>[\s\S]*<\/GetViewResult>/, "").replace(/GetViewResponse/g, "DeleteViewResponse"));
+        });
+
+        afterEach(function(){
+            mockTransport.uninstall();
+        });
+
+        function getRequests(soapAction) {
+            return transport.requests.filter(function(request){
+                return request.soapAction === soapAction;
+            });
+        }
+
+        //----------------------------------------------
+
+        it("sends only the parts of the view that are changed", function(done){
+            updateView({
+                listName:       "Tasks",
+                viewName:       "Active Tasks",
+                viewProperties: { DefaultView: true, Scope: "Recursive" },
+                rowLimit:       100,
+                paged:          false,
+                webURL:         mockTransport.WEB_URL
+            })
+                .then(function(view){
+                    expect(getRequests("UpdateView")[0].body).toContain(
+                        "<listName>Tasks</listName>" +
+                        "<viewName>" + ACTIVE_VIEW_ID + "</viewName>" +
+                        '<viewProperties><View DefaultView="TRUE" Scope="Recursive"/></viewProperties>' +
+                        "<query></query>" +
+                        "<viewFields></viewFields>" +
+                        "<aggregations></aggregations>" +
+                        "<formats></formats>" +
+                        '<rowLimit><RowLimit Paged="FALSE">100</RowLimit></rowLimit>'
+                    );
+                    expect(view.Name).toBe(ACTIVE_VIEW_ID);
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("does not look up the view when given its ID", function(done){
+            updateView({ listName: "Tasks", viewName: ACTIVE_VIEW_ID, viewFields: ["LinkTitle"], webURL: mockTransport.WEB_URL })
+                .then(function(){
+                    expect(getRequests("GetViewCollection").length).toBe(0);
+                    expect(getRequests("UpdateView")[0].body).toContain('<viewFields><ViewFields><FieldRef Name="LinkTitle"/></ViewFields></viewFields>');
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        describe("deleteView", function(){
+
+            it("deletes the view", function(done){
+                deleteView({ listName: "Tasks", viewName: "Active Tasks", webURL: mockTransport.WEB_URL })
+                    .then(function(){
+                        expect(getRequests("DeleteView")[0].body).toContain("<listName>Tasks</listName><viewName>" + ACTIVE_VIEW_ID + "</viewName>");
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("rejects if no viewName is given", function(done){
+                deleteView({ listName: "Tasks", webURL: mockTransport.WEB_URL })
+                    .then(
+                        function(){
+                            done.fail("expected deleteView() to fail");
+                        },
+                        function(error){
+                            expect(error.message).toBe("deleteView(): options.viewName is required");
+                            expect(getRequests("DeleteView").length).toBe(0);
+                            done();
+                        }
+                    );
+            });
+        });
+    });
+
+});
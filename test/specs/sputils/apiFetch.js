@@ -0,0 +1,446 @@
+define([
+    "src/sputils/apiFetch",
+    "src/sputils/createMockTransport",
+    "src/sputils/errors",
+    "text!../../server/soapMsgs/list.GetListItems.response.success.xml"
+], function(
+    apiFetch,
+    createMockTransport,
+    errors,
+    getListItemsSuccessXML
+){
+
+    var URL = "https://tenant.sharepoint.com/sites/test/_api/web";
+
+    describe("apiFetch", function(){
+        var responses, requests;
+
+        // Sends requests to `responses` in order (last one is reused): each one
+        // is a `createMockTransport()` with a single route.
+        beforeEach(function(){
+            responses   = [];
+            requests    = [];
+
+            apiFetch.setTransport(function(url, init){
+                var transport = responses[Math.min(requests.length, responses.length - 1)];
+
+                requests.push({ url: url, init: init });
+                return transport(url, init);
+            });
+        });
+
+        afterEach(function(){
+            apiFetch.setTransport();
+        });
+
+        function addResponse(body, responseInit) {
+            responses.push(createMockTransport().respondTo({}, body, responseInit));
+        }
+
+        //----------------------------------------------
+
+        describe("retry", function(){
+
+            it("retries throttled GET requests", function(done){
+                addResponse("", { status: 429, statusText: "Too Many Requests" });
+                addResponse({ d: { Title: "Test" } });
+
+                apiFetch(URL, { retry: { delay: 1 } })
+                    .then(function(response){
+                        expect(requests.length).toBe(2);
+                        expect(response.content.d.Title).toBe("Test");
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("rejects with a ThrottledError after maxAttempts", function(done){
+                addResponse("", { status: 503, statusText: "Service Unavailable" });
+
+                apiFetch(URL, { retry: { delay: 1, maxAttempts: 2 } })
+                    .then(
+                        function(){
+                            done.fail("expected request to fail");
+                        },
+                        function(error){
+                            expect(error instanceof errors.ThrottledError).toBe(true);
+                            expect(error.status).toBe(503);
+                            expect(requests.length).toBe(2);
+                            done();
+                        }
+                    );
+            });
+
+            it("uses the Retry-After header for the delay", function(done){
+                addResponse("", { status: 429, statusText: "Too Many Requests", headers: { "Retry-After": "0" } });
+                addResponse({ d: {} });
+
+                // Would not complete within the spec's timeout if `delay` was used
+                apiFetch(URL, { retry: { delay: 60000 } })
+                    .then(function(){
+                        expect(requests.length).toBe(2);
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("does not retry other HTTP errors", function(done){
+                addResponse("", { status: 404, statusText: "Not Found" });
+
+                apiFetch(URL, { retry: { delay: 1 } })
+                    .then(
+                        function(){
+                            done.fail("expected request to fail");
+                        },
+                        function(error){
+                            expect(error instanceof errors.HttpError).toBe(true);
+                            expect(requests.length).toBe(1);
+                            done();
+                        }
+                    );
+            });
+
+            it("does not retry non-idempotent requests that were not throttled", function(done){
+                addResponse("", { status: 503, statusText: "Service Unavailable" });
+
+                apiFetch(URL, { method: "POST" })
+                    .then(
+                        function(){
+                            done.fail("expected request to fail");
+                        },
+                        function(){
+                            expect(requests.length).toBe(1);
+                            done();
+                        }
+                    );
+            });
+
+            it("retries throttled non-idempotent requests with the default policy", function(done){
+                addResponse("", { status: 503, statusText: "Service Unavailable", headers: { "Retry-After": "0" } });
+                addResponse("", { status: 429, statusText: "Too Many Requests", headers: { "Retry-After": "0" } });
+                addResponse(getListItemsSuccessXML);
+
+                apiFetch(URL, { method: "POST" })
+                    .then(function(){
+                        expect(requests.length).toBe(3);
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("retries SOAP requests flagged as idempotent", function(done){
+                var defaultDelay = apiFetch.defaults.retry.delay;
+
+                apiFetch.defaults.retry.delay = 1;
+
+                addResponse("", { status: 503, statusText: "Service Unavailable" });
+                addResponse(getListItemsSuccessXML);
+
+                apiFetch(URL, { method: "POST", idempotent: true })
+                    .then(function(response){
+                        expect(requests.length).toBe(2);
+                        expect(response.msgType).toBe("xml");
+                    })
+                    .then(
+                        function(){
+                            apiFetch.defaults.retry.delay = defaultDelay;
+                            done();
+                        },
+                        function(error){
+                            apiFetch.defaults.retry.delay = defaultDelay;
+                            done.fail(error);
+                        }
+                    );
+            });
+
+            it("does not retry when retry is false", function(done){
+                addResponse("", { status: 503, statusText: "Service Unavailable" });
+
+                apiFetch(URL, { retry: false })
+                    ["catch"](function(){
+                        expect(requests.length).toBe(1);
+                        done();
+                    });
+            });
+        });
+
+        describe("interceptors", function(){
+            var interceptor;
+
+            afterEach(function(){
+                if (interceptor) {
+                    interceptor.remove();
+                    interceptor = null;
+                }
+            });
+
+            it("lets request interceptors change the request", function(done){
+                addResponse({ d: {} });
+
+                interceptor = apiFetch.addInterceptor({
+                    request: function(request){
+                        request.init.headers["X-Test"] = "1";
+                        return request;
+                    }
+                });
+
+                apiFetch(URL, { headers: { Accept: "application/json" } })
+                    .then(function(){
+                        expect(requests[0].init.headers["X-Test"]).toBe("1");
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("does not change the caller's headers", function(done){
+                var headers = { Accept: "application/json" };
+
+                addResponse({ d: {} });
+
+                interceptor = apiFetch.addInterceptor({
+                    request: function(request){
+                        request.init.headers["X-Test"] = "1";
+                        return request;
+                    }
+                });
+
+                apiFetch(URL, { headers: headers })
+                    .then(function(){
+                        expect(headers["X-Test"]).toBeUndefined();
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("lets response interceptors transform the response", function(done){
+                addResponse({ d: { Title: "Test" } });
+
+                interceptor = apiFetch.addInterceptor({
+                    response: function(response, request){
+                        response.requestUrl = request.url;
+                        return response;
+                    }
+                });
+
+                apiFetch(URL)
+                    .then(function(response){
+                        expect(response.requestUrl).toBe(URL);
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("lets error interceptors recover from errors", function(done){
+                addResponse("", { status: 404, statusText: "Not Found" });
+
+                interceptor = apiFetch.addInterceptor({
+                    error: function(error){
+                        return { content: null, msgType: "", response: error.response.response, recovered: error.status };
+                    }
+                });
+
+                apiFetch(URL)
+                    .then(function(response){
+                        expect(response.recovered).toBe(404);
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("gives the attempt number to request interceptors", function(done){
+                var attempts = [];
+
+                addResponse("", { status: 503, statusText: "Service Unavailable" });
+                addResponse({ d: {} });
+
+                interceptor = apiFetch.addInterceptor({
+                    request: function(request){
+                        attempts.push(request.attempt);
+                        return request;
+                    }
+                });
+
+                apiFetch(URL, { retry: { delay: 1 } })
+                    .then(function(){
+                        expect(attempts).toEqual([1, 2]);
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("stops calling an interceptor once removed", function(done){
+                var calls = 0;
+
+                addResponse({ d: {} });
+
+                apiFetch.addInterceptor({
+                    request: function(request){
+                        calls++;
+                        return request;
+                    }
+                }).remove();
+
+                apiFetch(URL)
+                    .then(function(){
+                        expect(calls).toBe(0);
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+        });
+
+        describe("abort", function(){
+
+            // Response that is only sent after `ms` milliseconds
+            function addDelayedResponse(body, ms) {
+                addResponse(function(){
+                    return new Promise(function(resolve){
+                        setTimeout(function(){
+                            resolve(body);
+                        }, ms);
+                    });
+                });
+            }
+
+            function expectAbortError(promise, done) {
+                promise.then(
+                    function(){
+                        done.fail("expected request to be aborted");
+                    },
+                    function(error){
+                        expect(error instanceof errors.AbortError).toBe(true);
+                        expect(errors.isAbortError(error)).toBe(true);
+                        expect(error.url).toBe(URL);
+                        done();
+                    }
+                );
+            }
+
+            it("rejects without sending the request if signal is already aborted", function(done){
+                var controller = new AbortController();
+
+                addResponse({ d: {} });
+                controller.abort();
+
+                expectAbortError(
+                    apiFetch(URL, { signal: controller.signal }).then(null, function(error){
+                        expect(requests.length).toBe(0);
+                        return Promise.reject(error);
+                    }),
+                    done
+                );
+            });
+
+            it("rejects with an AbortError when aborted while waiting for the response", function(done){
+                var controller = new AbortController();
+
+                addDelayedResponse({ d: {} }, 50);
+                expectAbortError(apiFetch(URL, { signal: controller.signal }), done);
+                controller.abort();
+            });
+
+            it("rejects with an AbortError when aborted while waiting to retry", function(done){
+                var controller = new AbortController();
+
+                addResponse("", { status: 503, statusText: "Service Unavailable" });
+                expectAbortError(apiFetch(URL, { signal: controller.signal, retry: { delay: 60000 } }), done);
+
+                setTimeout(function(){
+                    controller.abort();
+                }, 10);
+            });
+        });
+
+        describe("timeout", function(){
+
+            function addSlowResponse(body) {
+                addResponse(function(){
+                    return new Promise(function(resolve){
+                        setTimeout(function(){
+                            resolve(body);
+                        }, 100);
+                    });
+                });
+            }
+
+            it("rejects with a TimeoutError if response is not received in time", function(done){
+                addSlowResponse({ d: {} });
+
+                apiFetch(URL, { timeout: 10, retry: false })
+                    .then(
+                        function(){
+                            done.fail("expected request to time out");
+                        },
+                        function(error){
+                            expect(error instanceof errors.TimeoutError).toBe(true);
+                            expect(error instanceof errors.ApiFetchError).toBe(true);
+                            expect(error.url).toBe(URL);
+                            done();
+                        }
+                    );
+            });
+
+            it("aborts the request that timed out", function(done){
+                addSlowResponse({ d: {} });
+
+                apiFetch(URL, { timeout: 10, retry: false })
+                    ["catch"](function(){
+                        expect(requests[0].init.signal.aborted).toBe(true);
+                        done();
+                    });
+            });
+
+            it("uses apiFetch.defaults.timeout", function(done){
+                var defaultTimeout = apiFetch.defaults.timeout;
+
+                apiFetch.defaults.timeout = 10;
+                addSlowResponse({ d: {} });
+
+                apiFetch(URL, { retry: false })
+                    .then(
+                        function(){
+                            apiFetch.defaults.timeout = defaultTimeout;
+                            done.fail("expected request to time out");
+                        },
+                        function(error){
+                            apiFetch.defaults.timeout = defaultTimeout;
+                            expect(error instanceof errors.TimeoutError).toBe(true);
+                            done();
+                        }
+                    );
+            });
+
+            it("retries requests that timed out", function(done){
+                addSlowResponse({ d: {} });
+                addResponse({ d: { Title: "Test" } });
+
+                apiFetch(URL, { timeout: 10, retry: { delay: 1 } })
+                    .then(function(response){
+                        expect(requests.length).toBe(2);
+                        expect(response.content.d.Title).toBe("Test");
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("does not retry requests that timed out if retryOnTimeout is false", function(done){
+                addSlowResponse({ d: {} });
+                addResponse({ d: {} });
+
+                apiFetch(URL, { timeout: 10, retry: { delay: 1, retryOnTimeout: false } })
+                    .then(
+                        function(){
+                            done.fail("expected request to time out");
+                        },
+                        function(error){
+                            expect(error instanceof errors.TimeoutError).toBe(true);
+                            expect(requests.length).toBe(1);
+                            done();
+                        }
+                    );
+            });
+        });
+
+    });
+
+});
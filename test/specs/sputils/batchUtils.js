@@ -0,0 +1,111 @@
+define([
+    "src/sputils/batchUtils",
+    "text!../../server/restMsgs/batch.response.success.txt",
+    "text!../../server/restMsgs/batch.response.changesetFailed.txt"
+], function(
+    batchUtils,
+    msgBatchSuccess,
+    msgBatchChangesetFailed
+){
+
+    var CONTENT_TYPE = "multipart/mixed; boundary=batchresponse_8a2b3c4d-1111-4e5f-9a8b-7c6d5e4f3a2b";
+
+    describe("batchUtils", function(){
+
+        describe("buildBatchBody()", function(){
+            var body = batchUtils.buildBatchBody([
+                { url: "https://tenant.sharepoint.com/_api/web/lists" },
+                { method: "POST", url: "https://tenant.sharepoint.com/_api/web/lists/getbytitle('Tasks')/items", body: { Title: "New task" } },
+                { method: "DELETE", url: "https://tenant.sharepoint.com/_api/web/lists/getbytitle('Tasks')/items(1)", headers: { "IF-MATCH": "*" } }
+            ], "batch_123");
+
+            it("uses the batch boundary", function(){
+                expect(body.indexOf("--batch_123\r\n")).toBe(0);
+                expect(body).toContain("--batch_123--");
+            });
+
+            it("includes GET operations in the batch", function(){
+                expect(body).toContain("GET https://tenant.sharepoint.com/_api/web/lists HTTP/1.1");
+            });
+
+            it("sends write operations in one changeset", function(){
+                expect(body.match(/Content-Type: multipart\/mixed; boundary=changeset_/g).length).toBe(1);
+                expect(body).toContain('{"Title":"New task"}');
+                expect(body).toContain("IF-MATCH: *");
+            });
+        });
+
+        describe("getOperationGroups()", function(){
+
+            it("places each GET in its own group", function(){
+                var groups = batchUtils.getOperationGroups([{ url: "a" }, { method: "get", url: "b" }]);
+
+                expect(groups.length).toBe(2);
+                expect(groups[0].isChangeset).toBe(false);
+                expect(groups[1].operations[0].url).toBe("b");
+            });
+
+            it("groups consecutive write operations of the same changeset", function(){
+                var groups = batchUtils.getOperationGroups([
+                    { method: "POST", url: "a", changeset: 0 },
+                    { method: "DELETE", url: "b", changeset: 0 },
+                    { url: "c", changeset: 0 },
+                    { method: "POST", url: "d", changeset: 0 },
+                    { method: "POST", url: "e", changeset: 1 }
+                ]);
+
+                expect(groups.length).toBe(4);
+                expect(groups[0].isChangeset).toBe(true);
+                expect(groups[0].operations.length).toBe(2);
+                expect(groups[2].operations[0].url).toBe("d");
+                expect(groups[3].operations[0].url).toBe("e");
+            });
+        });
+
+        describe("parseBatchResponse()", function(){
+
+            it("returns one group of results per request part", function(){
+                var groups = batchUtils.parseBatchResponse(msgBatchSuccess, CONTENT_TYPE);
+
+                expect(groups.length).toBe(3);
+                expect(groups[0].length).toBe(1);
+                expect(groups[1].length).toBe(2);
+                expect(groups[2].length).toBe(1);
+            });
+
+            it("gets the boundary from the response if no content type", function(){
+                expect(batchUtils.parseBatchResponse(msgBatchSuccess).length).toBe(3);
+            });
+
+            it("parses status and JSON content", function(){
+                var groups = batchUtils.parseBatchResponse(msgBatchSuccess, CONTENT_TYPE);
+
+                expect(groups[0][0].status).toBe(200);
+                expect(groups[0][0].ok).toBe(true);
+                expect(groups[0][0].content.d.Title).toBe("Tasks");
+                expect(groups[1][0].status).toBe(201);
+                expect(groups[1][0].headers.etag).toBe('"1"');
+                expect(groups[1][1].status).toBe(204);
+                expect(groups[1][1].content).toBe("");
+            });
+
+            it("returns failed operations", function(){
+                var result = batchUtils.parseBatchResponse(msgBatchSuccess, CONTENT_TYPE)[2][0];
+
+                expect(result.status).toBe(404);
+                expect(result.ok).toBe(false);
+                expect(result.content.error.code).toContain("SPException");
+            });
+
+            it("returns a single result for a failed changeset", function(){
+                var groups = batchUtils.parseBatchResponse(msgBatchChangesetFailed);
+
+                expect(groups.length).toBe(3);
+                expect(groups[1].length).toBe(1);
+                expect(groups[1][0].status).toBe(400);
+                expect(groups[2][0].content.d.Title).toBe("Issues");
+            });
+        });
+    });
+
+});
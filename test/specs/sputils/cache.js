@@ -0,0 +1,272 @@
+define([
+    "src/sputils/cache",
+    "src/sputils/cacheStorage"
+], function(
+    cache,
+    cacheStorage
+){
+
+    // Keys used by these specs all have this prefix, so that they can be
+    // cleared without affecting other cached data
+    var PREFIX = "test/specs/sputils/cache:";
+
+    describe("cache", function(){
+        var defaults;
+
+        beforeEach(function(){
+            defaults = { ttl: cache.defaults.ttl, maxSize: cache.defaults.maxSize };
+        });
+
+        afterEach(function(){
+            cache.defaults.ttl      = defaults.ttl;
+            cache.defaults.maxSize  = defaults.maxSize;
+            cache.clearByPrefix(PREFIX);
+        });
+
+        //----------------------------------------------
+
+        it("gets and sets values", function(){
+            cache(PREFIX + "a", 1);
+            cache.set(PREFIX + "b", 2);
+
+            expect(cache(PREFIX + "a")).toBe(1);
+            expect(cache.get(PREFIX + "b")).toBe(2);
+            expect(cache.isCached(PREFIX + "b")).toBe(true);
+            expect(cache.isCached(PREFIX + "c")).toBe(false);
+        });
+
+        describe("ttl", function(){
+
+            it("expires entries after their ttl", function(done){
+                cache.set(PREFIX + "a", 1, { ttl: 10 });
+                cache.set(PREFIX + "b", 2);
+
+                setTimeout(function(){
+                    expect(cache.isCached(PREFIX + "a")).toBe(false);
+                    expect(cache.get(PREFIX + "a")).toBeUndefined();
+                    expect(cache.get(PREFIX + "b")).toBe(2);
+                    done();
+                }, 30);
+            });
+
+            it("uses cache.defaults.ttl", function(done){
+                cache.defaults.ttl = 10;
+                cache.set(PREFIX + "a", 1);
+
+                setTimeout(function(){
+                    expect(cache.isCached(PREFIX + "a")).toBe(false);
+                    done();
+                }, 30);
+            });
+
+            it("emits evict with reason expired when an entry expires", function(done){
+                var listener = cache.on("evict", function(ev){
+                    if (ev.key === PREFIX + "a") {
+                        listener.off();
+                        expect(ev.reason).toBe("expired");
+                        expect(ev.value).toBe(1);
+                        done();
+                    }
+                });
+
+                cache.set(PREFIX + "a", 1, { ttl: 5 });
+            });
+        });
+
+        describe("maxSize", function(){
+
+            beforeEach(function(){
+                cache.clearAll();
+                cache.defaults.maxSize = 2;
+            });
+
+            it("evicts the least recently used entry", function(){
+                var evicted = [];
+                var listener = cache.on("evict", function(ev){
+                    evicted.push(ev);
+                });
+
+                cache.set(PREFIX + "a", 1);
+                cache.set(PREFIX + "b", 2);
+                cache.get(PREFIX + "a");
+                cache.set(PREFIX + "c", 3);
+
+                listener.off();
+
+                expect(cache.isCached(PREFIX + "a")).toBe(true);
+                expect(cache.isCached(PREFIX + "b")).toBe(false);
+                expect(cache.isCached(PREFIX + "c")).toBe(true);
+                expect(evicted.length).toBe(1);
+                expect(evicted[0].key).toBe(PREFIX + "b");
+                expect(evicted[0].reason).toBe("size");
+            });
+        });
+
+        describe("clear", function(){
+
+            it("clears entries by key, prefix or matcher", function(){
+                cache.set(PREFIX + "web1/a", 1);
+                cache.set(PREFIX + "web1/b", 2);
+                cache.set(PREFIX + "web2/a", 3);
+                cache.set(PREFIX + "web2/b", 4);
+
+                cache.clear(PREFIX + "web2/b");
+                expect(cache.isCached(PREFIX + "web2/b")).toBe(false);
+
+                cache.clearByPrefix(PREFIX + "web1/");
+                expect(cache.isCached(PREFIX + "web1/a")).toBe(false);
+                expect(cache.isCached(PREFIX + "web1/b")).toBe(false);
+                expect(cache.isCached(PREFIX + "web2/a")).toBe(true);
+
+                cache.clearMatching(/web2\/a$/);
+                expect(cache.isCached(PREFIX + "web2/a")).toBe(false);
+            });
+
+            it("emits clear", function(){
+                var cleared = [];
+                var listener = cache.on("clear", function(ev){
+                    cleared.push(ev.key);
+                });
+
+                cache.set(PREFIX + "a", 1);
+                cache.clear(PREFIX + "a");
+                listener.off();
+
+                expect(cleared).toEqual([PREFIX + "a"]);
+            });
+        });
+
+        describe("persistence", function(){
+            var webStorage;
+
+            // In-memory implementation of the Web Storage API
+            function createStorage() {
+                var data = {};
+
+                return {
+                    getItem: function(key){
+                        return data.hasOwnProperty(key) ? data[key] : null;
+                    },
+                    setItem: function(key, value){
+                        data[key] = String(value);
+                    },
+                    removeItem: function(key){
+                        delete data[key];
+                    },
+                    key: function(index){
+                        return Object.keys(data)[index];
+                    },
+                    get length() {
+                        return Object.keys(data).length;
+                    },
+                    data: data
+                };
+            }
+
+            beforeEach(function(){
+                webStorage = createStorage();
+                cache.setStorage(cacheStorage.createWebStorage(webStorage, "test:"));
+            });
+
+            afterEach(function(){
+                cache.setStorage(null);
+            });
+
+            it("persists values to the storage", function(done){
+                cache.persist(PREFIX + "a", { Title: "Tasks" }, "1")
+                    .then(function(){
+                        expect(cache.hasStorage()).toBe(true);
+                        expect(webStorage.getItem("test:" + PREFIX + "a")).toBe('{"version":"1","value":{"Title":"Tasks"}}');
+                        return cache.getPersisted(PREFIX + "a", "1");
+                    })
+                    .then(function(value){
+                        expect(value).toEqual({ Title: "Tasks" });
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("does not return (and removes) values persisted with a different version", function(done){
+                cache.persist(PREFIX + "a", "old", "1")
+                    .then(function(){
+                        return cache.getPersisted(PREFIX + "a", "2");
+                    })
+                    .then(function(value){
+                        expect(value).toBeUndefined();
+                        expect(webStorage.getItem("test:" + PREFIX + "a")).toBeNull();
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("keeps persisted values when in memory entries are cleared", function(done){
+                cache.set(PREFIX + "a", "in memory");
+
+                cache.persist(PREFIX + "a", "persisted")
+                    .then(function(){
+                        cache.clearByPrefix(PREFIX);
+                        return cache.getPersisted(PREFIX + "a");
+                    })
+                    .then(function(value){
+                        expect(cache.isCached(PREFIX + "a")).toBe(false);
+                        expect(value).toBe("persisted");
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("unpersist() removes values by key or matcher", function(done){
+                Promise.all([
+                    cache.persist(PREFIX + "web1/a", 1),
+                    cache.persist(PREFIX + "web1/b", 2),
+                    cache.persist(PREFIX + "web2/a", 3)
+                ])
+                    .then(function(){
+                        return cache.unpersist(PREFIX + "web2/a");
+                    })
+                    .then(function(){
+                        return cache.unpersist(/web1\//);
+                    })
+                    .then(function(){
+                        expect(Object.keys(webStorage.data)).toEqual([]);
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("rejects persist() if storage fails", function(done){
+                webStorage.setItem = function(){
+                    throw new Error("QuotaExceededError");
+                };
+
+                cache.persist(PREFIX + "a", 1)
+                    .then(
+                        function(){
+                            done.fail("expected persist() to fail");
+                        },
+                        function(error){
+                            expect(error.message).toBe("QuotaExceededError");
+                            done();
+                        }
+                    );
+            });
+
+            it("rejects persist() if no storage is set", function(done){
+                cache.setStorage(null);
+
+                cache.persist(PREFIX + "a", 1)
+                    .then(
+                        function(){
+                            done.fail("expected persist() to fail");
+                        },
+                        function(){
+                            expect(cache.hasStorage()).toBe(false);
+                            done();
+                        }
+                    );
+            });
+        });
+
+    });
+
+});
@@ -0,0 +1,114 @@
+define([
+    "src/sputils/contentTypeUtils",
+    "src/sputils/listSchemaUtils",
+    "test/server/mock.transport",
+    "text!../../server/soapMsgs/list.GetList.response.success.xml"
+], function(
+    contentTypeUtils,
+    listSchemaUtils,
+    mockTransport,
+    getListXML
+){
+
+    var STATUS_ID   = "{c15b34c3-ce7d-490a-b133-3f4de8801b76}";
+    var PRIORITY_ID = "{a8eb573e-9e11-481a-a8c9-1104a54b2fbd}";
+
+    describe("contentTypeUtils", function(){
+
+        describe("getContentTypePropertiesXml", function(){
+
+            it("returns the ContentType element with the properties", function(){
+                expect(contentTypeUtils.getContentTypePropertiesXml({ Description: "Tasks & issues", Group: "Custom", Hidden: false }))
+                    .toBe('<ContentType Description="Tasks &amp; issues" Group="Custom" Hidden="FALSE"/>');
+            });
+
+            it("returns XML strings as is", function(){
+                expect(contentTypeUtils.getContentTypePropertiesXml('<ContentType Group="Custom"/>')).toBe('<ContentType Group="Custom"/>');
+                expect(contentTypeUtils.getContentTypePropertiesXml(null)).toBe("");
+            });
+        });
+
+        describe("getFieldRefsXml", function(){
+            var fieldRefs = [
+                { ID: STATUS_ID, Name: "Status", Required: true },
+                { ID: PRIORITY_ID, Name: "Priority" }
+            ];
+
+            it("returns the FieldRefs element", function(){
+                expect(contentTypeUtils.getFieldRefsXml(fieldRefs)).toBe(
+                    "<FieldRefs>" +
+                        '<FieldRef ID="' + STATUS_ID + '" Name="Status" Required="TRUE"/>' +
+                        '<FieldRef ID="' + PRIORITY_ID + '" Name="Priority"/>' +
+                    "</FieldRefs>"
+                );
+                expect(contentTypeUtils.getFieldRefsXml([])).toBe("");
+            });
+
+            it("places each field link in a Method", function(){
+                expect(contentTypeUtils.getFieldRefsXml(fieldRefs, true)).toBe(
+                    "<FieldRefs>" +
+                        '<Method ID="1"><FieldRef ID="' + STATUS_ID + '" Name="Status" Required="TRUE"/></Method>' +
+                        '<Method ID="2"><FieldRef ID="' + PRIORITY_ID + '" Name="Priority"/></Method>' +
+                    "</FieldRefs>"
+                );
+            });
+        });
+
+        describe("getFieldRefs", function(){
+            var transport;
+
+            beforeEach(function(){
+                transport = mockTransport.install().respondTo({ soapAction: "GetList" }, getListXML);
+            });
+
+            afterEach(function(){
+                mockTransport.uninstall();
+                listSchemaUtils.clearListCache(mockTransport.WEB_URL, "Tasks");
+            });
+
+            function getFieldRefs(fields) {
+                return contentTypeUtils.getFieldRefs({
+                    listName:   "Tasks",
+                    webURL:     mockTransport.WEB_URL,
+                    fields:     fields
+                });
+            }
+
+            it("looks up the field IDs by name or display name", function(done){
+                getFieldRefs(["Priority", { Name: "Task Status", Required: true }])
+                    .then(function(fieldRefs){
+                        expect(fieldRefs).toEqual([
+                            { ID: PRIORITY_ID, Name: "Priority" },
+                            { ID: STATUS_ID, Name: "Status", Required: true }
+                        ]);
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("does not retrieve the list columns when all fields have an ID", function(done){
+                getFieldRefs([{ ID: STATUS_ID, Name: "Status" }])
+                    .then(function(fieldRefs){
+                        expect(fieldRefs).toEqual([{ ID: STATUS_ID, Name: "Status" }]);
+                        expect(transport.requests.length).toBe(0);
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("rejects if a column is not found", function(done){
+                getFieldRefs(["Priority", "Budget"])
+                    .then(
+                        function(){
+                            done.fail("expected getFieldRefs() to fail");
+                        },
+                        function(error){
+                            expect(error.message).toBe('Column "Budget" not found in list "Tasks"');
+                            done();
+                        }
+                    );
+            });
+        });
+    });
+
+});
@@ -0,0 +1,136 @@
+define([
+    "src/sputils/apiFetch",
+    "src/sputils/createMockTransport",
+    "src/sputils/errors",
+    "src/spapi/getListItems",
+    "text!../../server/soapMsgs/list.GetListItems.response.success.xml",
+    "text!../../server/soapMsgs/web.webUrlFromPageUrl.response.success.xml"
+], function(
+    apiFetch,
+    createMockTransport,
+    errors,
+    getListItems,
+    getListItemsSuccessXML,
+    webUrlFromPageUrlXML
+){
+
+    var WEB_URL = "https://tenant.sharepoint.com/sites/test/";
+
+    describe("createMockTransport", function(){
+        var transport;
+
+        beforeEach(function(){
+            transport = createMockTransport();
+            apiFetch.setTransport(transport);
+        });
+
+        afterEach(function(){
+            apiFetch.setTransport();
+        });
+
+        it("can be used as the apiFetch transport", function(){
+            expect(apiFetch.getTransport()).toBe(transport);
+        });
+
+        it("answers SOAP requests by SOAP action", function(done){
+            transport
+                .respondTo({ soapAction: "WebUrlFromPageUrl" }, webUrlFromPageUrlXML)
+                .respondTo({ soapAction: "GetListItems" }, getListItemsSuccessXML);
+
+            getListItems({ listName: "Tasks", webURL: WEB_URL })
+                .then(function(rows){
+                    var request = transport.requests.filter(function(req){
+                        return req.soapAction === "GetListItems";
+                    })[0];
+
+                    expect(rows.length).toBeGreaterThan(0);
+                    expect(request.method).toBe("POST");
+                    expect(request.body).toContain("<listName>Tasks</listName>");
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("answers REST requests by url and method", function(done){
+            transport
+                .respondTo({ url: /_api\/web$/, method: "POST" }, { d: { Title: "posted" } })
+                .respondTo({ url: "_api/web" }, { d: { Title: "Test" } });
+
+            apiFetch(WEB_URL + "_api/web", { method: "GET" })
+                .then(function(response){
+                    expect(response.msgType).toBe("json");
+                    expect(response.content.d.Title).toBe("Test");
+                    return apiFetch(WEB_URL + "_api/web", { method: "POST" });
+                })
+                .then(function(response){
+                    expect(response.content.d.Title).toBe("posted");
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("calls function responses with the request", function(done){
+            transport.respondTo({ url: "_api/web" }, function(request){
+                return { d: { accept: request.headers.accept } };
+            });
+
+            apiFetch(WEB_URL + "_api/web", { headers: { Accept: "application/json;odata=verbose" } })
+                .then(function(response){
+                    expect(response.content.d.accept).toBe("application/json;odata=verbose");
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("uses the status and headers given for a response", function(done){
+            transport.respondTo({ url: "_api/web" }, "", { status: 401, statusText: "Unauthorized" });
+
+            apiFetch(WEB_URL + "_api/web")
+                .then(
+                    function(){
+                        done.fail("expected request to fail");
+                    },
+                    function(error){
+                        expect(error instanceof errors.AuthError).toBe(true);
+                        expect(error.status).toBe(401);
+                        done();
+                    }
+                );
+        });
+
+        it("answers requests with no defined response with a 404", function(done){
+            apiFetch(WEB_URL + "_api/web")
+                .then(
+                    function(){
+                        done.fail("expected request to fail");
+                    },
+                    function(error){
+                        expect(error.status).toBe(404);
+                        done();
+                    }
+                );
+        });
+
+        it("reset() removes responses and recorded requests", function(done){
+            transport.respondTo({ url: "_api/web" }, { d: {} });
+
+            apiFetch(WEB_URL + "_api/web")
+                .then(function(){
+                    expect(transport.requests.length).toBe(1);
+                    transport.reset();
+                    expect(transport.requests.length).toBe(0);
+                    return apiFetch(WEB_URL + "_api/web");
+                })
+                .then(
+                    function(){
+                        done.fail("expected request to fail");
+                    },
+                    function(error){
+                        expect(error.status).toBe(404);
+                        done();
+                    }
+                );
+        });
+    });
+
+});
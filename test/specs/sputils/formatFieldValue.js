@@ -0,0 +1,57 @@
+define([
+    "src/sputils/formatFieldValue",
+    "src/sputils/parseFieldValue"
+], function(
+    formatFieldValue,
+    parseFieldValue
+){
+
+    describe("formatFieldValue", function(){
+
+        it("converts empty values to an empty string", function(){
+            expect(formatFieldValue(null, { Type: "Text" })).toBe("");
+            expect(formatFieldValue(undefined)).toBe("");
+        });
+
+        it("formats Dates and booleans", function(){
+            expect(formatFieldValue(new Date(2017, 5, 15, 12, 30, 0), { Type: "DateTime" })).toBe("2017-06-15T12:30:00");
+            expect(formatFieldValue(true, { Type: "Boolean" })).toBe("1");
+            expect(formatFieldValue(false)).toBe("0");
+        });
+
+        it("formats lookup and person values", function(){
+            expect(formatFieldValue({ ID: "1", Title: "one" }, { Type: "Lookup" })).toBe("1");
+            expect(formatFieldValue([{ ID: 1 }, { ID: 5 }], { Type: "LookupMulti" })).toBe("1;#;#5;#");
+            expect(formatFieldValue({ AccountName: "domain\\user" }, { Type: "User" })).toBe("-1;#domain\\user");
+            expect(formatFieldValue({ ID: "", Title: "" }, { Type: "Lookup" })).toBe("");
+        });
+
+        it("formats MultiChoice and URL values", function(){
+            expect(formatFieldValue(["High", "Urgent"], { Type: "MultiChoice" })).toBe(";#High;#Urgent;#");
+            expect(formatFieldValue([], { Type: "MultiChoice" })).toBe("");
+            expect(formatFieldValue({ url: "http://example.com/a,b", description: "Example" }, { Type: "URL" }))
+                .toBe("http://example.com/a,,b, Example");
+        });
+
+        it("determines the format from the value when no column is given", function(){
+            expect(formatFieldValue(["High"])).toBe(";#High;#");
+            expect(formatFieldValue({ ID: 3 })).toBe("3");
+            expect(formatFieldValue({ url: "http://example.com" })).toBe("http://example.com, http://example.com");
+            expect(formatFieldValue(12)).toBe("12");
+        });
+
+        it("is the reverse of parseFieldValue", function(){
+            var columns = [
+                    { Type: "Number", value: "1.5" },
+                    { Type: "Boolean", value: "1" },
+                    { Type: "MultiChoice", value: ";#High;#Urgent;#" },
+                    { Type: "URL", value: "http://example.com/a,,b, Example" }
+                ];
+
+            columns.forEach(function(column){
+                expect(formatFieldValue(parseFieldValue(column.value, column), column)).toBe(column.value);
+            });
+        });
+    });
+
+});
@@ -0,0 +1,84 @@
+define([
+    "src/sputils/listSchemaUtils",
+    "src/sputils/cache"
+], function(
+    listSchemaUtils,
+    cache
+){
+
+    var WEB_URL = "https://tenant.sharepoint.com/sites/test/";
+
+    describe("listSchemaUtils", function(){
+
+        describe("getFieldXml()", function(){
+
+            it("builds the Field element from a column definition", function(){
+                expect(listSchemaUtils.getFieldXml({
+                    Name:           "Status",
+                    DisplayName:    "Status & State",
+                    Type:           "Choice",
+                    Required:       true,
+                    Choices:        ["New", "Active"],
+                    Default:        "New",
+                    Description:    null,
+                    listName:       "Tasks"
+                })).toBe(
+                    '<Field Name="Status" DisplayName="Status &amp; State" Type="Choice" Required="TRUE">' +
+                    "<CHOICES><CHOICE>New</CHOICE><CHOICE>Active</CHOICE></CHOICES><Default>New</Default></Field>"
+                );
+            });
+
+            it("returns XML strings as is", function(){
+                expect(listSchemaUtils.getFieldXml('<Field Name="Status"/>')).toBe('<Field Name="Status"/>');
+            });
+        });
+
+        describe("getFieldsXml()", function(){
+
+            it("wraps each column in a Method", function(){
+                expect(listSchemaUtils.getFieldsXml([{ Name: "a" }, '<Field Name="b"/>']))
+                    .toBe('<Fields><Method ID="1"><Field Name="a"/></Method><Method ID="2"><Field Name="b"/></Method></Fields>');
+                expect(listSchemaUtils.getFieldsXml([])).toBe("");
+            });
+
+            it("only sends the column name when nameOnly is true", function(){
+                expect(listSchemaUtils.getFieldsXml(["a", { Name: "b", Type: "Text" }], true))
+                    .toBe('<Fields><Method ID="1"><Field Name="a"/></Method><Method ID="2"><Field Name="b"/></Method></Fields>');
+            });
+        });
+
+        describe("getListPropertiesXml()", function(){
+
+            it("builds the List element", function(){
+                expect(listSchemaUtils.getListPropertiesXml({ Title: "Tasks", EnableVersioning: false, Fields: [] }))
+                    .toBe('<List Title="Tasks" EnableVersioning="FALSE"/>');
+                expect(listSchemaUtils.getListPropertiesXml(null)).toBe("");
+            });
+        });
+
+        describe("clearListCache()", function(){
+
+            afterEach(function(){
+                cache.clearByPrefix(WEB_URL);
+            });
+
+            it("clears the cached data of a list by any of its names", function(){
+                var listDef = {};
+
+                // getList() caches the definition under both the Title and ID
+                cache.set(WEB_URL + "?List=Tasks", listDef);
+                cache.set(WEB_URL + "?List={7EE477D9-D257-47F5-A25D-A882D882E51F}", listDef);
+                cache.set(WEB_URL + "?getListContentTypes=tasks", []);
+                cache.set(WEB_URL + "?List=Issues", {});
+
+                listSchemaUtils.clearListCache(WEB_URL, "Tasks");
+
+                expect(cache.isCached(WEB_URL + "?List=Tasks")).toBe(false);
+                expect(cache.isCached(WEB_URL + "?List={7EE477D9-D257-47F5-A25D-A882D882E51F}")).toBe(false);
+                expect(cache.isCached(WEB_URL + "?getListContentTypes=tasks")).toBe(false);
+                expect(cache.isCached(WEB_URL + "?List=Issues")).toBe(true);
+            });
+        });
+    });
+
+});
@@ -0,0 +1,81 @@
+define([
+    "src/sputils/parseFieldValue"
+], function(
+    parseFieldValue
+){
+
+    describe("parseFieldValue", function(){
+
+        it("converts numeric columns to Numbers", function(){
+            expect(parseFieldValue("12", { Type: "Counter" })).toBe(12);
+            expect(parseFieldValue("12.000000", { Type: "Integer" })).toBe(12);
+            expect(parseFieldValue("1.5", { Type: "Number" })).toBe(1.5);
+            expect(parseFieldValue("10.25", { Type: "Currency" })).toBe(10.25);
+            expect(parseFieldValue("", { Type: "Number" })).toBeNull();
+        });
+
+        it("converts DateTime columns to Dates", function(){
+            var value = parseFieldValue("2017-06-15 12:30:00", { Type: "DateTime" });
+
+            expect(value instanceof Date).toBe(true);
+            expect(value.getFullYear()).toBe(2017);
+            expect(value.getMonth()).toBe(5);
+            expect(value.getDate()).toBe(15);
+        });
+
+        it("converts Boolean columns to booleans", function(){
+            expect(parseFieldValue("1", { Type: "Boolean" })).toBe(true);
+            expect(parseFieldValue("TRUE", { Type: "Boolean" })).toBe(true);
+            expect(parseFieldValue("0", { Type: "Boolean" })).toBe(false);
+            expect(parseFieldValue("", { Type: "Boolean" })).toBe(false);
+        });
+
+        it("converts lookup columns to objects", function(){
+            var values = parseFieldValue("1;#one;#2;#two", { Type: "LookupMulti" });
+
+            expect(parseFieldValue("1;#one", { Type: "Lookup" }).ID).toBe("1");
+            expect(parseFieldValue("1;#one", { Type: "Lookup" }).Title).toBe("one");
+            expect(parseFieldValue("", { Type: "Lookup" })).toBeNull();
+            expect(values.length).toBe(2);
+            expect(values[1].ID).toBe("2");
+            expect(values[1].Title).toBe("two");
+            expect(parseFieldValue("", { Type: "LookupMulti" })).toEqual([]);
+        });
+
+        it("converts person columns to people models", function(){
+            var person = parseFieldValue("7;#Paul Tavares", { Type: "User" });
+
+            expect(person.ID).toBe("7");
+            expect(person.Name).toBe("Paul Tavares");
+            expect(parseFieldValue("7;#Paul Tavares;#8;#Someone Else", { Type: "UserMulti" }).length).toBe(2);
+            expect(parseFieldValue("", { Type: "User" })).toBeNull();
+        });
+
+        it("converts MultiChoice columns to an Array", function(){
+            expect(parseFieldValue(";#High;#Urgent;#", { Type: "MultiChoice" })).toEqual(["High", "Urgent"]);
+            expect(parseFieldValue("", { Type: "MultiChoice" })).toEqual([]);
+        });
+
+        it("converts URL columns to an object", function(){
+            expect(parseFieldValue("http://example.com/a,,b, Example", { Type: "URL" }))
+                .toEqual({ url: "http://example.com/a,b", description: "Example" });
+            expect(parseFieldValue("", { Type: "URL" })).toBeNull();
+        });
+
+        it("converts Calculated columns based on their result type", function(){
+            expect(parseFieldValue("float;#2.5", { Type: "Calculated" })).toBe(2.5);
+            expect(parseFieldValue("boolean;#1", { Type: "Calculated" })).toBe(true);
+            expect(parseFieldValue("string;#text", { Type: "Calculated" })).toBe("text");
+            expect(parseFieldValue("3", { Type: "Calculated", ResultType: "Number" })).toBe(3);
+        });
+
+        it("returns other values as is", function(){
+            var date = new Date();
+
+            expect(parseFieldValue("text", { Type: "Text" })).toBe("text");
+            expect(parseFieldValue("12", null)).toBe("12");
+            expect(parseFieldValue(date, { Type: "DateTime" })).toBe(date);
+        });
+    });
+
+});
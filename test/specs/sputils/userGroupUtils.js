@@ -0,0 +1,131 @@
+define([
+    "src/sputils/userGroupUtils",
+    "test/server/mock.transport",
+    "text!../../server/soapMsgs/usergroup.GetGroupCollectionFromSite.response.success.xml"
+], function(
+    userGroupUtils,
+    mockTransport,
+    getGroupCollectionFromSiteXML
+){
+
+    describe("userGroupUtils", function(){
+
+        describe("getGroupsFromXml", function(){
+
+            it("returns the groups as plain objects", function(){
+                var xmlDoc  = (new DOMParser()).parseFromString(getGroupCollectionFromSiteXML, "text/xml");
+                var groups  = userGroupUtils.getGroupsFromXml(xmlDoc);
+
+                expect(groups.length).toBe(3);
+                expect(groups[2]).toEqual({
+                    ID:             "5",
+                    Name:           "Team Site Members",
+                    Description:    "Use this group to grant people contribute permissions to the SharePoint site: Team Site",
+                    OwnerID:        "3",
+                    OwnerIsUser:    false
+                });
+            });
+        });
+
+        describe("isSameGroup", function(){
+
+            it("matches groups by ID or (case insensitive) name", function(){
+                var group = { ID: "5", Name: "Team Site Members" };
+
+                expect(userGroupUtils.isSameGroup(group, 5)).toBe(true);
+                expect(userGroupUtils.isSameGroup(group, "team site members")).toBe(true);
+                expect(userGroupUtils.isSameGroup(group, "Team Site Owners")).toBe(false);
+            });
+        });
+
+        describe("getUserLoginName", function(){
+
+            it("returns the login name of a user", function(){
+                expect(userGroupUtils.getUserLoginName("i:0#.f|membership|paul@tenant.onmicrosoft.com"))
+                    .toBe("i:0#.f|membership|paul@tenant.onmicrosoft.com");
+                expect(userGroupUtils.getUserLoginName({ LoginName: "domain\\paul" })).toBe("domain\\paul");
+                expect(userGroupUtils.getUserLoginName({ AccountName: "domain\\jane" })).toBe("domain\\jane");
+                expect(userGroupUtils.getUserLoginName(null)).toBe("");
+            });
+        });
+
+        describe("callUserGroupServiceCached", function(){
+            var transport;
+
+            beforeEach(function(){
+                transport = mockTransport.install()
+                    .respondTo({ soapAction: "GetGroupCollectionFromSite" }, getGroupCollectionFromSiteXML);
+            });
+
+            afterEach(function(){
+                mockTransport.uninstall();
+                userGroupUtils.clearGroupCache(mockTransport.WEB_URL);
+            });
+
+            function callService(options) {
+                return userGroupUtils.callUserGroupServiceCached(mockTransport.WEB_URL, "GetGroupCollectionFromSite", {}, options);
+            }
+
+            function getRequests() {
+                return transport.requests.filter(function(request){
+                    return request.soapAction === "GetGroupCollectionFromSite";
+                });
+            }
+
+            it("calls UserGroup.asmx with its namespace", function(done){
+                callService()
+                    .then(function(){
+                        var request = getRequests()[0];
+
+                        expect(request.url).toBe(mockTransport.WEB_URL + "_vti_bin/UserGroup.asmx");
+                        expect(request.headers.soapaction).toBe(userGroupUtils.USER_GROUP_NAMESPACE + "GetGroupCollectionFromSite");
+                        expect(request.body).toContain('<GetGroupCollectionFromSite xmlns="' + userGroupUtils.USER_GROUP_NAMESPACE + '">');
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("caches the response until the group cache is cleared", function(done){
+                callService()
+                    .then(function(){
+                        return callService();
+                    })
+                    .then(function(){
+                        expect(getRequests().length).toBe(1);
+                        return callService({ cache: false });
+                    })
+                    .then(function(){
+                        expect(getRequests().length).toBe(2);
+                        userGroupUtils.clearGroupCache(mockTransport.WEB_URL);
+                        return callService();
+                    })
+                    .then(function(){
+                        expect(getRequests().length).toBe(3);
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+
+            it("does not cache failed requests", function(done){
+                transport = mockTransport.install();
+
+                callService()
+                    .then(
+                        function(){
+                            throw new Error("expected request to fail");
+                        },
+                        function(){
+                            transport.respondTo({ soapAction: "GetGroupCollectionFromSite" }, getGroupCollectionFromSiteXML);
+                            return callService();
+                        }
+                    )
+                    .then(function(){
+                        expect(getRequests().length).toBe(2);
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+        });
+    });
+
+});
@@ -0,0 +1,69 @@
+define([
+    "src/sputils/viewUtils",
+    "src/caml/CamlQuery"
+], function(
+    viewUtils,
+    CamlQuery
+){
+
+    describe("viewUtils", function(){
+
+        describe("isViewId", function(){
+
+            it("returns true for view GUIDs (with or without braces)", function(){
+                expect(viewUtils.isViewId("{5B8E4C2A-9F1D-4E3B-A6C7-0D2F8E1B3A94}")).toBe(true);
+                expect(viewUtils.isViewId("5b8e4c2a-9f1d-4e3b-a6c7-0d2f8e1b3a94")).toBe(true);
+                expect(viewUtils.isViewId("Active Tasks")).toBe(false);
+                expect(viewUtils.isViewId("")).toBe(false);
+            });
+        });
+
+        describe("getViewFieldsXml", function(){
+
+            it("builds the ViewFields from field names", function(){
+                expect(viewUtils.getViewFieldsXml(["Title", "A&B"])).toBe(
+                    '<ViewFields><FieldRef Name="Title"/><FieldRef Name="A&amp;B"/></ViewFields>'
+                );
+            });
+
+            it("returns CAML strings as is", function(){
+                expect(viewUtils.getViewFieldsXml('<ViewFields><FieldRef Name="Title"/></ViewFields>'))
+                    .toBe('<ViewFields><FieldRef Name="Title"/></ViewFields>');
+                expect(viewUtils.getViewFieldsXml(null)).toBe("");
+            });
+        });
+
+        describe("getViewQueryXml", function(){
+            var condition = '<Eq><FieldRef Name="Status"/><Value Type="Text">Active</Value></Eq>';
+
+            it("wraps conditions in a Query", function(){
+                expect(viewUtils.getViewQueryXml(condition)).toBe("<Query><Where>" + condition + "</Where></Query>");
+                expect(viewUtils.getViewQueryXml("<Where>" + condition + "</Where>")).toBe("<Query><Where>" + condition + "</Where></Query>");
+                expect(viewUtils.getViewQueryXml('<OrderBy><FieldRef Name="Title"/></OrderBy>'))
+                    .toBe('<Query><OrderBy><FieldRef Name="Title"/></OrderBy></Query>');
+            });
+
+            it("returns Query elements as is", function(){
+                expect(viewUtils.getViewQueryXml(" <Query><Where>" + condition + "</Where></Query> "))
+                    .toBe("<Query><Where>" + condition + "</Where></Query>");
+                expect(viewUtils.getViewQueryXml("")).toBe("");
+            });
+
+            it("accepts a CamlQuery", function(){
+                var query = CamlQuery.create().where("Status").eq("Active");
+
+                expect(viewUtils.getViewQueryXml(query)).toBe(query.toCAMLQuery());
+            });
+        });
+
+        describe("getRowLimitXml", function(){
+
+            it("returns the RowLimit element", function(){
+                expect(viewUtils.getRowLimitXml(50)).toBe('<RowLimit Paged="TRUE">50</RowLimit>');
+                expect(viewUtils.getRowLimitXml("50", false)).toBe('<RowLimit Paged="FALSE">50</RowLimit>');
+                expect(viewUtils.getRowLimitXml(0)).toBe("");
+            });
+        });
+    });
+
+});
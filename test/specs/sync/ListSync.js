@@ -0,0 +1,345 @@
+define([
+    "src/sync/ListSync",
+    "src/sputils/cache",
+    "test/server/mock.transport"
+], function(
+    ListSync,
+    cache,
+    mockTransport
+){
+
+    describe("ListSync", function(){
+        var transport, responses;
+
+        /**
+         * Returns a GetListItemChangesSinceToken response
+         *
+         * @param {Object} data
+         * @param {String} data.token
+         * @param {Array<Object>} [data.rows]
+         * @param {Array<String>} [data.deleted]
+         *  IDs of items deleted
+         * @param {Boolean} [data.moreChanges]
+         * @param {Boolean} [data.invalidToken]
+         * @param {String} [data.nextPage]
+         *  The ListItemCollectionPositionNext
+         */
+        function getChangesXML(data) {
+            var rows = data.rows || [];
+
+            return '<?xml version="1.0" encoding="utf-8"?>' +
+                '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/"><soap:Body>' +
+                '<GetListItemChangesSinceTokenResponse xmlns="http://schemas.microsoft.com/sharepoint/soap/">' +
+                '<GetListItemChangesSinceTokenResult>' +
+                '<listitems xmlns:rs="urn:schemas-microsoft-com:rowset" xmlns:z="#RowsetSchema">' +
+                '<Changes LastChangeToken="' + data.token + '"' + (data.moreChanges ? ' MoreChanges="TRUE"' : "") + '>' +
+                (data.invalidToken ? '<Id ChangeType="InvalidToken" />' : "") +
+                (data.deleted || []).map(function(id){
+                    return '<Id ChangeType="Delete" UniqueId="{00000000-0000-0000-0000-00000000000' + id + '}">' + id + '</Id>';
+                }).join("") +
+                '</Changes>' +
+                '<rs:data ItemCount="' + rows.length + '"' +
+                (data.nextPage ? ' ListItemCollectionPositionNext="' + data.nextPage.replace(/&/g, "&amp;") + '"' : "") + '>' +
+                rows.map(function(row){
+                    return "<z:row " + Object.keys(row).map(function(name){
+                        return "ows_" + name + '="' + row[name] + '"';
+                    }).join(" ") + " />";
+                }).join("") +
+                '</rs:data></listitems>' +
+                '</GetListItemChangesSinceTokenResult></GetListItemChangesSinceTokenResponse>' +
+                '</soap:Body></soap:Envelope>';
+        }
+
+        function getRequests() {
+            return transport.requests.filter(function(request){
+                return request.soapAction === "GetListItemChangesSinceToken";
+            });
+        }
+
+        function getRequestChangeToken(request) {
+            return (/<changeToken>([^<]*)<\/changeToken>/.exec(request.body) || [])[1];
+        }
+
+        function createSync(options) {
+            return ListSync.create(Object.assign({
+                listName:   "Tasks",
+                webURL:     mockTransport.WEB_URL
+            }, options));
+        }
+
+        function getIds(items) {
+            return items.map(function(item){
+                return item.ID;
+            });
+        }
+
+        beforeEach(function(){
+            responses = [];
+            transport = mockTransport.install();
+
+            // Each sync request gets the next response defined in `responses`
+            transport.respondTo({ soapAction: "GetListItemChangesSinceToken" }, function(){
+                return responses.shift();
+            });
+        });
+
+        afterEach(function(){
+            mockTransport.uninstall();
+        });
+
+        //----------------------------------------------
+
+        it("retrieves all items on the first sync", function(done){
+            var sync = createSync();
+            var changeEvents = [];
+
+            responses.push(getChangesXML({
+                token:  "token1",
+                rows:   [{ ID: "1", Title: "one" }, { ID: "2", Title: "two" }]
+            }));
+
+            sync.on("change", function(changes){
+                changeEvents.push(changes);
+            });
+
+            sync.sync()
+                .then(function(changes){
+                    expect(getRequestChangeToken(getRequests()[0])).toBe("");
+                    expect(getIds(changes.added)).toEqual(["1", "2"]);
+                    expect(getIds(sync.getItems())).toEqual(["1", "2"]);
+                    expect(sync.getChangeToken()).toBe("token1");
+                    expect(changes.changeToken).toBe("token1");
+                    expect(changeEvents.length).toBe(1);
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("applies the changes since the last sync", function(done){
+            var sync = createSync();
+            var itemOne;
+
+            responses.push(
+                getChangesXML({
+                    token:  "token1",
+                    rows:   [{ ID: "1", Title: "one" }, { ID: "2", Title: "two" }]
+                }),
+                getChangesXML({
+                    token:      "token2",
+                    rows:       [{ ID: "1", Title: "one updated" }, { ID: "3", Title: "three" }],
+                    deleted:    ["2"]
+                })
+            );
+
+            sync.sync()
+                .then(function(){
+                    itemOne = sync.getItems()[0];
+                    return sync.sync();
+                })
+                .then(function(changes){
+                    expect(getRequestChangeToken(getRequests()[1])).toBe("token1");
+                    expect(getIds(changes.added)).toEqual(["3"]);
+                    expect(getIds(changes.updated)).toEqual(["1"]);
+                    expect(getIds(changes.removed)).toEqual(["2"]);
+                    expect(getIds(sync.getItems())).toEqual(["1", "3"]);
+
+                    // Existing items are updated in place
+                    expect(sync.getItems()[0]).toBe(itemOne);
+                    expect(itemOne.Title).toBe("one updated");
+                    expect(sync.getChangeToken()).toBe("token2");
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("does not report items with no changed values", function(done){
+            var sync = createSync({ changeToken: "token1" });
+            var changeEvents = 0;
+            var syncEvents = 0;
+
+            responses.push(getChangesXML({ token: "token2", rows: [{ ID: "1", Title: "one" }] }));
+            responses.push(getChangesXML({ token: "token3", rows: [{ ID: "1", Title: "one" }] }));
+
+            sync.on("change", function(){
+                changeEvents++;
+            });
+            sync.on("sync", function(){
+                syncEvents++;
+            });
+
+            sync.sync()
+                .then(function(){
+                    return sync.sync();
+                })
+                .then(function(changes){
+                    expect(changes.updated.length).toBe(0);
+                    expect(changeEvents).toBe(1);
+                    expect(syncEvents).toBe(2);
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("keeps retrieving changes while there are more changes", function(done){
+            var sync = createSync({ changeToken: "token1" });
+
+            responses.push(
+                getChangesXML({ token: "token2", rows: [{ ID: "1", Title: "one" }], moreChanges: true }),
+                getChangesXML({ token: "token3", rows: [{ ID: "2", Title: "two" }] })
+            );
+
+            sync.sync()
+                .then(function(changes){
+                    expect(getRequests().length).toBe(2);
+                    expect(getRequestChangeToken(getRequests()[1])).toBe("token2");
+                    expect(getIds(changes.added)).toEqual(["1", "2"]);
+                    expect(sync.getChangeToken()).toBe("token3");
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("retrieves all pages on a full refresh and keeps the first change token", function(done){
+            var sync = createSync({ CAMLRowLimit: 1, CAMLQueryOptions: "<QueryOptions/>" });
+
+            responses.push(
+                getChangesXML({ token: "token1", rows: [{ ID: "1", Title: "one" }], nextPage: "Paged=TRUE&p_ID=1" }),
+                getChangesXML({ token: "token2", rows: [{ ID: "2", Title: "two" }] })
+            );
+
+            sync.sync()
+                .then(function(changes){
+                    expect(getRequests().length).toBe(2);
+                    expect(getRequests()[1].body).toContain('<Paging ListItemCollectionPositionNext="Paged=TRUE&amp;p_ID=1" />');
+                    expect(getRequestChangeToken(getRequests()[1])).toBe("");
+                    expect(getIds(changes.added)).toEqual(["1", "2"]);
+                    expect(sync.getChangeToken()).toBe("token1");
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("does a full refresh when the change token is no longer valid", function(done){
+            var sync = createSync();
+
+            responses.push(
+                getChangesXML({ token: "token1", rows: [{ ID: "1", Title: "one" }, { ID: "2", Title: "two" }] }),
+                getChangesXML({ token: "", invalidToken: true }),
+                getChangesXML({ token: "token5", rows: [{ ID: "2", Title: "two" }] })
+            );
+
+            sync.sync()
+                .then(function(){
+                    return sync.sync();
+                })
+                .then(function(changes){
+                    expect(getRequestChangeToken(getRequests()[2])).toBe("");
+                    expect(getIds(changes.removed)).toEqual(["1"]);
+                    expect(getIds(sync.getItems())).toEqual(["2"]);
+                    expect(sync.getChangeToken()).toBe("token5");
+                    done();
+                })
+                .catch(done.fail);
+        });
+
+        it("emits error when a sync fails", function(done){
+            var sync = createSync();
+            var errors = [];
+
+            // No response defined: request fails with a HTTP 404
+            transport.reset();
+
+            sync.on("error", function(error){
+                errors.push(error);
+            });
+
+            sync.sync()
+                .then(
+                    function(){
+                        done.fail("expected sync to fail");
+                    },
+                    function(error){
+                        expect(errors).toEqual([error]);
+                        done();
+                    }
+                );
+        });
+
+        it("stop() aborts a sync in progress without emitting error", function(done){
+            var sync = createSync();
+            var errors = [];
+
+            responses.push(new Promise(function(resolve){
+                setTimeout(function(){
+                    resolve(getChangesXML({ token: "token1" }));
+                }, 50);
+            }));
+
+            sync.on("error", function(error){
+                errors.push(error);
+            });
+
+            sync.start();
+
+            setTimeout(function(){
+                sync.stop();
+            }, 10);
+
+            setTimeout(function(){
+                expect(errors.length).toBe(0);
+                expect(sync.getChangeToken()).toBe("");
+                done();
+            }, 80);
+        });
+
+        describe("persistToken", function(){
+            var storage;
+
+            beforeEach(function(){
+                storage = {};
+
+                cache.setStorage({
+                    getItem: function(key){
+                        return Promise.resolve(storage[key]);
+                    },
+                    setItem: function(key, value){
+                        storage[key] = value;
+                        return Promise.resolve();
+                    },
+                    removeItem: function(key){
+                        delete storage[key];
+                        return Promise.resolve();
+                    },
+                    keys: function(){
+                        return Promise.resolve(Object.keys(storage));
+                    }
+                });
+            });
+
+            afterEach(function(){
+                cache.setStorage(null);
+            });
+
+            it("starts from the persisted change token and persists the new one", function(done){
+                var sync = createSync({ persistToken: true, storageKey: "ListSync:Tasks" });
+
+                responses.push(getChangesXML({ token: "token2", rows: [{ ID: "1", Title: "one" }] }));
+
+                cache.persist("ListSync:Tasks", "token1")
+                    .then(function(){
+                        return sync.sync();
+                    })
+                    .then(function(){
+                        expect(getRequestChangeToken(getRequests()[0])).toBe("token1");
+                        return cache.getPersisted("ListSync:Tasks");
+                    })
+                    .then(function(changeToken){
+                        expect(changeToken).toBe("token2");
+                        done();
+                    })
+                    .catch(done.fail);
+            });
+        });
+    });
+
+});
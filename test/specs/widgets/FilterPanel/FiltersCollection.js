@@ -0,0 +1,86 @@
+define([
+    "src/widgets/FilterPanel/FiltersCollection"
+], function(
+    FiltersCollection
+){
+
+    describe("FiltersCollection", function(){
+
+        describe("fromCAMLQuery()", function(){
+
+            it("creates one filter per column", function(){
+                var response = FiltersCollection.fromCAMLQuery(
+                    "<Where><And>" +
+                        '<Or><Eq><FieldRef Name="Title"/><Value Type="Text">one</Value></Eq>' +
+                        '<Eq><FieldRef Name="Title"/><Value Type="Text">two</Value></Eq></Or>' +
+                        '<Eq><FieldRef Name="AssignedTo" LookupId="TRUE"/><Value Type="Integer"><UserID/></Value></Eq>' +
+                    "</And></Where>" +
+                    '<OrderBy><FieldRef Name="Title" Ascending="FALSE"/></OrderBy>'
+                );
+
+                expect(response.unsupported).toEqual([]);
+                expect(response.filters.length).toBe(2);
+                expect(response.filters[0].column).toBe("Title");
+                expect(response.filters[0].type).toBe("Text");
+                expect(response.filters[0].compareOperator).toBe("Eq");
+                expect(response.filters[0].logicalOperator).toBe("Or");
+                expect(response.filters[0].values).toEqual(["one", "two"]);
+                expect(response.filters[0].sortOrder).toBe("Des");
+                expect(response.filters[1].type).toBe("Lookup");
+                expect(response.filters[1].values).toEqual(["<UserID/>"]);
+            });
+
+            it("supports <UserID/> with attributes", function(){
+                var response = FiltersCollection.fromCAMLQuery(
+                    '<Eq><FieldRef Name="AssignedTo" LookupId="TRUE"/><Value Type="Integer"><UserID Type="Integer"/></Value></Eq>'
+                );
+
+                expect(response.unsupported).toEqual([]);
+                expect(response.filters.length).toBe(1);
+                expect(response.filters[0].values).toEqual(['<UserID Type="Integer"/>']);
+                expect(response.filters[0].toCAMLQuery()).toContain('<UserID Type="Integer"/>');
+            });
+
+            it("keeps the type of column of the conditions", function(){
+                var response = FiltersCollection.fromCAMLQuery(
+                    '<Eq><FieldRef Name="Done"/><Value Type="Boolean">1</Value></Eq>'
+                );
+
+                expect(response.filters[0].type).toBe("Boolean");
+            });
+
+            it("returns the conditions that a filter would query differently", function(){
+                var response = FiltersCollection.fromCAMLQuery(
+                    "<And>" +
+                        '<Eq><FieldRef Name="Project"/><Value Type="Lookup">Alpha</Value></Eq>' +
+                        '<Geq><FieldRef Name="DueDate"/><Value Type="DateTime">2017-01-01</Value></Geq>' +
+                    "</And>",
+                    {
+                        columns: {
+                            getColumn: function(name){
+                                return { Name: name, Type: name === "Project" ? "Lookup" : "DateTime" };
+                            }
+                        }
+                    }
+                );
+
+                expect(response.filters.length).toBe(0);
+                expect(response.unsupported.map(function(part){ return part.reason; })).toEqual([
+                    "Lookup conditions that do not use LookupId can not be represented as a filter",
+                    "DateTime conditions without IncludeTimeValue and StorageTZ can not be represented as a filter"
+                ]);
+            });
+
+            it("returns conditions on multiple columns combined with Or", function(){
+                var response = FiltersCollection.fromCAMLQuery(
+                    '<Or><Eq><FieldRef Name="Title"/><Value Type="Text">one</Value></Eq>' +
+                    '<Eq><FieldRef Name="Status"/><Value Type="Text">Active</Value></Eq></Or>'
+                );
+
+                expect(response.filters.length).toBe(0);
+                expect(response.unsupported[0].reason).toBe("Conditions on multiple columns can not be represented as one filter");
+            });
+        });
+    });
+
+});
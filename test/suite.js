@@ -1,17 +1,52 @@
 define([
     // All test cases should resize in the test/specs folder and be
     // referenced below as a dependency.
+    "./specs/caml/CamlQuery",
+    "./specs/caml/camlToOData",
+    "./specs/caml/parseCamlQuery",
     "./specs/jquery.SPWidgets",
     "./specs/jsutils/Compose",
+    "./specs/models/ContentTypeModel",
     "./specs/models/ListItemModel",
     "./specs/models/ListModel",
     "./specs/models/ListColumnModel",
+    "./specs/models/ViewModel",
+    "./specs/provisioning/provisionSchema",
+    "./specs/spapi/addFieldToContentType",
+    "./specs/spapi/addListColumns",
+    "./specs/spapi/addUserToGroup",
+    "./specs/spapi/addView",
+    "./specs/spapi/applyContentTypeToList",
+    "./specs/spapi/createContentType",
+    "./specs/spapi/createList",
+    "./specs/spapi/getGroupMembers",
+    "./specs/spapi/getGroupsForUser",
     "./specs/spapi/getList",
     "./specs/spapi/getListColumns",
+    "./specs/spapi/getListContentType",
     "./specs/spapi/getListFormCollection",
     "./specs/spapi/getListItems",
+    "./specs/spapi/getListViews",
+    "./specs/spapi/iterateListItems",
+    "./specs/spapi/rest/createBatch",
+    "./specs/spapi/rest/getListItems",
     "./specs/spapi/searchPrincipals",
+    "./specs/spapi/updateList",
+    "./specs/spapi/updateListItems",
+    "./specs/spapi/updateView",
+    "./specs/sputils/apiFetch",
+    "./specs/sputils/batchUtils",
+    "./specs/sputils/cache",
+    "./specs/sputils/contentTypeUtils",
+    "./specs/sputils/createMockTransport",
     "./specs/sputils/doesMsgHaveError",
-    "./specs/sputils/getMsgError"
+    "./specs/sputils/formatFieldValue",
+    "./specs/sputils/getMsgError",
+    "./specs/sputils/listSchemaUtils",
+    "./specs/sputils/parseFieldValue",
+    "./specs/sputils/userGroupUtils",
+    "./specs/sputils/viewUtils",
+    "./specs/sync/ListSync",
+    "./specs/widgets/FilterPanel/FiltersCollection"
 
 ], function(){});